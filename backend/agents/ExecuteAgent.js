@@ -73,44 +73,291 @@ class ExecuteAgent extends LightweightAgent {
 
   /**
    * Execute safe automated actions
+   * Workflow steps pass a single object: { action, solution, build, userId, triggeredBy };
+   * rule-driven runs pass the task data as context (e.g. { workItem, userId })
    */
-  async executeAction(action, solution) {
-    logger.info('ExecuteAgent executing action', { action });
+  async executeAction(action, solution, context = {}) {
+    const request = action && typeof action === 'object'
+      ? action
+      : { ...(context && typeof context === 'object' && !Array.isArray(context) ? context : {}), action, solution };
 
-    switch (action) {
+    logger.info('ExecuteAgent executing action', { action: request.action });
+
+    switch (request.action) {
       case 'send_notification':
-        return await this.sendNotification('team', solution, 'normal');
+        return await this.sendNotification('team', request.solution, 'normal');
 
       case 'escalate':
-        return await this.escalate({ type: 'pr_idle' }, solution);
+        return await this.escalate({ type: 'pr_idle' }, request.solution);
 
       case 'escalate_urgent':
-        return await this.escalate({ type: 'blocker' }, solution);
+      case 'escalate_blocker':
+        return await this.escalateBlocker(request);
+
+      case 'assign_to_lead':
+        return await this.assignToLead(request);
 
+      // Rules stored before retry_build was the default action still carry
+      // retry_with_clean_cache; no cache is cleared, it is a plain retry
       case 'retry_build':
-        return {
-          status: 'action_queued',
-          action: 'retry_build',
-          solution,
-          note: 'Build retry would be triggered here'
-        };
+      case 'retry_with_clean_cache':
+        return await this.retryBuild(request);
 
       case 'ai_suggested':
-        return await this.suggest(action, { solution });
+        return await this.suggest(request.action, { solution: request.solution });
 
       default:
         return {
           status: 'completed',
-          action,
-          solution
+          action: request.action,
+          solution: request.solution
         };
     }
   }
 
+  /**
+   * Retry a failed build through the user's Azure DevOps connection
+   * Guardrail refusals are reported, not thrown, so the caller can still notify
+   */
+  async retryBuild(request) {
+    const buildId = request.build?.id || request.buildId;
+
+    if (!request.userId || !buildId) {
+      return {
+        status: 'action_skipped',
+        action: 'retry_build',
+        reason: 'retry_build needs the build and the user it belongs to'
+      };
+    }
+
+    const { buildRetryService, BuildRetryError } = await import('../services/buildRetryService.js');
+
+    try {
+      const retry = await buildRetryService.retryBuild(request.userId, buildId, {
+        mode: request.mode,
+        triggeredBy: request.triggeredBy || { type: 'agent', id: this.name }
+      });
+
+      return {
+        status: 'build_retried',
+        action: 'retry_build',
+        buildId: retry.buildId,
+        mode: retry.mode,
+        stages: retry.stages,
+        retryBuildId: retry.retryBuildId,
+        solution: request.solution,
+        timestamp: new Date()
+      };
+    } catch (error) {
+      if (!(error instanceof BuildRetryError)) throw error;
+
+      logger.warn(`ExecuteAgent retry of build ${buildId} refused: ${error.message}`);
+      return {
+        status: 'retry_blocked',
+        action: 'retry_build',
+        buildId,
+        reason: error.message
+      };
+    }
+  }
+
+  /**
+   * Escalate a blocker; with a work item in context, also flag it in Azure DevOps
+   */
+  async escalateBlocker(request) {
+    const escalation = await this.escalate({ type: 'blocker' }, request.solution);
+
+    if (!request.workItem?.id || !request.userId) {
+      return escalation;
+    }
+
+    // Overdue checks see the same item again; escalate it once
+    if (this.hasTag(request.workItem, 'escalated')) {
+      return { ...escalation, workItemUpdate: { status: 'action_skipped', reason: 'Work item is already escalated' } };
+    }
+
+    const update = await this.updateWorkItem(request, 'escalate_blocker', {
+      priority: 1,
+      addTags: ['blocked', 'escalated'],
+      comment: `Escalated to team lead by ${this.name}: ${request.solution || 'work item is blocked'}`
+    });
+
+    return { ...escalation, workItemUpdate: update };
+  }
+
+  /**
+   * Assign an unassigned work item to the lead, or tag it for triage when no lead is known
+   */
+  async assignToLead(request) {
+    if (!request.workItem?.id || !request.userId) {
+      return {
+        status: 'action_skipped',
+        action: 'assign_to_lead',
+        reason: 'assign_to_lead needs the work item and the user it belongs to'
+      };
+    }
+
+    const lead = request.assignee || request.lead;
+    if (!lead && this.hasTag(request.workItem, 'needs-assignment')) {
+      return {
+        status: 'action_skipped',
+        action: 'assign_to_lead',
+        reason: `Work item ${request.workItem.id} is already flagged for assignment`
+      };
+    }
+
+    const changes = lead
+      ? { assignedTo: lead, comment: `Assigned to ${lead} for delegation by ${this.name}` }
+      : { addTags: ['needs-assignment'], comment: `Unassigned work item flagged for the team lead by ${this.name}` };
+
+    return await this.updateWorkItem(request, 'assign_to_lead', changes);
+  }
+
+  hasTag(workItem, tag) {
+    return (workItem.fields?.['System.Tags'] || '')
+      .split(';')
+      .some(existing => existing.trim().toLowerCase() === tag);
+  }
+
+  /**
+   * Apply changes to the request's work item
+   * Rejected updates are reported, not thrown, like refused build retries
+   */
+  async updateWorkItem(request, action, changes) {
+    const { workItemUpdateService, WorkItemUpdateError } = await import('../services/workItemUpdateService.js');
+    const { getUserClient } = await import('../utils/userSettings.js');
+    const workItemId = request.workItem.id;
+
+    try {
+      const client = request.client || await getUserClient(request.userId);
+      if (!client) {
+        throw new WorkItemUpdateError('Azure DevOps configuration required');
+      }
+      const updated = await workItemUpdateService.update(client, workItemId, changes);
+
+      return {
+        status: 'work_item_updated',
+        action,
+        workItemId,
+        rev: updated.rev,
+        changes,
+        timestamp: new Date()
+      };
+    } catch (error) {
+      if (!(error instanceof WorkItemUpdateError)) throw error;
+
+      logger.warn(`ExecuteAgent update of work item ${workItemId} refused: ${error.message}`);
+      return {
+        status: 'update_failed',
+        action,
+        workItemId,
+        reason: error.message
+      };
+    }
+  }
+
+  /**
+   * Add recommended reviewers to a pull request nobody is reviewing
+   * input: { pullRequest, userId, count }
+   */
+  async assignReviewers(input) {
+    const { pullRequest, userId } = input || {};
+
+    if (!userId || !pullRequest?.pullRequestId) {
+      return {
+        status: 'action_skipped',
+        action: 'assign_reviewers',
+        reason: 'assign_reviewers needs the pull request and the user it belongs to'
+      };
+    }
+
+    const individualReviewers = (pullRequest.reviewers || []).filter(reviewer => !reviewer.isContainer);
+    if (individualReviewers.length > 0) {
+      return {
+        status: 'action_skipped',
+        action: 'assign_reviewers',
+        reason: `PR ${pullRequest.pullRequestId} already has ${individualReviewers.length} reviewer(s)`
+      };
+    }
+
+    const { reviewerRecommendationService } = await import('../services/reviewerRecommendationService.js');
+    const { getUserClient } = await import('../utils/userSettings.js');
+    const client = input.client || await getUserClient(userId);
+    if (!client) {
+      throw new Error('Azure DevOps configuration required');
+    }
+
+    const { recommendations } = await reviewerRecommendationService.recommend(client, pullRequest, {
+      count: input.count || 2
+    });
+    const reviewers = recommendations.filter(candidate => candidate.canAdd);
+
+    if (reviewers.length === 0) {
+      return {
+        status: 'action_skipped',
+        action: 'assign_reviewers',
+        reason: `No reviewer candidates found in the history of PR ${pullRequest.pullRequestId}'s files`
+      };
+    }
+
+    const results = await reviewerRecommendationService.addReviewers(client, pullRequest, reviewers.map(r => r.id));
+
+    return {
+      status: 'reviewers_assigned',
+      action: 'assign_reviewers',
+      pullRequestId: pullRequest.pullRequestId,
+      reviewers: reviewers.map(reviewer => ({
+        ...results.find(result => result.id === reviewer.id),
+        displayName: reviewer.displayName,
+        reasoning: reviewer.reasoning
+      })),
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * File (or update) an Azure DevOps bug for a recurring build failure
+   * input: { build, userId, recurrence, rootCause, areaPath }, where recurrence
+   * comes from MonitorAgent.monitorBuildFailure
+   */
+  async createBug(input) {
+    const { build, userId, recurrence } = input || {};
+
+    if (!userId || !build?.id || !recurrence?.signature) {
+      return {
+        status: 'action_skipped',
+        action: 'create_bug',
+        reason: 'create_bug needs the build, its user and a failure signature'
+      };
+    }
+
+    if (!recurrence.recurring) {
+      return {
+        status: 'action_skipped',
+        action: 'create_bug',
+        reason: `Failure ${recurrence.signature} seen ${recurrence.occurrences} times; not recurring yet`
+      };
+    }
+
+    const { failureBugService } = await import('../services/failureBugService.js');
+    const result = await failureBugService.fileBug(userId, {
+      build,
+      recurrence,
+      rootCause: typeof input.rootCause === 'string' ? input.rootCause : null,
+      areaPath: input.areaPath
+    });
+
+    return {
+      ...result,
+      action: 'create_bug',
+      timestamp: new Date()
+    };
+  }
+
   /**
    * Decide action based on risk level
    */
-  async decide(analysis) {
+  async decide(analysis = {}) {
     const riskLevel = this.assessRisk(analysis);
 
     if (riskLevel === 'low') {
@@ -1,6 +1,7 @@
 import { v4 as uuid } from 'uuid';
 import { logger } from '../utils/logger.js';
 import { ruleEngine } from './RuleEngine.js';
+import { ruleConditions } from './RuleConditions.js';
 import { cacheManager } from '../cache/CacheManager.js';
 import { freeModelRouter } from '../ai/FreeModelRouter.js';
 
@@ -46,7 +47,7 @@ class LightweightAgent {
       const plan = await this.plan(analysis);
 
       // Step 3: Execute actions
-      const result = await this.act(plan);
+      const result = await this.act(plan, task.data);
 
       // Step 4: Learn from outcome
       await this.learn(task, result);
@@ -61,8 +62,11 @@ class LightweightAgent {
         success: true
       });
 
+      // analysis carries the confidence, action and autoFix that
+      // ExecuteAgent.decide weighs
       return {
         success: true,
+        analysis,
         result,
         duration,
         stats: this.getStats()
@@ -91,7 +95,8 @@ class LightweightAgent {
     // Check cache first
     const cacheKey = cacheManager.generateKey('analysis', {
       type: task.type,
-      data: task.data
+      data: task.data,
+      scope: task.scope
     });
 
     const cached = cacheManager.get('analysis', cacheKey);
@@ -101,8 +106,13 @@ class LightweightAgent {
       return cached;
     }
 
-    // Try rule-based analysis
-    const ruleMatch = ruleEngine.match(task.description || task.data, task.category);
+    // Try rule-based analysis (task.scope adds the user's and org's own rules)
+    const ruleMatch = ruleEngine.match(
+      task.description || task.data,
+      task.category,
+      task.scope,
+      ruleConditions.getFacts(task)
+    );
     if (ruleMatch.matched && ruleMatch.confidence > 0.7) {
       this.stats.rulesUsed++;
       logger.debug('Rule-based analysis', {
@@ -146,7 +156,7 @@ class LightweightAgent {
       const { contextManager } = await import('../memory/ContextManager.js');
       const context = await contextManager.buildContext(task, {
         maxMemories: 3,
-        filterType: task.type
+        filterType: contextManager.getMemoryType(task)
       });
       contextStr = context.context;
     } catch (error) {
@@ -209,8 +219,9 @@ Provide:
 
   /**
    * Step 3: Execute the plan
+   * The task data is passed along so actions can target the item it describes
    */
-  async act(plan) {
+  async act(plan, context = {}) {
     logger.info(`Agent ${this.name} executing plan`, {
       agentId: this.id,
       planType: plan.type,
@@ -226,7 +237,7 @@ Provide:
     }
 
     // Execute the action
-    return await this.executeAction(plan.action, plan.solution);
+    return await this.executeAction(plan.action, plan.solution, context);
   }
 
   /**
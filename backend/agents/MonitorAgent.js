@@ -1,7 +1,15 @@
+import crypto from 'crypto';
 import LightweightAgent from './LightweightAgent.js';
 import { logger } from '../utils/logger.js';
 import { cacheManager } from '../cache/CacheManager.js';
 
+// A failure signature seen this many times within the window is recurring
+const RECURRENCE_THRESHOLD = 3;
+const RECURRENCE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Rule actions that change the work item a task is about (see ExecuteAgent)
+const WORK_ITEM_ACTIONS = new Set(['escalate_blocker', 'assign_to_lead']);
+
 /**
  * MonitorAgent - Observes Azure DevOps state and detects changes
  */
@@ -16,16 +24,117 @@ class MonitorAgent extends LightweightAgent {
 
   /**
    * Monitor build failures
+   * Workflow steps pass a single object: { build, userId }; the timeline and
+   * logs are then fetched with the user's connection. The result carries
+   * `recurrence` for the failure's signature.
    */
-  async monitorBuildFailure(build, timeline, logs, client) {
+  async monitorBuildFailure(build, timeline, logs, client, userId = null) {
+    if (build?.build) {
+      ({ build, timeline, logs, client, userId = null } = build);
+    }
+
+    if (userId && !timeline) {
+      try {
+        const { getUserSettings } = await import('../utils/userSettings.js');
+        const { azureDevOpsClient } = await import('../devops/azureDevOpsClient.js');
+        const settings = await getUserSettings(userId);
+
+        if (settings.azureDevOps?.organization && settings.azureDevOps?.pat) {
+          client = client || azureDevOpsClient.createUserClient(settings.azureDevOps);
+          [timeline, logs] = await Promise.all([
+            client.getBuildTimeline(build.id),
+            client.getBuildLogs(build.id)
+          ]);
+        }
+      } catch (error) {
+        logger.warn(`Could not load timeline for build ${build.id}: ${error.message}`);
+      }
+    }
+
     const task = {
       type: 'build_failure',
       category: 'build',
       description: this.extractBuildError(build, timeline),
-      data: { build, timeline, logs, client }
+      data: { build, timeline, logs, client },
+      scope: userId
+        ? { userId: String(userId), organization: client?.config?.organization, project: client?.config?.project }
+        : undefined
     };
 
-    return await this.execute(task);
+    const result = await this.execute(task);
+    result.recurrence = await this.trackFailure(build, task.description, userId);
+
+    return result;
+  }
+
+  /**
+   * Count a failure against its signature
+   * A build is only counted once, and a signature unseen for longer than the
+   * window starts over
+   */
+  async trackFailure(build, error, userId = null) {
+    const signature = this.getFailureSignature(build, error);
+    const recurrence = {
+      signature,
+      tag: `failure-sig-${signature}`,
+      error,
+      occurrences: 0,
+      recurring: false
+    };
+
+    try {
+      const { default: FailureSignature } = await import('../models/FailureSignature.js');
+      const now = new Date();
+      const existing = await FailureSignature.findOne({ userId, signature }).lean();
+
+      let record = existing;
+      if (!existing?.buildIds?.includes(build.id)) {
+        const stale = existing && now - new Date(existing.lastSeen) > RECURRENCE_WINDOW_MS;
+        const update = stale
+          ? { $set: { occurrences: 1, buildIds: [build.id], firstSeen: now, lastSeen: now, error } }
+          : {
+            $inc: { occurrences: 1 },
+            $set: { lastSeen: now, error, definitionName: build.definition?.name },
+            $setOnInsert: { definitionId: build.definition?.id, firstSeen: now },
+            $push: { buildIds: { $each: [build.id], $slice: -10 } }
+          };
+
+        record = await FailureSignature.findOneAndUpdate({ userId, signature }, update, {
+          upsert: true,
+          new: true
+        }).lean();
+      }
+
+      Object.assign(recurrence, {
+        occurrences: record.occurrences,
+        firstSeen: record.firstSeen,
+        recurring: record.occurrences >= RECURRENCE_THRESHOLD,
+        bugId: record.bug?.id || null
+      });
+    } catch (error) {
+      logger.warn(`Failed to track failure signature ${signature}: ${error.message}`);
+    }
+
+    return recurrence;
+  }
+
+  /**
+   * Stable hash of a pipeline and its error text, ignoring ids, hashes and numbers
+   */
+  getFailureSignature(build, error) {
+    const normalized = String(error)
+      .toLowerCase()
+      .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, '<guid>')
+      .replace(/\b[0-9a-f]{12,}\b/g, '<hash>')
+      .replace(/\d+/g, '<n>')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return crypto
+      .createHash('sha1')
+      .update(`${build.definition?.id || build.definition?.name || ''}|${normalized}`)
+      .digest('hex')
+      .slice(0, 12);
   }
 
   /**
@@ -46,8 +155,14 @@ class MonitorAgent extends LightweightAgent {
 
   /**
    * Monitor work item status
+   * Workflow steps pass { workItem, userId }; the user's rules then apply and
+   * work item actions (escalate_blocker, assign_to_lead) update the item
    */
-  async monitorWorkItem(workItem) {
+  async monitorWorkItem(workItem, userId = null) {
+    if (workItem?.workItem) {
+      ({ workItem, userId = null } = workItem);
+    }
+
     const state = workItem.fields?.['System.State'];
     const assignee = workItem.fields?.['System.AssignedTo']?.displayName;
     
@@ -68,19 +183,45 @@ class MonitorAgent extends LightweightAgent {
       type: 'work_item_issue',
       category: 'workitem',
       description,
-      data: { workItem }
+      data: userId ? { workItem, userId: String(userId) } : { workItem },
+      scope: userId ? await this.getScope(userId) : undefined
     };
 
     return await this.execute(task);
   }
 
+  /**
+   * The user's rule scope, from their Azure DevOps settings
+   */
+  async getScope(userId) {
+    const { getUserSettings } = await import('../utils/userSettings.js');
+    const settings = await getUserSettings(userId);
+
+    return {
+      userId: String(userId),
+      organization: settings.azureDevOps?.organization,
+      project: settings.azureDevOps?.project
+    };
+  }
+
   /**
    * Execute monitoring action
+   * context is the task data; work item actions for a known user are handed
+   * to ExecuteAgent, everything else is suggested
    */
-  async executeAction(action, solution) {
+  async executeAction(action, solution, context = {}) {
     logger.info('MonitorAgent executing action', { action, solution });
 
+    if (WORK_ITEM_ACTIONS.has(action) && context.workItem?.id && context.userId) {
+      const { executeAgent } = await import('./ExecuteAgent.js');
+      return await executeAgent.executeAction(action, solution, {
+        workItem: context.workItem,
+        userId: context.userId
+      });
+    }
+
     switch (action) {
+      case 'retry_build':
       case 'retry_with_clean_cache':
         return {
           status: 'action_suggested',
@@ -0,0 +1,265 @@
+import { compileSafePattern } from '../utils/regexSafety.js';
+
+/**
+ * Structured conditions for RuleEngine rules
+ *
+ * A rule's `conditions` is a group ({ all: [...] } or { any: [...] }) of
+ * leaves ({ field, operator, value }) and nested groups. Facts come from the
+ * task an agent is working on, so a rule can say "failed on main in the
+ * deploy stage" without a log pattern. Fields that hold several values (the
+ * failed stages and tasks of a build) match when any value does; negative
+ * operators require that none does. A condition on a fact the task doesn't
+ * have is false.
+ */
+
+export const CONDITION_FIELDS = {
+  'build.definition': { type: 'string', description: 'Pipeline definition name' },
+  'build.branch': { type: 'string', description: 'Branch the build ran on, without refs/heads/' },
+  'build.stage': { type: 'string', description: 'Failed stage names' },
+  'build.task': { type: 'string', description: 'Failed task names' },
+  'pr.targetBranch': { type: 'string', description: 'Pull request target branch, without refs/heads/' },
+  'pr.fileCount': { type: 'number', description: 'Files changed in the pull request' },
+  'workItem.type': { type: 'string', description: 'Work item type' },
+  'workItem.priority': { type: 'number', description: 'Work item priority (1 is highest)' },
+  'time.hour': { type: 'number', description: 'Hour of day, 0-23 (in the condition timezone, UTC by default)' }
+};
+
+// String values are compared trimmed and lowercased, and 'matches' (a
+// case-insensitive regex) sees the same text: ^main$ matches refs/heads/main,
+// ^refs/heads/main$ never does
+export const CONDITION_OPERATORS = {
+  string: ['equals', 'notEquals', 'in', 'notIn', 'contains', 'matches'],
+  number: ['equals', 'notEquals', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'between']
+};
+
+const NEGATIVE_OPERATORS = new Set(['notEquals', 'notIn']);
+
+// Compared without the refs/heads/ prefix, so 'main' matches refs/heads/main
+// (for every operator, including 'matches')
+const BRANCH_FIELDS = new Set(['build.branch', 'pr.targetBranch']);
+
+const MAX_DEPTH = 4;
+
+class RuleConditions {
+  /**
+   * Validate conditions
+   * Returns { valid, errors }
+   */
+  validate(conditions) {
+    const errors = [];
+    this.compileGroup(conditions, 'conditions', 1, errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Compile conditions for evaluate(); throws when they are invalid
+   */
+  compile(conditions) {
+    const errors = [];
+    const compiled = this.compileGroup(conditions, 'conditions', 1, errors);
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid rule conditions: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return compiled;
+  }
+
+  compileGroup(group, path, depth, errors) {
+    const mode = Array.isArray(group?.all) ? 'all' : Array.isArray(group?.any) ? 'any' : null;
+
+    if (!mode) {
+      errors.push(`${path}: a group needs an 'all' or 'any' list`);
+      return null;
+    }
+    if (depth > MAX_DEPTH) {
+      errors.push(`${path}: groups can be nested at most ${MAX_DEPTH} deep`);
+      return null;
+    }
+    if (group[mode].length === 0) {
+      errors.push(`${path}.${mode}: at least one condition is required`);
+      return null;
+    }
+
+    return {
+      mode,
+      items: group[mode].map((item, index) => {
+        const itemPath = `${path}.${mode}[${index}]`;
+        return item?.all || item?.any
+          ? this.compileGroup(item, itemPath, depth + 1, errors)
+          : this.compileLeaf(item, itemPath, errors);
+      })
+    };
+  }
+
+  compileLeaf(condition, path, errors) {
+    const field = CONDITION_FIELDS[condition?.field];
+    if (!field) {
+      errors.push(`${path}: unknown field '${condition?.field}'`);
+      return null;
+    }
+
+    const { operator } = condition;
+    if (!CONDITION_OPERATORS[field.type].includes(operator)) {
+      errors.push(`${path}: '${operator}' cannot be used with ${condition.field}`);
+      return null;
+    }
+
+    const value = this.compileValue(condition, field, path, errors);
+    if (value === undefined) return null;
+
+    if (condition.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: condition.timezone });
+      } catch {
+        errors.push(`${path}: unknown timezone '${condition.timezone}'`);
+        return null;
+      }
+    }
+
+    return { field: condition.field, operator, value, timezone: condition.timezone };
+  }
+
+  /**
+   * Values normalized for comparison; undefined when invalid
+   */
+  compileValue({ field: name, operator, value }, field, path, errors) {
+    const invalid = (message) => {
+      errors.push(`${path}: ${message}`);
+      return undefined;
+    };
+
+    if (operator === 'in' || operator === 'notIn') {
+      if (!Array.isArray(value) || value.length === 0) return invalid(`'${operator}' needs a non-empty list`);
+      const values = value.map(item => this.normalize(name, field, item));
+      return values.some(item => item === null) ? invalid(`'${operator}' values must be ${field.type}s`) : values;
+    }
+
+    if (operator === 'between') {
+      if (!Array.isArray(value) || value.length !== 2 || value.some(item => typeof item !== 'number')) {
+        return invalid("'between' needs [from, to] numbers");
+      }
+      return value;
+    }
+
+    if (operator === 'matches') {
+      try {
+        return compileSafePattern(value, 'i');
+      } catch (error) {
+        return invalid(error.message);
+      }
+    }
+
+    const normalized = this.normalize(name, field, value);
+    return normalized === null ? invalid(`value must be a ${field.type}`) : normalized;
+  }
+
+  normalize(name, field, value) {
+    if (field.type === 'number') {
+      return typeof value === 'number' && !isNaN(value) ? value : null;
+    }
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim().toLowerCase();
+    return BRANCH_FIELDS.has(name) ? text.replace(/^refs\/heads\//, '') : text;
+  }
+
+  /**
+   * Evaluate compiled conditions against facts (see getFacts)
+   */
+  evaluate(compiled, facts = {}) {
+    if (!compiled) return false;
+
+    if (compiled.mode) {
+      return compiled.mode === 'all'
+        ? compiled.items.every(item => this.evaluate(item, facts))
+        : compiled.items.some(item => this.evaluate(item, facts));
+    }
+
+    const values = this.getFactValues(compiled, facts);
+    if (values.length === 0) return false;
+
+    return NEGATIVE_OPERATORS.has(compiled.operator)
+      ? values.every(value => this.test(compiled, value))
+      : values.some(value => this.test(compiled, value));
+  }
+
+  test({ operator, value: expected }, actual) {
+    switch (operator) {
+      case 'equals': return actual === expected;
+      case 'notEquals': return actual !== expected;
+      case 'in': return expected.includes(actual);
+      case 'notIn': return !expected.includes(actual);
+      case 'contains': return actual.includes(expected);
+      case 'matches': return expected.test(actual);
+      case 'gt': return actual > expected;
+      case 'gte': return actual >= expected;
+      case 'lt': return actual < expected;
+      case 'lte': return actual <= expected;
+      case 'between': {
+        // A range that wraps (e.g. [22, 6] for nights) covers both ends
+        const [from, to] = expected;
+        return from <= to ? actual >= from && actual <= to : actual >= from || actual <= to;
+      }
+      default: return false;
+    }
+  }
+
+  getFactValues(condition, facts) {
+    const field = CONDITION_FIELDS[condition.field];
+
+    let raw;
+    if (condition.field === 'time.hour') {
+      const now = facts.now ? new Date(facts.now) : new Date();
+      // An unparseable timestamp has no hour, like a missing fact
+      raw = Number.isNaN(now.getTime()) ? null : this.getHour(now, condition.timezone);
+    } else {
+      raw = facts[condition.field];
+    }
+
+    return (Array.isArray(raw) ? raw : [raw])
+      .filter(value => value !== undefined && value !== null)
+      .map(value => this.normalize(condition.field, field, value))
+      .filter(value => value !== null);
+  }
+
+  getHour(date, timeZone = 'UTC') {
+    const hour = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(date);
+    return parseInt(hour, 10);
+  }
+
+  /**
+   * Facts for the task's category from its data; task.facts overrides them
+   */
+  getFacts(task = {}) {
+    const data = task.data || {};
+    const facts = {};
+
+    if (data.build) {
+      const failed = (data.timeline?.records || []).filter(record => record.result === 'failed');
+      facts['build.definition'] = data.build.definition?.name;
+      facts['build.branch'] = data.build.sourceBranch;
+      facts['build.stage'] = failed.filter(record => record.type === 'Stage').map(record => record.name);
+      facts['build.task'] = failed.filter(record => record.type === 'Task').map(record => record.name);
+      facts.now = data.build.finishTime;
+    }
+
+    const pr = data.pr || data.pullRequest;
+    if (pr) {
+      facts['pr.targetBranch'] = pr.targetRefName;
+      facts['pr.fileCount'] = data.changes?.changeEntries?.length ?? data.fileCount ?? pr.fileCount;
+    }
+
+    if (data.workItem) {
+      facts['workItem.type'] = data.workItem.fields?.['System.WorkItemType'];
+      facts['workItem.priority'] = data.workItem.fields?.['Microsoft.VSTS.Common.Priority'];
+    }
+
+    return { ...facts, ...task.facts };
+  }
+}
+
+export const ruleConditions = new RuleConditions();
+export default ruleConditions;
@@ -1,12 +1,124 @@
+import mongoose from 'mongoose';
 import { logger } from '../utils/logger.js';
+import Rule from '../models/Rule.js';
+import { ruleConditions } from './RuleConditions.js';
+import { compileSafePattern, limitPatternInput } from '../utils/regexSafety.js';
+
+// Seeded into the rules collection as global rules, and used until it is loaded
+const DEFAULT_RULES = [
+  // Build failure rules
+  {
+    id: 'npm-install-failed',
+    category: 'build',
+    pattern: /npm (install|ci) failed|cannot find module|ENOENT.*package\.json/i,
+    action: 'retry_build',
+    confidence: 0.9,
+    solution: 'Retry the build; if it fails again, run `npm ci --cache .npm --prefer-offline` to clean install dependencies',
+    autoFix: true
+  },
+  {
+    id: 'test-timeout',
+    category: 'build',
+    pattern: /test.*timeout|jasmine.*timeout|jest.*timeout/i,
+    action: 'increase_timeout',
+    confidence: 0.85,
+    solution: 'Increase test timeout in configuration or optimize slow tests',
+    autoFix: false
+  },
+  {
+    id: 'docker-build-failed',
+    category: 'build',
+    pattern: /docker build failed|dockerfile.*error|cannot connect to docker/i,
+    action: 'check_docker_service',
+    confidence: 0.9,
+    solution: 'Verify Docker service is running and Dockerfile syntax is correct',
+    autoFix: false
+  },
+  {
+    id: 'out-of-memory',
+    category: 'build',
+    pattern: /out of memory|heap.*memory|javascript heap/i,
+    action: 'increase_memory',
+    confidence: 0.95,
+    solution: 'Increase Node.js memory limit: NODE_OPTIONS=--max-old-space-size=4096',
+    autoFix: false
+  },
+
+  // PR rules
+  {
+    id: 'pr-idle-48h',
+    category: 'pr',
+    pattern: /idle.*48.*hours?|no activity.*2 days/i,
+    action: 'notify_reviewers',
+    confidence: 0.95,
+    solution: 'Send reminder to assigned reviewers',
+    autoFix: true
+  },
+  {
+    id: 'pr-idle-72h',
+    category: 'pr',
+    pattern: /idle.*72.*hours?|no activity.*3 days/i,
+    action: 'escalate_to_lead',
+    confidence: 0.9,
+    solution: 'Escalate to team lead for review assignment',
+    autoFix: true
+  },
+  {
+    id: 'pr-large-changes',
+    category: 'pr',
+    pattern: /large.*changes|files changed.*[5-9]\d{2,}|lines.*[1-9]\d{3,}/i,
+    action: 'suggest_split',
+    confidence: 0.8,
+    solution: 'Consider splitting into smaller PRs for easier review',
+    autoFix: false
+  },
+
+  // Work item rules
+  {
+    id: 'work-item-blocked',
+    category: 'workitem',
+    pattern: /blocked|blocker|cannot proceed/i,
+    action: 'escalate_blocker',
+    confidence: 0.95,
+    solution: 'Escalate blocker to team lead immediately',
+    autoFix: true
+  },
+  {
+    id: 'work-item-overdue',
+    category: 'workitem',
+    pattern: /overdue|past due|missed deadline/i,
+    action: 'notify_assignee',
+    confidence: 0.9,
+    solution: 'Notify assignee and update sprint plan',
+    autoFix: true
+  },
+  {
+    id: 'work-item-unassigned',
+    category: 'workitem',
+    pattern: /unassigned|no assignee/i,
+    action: 'assign_to_lead',
+    confidence: 0.85,
+    solution: 'Assign to team lead for delegation',
+    autoFix: true
+  }
+];
 
 /**
  * Rule-based decision engine
  * Handles common patterns without AI calls
+ *
+ * Rules are stored in the agent_rules collection and cached here. Global
+ * rules (the defaults and learned rules) apply everywhere; organization and
+ * user rules apply within their scope and replace a global rule with the same
+ * id there, so a default can be tuned or switched off for one user.
+ *
+ * A rule matches on a text pattern, on structured conditions (see
+ * RuleConditions), or on both.
  */
 class RuleEngine {
   constructor() {
-    this.rules = new Map();
+    this.rules = new Map(); // global rules by id
+    this.scopedRules = new Map(); // 'org:<name>' / 'user:<id>' -> Map of rules by id
     this.stats = {
       totalMatches: 0,
       ruleHits: {}
@@ -18,149 +130,141 @@ class RuleEngine {
    * Initialize default rules for common scenarios
    */
   initializeDefaultRules() {
-    // Build failure rules
-    this.addRule({
-      id: 'npm-install-failed',
-      category: 'build',
-      pattern: /npm (install|ci) failed|cannot find module|ENOENT.*package\.json/i,
-      action: 'retry_with_clean_cache',
-      confidence: 0.9,
-      solution: 'Run `npm ci --cache .npm --prefer-offline` to clean install dependencies',
-      autoFix: true
-    });
-
-    this.addRule({
-      id: 'test-timeout',
-      category: 'build',
-      pattern: /test.*timeout|jasmine.*timeout|jest.*timeout/i,
-      action: 'increase_timeout',
-      confidence: 0.85,
-      solution: 'Increase test timeout in configuration or optimize slow tests',
-      autoFix: false
-    });
-
-    this.addRule({
-      id: 'docker-build-failed',
-      category: 'build',
-      pattern: /docker build failed|dockerfile.*error|cannot connect to docker/i,
-      action: 'check_docker_service',
-      confidence: 0.9,
-      solution: 'Verify Docker service is running and Dockerfile syntax is correct',
-      autoFix: false
-    });
-
-    this.addRule({
-      id: 'out-of-memory',
-      category: 'build',
-      pattern: /out of memory|heap.*memory|javascript heap/i,
-      action: 'increase_memory',
-      confidence: 0.95,
-      solution: 'Increase Node.js memory limit: NODE_OPTIONS=--max-old-space-size=4096',
-      autoFix: false
-    });
-
-    // PR rules
-    this.addRule({
-      id: 'pr-idle-48h',
-      category: 'pr',
-      pattern: /idle.*48.*hours?|no activity.*2 days/i,
-      action: 'notify_reviewers',
-      confidence: 0.95,
-      solution: 'Send reminder to assigned reviewers',
-      autoFix: true
-    });
-
-    this.addRule({
-      id: 'pr-idle-72h',
-      category: 'pr',
-      pattern: /idle.*72.*hours?|no activity.*3 days/i,
-      action: 'escalate_to_lead',
-      confidence: 0.9,
-      solution: 'Escalate to team lead for review assignment',
-      autoFix: true
-    });
-
-    this.addRule({
-      id: 'pr-large-changes',
-      category: 'pr',
-      pattern: /large.*changes|files changed.*[5-9]\d{2,}|lines.*[1-9]\d{3,}/i,
-      action: 'suggest_split',
-      confidence: 0.8,
-      solution: 'Consider splitting into smaller PRs for easier review',
-      autoFix: false
-    });
-
-    // Work item rules
-    this.addRule({
-      id: 'work-item-blocked',
-      category: 'workitem',
-      pattern: /blocked|blocker|cannot proceed/i,
-      action: 'escalate_blocker',
-      confidence: 0.95,
-      solution: 'Escalate blocker to team lead immediately',
-      autoFix: true
-    });
-
-    this.addRule({
-      id: 'work-item-overdue',
-      category: 'workitem',
-      pattern: /overdue|past due|missed deadline/i,
-      action: 'notify_assignee',
-      confidence: 0.9,
-      solution: 'Notify assignee and update sprint plan',
-      autoFix: true
-    });
-
-    this.addRule({
-      id: 'work-item-unassigned',
-      category: 'workitem',
-      pattern: /unassigned|no assignee/i,
-      action: 'assign_to_lead',
-      confidence: 0.85,
-      solution: 'Assign to team lead for delegation',
-      autoFix: true
-    });
+    for (const rule of DEFAULT_RULES) {
+      this.addRule({ ...rule, source: 'default' });
+    }
 
     logger.info(`RuleEngine initialized with ${this.rules.size} rules`);
   }
 
   /**
-   * Add a new rule
+   * Seed the default rules and load every stored rule (called on startup)
+   */
+  async load() {
+    await Rule.bulkWrite(DEFAULT_RULES.map(rule => ({
+      updateOne: {
+        filter: this.getFilter({ ...rule, scope: 'global' }),
+        update: { $setOnInsert: this.toDocument({ ...rule, source: 'default' }) },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const documents = await Rule.find({}).lean();
+
+    this.rules.clear();
+    this.scopedRules.clear();
+
+    let loaded = 0;
+    for (const document of documents) {
+      try {
+        this.addRule(this.fromDocument(document));
+        loaded++;
+      } catch (error) {
+        logger.warn(`Skipping invalid rule ${document.ruleId}: ${error.message}`);
+      }
+    }
+
+    logger.info(`RuleEngine loaded ${loaded} rules`);
+    return loaded;
+  }
+
+  /**
+   * Add a new rule (in memory only; saveRule also stores it)
    */
   addRule(rule) {
-    if (!rule.id || !rule.pattern || !rule.action) {
-      throw new Error('Rule must have id, pattern, and action');
+    const entry = this.createEntry(rule);
+
+    this.getScopeRules(entry, true).set(entry.id, entry);
+    if (this.stats.ruleHits[entry.key] === undefined) {
+      this.stats.ruleHits[entry.key] = 0;
     }
 
-    this.rules.set(rule.id, {
+    return entry;
+  }
+
+  /**
+   * Store a rule (insert or replace) and make it live
+   */
+  async saveRule(rule) {
+    const entry = this.createEntry(rule);
+
+    await Rule.findOneAndUpdate(
+      this.getFilter(entry),
+      { $set: this.toDocument(entry) },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return this.addRule(entry);
+  }
+
+  /**
+   * Delete a stored rule and stop using it
+   */
+  async deleteRule(rule) {
+    await Rule.deleteOne(this.getFilter(rule));
+    this.removeRule(rule);
+  }
+
+  removeRule(rule) {
+    const rules = this.getScopeRules(rule);
+    const existing = rules?.get(rule.id);
+    if (!existing) return;
+
+    rules.delete(rule.id);
+    delete this.stats.ruleHits[existing.key];
+  }
+
+  /**
+   * Validate a rule and compile its pattern
+   */
+  createEntry(rule) {
+    if (!rule.id || !rule.action || (!rule.pattern && !rule.conditions)) {
+      throw new Error('Rule must have id, action, and a pattern or conditions');
+    }
+
+    const scope = rule.scope || 'global';
+    const owner = {
+      userId: scope === 'user' ? String(rule.userId) : null,
+      organization: scope === 'organization' ? rule.organization : null
+    };
+
+    return {
       ...rule,
-      createdAt: new Date(),
-      matchCount: 0
-    });
+      ...owner,
+      scope,
+      pattern: this.compilePattern(rule),
+      conditions: rule.conditions || null,
+      compiledConditions: rule.conditions ? ruleConditions.compile(rule.conditions) : null,
+      enabled: rule.enabled !== false,
+      source: rule.source || 'user',
+      key: this.getRuleKey({ ...owner, scope, id: rule.id }),
+      createdAt: rule.createdAt || new Date(),
+      matchCount: rule.matchCount || 0
+    };
+  }
 
-    this.stats.ruleHits[rule.id] = 0;
+  compilePattern(rule) {
+    if (!rule.pattern) return null;
+    return rule.pattern instanceof RegExp ? rule.pattern : compileSafePattern(rule.pattern, rule.flags ?? 'i');
   }
 
   /**
    * Match input against rules
+   * scope: { userId, organization } adds that user's and org's rules
+   * facts: structured attributes for rule conditions (RuleConditions.getFacts)
    */
-  match(input, category = null) {
-    const inputStr = typeof input === 'string' ? input : JSON.stringify(input);
-
+  match(input, category = null, scope = {}, facts = {}) {
     // Filter rules by category if specified
-    const rulesToCheck = category
-      ? Array.from(this.rules.values()).filter(r => r.category === category)
-      : Array.from(this.rules.values());
+    const rulesToCheck = this.getVisibleRules(scope)
+      .filter(rule => rule.enabled && (!category || rule.category === category));
 
     // Find all matching rules
-    const matches = rulesToCheck
-      .filter(rule => rule.pattern.test(inputStr))
-      .map(rule => {
-        rule.matchCount++;
-        this.stats.ruleHits[rule.id]++;
-        return rule;
-      })
-      .sort((a, b) => b.confidence - a.confidence); // Sort by confidence
+    const matches = this.findMatches(input, rulesToCheck, facts);
+    for (const rule of matches) {
+      rule.matchCount++;
+      this.stats.ruleHits[rule.key]++;
+      this.persist(rule, { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } });
+    }
 
     if (matches.length > 0) {
       this.stats.totalMatches++;
@@ -192,33 +296,89 @@ class RuleEngine {
     };
   }
 
+  /**
+   * Rules that match the input, best first, without recording hits
+   */
+  findMatches(input, rules, facts = {}) {
+    const inputStr = limitPatternInput(typeof input === 'string' ? input : JSON.stringify(input));
+
+    return rules
+      .filter(rule => (!rule.pattern || rule.pattern.test(inputStr))
+        && (!rule.compiledConditions || ruleConditions.evaluate(rule.compiledConditions, facts)))
+      .sort((a, b) => b.confidence - a.confidence); // Sort by confidence
+  }
+
   /**
    * Check if rule matches with minimum confidence
    */
-  matchesWithConfidence(input, minConfidence = 0.7, category = null) {
-    const result = this.match(input, category);
+  matchesWithConfidence(input, minConfidence = 0.7, category = null, scope = {}, facts = {}) {
+    const result = this.match(input, category, scope, facts);
     return result.matched && result.confidence >= minConfidence;
   }
 
   /**
-   * Get rule by ID
+   * Get rule by ID, as seen from a scope
    */
-  getRule(ruleId) {
-    return this.rules.get(ruleId);
+  getRule(ruleId, scope = {}) {
+    return this.getVisibleRules(scope).find(rule => rule.id === ruleId);
   }
 
   /**
    * Get all rules for a category
    */
-  getRulesByCategory(category) {
-    return Array.from(this.rules.values()).filter(r => r.category === category);
+  getRulesByCategory(category, scope = {}) {
+    return this.getVisibleRules(scope).filter(r => r.category === category);
+  }
+
+  /**
+   * Global rules from one source ('default' or 'learned')
+   */
+  getRulesBySource(source) {
+    return Array.from(this.rules.values()).filter(rule => rule.source === source);
+  }
+
+  /**
+   * Global rules overlaid with the organization's and then the user's rules
+   */
+  getVisibleRules(scope = {}) {
+    const visible = new Map(this.rules);
+
+    const layers = [
+      scope.organization && this.scopedRules.get(`org:${scope.organization}`),
+      scope.userId && this.scopedRules.get(`user:${scope.userId}`)
+    ];
+
+    for (const layer of layers.filter(Boolean)) {
+      for (const [id, rule] of layer) visible.set(id, rule);
+    }
+
+    return Array.from(visible.values());
+  }
+
+  getScopeRules(rule, create = false) {
+    if (!rule.scope || rule.scope === 'global') return this.rules;
+
+    const key = rule.scope === 'user' ? `user:${rule.userId}` : `org:${rule.organization}`;
+    if (create && !this.scopedRules.has(key)) {
+      this.scopedRules.set(key, new Map());
+    }
+    return this.scopedRules.get(key);
+  }
+
+  /**
+   * Stats key: the id for global rules, prefixed with the owner otherwise
+   */
+  getRuleKey(rule) {
+    if (rule.scope === 'user') return `user:${rule.userId}:${rule.id}`;
+    if (rule.scope === 'organization') return `org:${rule.organization}:${rule.id}`;
+    return rule.id;
   }
 
   /**
    * Update rule confidence based on feedback
    */
-  updateConfidence(ruleId, successful) {
-    const rule = this.rules.get(ruleId);
+  updateConfidence(ruleId, successful, scope = {}) {
+    const rule = this.getRule(ruleId, scope);
     if (!rule) return;
 
     // Adjust confidence based on success/failure
@@ -228,16 +388,18 @@ class RuleEngine {
       rule.confidence = Math.max(0.5, rule.confidence - 0.05);
     }
 
+    this.persist(rule, { $set: { confidence: rule.confidence } });
     logger.debug(`Updated rule ${ruleId} confidence to ${rule.confidence}`);
   }
 
   /**
    * Disable a rule
    */
-  disableRule(ruleId) {
-    const rule = this.rules.get(ruleId);
+  disableRule(ruleId, scope = {}) {
+    const rule = this.getRule(ruleId, scope);
     if (rule) {
       rule.enabled = false;
+      this.persist(rule, { $set: { enabled: false } });
       logger.info(`Rule ${ruleId} disabled`);
     }
   }
@@ -245,20 +407,92 @@ class RuleEngine {
   /**
    * Enable a rule
    */
-  enableRule(ruleId) {
-    const rule = this.rules.get(ruleId);
+  enableRule(ruleId, scope = {}) {
+    const rule = this.getRule(ruleId, scope);
     if (rule) {
       rule.enabled = true;
+      this.persist(rule, { $set: { enabled: true } });
       logger.info(`Rule ${ruleId} enabled`);
     }
   }
 
+  /**
+   * Write a change to the stored rule without waiting for it
+   * Skipped while the database is unavailable; in-memory state stays current
+   */
+  persist(rule, update) {
+    if (mongoose.connection.readyState !== 1) return;
+
+    Rule.updateOne(this.getFilter(rule), update)
+      .catch(error => logger.warn(`Failed to persist rule ${rule.id}: ${error.message}`));
+  }
+
+  getFilter(rule) {
+    return {
+      scope: rule.scope || 'global',
+      userId: rule.scope === 'user' ? rule.userId : null,
+      organization: rule.scope === 'organization' ? rule.organization : null,
+      ruleId: rule.id
+    };
+  }
+
+  toDocument(rule) {
+    const pattern = this.compilePattern(rule);
+
+    return {
+      ...this.getFilter(rule),
+      category: rule.category,
+      pattern: pattern?.source ?? null,
+      flags: pattern?.flags ?? 'i',
+      conditions: rule.conditions || null,
+      action: rule.action,
+      confidence: rule.confidence,
+      solution: rule.solution,
+      autoFix: Boolean(rule.autoFix),
+      enabled: rule.enabled !== false,
+      source: rule.source || 'user',
+      learnedFrom: rule.learnedFrom,
+      approvedBy: rule.approvedBy || null,
+      approvedAt: rule.approvedAt,
+      createdBy: rule.createdBy || null
+    };
+  }
+
+  fromDocument(document) {
+    return {
+      id: document.ruleId,
+      scope: document.scope,
+      userId: document.userId ? String(document.userId) : null,
+      organization: document.organization,
+      category: document.category,
+      pattern: document.pattern,
+      flags: document.flags,
+      conditions: document.conditions,
+      action: document.action,
+      confidence: document.confidence,
+      solution: document.solution,
+      autoFix: document.autoFix,
+      enabled: document.enabled,
+      source: document.source,
+      learnedFrom: document.learnedFrom,
+      approvedBy: document.approvedBy ? String(document.approvedBy) : null,
+      approvedAt: document.approvedAt,
+      createdBy: document.createdBy ? String(document.createdBy) : null,
+      matchCount: document.matchCount,
+      lastMatchedAt: document.lastMatchedAt,
+      createdAt: document.createdAt,
+      updatedAt: document.updatedAt
+    };
+  }
+
   /**
    * Get statistics
    */
   getStats() {
+    const scopedRules = Array.from(this.scopedRules.values()).reduce((total, rules) => total + rules.size, 0);
+
     return {
-      totalRules: this.rules.size,
+      totalRules: this.rules.size + scopedRules,
       totalMatches: this.stats.totalMatches,
       ruleHits: this.stats.ruleHits,
       topRules: Object.entries(this.stats.ruleHits)
@@ -271,16 +505,22 @@ class RuleEngine {
   /**
    * Export rules for backup
    */
-  exportRules() {
-    return Array.from(this.rules.entries()).map(([id, rule]) => ({
-      id,
+  exportRules(scope = {}) {
+    return this.getVisibleRules(scope).map(rule => ({
+      id: rule.id,
+      scope: rule.scope,
       category: rule.category,
-      pattern: rule.pattern.source,
+      pattern: rule.pattern?.source ?? null,
+      flags: rule.pattern?.flags ?? null,
+      conditions: rule.conditions,
       action: rule.action,
       confidence: rule.confidence,
       solution: rule.solution,
       autoFix: rule.autoFix,
-      matchCount: rule.matchCount
+      enabled: rule.enabled,
+      source: rule.source,
+      matchCount: rule.matchCount,
+      hits: this.stats.ruleHits[rule.key] || 0
     }));
   }
 }
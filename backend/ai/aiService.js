@@ -4,6 +4,13 @@ import { GoogleGenerativeAI } from '@google/generative-ai';
 import { logger } from '../utils/logger.js';
 import { configLoader } from '../config/settings.js';
 
+// Returned by explainPullRequest when no explanation could be generated
+export const PR_EXPLANATION_FALLBACKS = [
+  'AI explanation not available - please configure AI provider in settings.',
+  'AI analysis not available - please configure AI provider in settings.',
+  'Unable to generate AI explanation at this time. Please try again later.'
+];
+
 class AIService {
   constructor() {
     this.client = null;
@@ -301,14 +308,14 @@ Provide a concise explanation (3-5 sentences max) based on this data.`
           this.initializeWithUserSettings(userSettings);
         } catch (error) {
           logger.warn('AI service not configured, returning fallback explanation');
-          return 'AI explanation not available - please configure AI provider in settings.';
+          return PR_EXPLANATION_FALLBACKS[0];
         }
       } else if (!this.initialized) {
         try {
           this.initializeClient();
         } catch (error) {
           logger.warn('AI service not configured, returning fallback explanation');
-          return 'AI analysis not available - please configure AI provider in settings.';
+          return PR_EXPLANATION_FALLBACKS[1];
         }
       }
 
@@ -388,6 +395,7 @@ File types: ${fileTypeAnalysis || 'Mixed files'}`;
 - Keep response to 6-8 sentences maximum
 - Use **bold** for: PR purpose, key technologies, important changes
 - Use bullet points for specific technical details
+- When a point is about a specific file, name its path (with \`:line\` if a line applies)
 
 **Analysis Focus:**
 - Explain the PR's purpose and scope based on title, description, and file changes
@@ -431,7 +439,7 @@ Provide a comprehensive analysis of what this PR accomplishes, the technical app
       return explanation;
     } catch (error) {
       logger.error('Error explaining pull request:', error);
-      return 'Unable to generate AI explanation at this time. Please try again later.';
+      return PR_EXPLANATION_FALLBACKS[2];
     }
   }
 
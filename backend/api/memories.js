@@ -0,0 +1,143 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { memoryUpdateSchema } from '../validators/schemas.js';
+import { memoryService } from '../services/memoryService.js';
+
+const SEARCH_MODES = ['text', 'semantic'];
+
+const router = express.Router();
+
+// Apply authentication
+router.use(authenticate);
+
+/**
+ * Search the user's memories
+ * ?q=&mode=text|semantic&type=&pinned=true|false&limit=
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q = '', mode = 'text', type, pinned } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
+    const memories = await memoryService.search(req.user._id, {
+      q: String(q).trim(),
+      mode,
+      type: type || null,
+      pinned: pinned === undefined ? null : pinned === 'true',
+      limit
+    });
+
+    res.json({
+      success: true,
+      memories
+    });
+  } catch (error) {
+    sendMemoryError(res, error, 'Error searching memories:');
+  }
+});
+
+/**
+ * A memory with its related memories
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const memory = await memoryService.get(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      memory
+    });
+  } catch (error) {
+    sendMemoryError(res, error, 'Error fetching memory:');
+  }
+});
+
+/**
+ * Edit a memory's type, metadata or pin
+ */
+router.put('/:id', validateRequest(memoryUpdateSchema), async (req, res) => {
+  try {
+    const memory = await memoryService.update(req.user._id, req.params.id, req.validatedData);
+
+    res.json({
+      success: true,
+      memory
+    });
+  } catch (error) {
+    sendMemoryError(res, error, 'Error updating memory:');
+  }
+});
+
+/**
+ * Pin a memory so cleanup keeps it
+ */
+router.post('/:id/pin', async (req, res) => {
+  try {
+    const memory = await memoryService.setPinned(req.user._id, req.params.id, true);
+
+    res.json({
+      success: true,
+      memory
+    });
+  } catch (error) {
+    sendMemoryError(res, error, 'Error pinning memory:');
+  }
+});
+
+/**
+ * Unpin a memory
+ */
+router.post('/:id/unpin', async (req, res) => {
+  try {
+    const memory = await memoryService.setPinned(req.user._id, req.params.id, false);
+
+    res.json({
+      success: true,
+      memory
+    });
+  } catch (error) {
+    sendMemoryError(res, error, 'Error unpinning memory:');
+  }
+});
+
+/**
+ * Delete a memory; AI analyses stop seeing it
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await memoryService.remove(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Memory deleted'
+    });
+  } catch (error) {
+    sendMemoryError(res, error, 'Error deleting memory:');
+  }
+});
+
+/**
+ * Respond with the status carried by memory errors (500 otherwise)
+ */
+function sendMemoryError(res, error, message) {
+  if (!error.statusCode) {
+    logger.error(message, error);
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
+
+export default router;
@@ -4,14 +4,22 @@ import mongoose from 'mongoose';
 import axios from 'axios';
 import { logger, sanitizeForLogging } from '../utils/logger.js';
 import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
-import { aiService } from '../ai/aiService.js';
-import { authenticate } from '../middleware/auth.js';
+import { aiService, PR_EXPLANATION_FALLBACKS } from '../ai/aiService.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
 import { getUserSettings, updateUserSettings } from '../utils/userSettings.js';
 import { AI_MODELS, getModelsForProvider, getDefaultModel } from '../config/aiModels.js';
 import { filterActiveWorkItems, filterCompletedWorkItems } from '../utils/workItemStates.js';
 import { userPollingManager } from '../polling/userPollingManager.js';
+import { workflowScheduler } from '../workflows/WorkflowScheduler.js';
+import { configLoader } from '../config/settings.js';
+import { mongoVectorStore } from '../memory/MongoVectorStore.js';
 import { validateRequest } from '../middleware/validation.js';
-import { settingsSchema, testConnectionSchema } from '../validators/schemas.js';
+import { settingsSchema, testConnectionSchema, buildRetrySchema, workItemUpdateSchema, pullRequestReviewersSchema, analysisFeedbackSchema } from '../validators/schemas.js';
+import { buildRetryService, BuildRetryError } from '../services/buildRetryService.js';
+import { workItemUpdateService, WorkItemUpdateError } from '../services/workItemUpdateService.js';
+import { pullRequestCommentService } from '../services/pullRequestCommentService.js';
+import { reviewerRecommendationService } from '../services/reviewerRecommendationService.js';
+import { analysisFeedbackService, AnalysisFeedbackError } from '../services/analysisFeedbackService.js';
 import { AzureDevOpsReleaseClient } from '../devops/releaseClient.js';
 import emergencyRoutes from './emergency.js';
 
@@ -76,6 +84,12 @@ router.get('/settings', async (req, res) => {
         pipelines: '0 */10 * * *',
         pullRequests: '0 */10 * * *',
         overdueCheck: '0 */10 * * *'
+      },
+      // Instance-wide; canEdit tells the client whether the user may change them
+      memory: {
+        embeddingProvider: mongoVectorStore.getProvider(),
+        vectorSearch: mongoVectorStore.getSearchMode(),
+        canEdit: isAdmin(req.user)
       }
     };
     
@@ -88,7 +102,11 @@ router.get('/settings', async (req, res) => {
 
 router.put('/settings', validateRequest(settingsSchema), async (req, res) => {
   try {
-    const updates = { ...req.validatedData };
+    const { memory, ...updates } = req.validatedData;
+
+    if (memory && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can change memory settings' });
+    }
     
     // Handle masked values - don't update if value is '***'
     if (updates.azureDevOps?.pat === '***') {
@@ -104,12 +122,23 @@ router.put('/settings', validateRequest(settingsSchema), async (req, res) => {
     }
     
     const settings = await updateUserSettings(req.user._id, updates);
+
+    // Memory settings apply to every user; existing memories need re-embedding after a provider switch
+    if (memory) {
+      const runtime = configLoader.getRuntimeSettings();
+      await configLoader.updateRuntimeSettings({ ...runtime, memory: { ...runtime.memory, ...memory } });
+    }
     
     // Update user polling with new settings if polling settings were updated
     if (updates.polling) {
       logger.info('Polling settings updated - updating user polling configuration');
       await userPollingManager.updateUserPolling(req.user._id, updates);
     }
+
+    // Azure DevOps credentials are needed before workflow schedules can run
+    if (updates.azureDevOps) {
+      await workflowScheduler.ensureUserSchedules(req.user._id.toString());
+    }
     
     res.json({ message: 'Settings updated successfully' });
   } catch (error) {
@@ -370,6 +399,9 @@ router.get('/work-items/:id/explain', async (req, res) => {
     });
   }
 });
+
+router.get('/work-items/:id/explain/feedback', getAnalysisFeedback('workItem'));
+router.put('/work-items/:id/explain/feedback', validateRequest(analysisFeedbackSchema), saveAnalysisFeedback('workItem'));
 async function processAISummaryAsync(workItems) {
   try {
     if (workItems.length > 100) {
@@ -410,6 +442,58 @@ router.get('/work-items/overdue', async (req, res) => {
   }
 });
 
+router.get('/work-items/types/:type/states', async (req, res) => {
+  try {
+    const userSettings = await getUserSettings(req.user._id);
+
+    if (!userSettings.azureDevOps?.organization || !userSettings.azureDevOps?.pat) {
+      return res.status(400).json({ error: 'Azure DevOps configuration required' });
+    }
+
+    const client = azureDevOpsClient.createUserClient(userSettings.azureDevOps);
+    const states = await client.getWorkItemTypeStates(req.params.type);
+    res.json({ success: true, states: states.value || [] });
+  } catch (error) {
+    logger.error('Error fetching work item states:', error);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: 'Failed to fetch work item states',
+      details: error.response?.data?.message || error.message
+    });
+  }
+});
+
+router.patch('/work-items/:id', validateRequest(workItemUpdateSchema), async (req, res) => {
+  try {
+    const userSettings = await getUserSettings(req.user._id);
+
+    if (!userSettings.azureDevOps?.organization || !userSettings.azureDevOps?.pat) {
+      return res.status(400).json({ success: false, error: 'Azure DevOps configuration required' });
+    }
+
+    const client = azureDevOpsClient.createUserClient(userSettings.azureDevOps);
+    const { rev, ...changes } = req.validatedData;
+    const workItem = await workItemUpdateService.update(client, Number(req.params.id), changes, { rev });
+
+    res.json({ success: true, workItem });
+  } catch (error) {
+    if (error instanceof WorkItemUpdateError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('Error updating work item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update work item',
+      details: error.message
+    });
+  }
+});
+
 // Emergency cleanup endpoint (for development/debugging)
 router.post('/polling/emergency-cleanup', async (req, res) => {
   try {
@@ -511,7 +595,7 @@ router.post('/builds/:buildId/analyze', async (req, res) => {
     
     // Route through agentic system (cache → rules → AI)
     const { monitorAgent } = await import('../agents/MonitorAgent.js');
-    const agentResult = await monitorAgent.monitorBuildFailure(build, timeline, logs, client);
+    const agentResult = await monitorAgent.monitorBuildFailure(build, timeline, logs, client, req.user._id.toString());
     
     // Extract analysis from agent result
     const analysis = agentResult.success 
@@ -527,7 +611,8 @@ router.post('/builds/:buildId/analyze', async (req, res) => {
         method: agentResult.result?.method || 'unknown',
         cacheHit: agentResult.stats?.cacheHits > 0,
         ruleUsed: agentResult.stats?.rulesUsed > 0,
-        duration: agentResult.duration
+        duration: agentResult.duration,
+        recurrence: agentResult.recurrence
       }
     });
     
@@ -541,6 +626,83 @@ router.post('/builds/:buildId/analyze', async (req, res) => {
   }
 });
 
+// Thumbs up/down on an AI analysis; verdicts feed the PatternTracker
+router.get('/builds/:id/analyze/feedback', getAnalysisFeedback('build'));
+router.put('/builds/:id/analyze/feedback', validateRequest(analysisFeedbackSchema), saveAnalysisFeedback('build'));
+
+function getAnalysisFeedback(targetType) {
+  return async (req, res) => {
+    try {
+      const feedback = await analysisFeedbackService.get(req.user._id, targetType, req.params.id);
+      res.json({ success: true, feedback });
+    } catch (error) {
+      logger.error('Error fetching analysis feedback:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch feedback' });
+    }
+  };
+}
+
+function saveAnalysisFeedback(targetType) {
+  return async (req, res) => {
+    try {
+      const feedback = await analysisFeedbackService.submit(req.user._id, targetType, req.params.id, req.validatedData);
+      res.json({ success: true, feedback });
+    } catch (error) {
+      if (error instanceof AnalysisFeedbackError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      logger.error('Error saving analysis feedback:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save feedback',
+        details: error.message
+      });
+    }
+  };
+}
+
+// Retry a failed build: reruns its failed stages, or queues the pipeline again
+router.post('/builds/:buildId/retry', validateRequest(buildRetrySchema), async (req, res) => {
+  try {
+    const retry = await buildRetryService.retryBuild(req.user._id, Number(req.params.buildId), {
+      mode: req.validatedData.mode,
+      triggeredBy: { type: 'user', id: req.user._id.toString(), name: req.user.email }
+    });
+
+    res.json({ success: true, retry });
+  } catch (error) {
+    if (error instanceof BuildRetryError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('Error retrying build:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry build',
+      details: error.message
+    });
+  }
+});
+
+router.get('/builds/:buildId/retries', async (req, res) => {
+  try {
+    const retries = await buildRetryService.listRetries(req.user._id, req.params.buildId);
+    res.json({ success: true, retries });
+  } catch (error) {
+    logger.error('Error fetching build retries:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch build retries' });
+  }
+});
+
 // Pull Requests endpoints
 router.get('/pull-requests', async (req, res) => {
   try {
@@ -576,6 +738,27 @@ router.get('/pull-requests/idle', async (req, res) => {
   }
 });
 
+/**
+ * AI explanation of a pull request, cached per source commit for an hour
+ */
+async function getPullRequestExplanation(pullRequest, changes, commits, userSettings) {
+  const { cacheManager } = await import('../cache/CacheManager.js');
+  const cacheKey = `pr_explain_${pullRequest.pullRequestId}_${pullRequest.lastMergeSourceCommit?.commitId || 'initial'}`;
+  const cached = cacheManager.get('ai', cacheKey);
+
+  if (cached) {
+    logger.info('PR explanation cache hit', { pullRequestId: pullRequest.pullRequestId });
+    return { explanation: cached, cached: true };
+  }
+
+  const explanation = await aiService.explainPullRequest(pullRequest, changes, commits, userSettings);
+  if (!PR_EXPLANATION_FALLBACKS.includes(explanation)) {
+    cacheManager.set('ai', cacheKey, explanation, 3600);
+  }
+
+  return { explanation, cached: false };
+}
+
 // Pull Request AI explanation endpoint
 router.get('/pull-requests/:id/explain', async (req, res) => {
   try {
@@ -614,28 +797,7 @@ router.get('/pull-requests/:id/explain', async (req, res) => {
       logger.warn('Failed to fetch PR commits:', error.message);
     }
 
-    // Check cache first
-    const { cacheManager } = await import('../cache/CacheManager.js');
-    const cacheKey = `pr_explain_${pullRequestId}_${pullRequest.lastMergeSourceCommit?.commitId || 'initial'}`;
-    const cached = cacheManager.get('ai', cacheKey);
-    
-    if (cached) {
-      logger.info('PR explanation cache hit', { pullRequestId });
-      return res.json({
-        pullRequestId: pullRequestId,
-        explanation: cached,
-        changes: changes,
-        commits: commits,
-        status: 'completed',
-        cached: true
-      });
-    }
-
-    // Generate AI explanation
-    const explanation = await aiService.explainPullRequest(pullRequest, changes, commits, userSettings);
-    
-    // Cache for 1 hour
-    cacheManager.set('ai', cacheKey, explanation, 3600);
+    const { explanation, cached } = await getPullRequestExplanation(pullRequest, changes, commits, userSettings);
     
     res.json({
       pullRequestId: pullRequestId,
@@ -643,7 +805,7 @@ router.get('/pull-requests/:id/explain', async (req, res) => {
       changes: changes,
       commits: commits,
       status: 'completed',
-      cached: false
+      cached
     });
     
   } catch (error) {
@@ -656,6 +818,121 @@ router.get('/pull-requests/:id/explain', async (req, res) => {
   }
 });
 
+router.get('/pull-requests/:id/explain/feedback', getAnalysisFeedback('pullRequest'));
+router.put('/pull-requests/:id/explain/feedback', validateRequest(analysisFeedbackSchema), saveAnalysisFeedback('pullRequest'));
+
+// Post the AI analysis to the pull request as comment threads (re-posting edits them)
+router.post('/pull-requests/:id/comments', async (req, res) => {
+  try {
+    const userSettings = await getUserSettings(req.user._id);
+    
+    if (!userSettings.azureDevOps?.organization || !userSettings.azureDevOps?.pat) {
+      return res.status(400).json({ success: false, error: 'Azure DevOps configuration required' });
+    }
+    
+    const client = azureDevOpsClient.createUserClient(userSettings.azureDevOps);
+    const pullRequestId = req.params.id;
+    const pullRequest = await client.getPullRequestDetails(pullRequestId);
+    
+    if (!pullRequest) {
+      return res.status(404).json({ success: false, error: `Pull request ${pullRequestId} not found` });
+    }
+
+    // File comments anchor to the latest iteration
+    const iterations = await client.getPullRequestIterations(pullRequest.repository.id, pullRequestId);
+    const iterationId = Math.max(1, ...(iterations.value || []).map(iteration => iteration.id));
+
+    const [changes, commits] = await Promise.all([
+      client.getPullRequestIterationChanges(pullRequestId, iterationId),
+      client.getPullRequestCommits(pullRequestId)
+    ]);
+
+    const { explanation } = await getPullRequestExplanation(pullRequest, changes, commits, userSettings);
+    if (PR_EXPLANATION_FALLBACKS.includes(explanation)) {
+      return res.status(503).json({ success: false, error: explanation });
+    }
+
+    const { analyzeAgent } = await import('../agents/AnalyzeAgent.js');
+    const complexity = await analyzeAgent.analyzePRComplexity(pullRequest, changes);
+
+    const result = await pullRequestCommentService.postAnalysis(client, pullRequest, {
+      explanation,
+      complexity,
+      changes,
+      iterationId
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error posting pull request analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post analysis to pull request',
+      details: error.message
+    });
+  }
+});
+
+// Reviewers ranked by commit history on the PR's files and current review load
+router.get('/pull-requests/:id/reviewers/recommendations', async (req, res) => {
+  try {
+    const userSettings = await getUserSettings(req.user._id);
+
+    if (!userSettings.azureDevOps?.organization || !userSettings.azureDevOps?.pat) {
+      return res.status(400).json({ success: false, error: 'Azure DevOps configuration required' });
+    }
+
+    const client = azureDevOpsClient.createUserClient(userSettings.azureDevOps);
+    const pullRequestId = req.params.id;
+    const pullRequest = await client.getPullRequestDetails(pullRequestId);
+
+    if (!pullRequest) {
+      return res.status(404).json({ success: false, error: `Pull request ${pullRequestId} not found` });
+    }
+
+    const count = Math.min(parseInt(req.query.count) || 3, 10);
+    const result = await reviewerRecommendationService.recommend(client, pullRequest, { count });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error recommending pull request reviewers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to recommend reviewers',
+      details: error.message
+    });
+  }
+});
+
+router.post('/pull-requests/:id/reviewers', validateRequest(pullRequestReviewersSchema), async (req, res) => {
+  try {
+    const userSettings = await getUserSettings(req.user._id);
+
+    if (!userSettings.azureDevOps?.organization || !userSettings.azureDevOps?.pat) {
+      return res.status(400).json({ success: false, error: 'Azure DevOps configuration required' });
+    }
+
+    const client = azureDevOpsClient.createUserClient(userSettings.azureDevOps);
+    const pullRequestId = req.params.id;
+    const pullRequest = await client.getPullRequestDetails(pullRequestId);
+
+    if (!pullRequest) {
+      return res.status(404).json({ success: false, error: `Pull request ${pullRequestId} not found` });
+    }
+
+    const results = await reviewerRecommendationService.addReviewers(client, pullRequest, req.validatedData.reviewerIds);
+
+    res.json({ success: results.some(result => result.status !== 'failed'), results });
+  } catch (error) {
+    logger.error('Error adding pull request reviewers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add reviewers',
+      details: error.message
+    });
+  }
+});
+
 // Get PR changes with diffs
 // Logs endpoint
 router.get('/logs', async (req, res) => {
@@ -996,6 +1273,18 @@ router.use('/agent-dashboard', agentDashboardRoutes);
 import notificationHistoryRoutes from './notificationHistory.js';
 router.use('/notifications', notificationHistoryRoutes);
 
+// Workflow automation routes
+import workflowRoutes from './workflows.js';
+router.use('/workflows', workflowRoutes);
+
+// Agent rule routes
+import ruleRoutes from './rules.js';
+router.use('/rules', ruleRoutes);
+
+// Agent memory routes
+import memoryRoutes from './memories.js';
+router.use('/memories', memoryRoutes);
+
 // Releases endpoints
 router.get('/releases', async (req, res) => {
   try {
@@ -0,0 +1,257 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate, requireAdmin, isAdmin } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { ruleSchema, ruleUpdateSchema, ruleTestSchema, ruleProposalUpdateSchema, ruleProposalDecisionSchema } from '../validators/schemas.js';
+import { ruleService } from '../services/ruleService.js';
+import { ruleSandboxService } from '../services/ruleSandboxService.js';
+import { ruleProposalService } from '../services/ruleProposalService.js';
+import { CONDITION_FIELDS, CONDITION_OPERATORS } from '../agents/RuleConditions.js';
+
+const RULE_SCOPES = ['user', 'organization'];
+const PROPOSAL_STATUSES = ['proposed', 'approved', 'rejected'];
+
+const router = express.Router();
+
+// Apply authentication
+router.use(authenticate);
+
+// ?scope=user|organization picks a rule when both scopes use the same id
+router.use('/:id', (req, res, next) => {
+  const { scope } = req.query;
+
+  if (scope && !RULE_SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      error: `scope must be one of ${RULE_SCOPES.join(', ')}`
+    });
+  }
+
+  next();
+});
+
+/**
+ * List the global, organization and user rules that apply to the user
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await ruleService.list(req.user._id);
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    logger.error('Error listing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Fields and operators available to rule conditions
+ */
+router.get('/fields', (req, res) => {
+  res.json({
+    success: true,
+    fields: Object.entries(CONDITION_FIELDS).map(([name, field]) => ({
+      name,
+      ...field,
+      operators: CONDITION_OPERATORS[field.type]
+    }))
+  });
+});
+
+/**
+ * Create a user or organization rule
+ */
+router.post('/', validateRequest(ruleSchema), async (req, res) => {
+  try {
+    const rule = await ruleService.create(req.user._id, req.validatedData);
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error creating rule:');
+  }
+});
+
+/**
+ * Run a draft rule against recent failed build logs and stored memories
+ * without saving it
+ * Body: { rule, builds?, memories? }
+ */
+router.post('/test', validateRequest(ruleTestSchema), async (req, res) => {
+  try {
+    const { rule, builds, memories } = req.validatedData;
+    const result = await ruleSandboxService.test(req.user._id, rule, { builds, memories });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error testing rule:');
+  }
+});
+
+/**
+ * Learned rules in the review queue (?status=proposed|approved|rejected)
+ * canReview tells the client whether the user may act on them; only
+ * reviewers get the source examples and review history
+ */
+router.get('/proposals', async (req, res) => {
+  try {
+    const status = req.query.status || 'proposed';
+    if (!PROPOSAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${PROPOSAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const canReview = isAdmin(req.user);
+    const proposals = await ruleProposalService.list(status, { details: canReview });
+
+    res.json({
+      success: true,
+      canReview,
+      proposals
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error listing rule proposals:');
+  }
+});
+
+/**
+ * Edit a proposed rule before approving it (admins only)
+ */
+router.put('/proposals/:proposalId', requireAdmin, validateRequest(ruleProposalUpdateSchema), async (req, res) => {
+  try {
+    const proposal = await ruleProposalService.update(req.user, req.params.proposalId, req.validatedData);
+
+    res.json({
+      success: true,
+      proposal
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error updating rule proposal:');
+  }
+});
+
+/**
+ * Approve a proposed rule; it goes live for everyone (admins only)
+ */
+router.post('/proposals/:proposalId/approve', requireAdmin, validateRequest(ruleProposalDecisionSchema), async (req, res) => {
+  try {
+    const proposal = await ruleProposalService.approve(req.user, req.params.proposalId, req.validatedData.note);
+
+    res.json({
+      success: true,
+      proposal
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error approving rule proposal:');
+  }
+});
+
+/**
+ * Reject a proposed rule (admins only)
+ */
+router.post('/proposals/:proposalId/reject', requireAdmin, validateRequest(ruleProposalDecisionSchema), async (req, res) => {
+  try {
+    const proposal = await ruleProposalService.reject(req.user, req.params.proposalId, req.validatedData.note);
+
+    res.json({
+      success: true,
+      proposal
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error rejecting rule proposal:');
+  }
+});
+
+/**
+ * Update one of the user's own rules
+ */
+router.put('/:id', validateRequest(ruleUpdateSchema), async (req, res) => {
+  try {
+    const rule = await ruleService.update(req.user._id, req.params.id, req.validatedData, req.query.scope);
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error updating rule:');
+  }
+});
+
+/**
+ * Disable a rule; disabling a global rule turns it off for this user only
+ */
+router.post('/:id/disable', async (req, res) => {
+  try {
+    const rule = await ruleService.setEnabled(req.user._id, req.params.id, false, req.query.scope);
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error disabling rule:');
+  }
+});
+
+/**
+ * Enable a rule
+ */
+router.post('/:id/enable', async (req, res) => {
+  try {
+    const rule = await ruleService.setEnabled(req.user._id, req.params.id, true, req.query.scope);
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error enabling rule:');
+  }
+});
+
+/**
+ * Delete one of the user's own rules
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await ruleService.remove(req.user._id, req.params.id, req.query.scope);
+
+    res.json({
+      success: true,
+      message: 'Rule deleted'
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error deleting rule:');
+  }
+});
+
+/**
+ * Respond with the status carried by rule errors (500 otherwise)
+ */
+function sendRuleError(res, error, message) {
+  if (!error.statusCode) {
+    logger.error(message, error);
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
+
+export default router;
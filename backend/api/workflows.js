@@ -0,0 +1,368 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { workflowScheduleSchema, workflowDefinitionSchema, workflowEnabledSchema, workflowApprovalDecisionSchema, workflowSimulationSchema } from '../validators/schemas.js';
+import { workflowScheduler } from '../workflows/WorkflowScheduler.js';
+import { workflowDefinitionService } from '../services/workflowDefinitionService.js';
+import { workflowEngine } from '../workflows/SimpleWorkflowEngine.js';
+
+const EXECUTION_STATUSES = ['running', 'completed', 'failed', 'paused'];
+
+const router = express.Router();
+
+// Apply authentication
+router.use(authenticate);
+
+/**
+ * List the user's workflow schedules
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await workflowScheduler.listSchedules(req.user._id.toString());
+
+    res.json({
+      success: true,
+      schedules
+    });
+  } catch (error) {
+    logger.error('Error listing workflow schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Enable/disable a schedule or override its cron / timezone
+ */
+router.put('/schedules/:workflowId', validateRequest(workflowScheduleSchema), async (req, res) => {
+  try {
+    const schedule = await workflowScheduler.updateSchedule(
+      req.user._id.toString(),
+      req.params.workflowId,
+      req.validatedData
+    );
+
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Error updating workflow schedule:');
+  }
+});
+
+/**
+ * Run a scheduled workflow now; executions show up in the history as manual runs
+ */
+router.post('/schedules/:workflowId/run', async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const { workflowId } = req.params;
+
+    if (!workflowScheduler.getScheduledWorkflows(userId).some(workflow => workflow.id === workflowId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Scheduled workflow ${workflowId} not found`
+      });
+    }
+
+    workflowScheduler.runSchedule(userId, workflowId, { manual: true }).catch(error => {
+      logger.error(`Manual run of ${workflowId} failed for user ${userId}:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Workflow ${workflowId} started`
+    });
+  } catch (error) {
+    logger.error('Error starting scheduled workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Page through the user's workflow executions
+ * Query: workflowId, status, from, to (ISO dates), page, limit
+ */
+router.get('/executions', async (req, res) => {
+  try {
+    const { workflowId, status, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (status && !EXECUTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${EXECUTION_STATUSES.join(', ')}`
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    const { executions, total } = await workflowEngine.queryExecutions(
+      { userId: req.user._id, workflowId, status, from: fromDate, to: toDate },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      executions: executions.map(execution => ({
+        ...execution,
+        workflowName: workflowEngine.workflows.get(execution.workflowId)?.name || execution.workflowId
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing workflow executions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get one execution with step inputs, results and attempts
+ */
+router.get('/executions/:id', async (req, res) => {
+  try {
+    const execution = await workflowEngine.getExecution(req.params.id);
+
+    if (!execution || execution.userId !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution not found'
+      });
+    }
+
+    const workflow = workflowEngine.workflows.get(execution.workflowId);
+
+    res.json({
+      success: true,
+      execution: {
+        ...execution.toObject(),
+        workflowName: workflow?.name || execution.workflowId
+      },
+      workflow: workflow ? { id: workflow.id, name: workflow.name, steps: workflow.steps } : null
+    });
+  } catch (error) {
+    logger.error('Error fetching workflow execution:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Approve or reject a waiting approval step; the execution resumes in the background
+ * Body: { approved, stepId?, comment? } - stepId may be omitted when only one step is waiting
+ */
+router.post('/executions/:id/approve', validateRequest(workflowApprovalDecisionSchema), async (req, res) => {
+  try {
+    const { approved, comment } = req.validatedData;
+    const execution = await workflowEngine.getExecution(req.params.id);
+
+    if (!execution || execution.userId !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution not found'
+      });
+    }
+
+    const waiting = execution.steps.filter(step => step.status === 'waiting');
+    const stepId = req.validatedData.stepId || (waiting.length === 1 ? waiting[0].id : null);
+
+    if (!stepId) {
+      return res.status(400).json({
+        success: false,
+        error: waiting.length === 0 ? 'Execution has no step waiting for approval' : 'stepId is required when several steps are waiting'
+      });
+    }
+
+    const step = await workflowEngine.decideApproval(execution.id, stepId, {
+      approved,
+      comment,
+      decidedBy: req.user.email
+    });
+
+    if (!step) {
+      return res.status(409).json({
+        success: false,
+        error: execution.status === 'running'
+          ? 'Other steps are still running; decide once the execution is paused'
+          : `Step ${stepId} is not waiting for approval`
+      });
+    }
+
+    logger.info(`Workflow approval ${approved ? 'granted' : 'rejected'}`, {
+      executionId: execution.id,
+      stepId,
+      userId: req.user._id.toString()
+    });
+
+    res.json({
+      success: true,
+      step
+    });
+  } catch (error) {
+    logger.error('Error deciding workflow approval:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List built-in workflows and the user's own workflows
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workflows = await workflowDefinitionService.list(req.user._id);
+
+    res.json({
+      success: true,
+      workflows
+    });
+  } catch (error) {
+    logger.error('Error listing workflows:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get one of the user's workflows
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const workflow = await workflowDefinitionService.get(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      workflow
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Error fetching workflow:');
+  }
+});
+
+/**
+ * Create a workflow; it is registered immediately
+ */
+router.post('/', validateRequest(workflowDefinitionSchema), async (req, res) => {
+  try {
+    const workflow = await workflowDefinitionService.create(req.user._id, req.validatedData);
+
+    res.status(201).json({
+      success: true,
+      workflow
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Error creating workflow:');
+  }
+});
+
+/**
+ * Replace a workflow definition
+ */
+router.put('/:id', validateRequest(workflowDefinitionSchema), async (req, res) => {
+  try {
+    const workflow = await workflowDefinitionService.update(req.user._id, req.params.id, req.validatedData);
+
+    res.json({
+      success: true,
+      workflow
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Error updating workflow:');
+  }
+});
+
+/**
+ * Enable or disable a workflow
+ */
+router.patch('/:id', validateRequest(workflowEnabledSchema), async (req, res) => {
+  try {
+    const workflow = await workflowDefinitionService.setEnabled(req.user._id, req.params.id, req.validatedData.enabled);
+
+    res.json({
+      success: true,
+      workflow
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Error updating workflow:');
+  }
+});
+
+/**
+ * Dry-run a workflow against a recorded payload; side-effecting actions are
+ * stubbed and the trace is returned without being saved
+ * Body: { payload?, event?, mocks?: { stepId: result } }
+ */
+router.post('/:id/simulate', validateRequest(workflowSimulationSchema), async (req, res) => {
+  try {
+    const simulation = await workflowDefinitionService.simulate(req.user._id, req.params.id, req.validatedData);
+
+    res.json({
+      success: true,
+      simulation
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Error simulating workflow:');
+  }
+});
+
+/**
+ * Delete a workflow
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await workflowDefinitionService.remove(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Workflow deleted'
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Error deleting workflow:');
+  }
+});
+
+/**
+ * Respond with the status carried by service errors (500 otherwise)
+ */
+function sendWorkflowError(res, error, message) {
+  if (!error.statusCode) {
+    logger.error(message, error);
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
+
+export default router;
@@ -108,7 +108,7 @@ class CacheManager {
    * Start periodic cleanup
    */
   startCleanup() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       for (const [name, cache] of Object.entries(this.caches)) {
         const cleaned = cache.cleanup();
         if (cleaned > 0) {
@@ -116,6 +116,7 @@ class CacheManager {
         }
       }
     }, 5 * 60 * 1000); // Every 5 minutes
+    timer.unref();
   }
 
   /**
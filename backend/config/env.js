@@ -57,6 +57,14 @@ const envSchema = z.object({
   WEBHOOK_SECRET: z.string().optional(),
   API_TOKEN: z.string().optional(),
 
+  // Comma-separated emails of users who may review learned rules
+  ADMIN_EMAILS: z.string().optional(),
+
+  // Memory embeddings: Hugging Face Inference API, or computed in-process (no network)
+  EMBEDDING_PROVIDER: z.enum(['huggingface', 'local']).default('huggingface'),
+  // Memory search: Atlas $vectorSearch, in-process index, or Atlas falling back to in-process
+  VECTOR_SEARCH: z.enum(['auto', 'atlas', 'local']).default('auto'),
+
   // UNUSED VARIABLES - Commented out to reduce complexity
   // Polling Configuration
   // WORK_ITEMS_POLL_INTERVAL: z.string().default('0 */10 * * *'),
@@ -172,7 +180,8 @@ export const security = {
   jwtSecret: env.JWT_SECRET,
   encryptionKey: env.ENCRYPTION_KEY,
   webhookSecret: env.WEBHOOK_SECRET,
-  apiToken: env.API_TOKEN
+  apiToken: env.API_TOKEN,
+  adminEmails: (env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
 };
 
 export const rateLimits = {
@@ -56,6 +56,10 @@ class ConfigLoader {
         pipelineInterval: '0 */1 * * *',      // Every hour  
         pullRequestInterval: '0 */1 * * *',   // Every hour
         overdueCheckInterval: '0 9 * * *'     // Daily at 9 AM
+      },
+      memory: {
+        embeddingProvider: env.EMBEDDING_PROVIDER || 'huggingface',
+        vectorSearch: env.VECTOR_SEARCH || 'auto'
       }
     };
 
@@ -96,6 +100,12 @@ class ConfigLoader {
         pullRequestInterval: runtime.polling?.pullRequestInterval || defaults.polling.pullRequestInterval,
         overdueCheckInterval: runtime.polling?.overdueCheckInterval || defaults.polling.overdueCheckInterval
       },
+
+      // Memory Configuration (Runtime settings override defaults)
+      memory: {
+        embeddingProvider: runtime.memory?.embeddingProvider || defaults.memory.embeddingProvider,
+        vectorSearch: runtime.memory?.vectorSearch || defaults.memory.vectorSearch
+      },
       
       // Security Configuration (Env vars only - deployment level)
       security: {
@@ -185,6 +195,11 @@ class ConfigLoader {
         pullRequestInterval: Joi.string().min(1).required(),
         overdueCheckInterval: Joi.string().min(1).required()
       }).required(),
+
+      memory: Joi.object({
+        embeddingProvider: Joi.string().valid('huggingface', 'local').default('huggingface'),
+        vectorSearch: Joi.string().valid('auto', 'atlas', 'local').default('auto')
+      }).optional(),
       
       security: Joi.object({
         webhookSecret: Joi.string().allow('').optional(),
@@ -258,6 +273,10 @@ class ConfigLoader {
     logger.info('Updated global polling config', newPollingConfig);
   }
 
+  getMemoryConfig() {
+    return this.config.memory;
+  }
+
   getSecurityConfig() {
     return this.config.security;
   }
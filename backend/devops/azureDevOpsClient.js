@@ -220,6 +220,84 @@ class AzureDevOpsClient {
     }
   }
 
+  // Work item writes take JSON Patch operations: [{ op, path, value }]
+  async createWorkItem(type, operations) {
+    this.ensureInitialized();
+    try {
+      const response = await this.client.post(`/wit/workitems/$${encodeURIComponent(type)}`, operations, {
+        params: { 'api-version': '7.0' },
+        headers: { 'Content-Type': 'application/json-patch+json' }
+      });
+
+      if (response.data) {
+        response.data.webUrl = this.constructWorkItemWebUrl(response.data);
+      }
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Error creating ${type} work item:`, error);
+      throw error;
+    }
+  }
+
+  async updateWorkItem(id, operations) {
+    this.ensureInitialized();
+    try {
+      const response = await this.client.patch(`/wit/workitems/${id}`, operations, {
+        params: { 'api-version': '7.0' },
+        headers: { 'Content-Type': 'application/json-patch+json' }
+      });
+
+      if (response.data) {
+        response.data.webUrl = this.constructWorkItemWebUrl(response.data);
+      }
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Error updating work item ${id}:`, error);
+      throw error;
+    }
+  }
+
+  async getWorkItemTypeStates(type) {
+    this.ensureInitialized();
+    try {
+      const response = await this.client.get(`/wit/workitemtypes/${encodeURIComponent(type)}/states`, {
+        params: { 'api-version': '7.0' }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching states for ${type}:`, error);
+      throw error;
+    }
+  }
+
+  async findOpenWorkItemsByTag(type, tag) {
+    this.ensureInitialized();
+    try {
+      const wiql = `
+        SELECT [System.Id]
+        FROM WorkItems
+        WHERE [System.TeamProject] = '${this.config.project}'
+        AND [System.WorkItemType] = '${type}'
+        AND [System.Tags] CONTAINS '${tag.replace(/'/g, "''")}'
+        AND ${getWiqlExcludeCompletedCondition()}
+        ORDER BY [System.CreatedDate] DESC
+      `;
+
+      const queryResult = await this.queryWorkItems(wiql);
+
+      if (queryResult.workItems && queryResult.workItems.length > 0) {
+        return await this.getWorkItems(queryResult.workItems.map(wi => wi.id));
+      }
+
+      return { count: 0, value: [] };
+    } catch (error) {
+      logger.error(`Error finding open ${type} work items tagged ${tag}:`, error);
+      throw error;
+    }
+  }
+
   async getAllCurrentSprintWorkItems() {
     this.ensureInitialized();
     try {
@@ -414,6 +492,20 @@ class AzureDevOpsClient {
     }
   }
 
+  async getBuildLogContent(buildId, logId) {
+    try {
+      const response = await this.client.get(`/build/builds/${buildId}/logs/${logId}`, {
+        params: { 'api-version': '7.0' },
+        headers: { 'Accept': 'text/plain' },
+        responseType: 'text'
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching log ${logId} for build ${buildId}:`, error);
+      throw error;
+    }
+  }
+
   async getBuildDefinition(definitionId) {
     try {
       if (!this.client) {
@@ -429,6 +521,58 @@ class AzureDevOpsClient {
     }
   }
 
+  async queueBuild(definitionId, sourceBranch, options = {}) {
+    try {
+      const body = {
+        definition: { id: definitionId },
+        sourceBranch
+      };
+      if (options.sourceVersion) body.sourceVersion = options.sourceVersion;
+      if (options.parameters) body.parameters = JSON.stringify(options.parameters);
+
+      const response = await this.client.post('/build/builds', body, {
+        params: { 'api-version': '7.0' }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error queueing build for definition ${definitionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Retries a stage of a pipeline run in place; only its failed jobs run again
+  async retryBuildStage(buildId, stageRefName) {
+    try {
+      const response = await this.client.patch(
+        `/build/builds/${buildId}/stages/${encodeURIComponent(stageRefName)}`,
+        { state: 'retry', forceRetryAllJobs: false },
+        { params: { 'api-version': '7.1-preview.1' } }
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Error retrying stage ${stageRefName} of build ${buildId}:`, error);
+      throw error;
+    }
+  }
+
+  // Commits that went into toBuildId since fromBuildId, newest first
+  async getChangesBetweenBuilds(fromBuildId, toBuildId, top = 20) {
+    try {
+      const response = await this.client.get('/build/changes', {
+        params: {
+          'api-version': '7.0-preview.2',
+          fromBuildId,
+          toBuildId,
+          '$top': top
+        }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching changes between builds ${fromBuildId} and ${toBuildId}:`, error);
+      throw error;
+    }
+  }
+
   async getRepositoryFile(repositoryId, filePath, branch) {
     try {
       // Remove leading slash if present
@@ -467,6 +611,25 @@ class AzureDevOpsClient {
     }
   }
 
+  async getFailedBuilds(top = 10) {
+    this.ensureInitialized();
+    try {
+      const response = await this.client.get('/build/builds', {
+        params: {
+          'api-version': '7.0',
+          '$top': top,
+          'statusFilter': 'completed',
+          'resultFilter': 'failed',
+          'queryOrder': 'finishTimeDescending'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error fetching failed builds:', error);
+      throw error;
+    }
+  }
+
   // Pull Request API
   async getPullRequests(status = 'active') {
     this.ensureInitialized();
@@ -648,10 +811,15 @@ class AzureDevOpsClient {
   }
 }
 
-  async getPullRequestChanges(pullRequestId) {
+  // Files changed across the whole PR, i.e. in its latest iteration
+  async getPullRequestChanges(pullRequestId, repositoryId = null) {
     try {
-      const response = await this.client.get(`/git/pullrequests/${pullRequestId}/changes`, {
-        params: { 'api-version': '7.0' }
+      const repoId = repositoryId || (await this.getPullRequestDetails(pullRequestId)).repository?.id;
+      const iterations = await this.getPullRequestIterations(repoId, pullRequestId);
+      const iterationId = Math.max(1, ...(iterations.value || []).map(iteration => iteration.id));
+
+      const response = await this.client.get(`/git/repositories/${repoId}/pullrequests/${pullRequestId}/iterations/${iterationId}/changes`, {
+        params: { 'api-version': '7.0', '$top': 1000 }
       });
       return response.data;
     } catch (error) {
@@ -728,7 +896,8 @@ class AzureDevOpsClient {
           isFolder: isFolder,
           fileExtension: fileExtension,
           fileType: fileType,
-          url: change.item?.url
+          url: change.item?.url,
+          changeTrackingId: change.changeTrackingId
         };
       });
       
@@ -762,6 +931,87 @@ class AzureDevOpsClient {
     }
   }
 
+  async getPullRequestIterations(repositoryId, pullRequestId) {
+    try {
+      const response = await this.client.get(`/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/iterations`, {
+        params: { 'api-version': '7.0' }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching PR ${pullRequestId} iterations:`, error);
+      throw error;
+    }
+  }
+
+  // Reviewers are identity ids; Azure DevOps adds them with no vote
+  async addPullRequestReviewer(repositoryId, pullRequestId, reviewerId, isRequired = false) {
+    try {
+      const response = await this.client.put(
+        `/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/reviewers/${reviewerId}`,
+        { vote: 0, isRequired },
+        { params: { 'api-version': '7.0' } }
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Error adding reviewer ${reviewerId} to PR ${pullRequestId}:`, error);
+      throw error;
+    }
+  }
+
+  // Comment threads
+  async getPullRequestThreads(repositoryId, pullRequestId) {
+    try {
+      const response = await this.client.get(`/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/threads`, {
+        params: { 'api-version': '7.0' }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching PR ${pullRequestId} threads:`, error);
+      throw error;
+    }
+  }
+
+  async createPullRequestThread(repositoryId, pullRequestId, thread) {
+    try {
+      const response = await this.client.post(`/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/threads`, thread, {
+        params: { 'api-version': '7.0' }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error creating thread on PR ${pullRequestId}:`, error);
+      throw error;
+    }
+  }
+
+  // Changes a thread's own fields, e.g. { status: 'closed' }
+  async updatePullRequestThread(repositoryId, pullRequestId, threadId, changes) {
+    try {
+      const response = await this.client.patch(
+        `/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/threads/${threadId}`,
+        changes,
+        { params: { 'api-version': '7.0' } }
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Error updating thread ${threadId} on PR ${pullRequestId}:`, error);
+      throw error;
+    }
+  }
+
+  async updatePullRequestComment(repositoryId, pullRequestId, threadId, commentId, content) {
+    try {
+      const response = await this.client.patch(
+        `/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/threads/${threadId}/comments/${commentId}`,
+        { content },
+        { params: { 'api-version': '7.0' } }
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Error updating comment ${commentId} in thread ${threadId} on PR ${pullRequestId}:`, error);
+      throw error;
+    }
+  }
+
   getFileType(extension) {
     const typeMap = {
       'js': 'JavaScript', 'jsx': 'React', 'ts': 'TypeScript', 'tsx': 'React TypeScript',
@@ -814,6 +1064,29 @@ class AzureDevOpsClient {
   }
 
   // Repository API
+  // Commit history of a file or folder, newest first (top 50 by default)
+  async getCommitsForPath(repositoryId, itemPath, options = {}) {
+    try {
+      const params = {
+        'api-version': '7.0',
+        'searchCriteria.itemPath': itemPath,
+        'searchCriteria.$top': options.top || 50
+      };
+
+      if (options.fromDate) params['searchCriteria.fromDate'] = options.fromDate;
+      if (options.branch) {
+        params['searchCriteria.itemVersion.version'] = options.branch.replace('refs/heads/', '');
+        params['searchCriteria.itemVersion.versionType'] = 'branch';
+      }
+
+      const response = await this.client.get(`/git/repositories/${repositoryId}/commits`, { params });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching commits for ${itemPath}:`, error);
+      throw error;
+    }
+  }
+
   async getRepositories() {
     try {
       const response = await this.client.get('/git/repositories', {
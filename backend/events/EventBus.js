@@ -0,0 +1,77 @@
+import { EventEmitter } from 'events';
+import { v4 as uuid } from 'uuid';
+import { logger } from '../utils/logger.js';
+
+// Payload keys published for each event family (the part before the first '.')
+export const EVENT_PAYLOAD_KEYS = {
+  build: ['build'],
+  pullrequest: ['pr'],
+  workitem: ['workItem', 'changes'],
+  release: ['release', 'environment', 'failedLogs']
+};
+
+/**
+ * Internal event bus
+ * Webhooks and pollers publish typed events (e.g. 'build.failed',
+ * 'pullrequest.created'); subscribers receive an envelope:
+ *   { id, type, userId, source, dedupeKey, payload, timestamp }
+ * Every event is emitted under its own type and under '*'.
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);
+    this.stats = {
+      published: 0,
+      byType: {}
+    };
+  }
+
+  /**
+   * Publish an event; listener errors are logged and never reach the publisher
+   */
+  publish(type, payload = {}, { userId = null, source = 'internal', dedupeKey = null } = {}) {
+    const event = {
+      id: uuid(),
+      type,
+      userId: userId ? String(userId) : null,
+      source,
+      dedupeKey: dedupeKey !== null && dedupeKey !== undefined ? String(dedupeKey) : null,
+      payload,
+      timestamp: new Date()
+    };
+
+    this.stats.published++;
+    this.stats.byType[type] = (this.stats.byType[type] || 0) + 1;
+
+    logger.debug(`Event published: ${type}`, {
+      eventId: event.id,
+      source,
+      userId: event.userId || 'global'
+    });
+
+    for (const name of [type, '*']) {
+      try {
+        this.emit(name, event);
+      } catch (error) {
+        logger.error(`Event listener failed for ${type}:`, error);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      listeners: this.listenerCount('*')
+    };
+  }
+}
+
+// Export singleton instance
+export const eventBus = new EventBus();
+export default eventBus;
@@ -21,12 +21,12 @@ class LearningScheduler {
       return;
     }
 
-    // Generate rules daily at 3 AM
+    // Propose rules for review daily at 3 AM
     const ruleGenJob = cron.schedule('0 3 * * *', async () => {
       logger.info('Running scheduled rule generation');
       try {
-        const generated = await ruleGenerator.generateRules(0.85, 5);
-        logger.info(`Generated ${generated} new rules`);
+        const proposed = await ruleGenerator.generateRules(0.85, 5);
+        logger.info(`Proposed ${proposed} new rules for review`);
       } catch (error) {
         logger.error('Rule generation failed:', error);
       }
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import { logger } from '../utils/logger.js';
 
+// A person's verdict on a solution counts as this many automatic outcomes
+const HUMAN_FEEDBACK_WEIGHT = 3;
+
 /**
  * Pattern Tracker - Learns from successful and failed outcomes
  */
@@ -9,7 +12,8 @@ class PatternTracker {
     this.stats = {
       patternsDetected: 0,
       successTracked: 0,
-      failuresTracked: 0
+      failuresTracked: 0,
+      feedbackTracked: 0
     };
   }
 
@@ -115,6 +119,66 @@ class PatternTracker {
     }
   }
 
+  /**
+   * Track a person's verdict on a solution for a task
+   * undo takes back an earlier verdict, for when someone changes their mind
+   */
+  async trackFeedback(task, solution, helpful, { undo = false } = {}) {
+    try {
+      const Pattern = mongoose.model('Pattern');
+      const signature = this.createSignature(task, solution);
+      const counter = helpful ? 'confirmedCount' : 'rejectedCount';
+
+      let pattern = await Pattern.findOne({ signature });
+
+      if (!pattern) {
+        if (undo) return null;
+
+        pattern = new Pattern({
+          signature,
+          type: task.type,
+          category: task.category,
+          // Explanations rarely contain failure keywords
+          pattern: this.extractPattern(task) || task.type,
+          solution,
+          successCount: 0,
+          failureCount: 0,
+          examples: [{
+            task: task.description,
+            solution: solution,
+            timestamp: new Date()
+          }],
+          metadata: { source: 'feedback' },
+          discoveredAt: new Date(),
+          lastSeen: new Date()
+        });
+
+        this.stats.patternsDetected++;
+      }
+
+      pattern[counter] = Math.max(0, (pattern[counter] || 0) + (undo ? -1 : 1));
+      pattern.confidence = this.calculateConfidence(pattern);
+      if (!undo) {
+        pattern.lastSeen = new Date();
+        this.stats.feedbackTracked++;
+      }
+
+      await pattern.save();
+
+      logger.debug('Feedback tracked', {
+        signature,
+        helpful,
+        undo,
+        confidence: pattern.confidence
+      });
+
+      return pattern;
+    } catch (error) {
+      logger.error('Failed to track feedback:', error);
+      return null;
+    }
+  }
+
   /**
    * Create pattern signature
    */
@@ -154,10 +218,12 @@ class PatternTracker {
    * Calculate confidence based on success/failure ratio
    */
   calculateConfidence(pattern) {
-    const total = pattern.successCount + pattern.failureCount;
+    const successes = pattern.successCount + (pattern.confirmedCount || 0) * HUMAN_FEEDBACK_WEIGHT;
+    const failures = pattern.failureCount + (pattern.rejectedCount || 0) * HUMAN_FEEDBACK_WEIGHT;
+    const total = successes + failures;
     if (total === 0) return 0.5;
     
-    const successRate = pattern.successCount / total;
+    const successRate = successes / total;
     
     // Boost confidence with more data points
     const dataBoost = Math.min(total / 10, 1);
@@ -189,6 +255,19 @@ class PatternTracker {
     }
   }
 
+  /**
+   * Patterns by signature, e.g. the ones learned rules came from
+   */
+  async getPatternsBySignature(signatures) {
+    try {
+      const Pattern = mongoose.model('Pattern');
+      return await Pattern.find({ signature: { $in: signatures } });
+    } catch (error) {
+      logger.error('Failed to get patterns by signature:', error);
+      return [];
+    }
+  }
+
   /**
    * Find similar pattern
    */
@@ -242,11 +321,13 @@ class PatternTracker {
       const Pattern = mongoose.model('Pattern');
       const total = await Pattern.countDocuments();
       const highConfidence = await Pattern.countDocuments({ confidence: { $gte: 0.8 } });
+      const humanValidated = await Pattern.countDocuments({ confirmedCount: { $gt: 0 } });
       
       return {
         ...this.stats,
         totalPatterns: total,
-        highConfidencePatterns: highConfidence
+        highConfidencePatterns: highConfidence,
+        humanValidatedPatterns: humanValidated
       };
     } catch (error) {
       logger.error('Failed to get stats:', error);
@@ -265,7 +346,8 @@ class PatternTracker {
       
       const result = await Pattern.deleteMany({
         lastSeen: { $lt: cutoffDate },
-        successCount: { $lt: 3 } // Keep patterns with at least 3 successes
+        successCount: { $lt: 3 }, // Keep patterns with at least 3 successes
+        confirmedCount: { $in: [0, null] } // and any a person confirmed
       });
       
       if (result.deletedCount > 0) {
@@ -1,62 +1,77 @@
 import { logger } from '../utils/logger.js';
 import { ruleEngine } from '../agents/RuleEngine.js';
 import { patternTracker } from './PatternTracker.js';
+import { ruleProposalService } from '../services/ruleProposalService.js';
+
+// Confirmations from people that promote a pattern without enough automatic successes
+const MIN_CONFIRMATIONS = 2;
+
+// Explanations are rated for the record; no agent acts on them as rules
+const EXPLANATION_TYPES = new Set(['pr_explanation', 'work_item_explanation']);
 
 /**
  * Rule Generator - Automatically generates rules from learned patterns
+ * Generated rules are queued for review (see RuleProposalService) and only
+ * reach the RuleEngine once an admin approves them
  */
 class RuleGenerator {
-  constructor() {
-    this.generatedRules = new Set();
-  }
 
   /**
-   * Generate rules from high-confidence patterns
+   * Propose rules from high-confidence patterns
    */
   async generateRules(minConfidence = 0.85, minSuccessCount = 5) {
     try {
       const patterns = await patternTracker.getPatterns(null, minConfidence);
       
-      let generated = 0;
+      let proposed = 0;
       
       for (const pattern of patterns) {
-        if (pattern.successCount >= minSuccessCount) {
+        if (this.isPromotable(pattern, minSuccessCount)) {
           const ruleId = `learned-${pattern.signature.substring(0, 30)}`;
           
-          // Skip if already generated
-          if (this.generatedRules.has(ruleId)) {
-            continue;
-          }
-          
           // Generate rule
           const rule = this.createRule(pattern, ruleId);
           
           if (rule) {
             try {
-              ruleEngine.addRule(rule);
-              this.generatedRules.add(ruleId);
-              generated++;
-              
-              logger.info('Generated rule from pattern', {
-                ruleId,
-                confidence: pattern.confidence,
-                successCount: pattern.successCount
-              });
+              // Null when the rule is live or was proposed before
+              if (await ruleProposalService.propose(rule, pattern)) {
+                proposed++;
+                
+                logger.info('Proposed rule from pattern', {
+                  ruleId,
+                  confidence: pattern.confidence,
+                  successCount: pattern.successCount
+                });
+              }
             } catch (error) {
-              logger.debug('Rule already exists or invalid:', ruleId);
+              logger.debug(`Rule ${ruleId} could not be proposed: ${error.message}`);
             }
           }
         }
       }
       
-      logger.info(`Generated ${generated} new rules from patterns`);
-      return generated;
+      logger.info(`Proposed ${proposed} new rules from patterns`);
+      return proposed;
     } catch (error) {
       logger.error('Failed to generate rules:', error);
       return 0;
     }
   }
 
+  /**
+   * Enough automatic successes or human confirmations, and not rejected by
+   * people more often than confirmed
+   */
+  isPromotable(pattern, minSuccessCount) {
+    if (EXPLANATION_TYPES.has(pattern.type)) return false;
+
+    const confirmed = pattern.confirmedCount || 0;
+    if ((pattern.rejectedCount || 0) > confirmed) return false;
+
+    return pattern.successCount >= minSuccessCount || confirmed >= MIN_CONFIRMATIONS;
+  }
+
   /**
    * Create rule from pattern
    */
@@ -117,13 +132,23 @@ class RuleGenerator {
     try {
       const ruleStats = ruleEngine.getStats();
       let updated = 0;
+      const rules = ruleEngine.getRulesBySource('learned').filter(r => r.enabled);
+      const patterns = await patternTracker.getPatternsBySignature(rules.map(r => r.learnedFrom).filter(Boolean));
+      const patternsBySignature = new Map(patterns.map(p => [p.signature, p]));
       
-      // Check each learned rule
-      for (const ruleId of this.generatedRules) {
-        const rule = ruleEngine.getRule(ruleId);
-        if (!rule) continue;
-        
+      // Check each learned rule that is still in use
+      for (const rule of rules) {
+        const ruleId = rule.id;
         const hits = ruleStats.ruleHits[ruleId] || 0;
+        const pattern = patternsBySignature.get(rule.learnedFrom);
+        
+        // People rejected the solution more often than they confirmed it;
+        // an admin decides whether the rule stays (one user's votes can't
+        // switch off a rule every tenant uses)
+        if (pattern && (pattern.rejectedCount || 0) > (pattern.confirmedCount || 0)) {
+          await ruleProposalService.dispute(ruleId, pattern);
+          continue;
+        }
         
         // If rule is being used, boost confidence
         if (hits > 5) {
@@ -134,7 +159,6 @@ class RuleGenerator {
         // If rule has low confidence and no hits, consider removing
         if (rule.confidence < 0.6 && hits === 0) {
           ruleEngine.disableRule(ruleId);
-          this.generatedRules.delete(ruleId);
           logger.info(`Disabled low-performing rule: ${ruleId}`);
         }
       }
@@ -154,9 +178,11 @@ class RuleGenerator {
    * Get statistics
    */
   getStats() {
+    const learnedRules = ruleEngine.getRulesBySource('learned');
+
     return {
-      generatedRules: this.generatedRules.size,
-      ruleIds: Array.from(this.generatedRules)
+      generatedRules: learnedRules.length,
+      ruleIds: learnedRules.map(rule => rule.id)
     };
   }
 }
@@ -17,7 +17,12 @@ import { env, database, security, rateLimits, isProduction, isStaging } from './
 
 // Agentic system imports
 import { agentRegistry } from './agents/AgentRegistry.js';
+import { ruleEngine } from './agents/RuleEngine.js';
+import { workflowEngine } from './workflows/SimpleWorkflowEngine.js';
 import { loadWorkflows } from './workflows/workflowLoader.js';
+import { triggerDispatcher } from './workflows/TriggerDispatcher.js';
+import { incidentMemory } from './memory/IncidentMemory.js';
+import { workflowScheduler } from './workflows/WorkflowScheduler.js';
 import { learningScheduler } from './learning/LearningScheduler.js';
 import { freeModelRouter } from './ai/FreeModelRouter.js';
 import { configLoader } from './config/settings.js';
@@ -241,15 +246,42 @@ async function startServer() {
     // Connect to database first
     await connectToDatabase();
     
+    // Load instance-wide runtime settings (memory embedding provider, vector search)
+    try {
+      await configLoader.initialize();
+    } catch (error) {
+      logger.warn('⚠️  Runtime settings could not be loaded, using environment defaults:', error.message);
+    }
+
     // Initialize agentic systems
     try {
       // Initialize agent registry
       agentRegistry.initialize();
       logger.info('✅ Agent registry initialized');
       
+      // Load stored rules (seeding the defaults on first run)
+      try {
+        await ruleEngine.load();
+        logger.info('✅ Rules loaded');
+      } catch (error) {
+        logger.warn('⚠️  Stored rules could not be loaded, using the defaults:', error.message);
+      }
+
       // Load workflows
       await loadWorkflows();
       logger.info('✅ Workflows loaded');
+
+      // Start workflows from webhook / poller events
+      triggerDispatcher.start();
+      logger.info('✅ Trigger dispatcher started');
+
+      // Remember failed builds and releases, and what fixed them
+      incidentMemory.start();
+      logger.info('✅ Incident memory started');
+
+      // Resume or fail executions interrupted by the last shutdown
+      await workflowEngine.startRecovery();
+      logger.info('✅ Workflow execution recovery started');
       
       // Initialize model router
       try {
@@ -277,6 +309,9 @@ async function startServer() {
     // Initialize user polling manager from database
     await userPollingManager.initializeFromDatabase();
     logger.info('User polling manager initialized from database');
+
+    // Restore per-user workflow schedules
+    await workflowScheduler.initializeFromDatabase();
     
     const server = app.listen(PORT, () => {
       logger.info(`Azure DevOps Monitoring Agent Backend started on port ${PORT}`);
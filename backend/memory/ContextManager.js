@@ -1,8 +1,19 @@
 import { logger } from '../utils/logger.js';
 import { mongoVectorStore } from './MongoVectorStore.js';
 
+// Memory type by task category
+const MEMORY_TYPES = {
+  build: 'build_failure',
+  release: 'release_failure',
+  pr: 'pr_issue',
+  workitem: 'work_item'
+};
+
 /**
  * Context Manager - Builds context for AI queries from memories
+ *
+ * Memories are read and written within the task's scope (user, organization
+ * and project); tasks without a user neither see nor leave memories.
  */
 class ContextManager {
   constructor() {
@@ -11,6 +22,7 @@ class ContextManager {
 
   /**
    * Build context for a task
+   * filterType: Memory type the memories must have (see getMemoryType)
    */
   async buildContext(task, options = {}) {
     const {
@@ -20,27 +32,30 @@ class ContextManager {
     } = options;
 
     try {
-      // Get relevant memories
-      const memories = await this.retrieveRelevant(task.description || task.data, maxMemories);
+      const scope = this.getScope(task);
+      if (!scope) {
+        return { context: '', memories: [], count: 0 };
+      }
 
-      // Filter by type if specified
-      const filtered = filterType
-        ? memories.filter(m => m.metadata?.type === filterType)
-        : memories;
+      // Get relevant memories
+      const memories = await this.retrieveRelevant(task.description || task.data, maxMemories, {
+        ...scope,
+        ...(filterType ? { type: filterType } : {})
+      });
 
       // Build context string
-      const context = this.formatContext(filtered, includeMetadata);
+      const context = this.formatContext(memories, includeMetadata);
 
       logger.debug('Context built', {
         taskType: task.type,
-        memoriesFound: filtered.length,
+        memoriesFound: memories.length,
         contextLength: context.length
       });
 
       return {
         context,
-        memories: filtered,
-        count: filtered.length
+        memories,
+        count: memories.length
       };
     } catch (error) {
       logger.error('Failed to build context:', error);
@@ -53,11 +68,11 @@ class ContextManager {
   }
 
   /**
-   * Retrieve relevant memories
+   * Retrieve relevant memories within a scope
    */
-  async retrieveRelevant(query, limit = 5) {
+  async retrieveRelevant(query, limit = 5, scope = {}) {
     try {
-      const results = await mongoVectorStore.searchSimilar(query, limit);
+      const results = await mongoVectorStore.searchSimilar(query, limit, scope);
       return results;
     } catch (error) {
       logger.error('Failed to retrieve memories:', error);
@@ -98,11 +113,11 @@ class ContextManager {
   }
 
   /**
-   * Store new memory
+   * Store new memory within a scope
    */
-  async storeMemory(content, metadata = {}) {
+  async storeMemory(content, metadata = {}, scope = {}) {
     try {
-      const memory = await mongoVectorStore.store(content, metadata);
+      const memory = await mongoVectorStore.store(content, metadata, scope);
       logger.debug('Memory stored', { id: memory._id });
       return memory;
     } catch (error) {
@@ -115,6 +130,9 @@ class ContextManager {
    * Store task outcome as memory
    */
   async storeTaskOutcome(task, result) {
+    const scope = this.getScope(task);
+    if (!scope) return null;
+
     const content = this.formatTaskOutcome(task, result);
     const metadata = {
       type: task.type,
@@ -123,7 +141,24 @@ class ContextManager {
       timestamp: new Date()
     };
 
-    return await this.storeMemory(content, metadata);
+    return await this.storeMemory(content, metadata, { ...scope, type: this.getMemoryType(task) });
+  }
+
+  /**
+   * Memory scope of a task, or null when it has no user
+   */
+  getScope(task) {
+    if (!task.scope?.userId) return null;
+
+    return {
+      userId: task.scope.userId,
+      organization: task.scope.organization || null,
+      project: task.scope.project || null
+    };
+  }
+
+  getMemoryType(task) {
+    return MEMORY_TYPES[task.category] || 'general';
   }
 
   /**
@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+
+const MAX_ENTRIES = 50000; // Across all cached scopes
+const MAX_SCOPE_ENTRIES = 10000; // Newest memories searched per scope
+const RELOAD_INTERVAL_MS = 15 * 60 * 1000; // Picks up memories stored by other instances
+
+/**
+ * In-Process Vector Index - brute-force cosine search over Memory embeddings
+ *
+ * Fallback for MongoVectorStore where Atlas $vectorSearch isn't available
+ * (self-hosted MongoDB, or no vector_index). Embeddings are loaded per search
+ * scope ({ userId, organization, project, type }) on first use, newest first,
+ * so one tenant's memories never crowd out another's. Scopes not searched
+ * recently are dropped once the cache holds MAX_ENTRIES embeddings. store()
+ * adds to the scopes already loaded and each scope reloads periodically.
+ */
+class InProcessVectorIndex {
+  constructor() {
+    // Scope key -> { scope, entries, loadedAt, loading }, least recently searched first
+    this.scopes = new Map();
+  }
+
+  /**
+   * Entries of a scope, loading them when missing or stale
+   */
+  async getEntries(scope) {
+    const key = this.getScopeKey(scope);
+    let cached = this.scopes.get(key);
+
+    if (!cached) {
+      cached = { scope: this.toScope(scope), entries: new Map(), loadedAt: 0, loading: null };
+    }
+
+    // Most recently searched scopes are evicted last
+    this.scopes.delete(key);
+    this.scopes.set(key, cached);
+
+    if (Date.now() - cached.loadedAt >= RELOAD_INTERVAL_MS) {
+      if (!cached.loading) {
+        cached.loading = this.load(cached).finally(() => {
+          cached.loading = null;
+        });
+      }
+      await cached.loading;
+      this.evict();
+    }
+
+    return cached.entries;
+  }
+
+  async load(cached) {
+    const Memory = mongoose.model('Memory');
+    const { userId, type, ...rest } = cached.scope;
+    const query = { ...rest, userId: new mongoose.Types.ObjectId(userId) };
+    if (type) query.type = type;
+
+    const memories = await Memory.find(query, { embedding: 1, embeddingModel: 1, type: 1, userId: 1, organization: 1, project: 1 })
+      .sort({ createdAt: -1 })
+      .limit(MAX_SCOPE_ENTRIES)
+      .lean();
+
+    // Oldest first, so add() can drop from the front
+    const entries = new Map();
+    for (let i = memories.length - 1; i >= 0; i--) {
+      entries.set(String(memories[i]._id), this.toEntry(memories[i]));
+    }
+
+    cached.entries = entries;
+    cached.loadedAt = Date.now();
+
+    if (entries.size === MAX_SCOPE_ENTRIES) {
+      logger.warn(`In-process vector index searches only the newest ${MAX_SCOPE_ENTRIES} memories of user ${userId}`);
+    }
+    logger.debug(`In-process vector index loaded ${entries.size} memories for user ${userId}`);
+  }
+
+  /**
+   * Drop the least recently searched scopes past MAX_ENTRIES
+   */
+  evict() {
+    let size = this.getSize();
+
+    for (const [key, cached] of this.scopes) {
+      if (size <= MAX_ENTRIES || this.scopes.size === 1) break;
+      if (cached.loading) continue;
+
+      this.scopes.delete(key);
+      size -= cached.entries.size;
+    }
+  }
+
+  /**
+   * Index a stored or updated memory in the loaded scopes it belongs to;
+   * other scopes pick it up when they load
+   */
+  add(memory) {
+    const id = String(memory._id);
+    const entry = this.toEntry(memory);
+
+    for (const cached of this.scopes.values()) {
+      if (!cached.loadedAt) continue;
+
+      const { userId, organization, project, type } = cached.scope;
+      if (entry.userId !== userId || entry.organization !== organization || entry.project !== project) continue;
+
+      // A memory whose type changed leaves the scopes of its old type
+      if (type && entry.type !== type) {
+        cached.entries.delete(id);
+        continue;
+      }
+
+      cached.entries.set(id, entry);
+      if (cached.entries.size > MAX_SCOPE_ENTRIES) {
+        cached.entries.delete(cached.entries.keys().next().value);
+      }
+    }
+  }
+
+  remove(ids) {
+    for (const cached of this.scopes.values()) {
+      ids.forEach(id => cached.entries.delete(String(id)));
+    }
+  }
+
+  /**
+   * Reload every scope on its next search, e.g. after bulk deletes or a re-embed
+   */
+  invalidate() {
+    this.scopes.clear();
+  }
+
+  /**
+   * Ids of the memories nearest to an embedding, best first
+   * Filters are the search scope ({ userId, organization, project, type },
+   * ids as strings) and need a userId. Only memories embedded by the query's
+   * model are compared. Scores are scaled to 0..1 like Atlas's cosine
+   * vectorSearchScore.
+   */
+  async search(embedding, model, limit = 5, filters = {}) {
+    if (!filters.userId) return [];
+
+    const entries = await this.getEntries(filters);
+    const query = Float32Array.from(embedding);
+    const queryNorm = this.norm(query);
+    const scored = [];
+    let otherModel = 0;
+
+    for (const [id, entry] of entries) {
+      if (entry.model !== model || entry.embedding.length !== query.length) {
+        otherModel++;
+        continue;
+      }
+
+      let dot = 0;
+      for (let i = 0; i < query.length; i++) {
+        dot += query[i] * entry.embedding[i];
+      }
+
+      const cosine = entry.norm && queryNorm ? dot / (entry.norm * queryNorm) : 0;
+      scored.push({ id, score: (1 + cosine) / 2 });
+    }
+
+    if (otherModel > 0) {
+      logger.debug(`Skipped ${otherModel} memories embedded by another model; run npm run memory:reembed`);
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * A missing organization or project matches memories without one; a
+   * missing type matches every type
+   */
+  toScope({ userId, organization, project, type }) {
+    return {
+      userId: String(userId),
+      organization: organization || null,
+      project: project || null,
+      type: type || null
+    };
+  }
+
+  getScopeKey(scope) {
+    const { userId, organization, project, type } = this.toScope(scope);
+    return JSON.stringify([userId, organization, project, type]);
+  }
+
+  toEntry(memory) {
+    const embedding = Float32Array.from(memory.embedding || []);
+
+    return {
+      embedding,
+      norm: this.norm(embedding),
+      model: memory.embeddingModel || null,
+      type: memory.type,
+      userId: memory.userId ? String(memory.userId) : null,
+      organization: memory.organization || null,
+      project: memory.project || null
+    };
+  }
+
+  norm(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+      sum += vector[i] * vector[i];
+    }
+    return Math.sqrt(sum);
+  }
+
+  getSize() {
+    let size = 0;
+    for (const cached of this.scopes.values()) {
+      size += cached.entries.size;
+    }
+    return size;
+  }
+
+  getStats() {
+    return {
+      scopes: this.scopes.size,
+      size: this.getSize(),
+      maxEntries: MAX_ENTRIES,
+      maxScopeEntries: MAX_SCOPE_ENTRIES
+    };
+  }
+}
+
+export const inProcessVectorIndex = new InProcessVectorIndex();
+export default inProcessVectorIndex;
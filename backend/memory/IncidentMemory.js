@@ -0,0 +1,321 @@
+import { logger } from '../utils/logger.js';
+import { eventBus } from '../events/EventBus.js';
+import Memory from '../models/Memory.js';
+import { mongoVectorStore } from './MongoVectorStore.js';
+
+const MAX_COMMITS = 10;
+
+/**
+ * Incident Memory - records failed builds and releases, and what fixed them
+ *
+ * Listens on the event bus. A failed build becomes a memory (one per
+ * pipeline, branch and failure signature while it stays open); the next
+ * green build of the same pipeline and branch resolves it, adding the build
+ * and the commits in between. Failed production deployments are resolved by
+ * the next successful deployment of the same release pipeline and stage.
+ * Resolved incidents are what ContextManager surfaces as "seen before, fixed by".
+ *
+ * The webhook and the build poller both publish build events, so the same
+ * build can arrive twice at once; events for the same pipeline and branch
+ * (or release pipeline and stage) are handled one at a time.
+ *
+ * A partially succeeded build neither records nor resolves an incident: a
+ * task that failed may only have stopped failing the build.
+ */
+class IncidentMemory {
+  constructor() {
+    this.started = false;
+    this.stats = {
+      recorded: 0,
+      resolved: 0,
+      errors: 0
+    };
+    this.pending = new Map();
+    this.handlers = {
+      'build.failed': event => this.recordBuildFailure(event),
+      // Not build.partiallysucceeded, see above
+      'build.succeeded': event => this.resolveBuildFailures(event),
+      'release.deployment.failed': event => this.recordReleaseFailure(event),
+      'release.deployment.succeeded': event => this.resolveReleaseFailures(event)
+    };
+    this.handleEvent = this.handleEvent.bind(this);
+  }
+
+  start() {
+    if (this.started) return;
+
+    for (const type of Object.keys(this.handlers)) {
+      eventBus.on(type, this.handleEvent);
+    }
+    this.started = true;
+    logger.info('Incident memory started');
+  }
+
+  stop() {
+    for (const type of Object.keys(this.handlers)) {
+      eventBus.off(type, this.handleEvent);
+    }
+    this.started = false;
+  }
+
+  /**
+   * Memories are per user, so events without one are skipped
+   * Runs in the background; returns the promise for callers that care
+   */
+  handleEvent(event) {
+    if (!event.userId) return null;
+
+    return this.serialize(this.getEventKey(event), () => this.handlers[event.type](event)).catch(error => {
+      this.stats.errors++;
+      logger.warn(`Incident memory failed for ${event.type}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Run task after the tasks queued under the same key have settled
+   */
+  async serialize(key, task) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.pending.set(key, next);
+
+    try {
+      return await next;
+    } finally {
+      if (this.pending.get(key) === next) {
+        this.pending.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Events that can touch the same incidents share a key
+   */
+  getEventKey({ type, userId, payload = {} }) {
+    if (type.startsWith('build.')) {
+      const { build } = payload;
+      return `${userId}:build:${build?.definition?.id}:${build?.sourceBranch || ''}`;
+    }
+
+    return `${userId}:release:${this.getReleaseDefinition(payload.release)?.id}:${payload.environment}`;
+  }
+
+  async recordBuildFailure(event) {
+    const { build } = event.payload;
+    const context = await this.getContext(event.userId);
+    if (!context || !build?.definition) return;
+
+    const { monitorAgent } = await import('../agents/MonitorAgent.js');
+    const timeline = await context.client.getBuildTimeline(build.id).catch(() => null);
+    const error = monitorAgent.extractBuildError(build, timeline);
+    const signature = monitorAgent.getFailureSignature(build, error);
+
+    // The same failure again before a fix: one incident, several builds
+    const open = await Memory.findOneAndUpdate(
+      {
+        ...this.getFilter(context.scope, 'build_failure'),
+        'metadata.signature': signature,
+        'metadata.sourceBranch': build.sourceBranch || null,
+        'metadata.resolved': false
+      },
+      { $addToSet: { 'metadata.buildIds': build.id } }
+    );
+    if (open) return;
+
+    await mongoVectorStore.store(this.formatBuildFailure(build, error), {
+      type: 'build_failure',
+      incident: true,
+      resolved: false,
+      signature,
+      definitionId: build.definition.id,
+      definitionName: build.definition.name,
+      sourceBranch: build.sourceBranch || null,
+      buildIds: [build.id],
+      timestamp: new Date(build.finishTime || Date.now())
+    }, { ...context.scope, type: 'build_failure' });
+
+    this.stats.recorded++;
+    logger.info(`Recorded build failure incident for ${build.definition.name} #${build.buildNumber}`);
+  }
+
+  async resolveBuildFailures(event) {
+    const { build } = event.payload;
+    if (!build?.definition) return;
+
+    const context = await this.getContext(event.userId);
+    if (!context) return;
+
+    const open = await Memory.find({
+      ...this.getFilter(context.scope, 'build_failure'),
+      'metadata.definitionId': build.definition.id,
+      'metadata.sourceBranch': build.sourceBranch || null,
+      'metadata.resolved': false
+    }).lean();
+    if (open.length === 0) return;
+
+    const fixedBy = {
+      buildId: build.id,
+      buildNumber: build.buildNumber,
+      finishTime: new Date(build.finishTime || Date.now()),
+      commits: []
+    };
+
+    // Everything since the first failing build went into the fix
+    const firstFailure = Math.min(...open.flatMap(memory => memory.metadata.buildIds));
+    try {
+      const changes = await context.client.getChangesBetweenBuilds(firstFailure, build.id, MAX_COMMITS);
+      fixedBy.commits = (changes.value || []).map(change => ({
+        id: change.id,
+        message: (change.message || '').split('\n')[0],
+        author: change.author?.displayName || null
+      }));
+    } catch (error) {
+      logger.debug(`Commits for build ${build.id} unavailable: ${error.message}`);
+    }
+
+    for (const memory of open) {
+      await mongoVectorStore.update(
+        memory._id,
+        `${memory.content}\n${this.formatBuildFix(fixedBy)}`,
+        { ...memory.metadata, resolved: true, fixedBy }
+      );
+    }
+
+    this.stats.resolved += open.length;
+    logger.info(`Resolved ${open.length} build failure incident(s) with ${build.definition.name} #${build.buildNumber}`);
+  }
+
+  async recordReleaseFailure(event) {
+    const { release, environment, failedLogs } = event.payload;
+    const context = await this.getContext(event.userId);
+    const definition = this.getReleaseDefinition(release);
+    if (!context || !definition) return;
+
+    const open = await Memory.exists({
+      ...this.getFilter(context.scope, 'release_failure'),
+      'metadata.definitionId': definition.id,
+      'metadata.environment': environment,
+      'metadata.resolved': false
+    });
+    if (open) return;
+
+    const releaseName = this.getReleaseName(release);
+    await mongoVectorStore.store(this.formatReleaseFailure(definition, environment, releaseName, failedLogs), {
+      type: 'release_failure',
+      incident: true,
+      resolved: false,
+      definitionId: definition.id,
+      definitionName: definition.name,
+      environment,
+      releaseName,
+      timestamp: new Date()
+    }, { ...context.scope, type: 'release_failure' });
+
+    this.stats.recorded++;
+    logger.info(`Recorded release failure incident for ${definition.name} / ${environment}`);
+  }
+
+  async resolveReleaseFailures(event) {
+    const { release, environment } = event.payload;
+    const context = await this.getContext(event.userId);
+    const definition = this.getReleaseDefinition(release);
+    if (!context || !definition) return;
+
+    const open = await Memory.find({
+      ...this.getFilter(context.scope, 'release_failure'),
+      'metadata.definitionId': definition.id,
+      'metadata.environment': environment,
+      'metadata.resolved': false
+    }).lean();
+    if (open.length === 0) return;
+
+    const fixedBy = { releaseName: this.getReleaseName(release), deployedAt: new Date() };
+
+    for (const memory of open) {
+      await mongoVectorStore.update(
+        memory._id,
+        `${memory.content}\nFixed by release ${fixedBy.releaseName} on ${this.formatDate(fixedBy.deployedAt)}`,
+        { ...memory.metadata, resolved: true, fixedBy }
+      );
+    }
+
+    this.stats.resolved += open.length;
+    logger.info(`Resolved ${open.length} release failure incident(s) with ${fixedBy.releaseName}`);
+  }
+
+  /**
+   * The user's memory scope and Azure DevOps client, or null when not configured
+   */
+  async getContext(userId) {
+    const { getUserSettings } = await import('../utils/userSettings.js');
+    const settings = await getUserSettings(userId);
+    const config = settings.azureDevOps;
+
+    if (!config?.organization || !config?.project || !config?.pat) {
+      return null;
+    }
+
+    const { azureDevOpsClient } = await import('../devops/azureDevOpsClient.js');
+    return {
+      scope: { userId, organization: config.organization, project: config.project },
+      client: azureDevOpsClient.createUserClient({ ...config, baseUrl: config.baseUrl || 'https://dev.azure.com' })
+    };
+  }
+
+  getFilter(scope, type) {
+    return {
+      userId: scope.userId,
+      organization: scope.organization,
+      project: scope.project,
+      type
+    };
+  }
+
+  getReleaseDefinition(release) {
+    return release?.environment?.releaseDefinition || release?.deployment?.releaseDefinition || null;
+  }
+
+  getReleaseName(release) {
+    return release?.deployment?.release?.name || release?.environment?.release?.name || `Release-${release?.environment?.releaseId}`;
+  }
+
+  formatBuildFailure(build, error) {
+    const branch = build.sourceBranch ? ` on ${build.sourceBranch.replace('refs/heads/', '')}` : '';
+    return `Build failure: ${build.definition.name} #${build.buildNumber}${branch}\nError: ${error}`;
+  }
+
+  formatBuildFix(fixedBy) {
+    let text = `Fixed by build #${fixedBy.buildNumber} on ${this.formatDate(fixedBy.finishTime)}`;
+
+    if (fixedBy.commits.length > 0) {
+      const commits = fixedBy.commits.map(commit =>
+        `- ${commit.id.slice(0, 8)} ${commit.message}${commit.author ? ` (${commit.author})` : ''}`
+      );
+      text += `\nCommits:\n${commits.join('\n')}`;
+    }
+
+    return text;
+  }
+
+  formatReleaseFailure(definition, environment, releaseName, failedLogs) {
+    let text = `Release failure: ${definition.name} to ${environment} (${releaseName})`;
+
+    if (failedLogs?.length > 0) {
+      const tasks = failedLogs.map(task => `- ${task.taskName}: ${(task.logContent || '').slice(-300).trim()}`);
+      text += `\nFailed tasks:\n${tasks.join('\n')}`;
+    }
+
+    return text;
+  }
+
+  formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  getStats() {
+    return { ...this.stats, started: this.started };
+  }
+}
+
+export const incidentMemory = new IncidentMemory();
+export default incidentMemory;
@@ -0,0 +1,110 @@
+const DIMENSIONS = 384;
+
+// Bump when tokenization or weighting changes; vectors from different
+// versions are not comparable and have to be re-embedded
+export const LOCAL_EMBEDDING_MODEL = 'local-hashing-v1';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from',
+  'has', 'have', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the',
+  'their', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+/**
+ * Local Embedder - in-process text embeddings, no network or model files
+ *
+ * Feature hashing over word unigrams, word bigrams and character trigrams,
+ * with sublinear term frequency and a signed hash to spread collisions.
+ * IDs, hashes and numbers are folded into placeholder tokens so two logs of
+ * the same failure embed alike. Vectors are 384-dimensional and L2-normalized,
+ * the same shape as all-MiniLM-L6-v2, so both fit the same vector index.
+ */
+class LocalEmbedder {
+  constructor() {
+    this.dimensions = DIMENSIONS;
+    this.model = LOCAL_EMBEDDING_MODEL;
+  }
+
+  embed(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+
+    for (const [feature, { weight, count }] of this.extractFeatures(text)) {
+      const hash = this.hash(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % DIMENSIONS] += sign * weight * (1 + Math.log(count));
+    }
+
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (magnitude === 0) {
+      // Nothing to go on; a fixed unit vector keeps cosine similarity defined
+      vector[0] = 1;
+      return vector;
+    }
+
+    return vector.map(value => value / magnitude);
+  }
+
+  /**
+   * Features of a text with their weight and how often they occur
+   */
+  extractFeatures(text) {
+    const tokens = this.tokenize(text);
+    const features = new Map();
+
+    const add = (feature, weight) => {
+      const existing = features.get(feature);
+      if (existing) {
+        existing.count++;
+      } else {
+        features.set(feature, { weight, count: 1 });
+      }
+    };
+
+    tokens.forEach((token, index) => {
+      if (!STOPWORDS.has(token)) {
+        add(`w:${token}`, 1);
+
+        // Trigrams let "timeout" and "timed out" or "dependency" and
+        // "dependencies" share part of their weight
+        const padded = `<${token}>`;
+        for (let i = 0; padded.length > 4 && i <= padded.length - 3; i++) {
+          add(`c:${padded.slice(i, i + 3)}`, 0.3);
+        }
+      }
+
+      if (index > 0) {
+        add(`b:${tokens[index - 1]} ${token}`, 0.5);
+      }
+    });
+
+    return features;
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      // Split camelCase and PascalCase so NullReferenceException matches "null reference"
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/g, ' #guid ')
+      .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/g, ' #hex ')
+      .replace(/\d+(\.\d+)*/g, ' #num ')
+      .split(/[^a-z#]+/)
+      .filter(token => token.length > 1);
+  }
+
+  /**
+   * 32-bit FNV-1a
+   */
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+export const localEmbedder = new LocalEmbedder();
+export default localEmbedder;
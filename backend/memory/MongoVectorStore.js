@@ -1,15 +1,35 @@
 import mongoose from 'mongoose';
 import { logger } from '../utils/logger.js';
 import { cacheManager } from '../cache/CacheManager.js';
+import { configLoader } from '../config/settings.js';
+import { env } from '../config/env.js';
+import { localEmbedder } from './LocalEmbedder.js';
+import { inProcessVectorIndex } from './InProcessVectorIndex.js';
+
+const HUGGINGFACE_MODEL = 'sentence-transformers/all-MiniLM-L6-v2';
+const ATLAS_RETRY_MS = 10 * 60 * 1000;
 
 /**
  * MongoDB Atlas Vector Store
  * Uses free Atlas Vector Search for embeddings
+ *
+ * Memories belong to a user, organization and project, and searches only
+ * see memories of the same scope.
+ *
+ * Embeddings come from the Hugging Face Inference API or, with the 'local'
+ * embedding provider, from LocalEmbedder without any network access. Each
+ * memory records the model that embedded it; after switching providers,
+ * reembed() brings existing memories in line (npm run memory:reembed).
+ *
+ * Where $vectorSearch fails or finds nothing although there are memories
+ * (self-hosted MongoDB, missing vector_index), searches fall back to
+ * InProcessVectorIndex until Atlas is tried again.
  */
 class MongoVectorStore {
   constructor() {
     this.initialized = false;
     this.embeddingCache = cacheManager.caches.embeddings;
+    this.atlasRetryAt = 0;
   }
 
   /**
@@ -37,22 +57,34 @@ class MongoVectorStore {
 
   /**
    * Store memory with embedding
+   * Scope: { userId, organization, project, type }; userId is required
    */
-  async store(content, metadata = {}) {
+  async store(content, metadata = {}, scope = {}) {
     try {
+      if (!scope.userId) {
+        throw new Error('Memory needs a userId to be scoped to');
+      }
+
       // Generate embedding
-      const embedding = await this.getEmbedding(content);
+      const { embedding, model } = await this.embed(content);
 
       // Store in MongoDB
       const Memory = mongoose.model('Memory');
       const memory = await Memory.create({
         content,
         embedding,
+        embeddingModel: model,
         metadata,
+        type: scope.type || 'general',
+        userId: scope.userId,
+        organization: scope.organization || null,
+        project: scope.project || null,
         createdAt: new Date(),
         accessCount: 0
       });
 
+      inProcessVectorIndex.add(memory);
+
       logger.debug('Memory stored', { id: memory._id, contentLength: content.length });
       return memory;
     } catch (error) {
@@ -61,14 +93,77 @@ class MongoVectorStore {
     }
   }
 
+  /**
+   * Replace a memory's content and metadata, re-embedding the content
+   */
+  async update(id, content, metadata) {
+    try {
+      const { embedding, model } = await this.embed(content);
+      const Memory = mongoose.model('Memory');
+
+      const memory = await Memory.findByIdAndUpdate(
+        id,
+        { $set: { content, embedding, embeddingModel: model, metadata } },
+        { new: true }
+      ).lean();
+
+      if (memory) {
+        inProcessVectorIndex.add(memory);
+      }
+      return memory;
+    } catch (error) {
+      logger.error('Failed to update memory:', error);
+      throw error;
+    }
+  }
+
   /**
    * Search similar memories using vector search
+   * Scope: { userId, organization, project, type? }; finds nothing without a userId
+   * trackAccess: false for lookups that shouldn't count as the memory being used
    */
-  async searchSimilar(query, limit = 5) {
+  async searchSimilar(query, limit = 5, scope = {}, { trackAccess = true } = {}) {
+    if (!scope.userId) {
+      logger.debug('Unscoped memory search skipped');
+      return [];
+    }
+
     try {
-      const queryEmbedding = await this.getEmbedding(query);
+      const { embedding, model } = await this.embed(query);
       const Memory = mongoose.model('Memory');
 
+      let results = this.useAtlas() ? await this.atlasSearch(embedding, model, limit, scope) : null;
+      if (!results) {
+        results = await this.inProcessSearch(embedding, model, limit, scope);
+      }
+
+      // Update access count
+      const ids = results.map(r => r._id);
+      if (trackAccess && ids.length > 0) {
+        await Memory.updateMany(
+          { _id: { $in: ids } },
+          { $inc: { accessCount: 1 } }
+        );
+      }
+
+      logger.debug('Vector search completed', { query: query.substring(0, 50), results: results.length });
+      return results;
+    } catch (error) {
+      logger.warn('Vector search failed, returning empty results:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Search with Atlas $vectorSearch
+   * Only memories embedded by the query's model are comparable with it.
+   * Returns null when it is unavailable, so the in-process index is used instead
+   */
+  async atlasSearch(queryEmbedding, model, limit, scope) {
+    const Memory = mongoose.model('Memory');
+    const filter = { ...this.toFilter(scope), embeddingModel: model };
+
+    try {
       // Use MongoDB Atlas Vector Search
       const results = await Memory.aggregate([
         {
@@ -77,7 +172,8 @@ class MongoVectorStore {
             path: 'embedding',
             queryVector: queryEmbedding,
             numCandidates: 100,
-            limit: limit
+            limit: limit,
+            filter
           }
         },
         {
@@ -90,38 +186,95 @@ class MongoVectorStore {
         }
       ]);
 
-      // Update access count
-      const ids = results.map(r => r._id);
-      if (ids.length > 0) {
-        await Memory.updateMany(
-          { _id: { $in: ids } },
-          { $inc: { accessCount: 1 } }
-        );
+      // $vectorSearch always returns the nearest memories, so nothing at all
+      // means the index is missing
+      if (results.length > 0 || this.getSearchMode() === 'atlas' || !(await Memory.exists(filter))) {
+        return results;
       }
 
-      logger.debug('Vector search completed', { query: query.substring(0, 50), results: results.length });
-      return results;
+      logger.warn('Atlas vector_index returned nothing, using in-process vector index');
     } catch (error) {
-      logger.warn('Vector search failed, returning empty results:', error.message);
-      return [];
+      if (this.getSearchMode() === 'atlas') throw error;
+      logger.warn('Atlas vector search unavailable, using in-process vector index:', error.message);
     }
+
+    this.atlasRetryAt = Date.now() + ATLAS_RETRY_MS;
+    return null;
   }
 
   /**
-   * Get embedding using free Hugging Face API or fallback
+   * Search with the in-process index, in the same shape as atlasSearch
+   */
+  async inProcessSearch(queryEmbedding, model, limit, scope) {
+    const Memory = mongoose.model('Memory');
+    const { userId, ...filter } = this.toFilter(scope);
+    const matches = await inProcessVectorIndex.search(queryEmbedding, model, limit, { ...filter, userId: String(userId) });
+    if (matches.length === 0) return [];
+
+    const memories = await Memory.find({ _id: { $in: matches.map(match => match.id) } })
+      .select('content metadata createdAt')
+      .lean();
+    const byId = new Map(memories.map(memory => [String(memory._id), memory]));
+
+    // Deleted since the index was loaded
+    inProcessVectorIndex.remove(matches.filter(match => !byId.has(match.id)).map(match => match.id));
+
+    return matches
+      .filter(match => byId.has(match.id))
+      .map(match => ({ ...byId.get(match.id), score: match.score }));
+  }
+
+  useAtlas() {
+    const mode = this.getSearchMode();
+    return mode === 'atlas' || (mode === 'auto' && Date.now() >= this.atlasRetryAt);
+  }
+
+  getSearchMode() {
+    return configLoader.getMemoryConfig()?.vectorSearch || env.VECTOR_SEARCH;
+  }
+
+  /**
+   * Memory fields a scope matches; a missing organization or project only
+   * matches memories without one
+   */
+  toFilter({ userId, organization, project, type }) {
+    const filter = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      organization: organization || null,
+      project: project || null
+    };
+    if (type) filter.type = type;
+    return filter;
+  }
+
+  /**
+   * Get embedding for text with the configured provider
    */
   async getEmbedding(text) {
+    const { embedding } = await this.embed(text);
+    return embedding;
+  }
+
+  /**
+   * Embed text, returning the vector and the model that produced it
+   * The Hugging Face provider falls back to the local model when the API is unavailable
+   */
+  async embed(text) {
+    if (this.getProvider() === 'local') {
+      return { embedding: localEmbedder.embed(text), model: localEmbedder.model };
+    }
+
     // Check cache first
     const cacheKey = this.hashText(text);
     const cached = this.embeddingCache.get(cacheKey);
     if (cached) {
-      return cached;
+      return { embedding: cached, model: HUGGINGFACE_MODEL };
     }
 
     try {
       // Try Hugging Face API (requires no auth for public models)
       const response = await fetch(
-        'https://api-inference.huggingface.co/models/sentence-transformers/all-MiniLM-L6-v2',
+        `https://api-inference.huggingface.co/models/${HUGGINGFACE_MODEL}`,
         {
           method: 'POST',
           headers: {
@@ -136,54 +289,84 @@ class MongoVectorStore {
         
         // Cache the embedding (no expiry)
         this.embeddingCache.set(cacheKey, embedding);
-        return embedding;
+        return { embedding, model: HUGGINGFACE_MODEL };
       }
       
-      // Fallback to simple embedding
-      logger.debug('Using fallback embedding generation');
-      return this.generateSimpleEmbedding(text);
-      
+      // Fallback to local embedding
+      logger.debug('Using local embedding fallback');
     } catch (error) {
-      logger.debug('Hugging Face API unavailable, using fallback');
-      return this.generateSimpleEmbedding(text);
+      logger.debug('Hugging Face API unavailable, using local embedding fallback');
     }
+
+    return { embedding: localEmbedder.embed(text), model: localEmbedder.model };
+  }
+
+  getProvider() {
+    return configLoader.getMemoryConfig()?.embeddingProvider || env.EMBEDDING_PROVIDER;
   }
 
   /**
-   * Generate simple embedding from text (fallback)
-   * Uses character-based hashing for basic similarity
+   * Model the configured provider embeds with
    */
-  generateSimpleEmbedding(text) {
-    const embedding = new Array(384).fill(0);
-    const normalized = text.toLowerCase();
-    
-    // Simple character frequency embedding
-    for (let i = 0; i < normalized.length; i++) {
-      const charCode = normalized.charCodeAt(i);
-      const index = charCode % 384;
-      embedding[index] += 1 / normalized.length;
-    }
-    
-    // Add word-based features
-    const words = normalized.split(/\s+/);
-    words.forEach((word, idx) => {
-      const wordHash = word.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-      const index = wordHash % 384;
-      embedding[index] += 0.5 / words.length;
-    });
-    
-    // Normalize
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    if (magnitude > 0) {
-      for (let i = 0; i < embedding.length; i++) {
-        embedding[i] /= magnitude;
+  getModel() {
+    return this.getProvider() === 'local' ? localEmbedder.model : HUGGINGFACE_MODEL;
+  }
+
+  /**
+   * Re-embed memories with the configured provider
+   * Only memories embedded by another model unless all is set. Stops early
+   * when a whole batch falls back to another model (Hugging Face unreachable).
+   */
+  async reembed({ batchSize = 100, all = false } = {}) {
+    const Memory = mongoose.model('Memory');
+    const model = this.getModel();
+    const query = all ? {} : { embeddingModel: { $ne: model } };
+    const result = { model, processed: 0, updated: 0, skipped: 0 };
+    let lastId = null;
+
+    while (true) {
+      const batch = await Memory.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .select('content')
+        .lean();
+
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      const updates = [];
+      for (const memory of batch) {
+        const { embedding, model: embeddedWith } = await this.embed(memory.content);
+        if (embeddedWith !== model) continue;
+
+        updates.push({
+          updateOne: {
+            filter: { _id: memory._id },
+            update: { $set: { embedding, embeddingModel: model } }
+          }
+        });
+      }
+
+      if (updates.length > 0) {
+        await Memory.bulkWrite(updates, { ordered: false });
+      }
+
+      result.processed += batch.length;
+      result.updated += updates.length;
+      result.skipped += batch.length - updates.length;
+      logger.info(`Re-embedded ${result.updated}/${result.processed} memories with ${model}`);
+
+      if (updates.length === 0) {
+        logger.warn(`Could not embed memories with ${model}, stopping re-embed`);
+        break;
       }
     }
-    
-    // Cache it
-    this.embeddingCache.set(this.hashText(text), embedding);
-    
-    return embedding;
+
+    if (result.updated > 0) {
+      inProcessVectorIndex.invalidate();
+    }
+
+    return result;
   }
 
   /**
@@ -217,10 +400,13 @@ class MongoVectorStore {
 
       const result = await Memory.deleteMany({
         createdAt: { $lt: cutoffDate },
-        accessCount: 0 // Only delete unused memories
+        accessCount: 0, // Only delete unused memories
+        pinned: { $ne: true },
+        'metadata.resolved': { $ne: true } // Resolved incidents record how a failure was fixed
       });
 
       if (result.deletedCount > 0) {
+        inProcessVectorIndex.invalidate();
         logger.info(`Cleaned up ${result.deletedCount} old memories`);
       }
 
@@ -241,11 +427,19 @@ class MongoVectorStore {
       const recentCount = await Memory.countDocuments({
         createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
       });
+      const model = this.getModel();
+      const outdated = await Memory.countDocuments({ embeddingModel: { $ne: model } });
 
       return {
         total,
         recent: recentCount,
-        cacheSize: this.embeddingCache.cache.size
+        cacheSize: this.embeddingCache.cache.size,
+        embeddings: { provider: this.getProvider(), model, outdated },
+        search: {
+          mode: this.getSearchMode(),
+          atlas: this.useAtlas(),
+          inProcessIndex: inProcessVectorIndex.getStats()
+        }
       };
     } catch (error) {
       logger.error('Failed to get memory stats:', error);
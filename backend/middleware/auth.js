@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
+import { security } from '../config/env.js';
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -39,3 +40,18 @@ export const generateToken = (userId) => {
     }
   );
 };
+
+/**
+ * Whether the user is listed in ADMIN_EMAILS
+ */
+export const isAdmin = (user) => security.adminEmails.includes(user?.email?.toLowerCase());
+
+/**
+ * Only lets admins through; use after authenticate
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  next();
+};
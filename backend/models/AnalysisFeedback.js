@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const analysisFeedbackSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['build', 'pullRequest', 'workItem'],
+    required: true
+  },
+  targetId: {
+    type: String,
+    required: true
+  },
+  rating: {
+    type: String,
+    enum: ['up', 'down'],
+    required: true
+  },
+  // What the analysis should have said; learned as the solution instead
+  correction: {
+    type: String,
+    default: null
+  },
+  // The analysis that was rated
+  analysis: {
+    type: String,
+    required: true
+  },
+  // Task the analysis was for, as PatternTracker signs it
+  task: {
+    type: {
+      type: String,
+      required: true
+    },
+    category: String,
+    description: String
+  }
+}, {
+  timestamps: true,
+  collection: 'analysis_feedback'
+});
+
+// One verdict per user and analysed item; rating again replaces it
+analysisFeedbackSchema.index({ userId: 1, targetType: 1, targetId: 1 }, { unique: true });
+
+export const AnalysisFeedback = mongoose.model('AnalysisFeedback', analysisFeedbackSchema);
+export default AnalysisFeedback;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const buildRetrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Build that failed first; retries of retries count against it
+  rootBuildId: {
+    type: Number,
+    required: true
+  },
+  buildId: {
+    type: Number,
+    required: true
+  },
+  definitionId: Number,
+  definitionName: String,
+  sourceBranch: String,
+  mode: {
+    type: String,
+    enum: ['full', 'failed_stages'],
+    required: true
+  },
+  stages: [String],
+  // Build queued by a full retry; stage retries rerun buildId itself
+  retryBuildId: Number,
+  status: {
+    type: String,
+    enum: ['queued', 'failed'],
+    default: 'queued'
+  },
+  error: String,
+  triggeredBy: {
+    type: {
+      type: String,
+      enum: ['user', 'workflow', 'agent'],
+      required: true
+    },
+    id: String,
+    name: String
+  }
+}, {
+  timestamps: true,
+  collection: 'build_retries'
+});
+
+// Guardrail lookups: retries per failed build and the latest retry per pipeline branch
+buildRetrySchema.index({ userId: 1, rootBuildId: 1 });
+buildRetrySchema.index({ userId: 1, definitionId: 1, sourceBranch: 1, createdAt: -1 });
+buildRetrySchema.index({ userId: 1, retryBuildId: 1 });
+
+export const BuildRetry = mongoose.model('BuildRetry', buildRetrySchema);
+export default BuildRetry;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const failureSignatureSchema = new mongoose.Schema({
+  // Null for builds analysed outside a user's context
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  definitionId: Number,
+  definitionName: String,
+  error: String,
+  occurrences: {
+    type: Number,
+    default: 0
+  },
+  // Most recent failing builds, newest last
+  buildIds: [Number],
+  firstSeen: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  bug: {
+    id: Number,
+    url: String,
+    createdAt: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'failure_signatures'
+});
+
+failureSignatureSchema.index({ userId: 1, signature: 1 }, { unique: true });
+
+export const FailureSignature = mongoose.model('FailureSignature', failureSignatureSchema);
+export default FailureSignature;
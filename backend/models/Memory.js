@@ -10,25 +10,44 @@ const MemorySchema = new mongoose.Schema({
     type: [Number],
     required: true
   },
+  // Model that produced the embedding; vectors from different models don't compare
+  embeddingModel: {
+    type: String,
+    default: null
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
   type: {
     type: String,
-    enum: ['build_failure', 'pr_issue', 'work_item', 'sprint_insight', 'general'],
+    enum: ['build_failure', 'release_failure', 'pr_issue', 'work_item', 'sprint_insight', 'general'],
     default: 'general',
     index: true
   },
+  // Memories are written and searched within one user, organization and project
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     index: true
   },
+  organization: {
+    type: String,
+    default: null
+  },
+  project: {
+    type: String,
+    default: null
+  },
   accessCount: {
     type: Number,
     default: 0
   },
+  // Pinned memories are never cleaned up
+  pinned: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -42,6 +61,9 @@ MemorySchema.index({ createdAt: 1, accessCount: 1 });
 // Index for type-based queries
 MemorySchema.index({ type: 1, createdAt: -1 });
 
+// Index for scoped queries
+MemorySchema.index({ userId: 1, organization: 1, project: 1, type: 1, createdAt: -1 });
+
 const Memory = mongoose.model('Memory', MemorySchema);
 
 export default Memory;
@@ -10,7 +10,7 @@ const notificationHistorySchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['build', 'release', 'work-item', 'pull-request', 'overdue', 'idle-pr'],
+    enum: ['build', 'release', 'work-item', 'pull-request', 'overdue', 'idle-pr', 'approval'],
     index: true
   },
   subType: {
@@ -26,7 +26,7 @@ const notificationHistorySchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['webhook', 'poller'],
+    enum: ['webhook', 'poller', 'workflow'],
     required: true
   },
   card: {
@@ -26,6 +26,15 @@ const PatternSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Verdicts people gave on the solution (see AnalysisFeedback)
+  confirmedCount: {
+    type: Number,
+    default: 0
+  },
+  rejectedCount: {
+    type: Number,
+    default: 0
+  },
   confidence: {
     type: Number,
     default: 0.5,
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const ruleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // global: defaults and learned rules; organization/user rules override
+  // global ones with the same ruleId for that org or user
+  scope: {
+    type: String,
+    enum: ['global', 'organization', 'user'],
+    default: 'global'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  organization: {
+    type: String,
+    default: null
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  // RegExp source and flags; a rule needs a pattern, conditions, or both
+  pattern: {
+    type: String,
+    default: null
+  },
+  flags: {
+    type: String,
+    default: 'i'
+  },
+  // { all | any: [{ field, operator, value, timezone? } | group] }, see RuleConditions
+  conditions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.8
+  },
+  solution: String,
+  autoFix: {
+    type: Boolean,
+    default: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  source: {
+    type: String,
+    enum: ['default', 'learned', 'user'],
+    default: 'user'
+  },
+  learnedFrom: String,
+  // Learned rules only go live once approved in the review queue (see RuleProposal)
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: Date,
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'agent_rules'
+});
+
+ruleSchema.index({ scope: 1, userId: 1, organization: 1, ruleId: 1 }, { unique: true });
+ruleSchema.index({ source: 1 });
+
+export const Rule = mongoose.model('Rule', ruleSchema);
+export default Rule;
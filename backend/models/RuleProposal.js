@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const reviewEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['proposed', 'edited', 'approved', 'rejected', 'disputed'],
+    required: true
+  },
+  // Null for the RuleGenerator's proposal
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userName: String,
+  note: String,
+  // Rule fields as they were before an edit, keyed by field
+  previous: mongoose.Schema.Types.Mixed,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ruleProposalSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'approved', 'rejected'],
+    default: 'proposed',
+    index: true
+  },
+  // The global rule that goes live on approval; see Rule for the fields
+  rule: {
+    category: { type: String, required: true },
+    pattern: String,
+    flags: { type: String, default: 'i' },
+    action: { type: String, required: true },
+    confidence: Number,
+    solution: String,
+    autoFix: { type: Boolean, default: false }
+  },
+  // Learned pattern the rule came from, as it was when proposed
+  source: {
+    signature: String,
+    type: { type: String },
+    pattern: String,
+    successCount: Number,
+    failureCount: Number,
+    confirmedCount: Number,
+    rejectedCount: Number,
+    confidence: Number,
+    examples: [{
+      task: String,
+      solution: String,
+      timestamp: Date,
+      _id: false
+    }]
+  },
+  history: [reviewEventSchema]
+}, {
+  timestamps: true,
+  collection: 'rule_proposals'
+});
+
+export const RuleProposal = mongoose.model('RuleProposal', ruleProposalSchema);
+export default RuleProposal;
@@ -41,7 +41,9 @@ const userSettingsSchema = new mongoose.Schema({
     pullRequestEnabled: { type: Boolean, default: false },
     overdueCheckEnabled: { type: Boolean, default: false },
     overdueFilterEnabled: { type: Boolean, default: true },
-    overdueMaxDays: { type: Number, default: 60 }
+    overdueMaxDays: { type: Number, default: 60 },
+    // Let the PR monitoring workflow add reviewers to idle PRs that have none
+    autoAssignReviewers: { type: Boolean, default: false }
   },
   updatedAt: {
     type: Date,
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const workflowDefinitionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  trigger: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  steps: {
+    type: [mongoose.Schema.Types.Mixed],
+    required: true
+  },
+  stepDefaults: mongoose.Schema.Types.Mixed,
+  maxParallel: Number,
+  resumePolicy: {
+    type: String,
+    enum: ['resume', 'fail'],
+    default: 'fail'
+  },
+  version: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  collection: 'workflow_definitions'
+});
+
+// Names are unique per user
+workflowDefinitionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export const WorkflowDefinition = mongoose.model('WorkflowDefinition', workflowDefinitionSchema);
+export default WorkflowDefinition;
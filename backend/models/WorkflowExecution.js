@@ -12,6 +12,16 @@ const WorkflowExecutionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  userId: {
+    type: String,
+    index: true
+  },
+  trigger: {
+    type: { type: String },
+    event: String,
+    eventId: String,
+    cron: String
+  },
   status: {
     type: String,
     enum: ['running', 'completed', 'failed', 'paused'],
@@ -26,19 +36,75 @@ const WorkflowExecutionSchema = new mongoose.Schema({
   duration: Number,
   steps: [{
     id: String,
-    status: String,
+    status: {
+      type: String,
+      enum: ['running', 'waiting', 'completed', 'failed', 'skipped']
+    },
+    dependsOn: [String],
+    input: mongoose.Schema.Types.Mixed,
     result: mongoose.Schema.Types.Mixed,
     error: String,
+    startTime: Date,
+    endTime: Date,
+    duration: Number,
+    timedOut: Boolean,
+    approval: {
+      message: String,
+      requestedAt: Date,
+      expiresAt: Date,
+      defaultDecision: {
+        type: String,
+        enum: ['approve', 'reject']
+      },
+      decision: {
+        type: String,
+        enum: ['approved', 'rejected']
+      },
+      decidedBy: String,
+      decidedAt: Date,
+      comment: String,
+      timedOut: Boolean
+    },
+    attempts: [{
+      _id: false,
+      attempt: Number,
+      status: {
+        type: String,
+        enum: ['completed', 'failed', 'timeout']
+      },
+      error: String,
+      startTime: Date,
+      endTime: Date,
+      duration: Number,
+      timestamp: Date
+    }],
     timestamp: Date
   }],
   context: mongoose.Schema.Types.Mixed,
   outputs: mongoose.Schema.Types.Mixed,
-  error: String
+  error: String,
+  // Ownership of a running execution; recovery only claims expired leases
+  lease: {
+    type: new mongoose.Schema({
+      owner: String,
+      expiresAt: Date
+    }, { _id: false }),
+    default: null
+  }
 });
 
 // Index for cleanup
 WorkflowExecutionSchema.index({ status: 1, startTime: 1 });
 
+// Index for finding orphaned executions
+WorkflowExecutionSchema.index({ status: 1, 'lease.expiresAt': 1 });
+
+// Index for timing out approval steps
+WorkflowExecutionSchema.index({ status: 1, 'steps.approval.expiresAt': 1 });
+
+// Index for per-user execution history
+WorkflowExecutionSchema.index({ userId: 1, startTime: -1 });
+
 // TTL index - auto-delete completed executions after 7 days
 WorkflowExecutionSchema.index(
   { startTime: 1 },
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const workflowScheduleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  workflowId: {
+    type: String,
+    required: true
+  },
+  cron: {
+    type: String,
+    required: true
+  },
+  timezone: String,
+  // Users opt in to each scheduled workflow
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  lastRun: Date,
+  lastResult: {
+    type: String,
+    enum: ['success', 'error', 'pending'],
+    default: 'pending'
+  },
+  lastError: String,
+  lastExecutionIds: [String],
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'workflow_schedules'
+});
+
+// One schedule per user per workflow
+workflowScheduleSchema.index({ userId: 1, workflowId: 1 }, { unique: true });
+
+// Index for loading schedules on startup
+workflowScheduleSchema.index({ enabled: 1 });
+
+export const WorkflowSchedule = mongoose.model('WorkflowSchedule', workflowScheduleSchema);
+export default WorkflowSchedule;
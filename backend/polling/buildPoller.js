@@ -1,10 +1,11 @@
 import { logger } from '../utils/logger.js';
 import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
+import { eventBus } from '../events/EventBus.js';
 
 class BuildPoller {
   constructor() {
-    this.lastPollTime = new Date();
-    this.processedBuilds = new Set();
+    this.lastPollTimes = new Map(); // userId -> last poll, so users don't hide each other's builds
+    this.processedBuilds = new Set(); // `${userId}:${buildId}`
   }
 
   async pollBuilds(userId) {
@@ -27,6 +28,9 @@ class BuildPoller {
 
       logger.info(`Starting builds polling${userId ? ` for user ${userId}` : ''}`);
 
+      const pollKey = userId ? String(userId) : 'global';
+      const lastPollTime = this.lastPollTimes.get(pollKey) || new Date();
+
       // Get recent builds
       const recentBuilds = await client.getRecentBuilds(20);
       
@@ -36,22 +40,22 @@ class BuildPoller {
         // Filter builds that completed since last poll
         const newBuilds = recentBuilds.value.filter(build => {
           const finishTime = new Date(build.finishTime);
-          return finishTime > this.lastPollTime && !this.processedBuilds.has(build.id);
+          return finishTime > lastPollTime && !this.processedBuilds.has(`${pollKey}:${build.id}`);
         });
 
         if (newBuilds.length > 0) {
           logger.info(`Found ${newBuilds.length} new completed builds since last poll`);
           
           for (const build of newBuilds) {
-            await this.processBuild(build);
-            this.processedBuilds.add(build.id);
+            await this.processBuild(build, userId);
+            this.processedBuilds.add(`${pollKey}:${build.id}`);
           }
         }
       } else {
         logger.info('No recent builds found');
       }
 
-      this.lastPollTime = new Date();
+      this.lastPollTimes.set(pollKey, new Date());
       
       // Clean up processed builds set to prevent memory leaks
       this.cleanupProcessedBuilds();
@@ -61,7 +65,7 @@ class BuildPoller {
     }
   }
 
-  async processBuild(build) {
+  async processBuild(build, userId) {
     try {
       logger.info(`Processing build: ${build.definition?.name} #${build.buildNumber}`, {
         buildId: build.id,
@@ -69,13 +73,15 @@ class BuildPoller {
         status: build.status
       });
 
-      // Note: In a real scenario, build completion notifications would typically
-      // be handled by webhooks rather than polling. This polling is mainly for
-      // backup/fallback scenarios or when webhooks aren't available.
-      
-      // For now, we'll just log the build information
-      // The actual notification logic is handled in the webhook handlers
-      
+      // Notifications stay with the webhook handlers; polling is the fallback
+      // where webhooks aren't available, so it only feeds event-triggered
+      // workflows and incident memory. The build id as dedupeKey keeps a build
+      // seen by both from running its workflows twice.
+      eventBus.publish(`build.${(build.result || 'completed').toLowerCase()}`, { build }, {
+        userId,
+        source: 'poller',
+        dedupeKey: build.id
+      });
     } catch (error) {
       logger.error(`Error processing build ${build.id}:`, error);
     }
@@ -3,6 +3,7 @@ import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
 import { notificationService } from '../notifications/notificationService.js';
 import { markdownFormatter } from '../utils/markdownFormatter.js';
 import notificationHistoryService from '../services/notificationHistoryService.js';
+import { eventBus } from '../events/EventBus.js';
 
 class PullRequestPoller {
   constructor() {
@@ -47,6 +48,14 @@ class PullRequestPoller {
       
       if (idlePRs.count > 0) {
         logger.warn(`Found ${idlePRs.count} idle pull requests`);
+
+        for (const pr of idlePRs.value) {
+          eventBus.publish('pullrequest.idle', { pr }, {
+            userId,
+            source: 'poller',
+            dedupeKey: pr.pullRequestId
+          });
+        }
         
         // Send notification with user-specific settings
         if (userId) {
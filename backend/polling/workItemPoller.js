@@ -3,6 +3,7 @@ import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
 import { notificationService } from '../notifications/notificationService.js';
 import { getUserSettings } from '../utils/userSettings.js';
 import notificationHistoryService from '../services/notificationHistoryService.js';
+import { eventBus } from '../events/EventBus.js';
 
 class WorkItemPoller {
   constructor() {
@@ -107,6 +108,14 @@ class WorkItemPoller {
         }
         
         logger.warn(`Found ${filteredItems.length} overdue work items${userId ? ` for user ${userId}` : ''}`);
+
+        for (const workItem of filteredItems) {
+          eventBus.publish('workitem.overdue', { workItem }, {
+            userId,
+            source: 'poller',
+            dedupeKey: workItem.id
+          });
+        }
         
         // Send notification with user-specific settings
         if (userId) {
@@ -91,6 +91,14 @@ router.post('/login', validateRequest(loginSchema), asyncHandler(async (req, res
     } catch (error) {
       logger.warn('Failed to start user polling on login:', error);
     }
+
+    // Start scheduled workflows if settings are configured
+    try {
+      const { workflowScheduler } = await import('../workflows/WorkflowScheduler.js');
+      await workflowScheduler.ensureUserSchedules(user._id.toString());
+    } catch (error) {
+      logger.warn('Failed to start workflow schedules on login:', error);
+    }
     
     res.json({
       token,
@@ -0,0 +1,42 @@
+/**
+ * Re-embed Memory documents with the configured embedding provider
+ *
+ * Run after changing EMBEDDING_PROVIDER (or memory.embeddingProvider in the
+ * runtime settings) so stored vectors and queries come from the same model:
+ *
+ *   npm run memory:reembed                    # memories embedded by another model
+ *   npm run memory:reembed -- --all           # every memory
+ *   npm run memory:reembed -- --batch-size=50
+ */
+import mongoose from 'mongoose';
+import { database } from '../config/env.js';
+import { configLoader } from '../config/settings.js';
+import { logger } from '../utils/logger.js';
+import '../models/Memory.js';
+import { mongoVectorStore } from '../memory/MongoVectorStore.js';
+
+const args = process.argv.slice(2);
+const all = args.includes('--all');
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const batchSize = batchSizeArg ? parseInt(batchSizeArg.split('=')[1], 10) : 100;
+
+async function run() {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('--batch-size must be a positive integer');
+  }
+
+  await configLoader.initialize();
+  await mongoose.connect(database.uri, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    const result = await mongoVectorStore.reembed({ batchSize, all });
+    logger.info('Memory re-embed finished', result);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+run().catch(error => {
+  logger.error('Memory re-embed failed:', error);
+  process.exit(1);
+});
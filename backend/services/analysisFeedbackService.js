@@ -0,0 +1,139 @@
+import { logger } from '../utils/logger.js';
+import AnalysisFeedback from '../models/AnalysisFeedback.js';
+import { getUserClient } from '../utils/userSettings.js';
+import { patternTracker } from '../learning/PatternTracker.js';
+
+/**
+ * Raised for feedback on items that can't be found or read
+ */
+export class AnalysisFeedbackError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'AnalysisFeedbackError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Analysis Feedback Service - thumbs up/down on AI analyses
+ *
+ * Each verdict is stored and handed to PatternTracker against the task the
+ * analysis was for, signed the way the agents sign it, so a rated build
+ * analysis moves the confidence of the pattern it was learned from. A
+ * correction is learned as a confirmed solution for the same task. Rating
+ * an item again takes the earlier verdict back first.
+ */
+class AnalysisFeedbackService {
+  /**
+   * The user's feedback on an item, or null
+   */
+  async get(userId, targetType, targetId) {
+    const feedback = await AnalysisFeedback.findOne({ userId, targetType, targetId: String(targetId) }).lean();
+    return feedback ? this.toResponse(feedback) : null;
+  }
+
+  /**
+   * Store the user's verdict on an analysis and learn from it
+   * data: { rating: 'up' | 'down', correction, analysis }
+   */
+  async submit(userId, targetType, targetId, data) {
+    const { rating, analysis } = data;
+    const correction = data.correction || null;
+    const existing = await AnalysisFeedback.findOne({ userId, targetType, targetId: String(targetId) }).lean();
+
+    // The task can't change under an item, so only a new item is looked up
+    const task = existing?.task || await this.getTask(userId, targetType, targetId);
+
+    if (existing) {
+      await this.learn(existing.task, existing, { undo: true });
+    }
+
+    const feedback = await AnalysisFeedback.findOneAndUpdate(
+      { userId, targetType, targetId: String(targetId) },
+      { $set: { rating, correction, analysis, task } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    await this.learn(task, feedback);
+
+    logger.info(`Analysis feedback on ${targetType} ${targetId}: ${rating}`, {
+      userId: String(userId),
+      corrected: Boolean(correction),
+      changed: Boolean(existing)
+    });
+
+    return this.toResponse(feedback);
+  }
+
+  /**
+   * Feed a verdict (or, with undo, its reversal) into PatternTracker
+   */
+  async learn(task, { rating, analysis, correction }, options = {}) {
+    await patternTracker.trackFeedback(task, analysis, rating === 'up', options);
+
+    if (correction) {
+      await patternTracker.trackFeedback(task, correction, true, options);
+    }
+  }
+
+  /**
+   * The task an analysis was for, described as the agents describe it
+   */
+  async getTask(userId, targetType, targetId) {
+    const client = await getUserClient(userId);
+    if (!client) {
+      throw new AnalysisFeedbackError('Azure DevOps configuration required', 400);
+    }
+
+    if (targetType === 'build') {
+      const build = await client.getBuild(targetId);
+      if (!build) {
+        throw new AnalysisFeedbackError(`Build ${targetId} not found`, 404);
+      }
+
+      const timeline = await client.getBuildTimeline(build.id).catch(() => null);
+      const { monitorAgent } = await import('../agents/MonitorAgent.js');
+
+      return {
+        type: 'build_failure',
+        category: 'build',
+        description: monitorAgent.extractBuildError(build, timeline)
+      };
+    }
+
+    if (targetType === 'pullRequest') {
+      const pullRequest = await client.getPullRequestDetails(targetId);
+      if (!pullRequest) {
+        throw new AnalysisFeedbackError(`Pull request ${targetId} not found`, 404);
+      }
+
+      return { type: 'pr_explanation', category: 'pr', description: pullRequest.title };
+    }
+
+    const workItems = await client.getWorkItems([targetId]);
+    const workItem = workItems.value?.[0];
+    if (!workItem) {
+      throw new AnalysisFeedbackError(`Work item ${targetId} not found`, 404);
+    }
+
+    return {
+      type: 'work_item_explanation',
+      category: 'workitem',
+      description: workItem.fields?.['System.Title']
+    };
+  }
+
+  toResponse(feedback) {
+    return {
+      targetType: feedback.targetType,
+      targetId: feedback.targetId,
+      rating: feedback.rating,
+      correction: feedback.correction,
+      updatedAt: feedback.updatedAt
+    };
+  }
+}
+
+export const analysisFeedbackService = new AnalysisFeedbackService();
+export default analysisFeedbackService;
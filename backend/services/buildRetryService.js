@@ -0,0 +1,180 @@
+import { logger } from '../utils/logger.js';
+import BuildRetry from '../models/BuildRetry.js';
+import { getUserClient } from '../utils/userSettings.js';
+
+// Retries allowed per failed build, counting retries of its retries
+const MAX_RETRIES_PER_BUILD = 2;
+
+// Minimum gap between retries of the same pipeline and branch
+const RETRY_COOLDOWN_MS = 10 * 60 * 1000;
+
+const RETRYABLE_RESULTS = ['failed', 'partiallySucceeded', 'canceled'];
+
+/**
+ * Raised for retries the guardrails or the build's state rule out
+ */
+export class BuildRetryError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'BuildRetryError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Build Retry Service - retries failed Azure DevOps builds for a user
+ *
+ * 'failed_stages' reruns the failed stages of the same run; pipelines without
+ * stages (classic builds) fall back to 'full', which queues a new build for
+ * the same definition and branch. Every retry is recorded with whoever
+ * triggered it, and those records back the per-build limit and the cooldown.
+ */
+class BuildRetryService {
+  constructor() {
+    this.maxRetriesPerBuild = MAX_RETRIES_PER_BUILD;
+    this.cooldownMs = RETRY_COOLDOWN_MS;
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Retry a build
+   * options: { mode: 'failed_stages' | 'full', triggeredBy: { type, id, name }, client }
+   */
+  async retryBuild(userId, buildId, options = {}) {
+    const { mode = 'failed_stages', triggeredBy = { type: 'user', id: String(userId) } } = options;
+    const client = options.client || await getUserClient(userId);
+    if (!client) {
+      throw new BuildRetryError('Azure DevOps configuration required', 400);
+    }
+
+    const build = await client.getBuild(buildId);
+    if (!build) {
+      throw new BuildRetryError(`Build ${buildId} not found`, 404);
+    }
+    if (build.status !== 'completed') {
+      throw new BuildRetryError(`Build ${build.id} is still ${build.status}`, 409);
+    }
+    if (!RETRYABLE_RESULTS.includes(build.result)) {
+      throw new BuildRetryError(`Build ${build.id} ${build.result}; only failed builds can be retried`, 409);
+    }
+
+    const rootBuildId = await this.getRootBuildId(userId, build.id);
+    const key = `${userId}:${rootBuildId}`;
+    if (this.inFlight.has(key)) {
+      throw new BuildRetryError(`A retry of build ${rootBuildId} is already in progress`, 409);
+    }
+
+    this.inFlight.add(key);
+    try {
+      await this.checkGuardrails(userId, build, rootBuildId);
+      return await this.performRetry(userId, client, build, rootBuildId, mode, triggeredBy);
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Throws when the build is out of retries or its pipeline is cooling down
+   */
+  async checkGuardrails(userId, build, rootBuildId) {
+    const attempts = await BuildRetry.countDocuments({ userId, rootBuildId, status: 'queued' });
+    if (attempts >= this.maxRetriesPerBuild) {
+      throw new BuildRetryError(
+        `Build ${rootBuildId} has already been retried ${attempts} times (limit ${this.maxRetriesPerBuild})`,
+        429,
+        { attempts, limit: this.maxRetriesPerBuild }
+      );
+    }
+
+    const latest = await BuildRetry.findOne({
+      userId,
+      definitionId: build.definition?.id,
+      sourceBranch: build.sourceBranch,
+      status: 'queued',
+      createdAt: { $gt: new Date(Date.now() - this.cooldownMs) }
+    }).sort({ createdAt: -1 }).lean();
+
+    if (latest) {
+      const retryAfterMs = new Date(latest.createdAt).getTime() + this.cooldownMs - Date.now();
+      throw new BuildRetryError(
+        `${build.definition?.name || 'Pipeline'} on ${build.sourceBranch} was retried recently; try again in ${Math.ceil(retryAfterMs / 60000)} min`,
+        429,
+        { retryAfterMs, lastRetryId: latest._id }
+      );
+    }
+  }
+
+  async performRetry(userId, client, build, rootBuildId, mode, triggeredBy) {
+    let stages = [];
+    if (mode === 'failed_stages') {
+      stages = this.getFailedStages(await client.getBuildTimeline(build.id));
+    }
+
+    const record = {
+      userId,
+      rootBuildId,
+      buildId: build.id,
+      definitionId: build.definition?.id,
+      definitionName: build.definition?.name,
+      sourceBranch: build.sourceBranch,
+      mode: stages.length > 0 ? 'failed_stages' : 'full',
+      stages,
+      triggeredBy
+    };
+
+    try {
+      if (record.mode === 'full') {
+        const queued = await client.queueBuild(build.definition.id, build.sourceBranch);
+        record.retryBuildId = queued.id;
+      } else {
+        for (const stage of stages) {
+          await client.retryBuildStage(build.id, stage);
+        }
+      }
+    } catch (error) {
+      await BuildRetry.create({ ...record, status: 'failed', error: error.message });
+      throw error;
+    }
+
+    const retry = await BuildRetry.create(record);
+
+    logger.info(`Retried build ${build.id} (${record.mode})`, {
+      userId,
+      rootBuildId,
+      retryBuildId: record.retryBuildId,
+      stages,
+      triggeredBy
+    });
+
+    return retry.toObject();
+  }
+
+  /**
+   * Reference names of the stages that failed in a build timeline
+   */
+  getFailedStages(timeline) {
+    return (timeline?.records || [])
+      .filter(record => record.type === 'Stage' && record.result === 'failed')
+      .map(record => record.identifier || record.name);
+  }
+
+  /**
+   * The failed build a retry chain started from
+   */
+  async getRootBuildId(userId, buildId) {
+    const previous = await BuildRetry.findOne({ userId, retryBuildId: buildId }).lean();
+    return previous ? previous.rootBuildId : Number(buildId);
+  }
+
+  /**
+   * Retries recorded for a build's retry chain, newest first
+   */
+  async listRetries(userId, buildId) {
+    const rootBuildId = await this.getRootBuildId(userId, Number(buildId));
+    return BuildRetry.find({ userId, rootBuildId }).sort({ createdAt: -1 }).lean();
+  }
+}
+
+export const buildRetryService = new BuildRetryService();
+export default buildRetryService;
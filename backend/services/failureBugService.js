@@ -0,0 +1,153 @@
+import { logger } from '../utils/logger.js';
+import FailureSignature from '../models/FailureSignature.js';
+import { getUserClient } from '../utils/userSettings.js';
+
+const BUG_TAG = 'recurring-build-failure';
+const LOG_EXCERPT_LINES = 30;
+
+/**
+ * Failure Bug Service - files Azure DevOps bugs for recurring build failures
+ *
+ * Bugs carry the failure's signature tag; while an open bug with that tag
+ * exists, further occurrences are added to its history instead of filing a
+ * new one.
+ */
+class FailureBugService {
+  /**
+   * Create or update the bug for a recurring failure
+   * details: { build, recurrence, rootCause, areaPath, client }
+   */
+  async fileBug(userId, details) {
+    const { build, recurrence, rootCause } = details;
+    const client = details.client || await getUserClient(userId);
+    if (!client) {
+      throw new Error('Azure DevOps configuration required');
+    }
+    const buildUrl = this.getBuildUrl(build, client.config);
+    const logExcerpt = await this.getLogExcerpt(client, build);
+
+    const openBugs = await client.findOpenWorkItemsByTag('Bug', recurrence.tag);
+    const existing = openBugs.value?.[0];
+
+    let bug;
+    if (existing) {
+      bug = await client.updateWorkItem(existing.id, [
+        {
+          op: 'add',
+          path: '/fields/System.History',
+          value: `<p>Failed again in <a href="${buildUrl}">build ${escapeHtml(build.buildNumber || build.id)}</a> `
+            + `(${recurrence.occurrences} occurrences since ${new Date(recurrence.firstSeen || Date.now()).toDateString()}).</p>`
+            + (logExcerpt ? `<pre>${escapeHtml(logExcerpt)}</pre>` : '')
+        }
+      ]);
+    } else {
+      bug = await client.createWorkItem('Bug', [
+        { op: 'add', path: '/fields/System.Title', value: this.getTitle(build, recurrence) },
+        { op: 'add', path: '/fields/Microsoft.VSTS.TCM.ReproSteps', value: this.formatReproSteps(build, recurrence, rootCause, logExcerpt, buildUrl) },
+        { op: 'add', path: '/fields/System.AreaPath', value: details.areaPath || client.config?.project },
+        { op: 'add', path: '/fields/System.Tags', value: `${BUG_TAG}; ${recurrence.tag}` },
+        this.buildLink(build, buildUrl)
+      ]);
+    }
+
+    await FailureSignature.updateOne(
+      { userId, signature: recurrence.signature },
+      { $set: existing ? { 'bug.id': bug.id, 'bug.url': bug.webUrl } : { bug: { id: bug.id, url: bug.webUrl, createdAt: new Date() } } }
+    ).catch(error => logger.warn(`Failed to link bug ${bug.id} to signature ${recurrence.signature}: ${error.message}`));
+
+    logger.info(`${existing ? 'Updated' : 'Created'} bug ${bug.id} for recurring failure ${recurrence.signature}`, {
+      userId,
+      buildId: build.id,
+      occurrences: recurrence.occurrences
+    });
+
+    return {
+      status: existing ? 'bug_updated' : 'bug_created',
+      workItemId: bug.id,
+      url: bug.webUrl,
+      signature: recurrence.signature
+    };
+  }
+
+  getTitle(build, recurrence) {
+    const firstError = (recurrence.error || '').split('\n')[0].trim();
+    const title = `Recurring build failure: ${build.definition?.name || 'Pipeline'}${firstError ? ` - ${firstError}` : ''}`;
+    return title.length > 255 ? `${title.slice(0, 252)}...` : title;
+  }
+
+  formatReproSteps(build, recurrence, rootCause, logExcerpt, buildUrl) {
+    const sections = [
+      `<p><b>${escapeHtml(build.definition?.name || 'Pipeline')}</b> on <code>${escapeHtml((build.sourceBranch || '').replace('refs/heads/', ''))}</code> `
+        + `has failed ${recurrence.occurrences} times with the same error since ${new Date(recurrence.firstSeen || Date.now()).toDateString()}.</p>`,
+      `<p>Latest failure: <a href="${buildUrl}">build ${escapeHtml(build.buildNumber || build.id)}</a></p>`
+    ];
+
+    if (rootCause) {
+      sections.push('<h3>AI root cause</h3>', `<p>${escapeHtml(rootCause).replace(/\n/g, '<br/>')}</p>`);
+    }
+
+    if (logExcerpt) {
+      sections.push('<h3>Log excerpt</h3>', `<pre>${escapeHtml(logExcerpt)}</pre>`);
+    }
+
+    sections.push(`<p><i>Filed automatically for failure signature ${recurrence.signature}.</i></p>`);
+
+    return sections.join('\n');
+  }
+
+  buildLink(build, buildUrl) {
+    return {
+      op: 'add',
+      path: '/relations/-',
+      value: {
+        rel: 'Hyperlink',
+        url: buildUrl,
+        attributes: { comment: `Failed build ${build.buildNumber || build.id}` }
+      }
+    };
+  }
+
+  /**
+   * Error lines from the first failed task's log, or its tail when none are marked
+   */
+  async getLogExcerpt(client, build) {
+    try {
+      const timeline = await client.getBuildTimeline(build.id);
+      const failedTask = (timeline?.records || [])
+        .find(record => record.type === 'Task' && record.result === 'failed' && record.log?.id);
+
+      if (!failedTask) return null;
+
+      const content = await client.getBuildLogContent(build.id, failedTask.log.id);
+      const lines = String(content || '')
+        .split('\n')
+        .map(line => line.replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z\s?/, '').trimEnd())
+        .filter(Boolean);
+
+      const errors = lines.filter(line => line.includes('##[error]'));
+      return (errors.length > 0 ? errors : lines).slice(-LOG_EXCERPT_LINES).join('\n');
+    } catch (error) {
+      logger.warn(`Could not fetch log excerpt for build ${build.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  getBuildUrl(build, config) {
+    if (build._links?.web?.href) return build._links.web.href;
+
+    const baseUrl = config?.baseUrl || 'https://dev.azure.com';
+    const project = build.project?.name || config?.project;
+    return `${baseUrl}/${config?.organization}/${encodeURIComponent(project)}/_build/results?buildId=${build.id}`;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export const failureBugService = new FailureBugService();
+export default failureBugService;
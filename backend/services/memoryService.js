@@ -0,0 +1,233 @@
+import { logger } from '../utils/logger.js';
+import Memory from '../models/Memory.js';
+import { mongoVectorStore } from '../memory/MongoVectorStore.js';
+import { inProcessVectorIndex } from '../memory/InProcessVectorIndex.js';
+
+const RELATED_LIMIT = 5;
+
+// Metadata IncidentMemory matches and resolves incidents by
+const PROTECTED_METADATA_KEYS = ['incident', 'resolved', 'signature', 'definitionId', 'buildIds'];
+
+export class MemoryError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'MemoryError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Memory Service - browse and curate the memories the agent builds context from
+ *
+ * Lists and searches cover the memories of the user's current organization
+ * and project, the same ones AI analyses see. Looking memories up here
+ * doesn't count towards their access count.
+ */
+class MemoryService {
+  /**
+   * Memories matching the query, pinned first then newest
+   * mode 'semantic' ranks by similarity to q instead
+   */
+  async search(userId, { q = '', mode = 'text', type = null, pinned = null, limit = 50 } = {}) {
+    const scope = await this.getScope(userId);
+
+    if (mode === 'semantic') {
+      if (!q) {
+        throw new MemoryError('A semantic search needs a query');
+      }
+      return await this.searchSemantic(scope, q, type, pinned, limit);
+    }
+
+    const query = { ...scope };
+    if (type) query.type = type;
+    if (pinned !== null) query.pinned = pinned ? true : { $ne: true };
+    if (q) query.content = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const memories = await Memory.find(query)
+      .sort({ pinned: -1, createdAt: -1 })
+      .limit(limit)
+      .select('-embedding')
+      .lean();
+
+    return memories.map(memory => this.toResponse(memory));
+  }
+
+  async searchSemantic(scope, q, type, pinned, limit) {
+    const results = await mongoVectorStore.searchSimilar(q, limit, { ...scope, type }, { trackAccess: false });
+    if (results.length === 0) return [];
+
+    const memories = await Memory.find({ _id: { $in: results.map(result => result._id) } })
+      .select('-embedding')
+      .lean();
+    const byId = new Map(memories.map(memory => [String(memory._id), memory]));
+
+    return results
+      .map(result => ({ memory: byId.get(String(result._id)), score: result.score }))
+      .filter(({ memory }) => memory && (pinned === null || Boolean(memory.pinned) === pinned))
+      .map(({ memory, score }) => ({ ...this.toResponse(memory), score }));
+  }
+
+  /**
+   * A memory with the memories most similar to it
+   */
+  async get(userId, id) {
+    const memory = await this.getOwned(userId, id);
+    const related = await this.getRelated(memory);
+
+    return { ...this.toResponse(memory), related };
+  }
+
+  /**
+   * Change a memory's type, metadata or pin
+   * Metadata is merged key by key; a null value removes the key
+   */
+  async update(userId, id, changes) {
+    const current = await this.getOwned(userId, id);
+    const { metadata = {}, ...set } = changes;
+    const unset = {};
+
+    this.checkMetadata(current, metadata);
+    for (const [key, value] of Object.entries(metadata)) {
+      if (value === null) {
+        unset[`metadata.${key}`] = '';
+      } else {
+        set[`metadata.${key}`] = value;
+      }
+    }
+
+    const update = {};
+    if (Object.keys(set).length > 0) update.$set = set;
+    if (Object.keys(unset).length > 0) update.$unset = unset;
+
+    const memory = await Memory.findByIdAndUpdate(id, update, { new: true }).lean();
+    // The in-process index filters on type
+    inProcessVectorIndex.add(memory);
+
+    logger.info(`Memory ${id} updated`, { userId: String(userId), fields: Object.keys(changes) });
+    return this.toResponse(memory);
+  }
+
+  async setPinned(userId, id, pinned) {
+    return await this.update(userId, id, { pinned });
+  }
+
+  async remove(userId, id) {
+    await this.getOwned(userId, id);
+
+    await Memory.deleteOne({ _id: id });
+    inProcessVectorIndex.remove([id]);
+
+    logger.info(`Memory ${id} deleted`, { userId: String(userId) });
+  }
+
+  /**
+   * Refuse metadata keys MongoDB would read as operators or paths, and
+   * changes to the keys incidents depend on or to stored dates, which
+   * would come back from JSON as strings
+   */
+  checkMetadata(memory, metadata) {
+    const errors = [];
+
+    for (const key of Object.keys(metadata)) {
+      if (!key || key.startsWith('$') || key.includes('.')) {
+        errors.push({ path: ['metadata', key], message: `'${key}' is not a valid metadata key` });
+      } else if (PROTECTED_METADATA_KEYS.includes(key) || containsDate(memory.metadata?.[key])) {
+        errors.push({ path: ['metadata', key], message: `'${key}' cannot be changed` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new MemoryError('Invalid metadata', 400, errors);
+    }
+  }
+
+  async getOwned(userId, id) {
+    const memory = await Memory.findOne({ _id: id, userId }).lean().catch(() => null);
+
+    if (!memory) {
+      throw new MemoryError(`Memory ${id} not found`, 404);
+    }
+
+    return memory;
+  }
+
+  async getRelated(memory) {
+    const results = await mongoVectorStore.searchSimilar(memory.content, RELATED_LIMIT + 1, {
+      userId: memory.userId,
+      organization: memory.organization,
+      project: memory.project
+    }, { trackAccess: false });
+
+    return results
+      .filter(result => String(result._id) !== String(memory._id))
+      .slice(0, RELATED_LIMIT)
+      .map(result => ({
+        id: String(result._id),
+        content: result.content,
+        score: result.score,
+        createdAt: result.createdAt
+      }));
+  }
+
+  /**
+   * The user's current organization and project, as memories are scoped
+   */
+  async getScope(userId) {
+    const { getUserSettings } = await import('../utils/userSettings.js');
+    const settings = await getUserSettings(userId);
+
+    return {
+      userId: String(userId),
+      organization: settings.azureDevOps?.organization || null,
+      project: settings.azureDevOps?.project || null
+    };
+  }
+
+  /**
+   * What produced a memory: an incident IncidentMemory recorded, or an agent task outcome
+   */
+  getSource(memory) {
+    const metadata = memory.metadata || {};
+
+    if (metadata.incident) {
+      return {
+        kind: 'incident',
+        label: metadata.environment ? `${metadata.definitionName} / ${metadata.environment}` : metadata.definitionName,
+        buildIds: metadata.buildIds,
+        resolved: Boolean(metadata.resolved)
+      };
+    }
+
+    if (metadata.success !== undefined) {
+      return { kind: 'agent', label: metadata.type || 'task', success: metadata.success };
+    }
+
+    return { kind: 'other', label: null };
+  }
+
+  toResponse(memory) {
+    return {
+      id: String(memory._id),
+      content: memory.content,
+      type: memory.type,
+      metadata: memory.metadata || {},
+      source: this.getSource(memory),
+      pinned: Boolean(memory.pinned),
+      accessCount: memory.accessCount || 0,
+      organization: memory.organization || null,
+      project: memory.project || null,
+      embeddingModel: memory.embeddingModel || null,
+      createdAt: memory.createdAt
+    };
+  }
+}
+
+function containsDate(value) {
+  if (value instanceof Date) return true;
+  if (value && typeof value === 'object') return Object.values(value).some(containsDate);
+  return false;
+}
+
+export const memoryService = new MemoryService();
+export default memoryService;
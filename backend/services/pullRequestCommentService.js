@@ -0,0 +1,204 @@
+import { logger } from '../utils/logger.js';
+
+// Thread property that marks threads this service owns, so re-runs find them
+const THREAD_KEY_PROPERTY = 'DevOpsAgent.ThreadKey';
+
+const MAX_FILE_COMMENTS = 10;
+
+/**
+ * Pull Request Comment Service - posts AI analysis back to Azure DevOps
+ *
+ * The summary goes into one PR-level thread; analysis lines that name a
+ * changed file become threads anchored to that file (and line, when the
+ * analysis gives one). Each thread carries a key property, and re-posting
+ * edits the thread with the same key instead of opening a new one. File
+ * threads the new analysis no longer produces are closed, and reopened if a
+ * later analysis mentions their file again.
+ */
+class PullRequestCommentService {
+  /**
+   * Create or update the analysis threads on a pull request
+   * analysis: { explanation, complexity, changes, iterationId }
+   */
+  async postAnalysis(client, pullRequest, analysis) {
+    const repositoryId = pullRequest.repository?.id;
+    const { pullRequestId } = pullRequest;
+
+    if (!repositoryId) {
+      throw new Error(`Repository not found for pull request ${pullRequestId}`);
+    }
+
+    const existing = await client.getPullRequestThreads(repositoryId, pullRequestId);
+    const threadsByKey = new Map();
+    for (const thread of existing.value || []) {
+      const key = thread.properties?.[THREAD_KEY_PROPERTY]?.$value;
+      if (key && !thread.isDeleted) threadsByKey.set(key, thread);
+    }
+
+    const threads = [
+      this.buildSummaryThread(analysis),
+      ...this.buildFileThreads(analysis)
+    ];
+
+    const results = [];
+    for (const thread of threads) {
+      const current = threadsByKey.get(thread.key);
+
+      if (!current) {
+        const created = await client.createPullRequestThread(repositoryId, pullRequestId, this.toThreadPayload(thread));
+        results.push({ key: thread.key, threadId: created.id, filePath: thread.filePath || null, action: 'created' });
+        continue;
+      }
+
+      const comment = current.comments?.find(c => c.parentCommentId === 0 && !c.isDeleted) || current.comments?.[0];
+      const reopen = thread.status === 'active' && current.status === 'closed';
+      if (comment?.content === thread.content && !reopen) {
+        results.push({ key: thread.key, threadId: current.id, filePath: thread.filePath || null, action: 'unchanged' });
+        continue;
+      }
+
+      if (comment?.content !== thread.content) {
+        await client.updatePullRequestComment(repositoryId, pullRequestId, current.id, comment?.id || 1, thread.content);
+      }
+      if (reopen) {
+        await client.updatePullRequestThread(repositoryId, pullRequestId, current.id, { status: 'active' });
+      }
+      results.push({ key: thread.key, threadId: current.id, filePath: thread.filePath || null, action: 'updated' });
+    }
+
+    // Notes on files this analysis no longer mentions are stale
+    const keys = new Set(threads.map(thread => thread.key));
+    for (const [key, current] of threadsByKey) {
+      if (keys.has(key) || current.status !== 'active') continue;
+
+      await client.updatePullRequestThread(repositoryId, pullRequestId, current.id, { status: 'closed' });
+      results.push({ key, threadId: current.id, filePath: current.threadContext?.filePath || null, action: 'closed' });
+    }
+
+    logger.info(`Posted analysis to PR ${pullRequestId}`, {
+      created: results.filter(r => r.action === 'created').length,
+      updated: results.filter(r => r.action === 'updated').length,
+      closed: results.filter(r => r.action === 'closed').length
+    });
+
+    return { pullRequestId, threads: results };
+  }
+
+  buildSummaryThread({ explanation, complexity }) {
+    const lines = ['### 🤖 AI Pull Request Analysis', '', explanation.trim()];
+
+    if (complexity) {
+      lines.push(
+        '',
+        '---',
+        `**Complexity:** ${complexity.complexity?.level || 'unknown'} · **Estimated review time:** ${complexity.estimatedReviewTime}`,
+        '',
+        complexity.recommendation
+      );
+    }
+
+    lines.push('', '_Posted by the DevOps agent. Re-running the analysis updates this thread._');
+
+    return {
+      key: 'summary',
+      content: lines.join('\n'),
+      // Informational, so it never blocks a "resolve all comments" policy
+      status: 'closed'
+    };
+  }
+
+  /**
+   * One thread per changed file the explanation mentions
+   */
+  buildFileThreads({ explanation, changes, iterationId }) {
+    const mentions = this.findFileMentions(explanation, changes);
+
+    return mentions.slice(0, MAX_FILE_COMMENTS).map(mention => ({
+      key: `file:${mention.file.path}`,
+      filePath: mention.file.path,
+      content: ['**🤖 AI review note**', '', ...mention.notes].join('\n'),
+      status: 'active',
+      threadContext: {
+        filePath: mention.file.path,
+        ...(mention.line && {
+          rightFileStart: { line: mention.line, offset: 1 },
+          rightFileEnd: { line: mention.line, offset: 1 }
+        })
+      },
+      pullRequestThreadContext: mention.file.changeTrackingId && {
+        changeTrackingId: mention.file.changeTrackingId,
+        iterationContext: {
+          firstComparingIteration: 1,
+          secondComparingIteration: iterationId || 1
+        }
+      }
+    }));
+  }
+
+  /**
+   * Explanation lines that name a changed file, grouped by file
+   * A bare file name only counts when no other changed file shares it
+   */
+  findFileMentions(explanation, changes) {
+    const files = (changes?.changeEntries || [])
+      .filter(change => !change.isFolder && !String(change.changeType).includes('delete'));
+
+    const nameCounts = files.reduce((acc, file) => {
+      const name = file.path.split('/').pop();
+      acc[name] = (acc[name] || 0) + 1;
+      return acc;
+    }, {});
+
+    const lines = explanation.split('\n').map(line => line.trim()).filter(Boolean);
+    const mentions = [];
+
+    for (const file of files) {
+      const names = [file.path.replace(/^\//, '')];
+      const name = file.path.split('/').pop();
+      if (nameCounts[name] === 1 && name !== names[0]) names.push(name);
+
+      const pattern = new RegExp(
+        `(?:^|[^\\w./-])\\/?(?:${names.map(escapeRegExp).join('|')})(?::(\\d+)|#L(\\d+)|,? line (\\d+))?(?![\\w/-])`,
+        'i'
+      );
+
+      const notes = [];
+      let line = null;
+      for (const text of lines) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        notes.push(`- ${text.replace(/^(?:[-*+]|\d+\.)\s+/, '')}`);
+        line = line || Number(match[1] || match[2] || match[3]) || null;
+      }
+
+      if (notes.length > 0) {
+        mentions.push({ file, line, notes });
+      }
+    }
+
+    return mentions;
+  }
+
+  toThreadPayload(thread) {
+    const payload = {
+      comments: [{ parentCommentId: 0, content: thread.content, commentType: 'text' }],
+      status: thread.status,
+      properties: {
+        [THREAD_KEY_PROPERTY]: { $type: 'System.String', $value: thread.key }
+      }
+    };
+
+    if (thread.threadContext) payload.threadContext = thread.threadContext;
+    if (thread.pullRequestThreadContext) payload.pullRequestThreadContext = thread.pullRequestThreadContext;
+
+    return payload;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export const pullRequestCommentService = new PullRequestCommentService();
+export default pullRequestCommentService;
@@ -0,0 +1,277 @@
+import { logger } from '../utils/logger.js';
+
+// History lookups per PR; new files use their folder's history instead
+const MAX_HISTORY_PATHS = 25;
+const COMMITS_PER_PATH = 50;
+const HISTORY_DAYS = 365;
+
+// A commit's weight halves every 90 days
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+// Each pending review elsewhere lowers a candidate's score by this fraction
+const LOAD_PENALTY = 0.25;
+
+const DEFAULT_RECOMMENDATIONS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reviewer Recommendation Service - ranks reviewers for a pull request
+ *
+ * Expertise comes from who committed to the PR's files on the target branch,
+ * weighted by recency; it is discounted by how many active PRs each person is
+ * already reviewing. Commit authors are matched to Azure DevOps identities
+ * through recent pull requests, since only identities can be added as reviewers.
+ */
+class ReviewerRecommendationService {
+  /**
+   * Ranked candidates with the reasoning behind each
+   * options: { count, changes }
+   */
+  async recommend(client, pullRequest, options = {}) {
+    const count = options.count || DEFAULT_RECOMMENDATIONS;
+    const repositoryId = pullRequest.repository?.id;
+    const { pullRequestId } = pullRequest;
+
+    const changes = options.changes || await client.getPullRequestChanges(pullRequestId, repositoryId);
+    const { paths, fileCount } = this.getHistoryPaths(changes);
+
+    const [history, activePullRequests, completedPullRequests] = await Promise.all([
+      this.getHistory(client, repositoryId, paths, pullRequest.targetRefName),
+      client.getPullRequests('active').then(result => result.value || []),
+      client.getPullRequests('completed').then(result => result.value || []).catch(() => [])
+    ]);
+
+    const directory = this.buildDirectory([...activePullRequests, ...completedPullRequests]);
+    const loads = this.getReviewLoads(activePullRequests, pullRequestId);
+    const excluded = this.getExcludedIdentities(pullRequest);
+
+    const candidates = new Map();
+    for (const { path, commits } of history) {
+      for (const commit of commits) {
+        const author = commit.author || {};
+        if (this.isServiceAccount(author)) continue;
+
+        const identity = directory.get((author.email || '').toLowerCase())
+          || directory.get((author.name || '').toLowerCase());
+        const key = identity?.id || (author.email || author.name || '').toLowerCase();
+        if (!key || excluded.has(key) || excluded.has((author.email || '').toLowerCase())) continue;
+
+        if (!candidates.has(key)) {
+          candidates.set(key, {
+            id: identity?.id || null,
+            displayName: identity?.displayName || author.name,
+            uniqueName: identity?.uniqueName || author.email,
+            imageUrl: identity?.imageUrl || null,
+            expertise: 0,
+            commits: 0,
+            paths: new Set(),
+            lastCommitDate: null
+          });
+        }
+
+        const candidate = candidates.get(key);
+        const ageDays = (Date.now() - new Date(author.date).getTime()) / DAY_MS;
+        candidate.expertise += Math.pow(0.5, Math.max(0, ageDays) / RECENCY_HALF_LIFE_DAYS);
+        candidate.commits++;
+        candidate.paths.add(path);
+        if (!candidate.lastCommitDate || new Date(author.date) > new Date(candidate.lastCommitDate)) {
+          candidate.lastCommitDate = author.date;
+        }
+      }
+    }
+
+    const maxExpertise = Math.max(0, ...Array.from(candidates.values()).map(candidate => candidate.expertise));
+
+    const ranked = Array.from(candidates.values())
+      .map(candidate => {
+        const activeReviews = (candidate.id && loads.get(candidate.id))
+          || loads.get((candidate.uniqueName || '').toLowerCase())
+          || 0;
+        const expertiseScore = maxExpertise > 0 ? candidate.expertise / maxExpertise : 0;
+        const score = expertiseScore / (1 + LOAD_PENALTY * activeReviews);
+
+        return {
+          id: candidate.id,
+          displayName: candidate.displayName,
+          uniqueName: candidate.uniqueName,
+          imageUrl: candidate.imageUrl,
+          score: Math.round(score * 100) / 100,
+          expertise: {
+            score: Math.round(expertiseScore * 100) / 100,
+            commits: candidate.commits,
+            paths: Array.from(candidate.paths),
+            lastCommitDate: candidate.lastCommitDate
+          },
+          activeReviews,
+          canAdd: Boolean(candidate.id),
+          reasoning: this.explain(candidate, activeReviews, paths.length)
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    logger.info(`Recommended reviewers for PR ${pullRequestId}`, {
+      paths: paths.length,
+      candidates: ranked.length
+    });
+
+    return {
+      pullRequestId,
+      analyzedFiles: fileCount,
+      analyzedPaths: paths.length,
+      recommendations: ranked.slice(0, count),
+      others: ranked.slice(count, count + 5)
+    };
+  }
+
+  /**
+   * Add reviewers to the pull request; each one succeeds or fails on its own
+   */
+  async addReviewers(client, pullRequest, reviewerIds) {
+    const repositoryId = pullRequest.repository?.id;
+    const existing = new Set((pullRequest.reviewers || []).map(reviewer => reviewer.id));
+    const results = [];
+
+    for (const reviewerId of reviewerIds) {
+      if (existing.has(reviewerId)) {
+        results.push({ id: reviewerId, status: 'already_reviewer' });
+        continue;
+      }
+
+      try {
+        const reviewer = await client.addPullRequestReviewer(repositoryId, pullRequest.pullRequestId, reviewerId);
+        results.push({ id: reviewerId, displayName: reviewer?.displayName, status: 'added' });
+      } catch (error) {
+        results.push({ id: reviewerId, status: 'failed', error: error.response?.data?.message || error.message });
+      }
+    }
+
+    logger.info(`Added reviewers to PR ${pullRequest.pullRequestId}`, {
+      added: results.filter(result => result.status === 'added').length,
+      failed: results.filter(result => result.status === 'failed').length
+    });
+
+    return results;
+  }
+
+  /**
+   * Paths whose history says who knows the change: edited files, and the
+   * folders of added files. Folders with several changed files come first.
+   */
+  getHistoryPaths(changes) {
+    const entries = (changes?.changeEntries || [])
+      .map(change => ({
+        path: change.item?.path || change.path,
+        changeType: String(change.changeType || 'edit'),
+        isFolder: change.item?.isFolder || change.isFolder
+      }))
+      .filter(change => change.path && !change.isFolder);
+
+    const weights = new Map();
+    for (const change of entries) {
+      const path = change.changeType.includes('add')
+        ? change.path.slice(0, change.path.lastIndexOf('/')) || '/'
+        : change.path;
+      weights.set(path, (weights.get(path) || 0) + 1);
+    }
+
+    const paths = Array.from(weights.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_HISTORY_PATHS)
+      .map(([path]) => path);
+
+    return { paths, fileCount: entries.length };
+  }
+
+  async getHistory(client, repositoryId, paths, targetRefName) {
+    const fromDate = new Date(Date.now() - HISTORY_DAYS * DAY_MS).toISOString();
+    const history = [];
+
+    // One commits query per path, up to MAX_HISTORY_PATHS; spread out rather than sent in a burst
+    for (const path of paths) {
+      try {
+        const result = await client.getCommitsForPath(repositoryId, path, {
+          top: COMMITS_PER_PATH,
+          fromDate,
+          branch: targetRefName
+        });
+        history.push({ path, commits: result.value || [] });
+      } catch (error) {
+        logger.warn(`Skipping history for ${path}: ${error.message}`);
+      }
+    }
+
+    return history;
+  }
+
+  /**
+   * Identities seen on recent PRs, keyed by unique name (usually the email) and display name
+   */
+  buildDirectory(pullRequests) {
+    const directory = new Map();
+    const add = identity => {
+      if (!identity?.id || identity.isContainer) return;
+      for (const key of [identity.uniqueName, identity.displayName]) {
+        if (key && !directory.has(key.toLowerCase())) directory.set(key.toLowerCase(), identity);
+      }
+    };
+
+    for (const pullRequest of pullRequests) {
+      add(pullRequest.createdBy);
+      (pullRequest.reviewers || []).forEach(add);
+    }
+
+    return directory;
+  }
+
+  /**
+   * Pending reviews per person across other active PRs
+   */
+  getReviewLoads(activePullRequests, pullRequestId) {
+    const loads = new Map();
+
+    for (const pullRequest of activePullRequests) {
+      if (String(pullRequest.pullRequestId) === String(pullRequestId)) continue;
+
+      for (const reviewer of pullRequest.reviewers || []) {
+        if (reviewer.isContainer || reviewer.vote !== 0) continue;
+        for (const key of [reviewer.id, (reviewer.uniqueName || '').toLowerCase()]) {
+          if (key) loads.set(key, (loads.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    return loads;
+  }
+
+  getExcludedIdentities(pullRequest) {
+    const excluded = new Set();
+    for (const identity of [pullRequest.createdBy, ...(pullRequest.reviewers || [])]) {
+      if (identity?.id) excluded.add(identity.id);
+      if (identity?.uniqueName) excluded.add(identity.uniqueName.toLowerCase());
+    }
+    return excluded;
+  }
+
+  isServiceAccount(author) {
+    return !author.email?.includes('@') || /build service|project collection|\[bot\]/i.test(author.name || '');
+  }
+
+  explain(candidate, activeReviews, pathCount) {
+    const daysAgo = Math.round((Date.now() - new Date(candidate.lastCommitDate).getTime()) / DAY_MS);
+    const reasons = [
+      `${candidate.commits} commit${candidate.commits === 1 ? '' : 's'} to ${candidate.paths.size} of the ${pathCount} changed paths`
+        + ` in the last year, most recently ${daysAgo <= 0 ? 'today' : `${daysAgo} day${daysAgo === 1 ? '' : 's'} ago`}`,
+      activeReviews === 0 ? 'no pending reviews' : `${activeReviews} pending review${activeReviews === 1 ? '' : 's'} on other PRs`
+    ];
+
+    if (!candidate.id) {
+      reasons.push('no Azure DevOps identity found on recent PRs, so they must be added manually');
+    }
+
+    return reasons.join('; ');
+  }
+}
+
+export const reviewerRecommendationService = new ReviewerRecommendationService();
+export default reviewerRecommendationService;
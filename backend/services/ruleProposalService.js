@@ -0,0 +1,255 @@
+import { logger } from '../utils/logger.js';
+import RuleProposal from '../models/RuleProposal.js';
+import { ruleEngine } from '../agents/RuleEngine.js';
+import { ruleService, RuleError } from './ruleService.js';
+
+const EDITABLE_FIELDS = ['category', 'pattern', 'flags', 'action', 'confidence', 'solution', 'autoFix'];
+
+/**
+ * Rule Proposal Service - the review queue for learned rules
+ *
+ * RuleGenerator proposes rules here instead of adding them to the engine.
+ * An admin can edit a proposal, approve it (the rule goes live as a global
+ * learned rule) or reject it. A rejected rule is not proposed again. A live
+ * rule people keep rejecting comes back for review (disputed) instead of
+ * being switched off by their votes. Every step is recorded in the
+ * proposal's history with who took it.
+ */
+class RuleProposalService {
+  /**
+   * Queue a rule learned from a pattern
+   * Returns the proposal, or null when the rule is live or was proposed before
+   */
+  async propose(rule, pattern) {
+    if (ruleEngine.getRule(rule.id)) return null;
+
+    try {
+      return await RuleProposal.create({
+        ruleId: rule.id,
+        rule: {
+          category: rule.category,
+          pattern: rule.pattern.source,
+          flags: rule.pattern.flags,
+          action: rule.action,
+          confidence: rule.confidence,
+          solution: rule.solution,
+          autoFix: rule.autoFix
+        },
+        source: {
+          signature: pattern.signature,
+          type: pattern.type,
+          pattern: pattern.pattern,
+          successCount: pattern.successCount,
+          failureCount: pattern.failureCount,
+          confirmedCount: pattern.confirmedCount || 0,
+          rejectedCount: pattern.rejectedCount || 0,
+          confidence: pattern.confidence,
+          examples: pattern.examples
+        },
+        history: [{ action: 'proposed', userName: 'RuleGenerator' }]
+      });
+    } catch (error) {
+      // Proposed before, whatever became of it
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Send an approved rule back to review when people reject its pattern's
+   * solution more often than they confirm it; it stays live until an admin
+   * decides again. Returns null when there are no new rejections to review.
+   */
+  async dispute(ruleId, pattern) {
+    const confirmedCount = pattern.confirmedCount || 0;
+    const rejectedCount = pattern.rejectedCount || 0;
+
+    const proposal = await RuleProposal.findOneAndUpdate(
+      { ruleId, status: 'approved', 'source.rejectedCount': { $lt: rejectedCount } },
+      {
+        $set: {
+          status: 'proposed',
+          'source.confirmedCount': confirmedCount,
+          'source.rejectedCount': rejectedCount,
+          'source.confidence': pattern.confidence
+        },
+        $push: {
+          history: {
+            action: 'disputed',
+            userName: 'RuleGenerator',
+            note: `Rejected ${rejectedCount} times, confirmed ${confirmedCount} times`
+          }
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (proposal) {
+      logger.info(`Rule ${ruleId} sent back for review`, { confirmedCount, rejectedCount });
+    }
+    return proposal ? this.toResponse(proposal) : null;
+  }
+
+  /**
+   * Proposals with a status, newest first
+   * details: false leaves out the source examples and review history, which
+   * quote other tenants' logs and feedback (for users who can't review)
+   */
+  async list(status = 'proposed', { details = true } = {}) {
+    const proposals = await RuleProposal.find({ status })
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    return proposals.map(proposal => this.toResponse(proposal, { details }));
+  }
+
+  /**
+   * Edit a pending proposal's rule
+   */
+  async update(user, id, changes) {
+    const proposal = await this.getPending(id);
+    const { note, ...fields } = changes;
+    const edited = EDITABLE_FIELDS.filter(field => fields[field] !== undefined && fields[field] !== proposal.rule[field]);
+
+    if (edited.length === 0) {
+      return this.toResponse(proposal.toObject());
+    }
+
+    this.compile(proposal, { ...this.getRuleFields(proposal), ...fields });
+
+    const previous = {};
+    for (const field of edited) {
+      previous[field] = proposal.rule[field];
+      proposal.rule[field] = fields[field];
+    }
+    proposal.history.push({ action: 'edited', ...this.getReviewer(user), note, previous });
+    await proposal.save();
+
+    logger.info(`Rule proposal ${proposal.ruleId} edited`, { userId: String(user._id), fields: edited });
+    return this.toResponse(proposal.toObject());
+  }
+
+  /**
+   * Make a proposal's rule live
+   */
+  async approve(user, id, note) {
+    const proposal = await this.getPending(id);
+    const reviewer = this.getReviewer(user);
+    const approvedAt = new Date();
+    const rule = this.compile(proposal);
+
+    // Claimed first, so a concurrent rejection can't be overridden
+    const approved = await this.decide(proposal, 'approved', { ...reviewer, note, at: approvedAt });
+
+    try {
+      await ruleEngine.saveRule({ ...rule, enabled: true, approvedBy: reviewer.userId, approvedAt });
+    } catch (error) {
+      await RuleProposal.updateOne(
+        { _id: proposal._id },
+        { $set: { status: 'proposed' }, $pop: { history: 1 } }
+      );
+      throw error;
+    }
+
+    logger.info(`Rule proposal ${proposal.ruleId} approved`, { userId: reviewer.userId });
+    return approved;
+  }
+
+  /**
+   * Turn a proposal down; its rule is not proposed again, and a disputed
+   * rule that is live is disabled
+   */
+  async reject(user, id, note) {
+    const proposal = await this.getPending(id);
+    const reviewer = this.getReviewer(user);
+
+    const rejected = await this.decide(proposal, 'rejected', { ...reviewer, note });
+    if (ruleEngine.getRule(proposal.ruleId)?.source === 'learned') {
+      ruleEngine.disableRule(proposal.ruleId);
+    }
+    logger.info(`Rule proposal ${proposal.ruleId} rejected`, { userId: reviewer.userId });
+    return rejected;
+  }
+
+  /**
+   * Record the decision unless someone else decided first
+   */
+  async decide(proposal, status, event) {
+    const decided = await RuleProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'proposed' },
+      {
+        $set: { status },
+        $push: { history: { action: status, ...event } }
+      },
+      { new: true }
+    ).lean();
+
+    if (!decided) {
+      throw new RuleError(`Rule proposal ${proposal.ruleId} was already reviewed`, 409);
+    }
+
+    return this.toResponse(decided);
+  }
+
+  async getPending(id) {
+    const proposal = await RuleProposal.findById(id).catch(() => null);
+
+    if (!proposal) {
+      throw new RuleError(`Rule proposal ${id} not found`, 404);
+    }
+    if (proposal.status !== 'proposed') {
+      throw new RuleError(`Rule proposal ${proposal.ruleId} was already ${proposal.status}`, 409);
+    }
+
+    return proposal;
+  }
+
+  /**
+   * The live rule a proposal becomes; throws a RuleError when it doesn't compile
+   */
+  compile(proposal, fields = this.getRuleFields(proposal)) {
+    const rule = {
+      id: proposal.ruleId,
+      scope: 'global',
+      ...fields,
+      source: 'learned',
+      learnedFrom: proposal.source?.signature
+    };
+
+    ruleService.compile(rule);
+    return rule;
+  }
+
+  getRuleFields(proposal) {
+    return Object.fromEntries(EDITABLE_FIELDS.map(field => [field, proposal.rule[field]]));
+  }
+
+  getReviewer(user) {
+    return { userId: String(user._id), userName: user.name || user.email };
+  }
+
+  toResponse(proposal, { details = true } = {}) {
+    const response = {
+      id: String(proposal._id),
+      ruleId: proposal.ruleId,
+      status: proposal.status,
+      rule: proposal.rule,
+      source: proposal.source,
+      history: proposal.history,
+      createdAt: proposal.createdAt,
+      updatedAt: proposal.updatedAt
+    };
+
+    if (!details) {
+      const { examples, ...source } = proposal.source || {};
+      response.source = source;
+      delete response.history;
+    }
+
+    return response;
+  }
+}
+
+export const ruleProposalService = new RuleProposalService();
+export default ruleProposalService;
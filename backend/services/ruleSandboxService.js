@@ -0,0 +1,290 @@
+import { logger } from '../utils/logger.js';
+import { ruleEngine } from '../agents/RuleEngine.js';
+import { ruleService, RuleError } from './ruleService.js';
+import { ruleConditions } from '../agents/RuleConditions.js';
+import Memory from '../models/Memory.js';
+import { isSafePattern, limitPatternInput } from '../utils/regexSafety.js';
+import { getUserClient } from '../utils/userSettings.js';
+
+// Logs read per build; failed steps' logs are preferred over the last ones
+const MAX_LOGS_PER_BUILD = 3;
+// Only the tail of very long logs is searched, where failures usually are
+const MAX_LOG_CHARS = 200000;
+// Log text scanned per test across all builds; later builds are skipped
+const MAX_SCANNED_CHARS = 1000000;
+
+const MAX_EXCERPTS = 5;
+const EXCERPT_CONTEXT_CHARS = 120;
+// Counting stops here so a pattern matching every line stays cheap
+const MAX_COUNTED_MATCHES = 1000;
+
+// LightweightAgent only trusts a rule above 0.7 and acts without approval above 0.8
+const RULE_CONFIDENCE_THRESHOLD = 0.7;
+const CONFIDENT_THRESHOLD = 0.8;
+
+/**
+ * Rule Sandbox Service - previews what a draft rule would match
+ *
+ * The draft is compiled like a stored rule and run against recent failed
+ * build logs and stored memories. Nothing is saved and no hit counts change.
+ * For each match, the draft competes with the user's other rules the way
+ * RuleEngine.match would, so the preview shows which action would be taken.
+ */
+class RuleSandboxService {
+  /**
+   * options: { builds, memories } - how many of each to scan
+   */
+  async test(userId, draft, options = {}) {
+    const scope = await ruleService.getScope(userId);
+    const rule = this.compile(draft, scope);
+    const rules = this.getCompetingRules(rule, scope);
+    const warnings = [];
+
+    if (options.builds > 0 && rule.category !== 'build') {
+      warnings.push(`Build failures are matched against build rules, so a ${rule.category} rule will not act on them`);
+    }
+    if (options.memories > 0 && rule.conditions) {
+      warnings.push('Memories have no structured fields, so they were not scanned for a rule with conditions');
+    }
+
+    const [builds, memories] = await Promise.all([
+      options.builds > 0 ? this.testBuilds(userId, rule, rules, options.builds) : { scanned: 0, skipped: 0, matches: [], errors: [] },
+      options.memories > 0 && !rule.conditions ? this.testMemories(userId, rule, rules, options.memories) : { scanned: 0, matches: [] }
+    ]);
+
+    if (builds.skipped > 0) {
+      warnings.push(`${builds.skipped} build(s) were not scanned because the test reached its limit of ${MAX_SCANNED_CHARS} log characters`);
+    }
+
+    logger.info(`Tested draft rule ${rule.id}`, {
+      userId: String(userId),
+      buildsMatched: builds.matches.length,
+      memoriesMatched: memories.matches.length
+    });
+
+    return {
+      rule: {
+        id: rule.id,
+        category: rule.category,
+        pattern: rule.pattern?.source ?? null,
+        flags: rule.pattern?.flags ?? null,
+        conditions: rule.conditions,
+        action: rule.action,
+        confidence: rule.confidence,
+        autoFix: Boolean(rule.autoFix)
+      },
+      summary: {
+        buildsScanned: builds.scanned,
+        buildsMatched: builds.matches.length,
+        memoriesScanned: memories.scanned,
+        memoriesMatched: memories.matches.length,
+        draftWins: [...builds.matches, ...memories.matches].filter(match => match.outcome?.isDraft).length
+      },
+      warnings,
+      errors: builds.errors,
+      builds: builds.matches,
+      memories: memories.matches
+    };
+  }
+
+  compile(draft, scope) {
+    return ruleService.compile({
+      ...draft,
+      ...ruleService.getOwner(scope, draft.scope || 'user'),
+      enabled: true
+    });
+  }
+
+  /**
+   * The user's enabled rules with the draft in place of a rule with its id
+   * (or last, as a newly added rule would be); rules whose pattern could
+   * backtrack catastrophically are left out of the scan
+   */
+  getCompetingRules(draft, scope) {
+    const rules = ruleEngine.getVisibleRules(scope)
+      .filter(rule => rule.enabled && (!rule.pattern || isSafePattern(rule.pattern)));
+    const index = rules.findIndex(rule => rule.id === draft.id);
+
+    if (index === -1) {
+      rules.push(draft);
+    } else {
+      rules[index] = draft;
+    }
+
+    return rules;
+  }
+
+  async testBuilds(userId, draft, rules, count) {
+    const client = await getUserClient(userId);
+    if (!client) {
+      throw new RuleError('Azure DevOps configuration required', 400);
+    }
+
+    const result = await client.getFailedBuilds(count);
+    const builds = result.value || [];
+    const matches = [];
+    const errors = [];
+    let scanned = 0;
+    let budget = MAX_SCANNED_CHARS;
+
+    // Build by build, so the log budget stops the scan before more logs are downloaded
+    for (const build of builds) {
+      if (budget <= 0) break;
+
+      try {
+        const { logs, timeline } = await this.getBuildLogText(client, build);
+        const text = logs.map(log => log.text).join('\n').slice(-budget);
+        const facts = ruleConditions.getFacts({ data: { build, timeline } });
+        budget -= text.length;
+        scanned++;
+
+        if (draft.compiledConditions && !ruleConditions.evaluate(draft.compiledConditions, facts)) continue;
+
+        const found = draft.pattern ? this.findExcerpts(text, draft.pattern) : { count: 0, excerpts: [] };
+        if (draft.pattern && found.count === 0) continue;
+
+        matches.push({
+          buildId: build.id,
+          buildNumber: build.buildNumber,
+          definition: build.definition?.name,
+          branch: build.sourceBranch,
+          finishTime: build.finishTime,
+          url: build._links?.web?.href,
+          logs: logs.map(log => log.id),
+          matchCount: found.count,
+          excerpts: found.excerpts,
+          outcome: this.getOutcome(text, 'build', draft, rules, facts)
+        });
+      } catch (error) {
+        logger.warn(`Skipping logs of build ${build.id} in rule test: ${error.message}`);
+        errors.push({ buildId: build.id, error: error.message });
+      }
+    }
+
+    return { scanned, skipped: builds.length - scanned - errors.length, matches, errors };
+  }
+
+  /**
+   * Text of the build's failed steps' logs, or of its last logs when no step
+   * is marked as failed, and the timeline they were picked from
+   */
+  async getBuildLogText(client, build) {
+    const [logList, timeline] = await Promise.all([
+      client.getBuildLogs(build.id),
+      client.getBuildTimeline(build.id).catch(() => null)
+    ]);
+
+    const logIds = (logList?.value || []).map(log => log.id);
+    const failedLogIds = new Set((timeline?.records || [])
+      .filter(record => record.result === 'failed' && record.log?.id)
+      .map(record => record.log.id));
+
+    const failed = logIds.filter(id => failedLogIds.has(id));
+    const selected = (failed.length > 0 ? failed : logIds).slice(-MAX_LOGS_PER_BUILD);
+
+    const logs = [];
+    for (const id of selected) {
+      const content = String(await client.getBuildLogContent(build.id, id) || '');
+      logs.push({
+        id,
+        text: content
+          .slice(-MAX_LOG_CHARS)
+          .replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z\s?/gm, '')
+      });
+    }
+
+    return { logs, timeline };
+  }
+
+  async testMemories(userId, draft, rules, limit) {
+    const memories = await Memory.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('content metadata type createdAt')
+      .lean();
+
+    const matches = [];
+    for (const memory of memories) {
+      const text = limitPatternInput(memory.content);
+      const found = this.findExcerpts(text, draft.pattern);
+      if (found.count === 0) continue;
+
+      const category = memory.metadata?.category || null;
+      matches.push({
+        memoryId: String(memory._id),
+        type: memory.metadata?.type || memory.type,
+        category,
+        createdAt: memory.createdAt,
+        matchCount: found.count,
+        excerpts: found.excerpts,
+        outcome: this.getOutcome(text, category, draft, rules)
+      });
+    }
+
+    return { scanned: memories.length, matches };
+  }
+
+  /**
+   * Where the pattern matches: the line, the text around the match, and the
+   * match's position within that text
+   */
+  findExcerpts(text, pattern) {
+    const scanner = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    const excerpts = [];
+    let count = 0;
+    let match;
+
+    while ((match = scanner.exec(text)) !== null && count < MAX_COUNTED_MATCHES) {
+      if (match[0] === '') scanner.lastIndex++;
+      count++;
+
+      if (excerpts.length < MAX_EXCERPTS) {
+        const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+        const lineEnd = text.indexOf('\n', match.index + match[0].length);
+        const start = Math.max(lineStart, match.index - EXCERPT_CONTEXT_CHARS);
+        const end = Math.min(
+          lineEnd === -1 ? text.length : lineEnd,
+          match.index + match[0].length + EXCERPT_CONTEXT_CHARS
+        );
+
+        excerpts.push({
+          line: text.slice(0, match.index).split('\n').length,
+          text: text.slice(start, Math.max(end, match.index + match[0].length)),
+          matchStart: match.index - start,
+          matchLength: match[0].length
+        });
+      }
+    }
+
+    return { count, excerpts };
+  }
+
+  /**
+   * The rule RuleEngine would pick for this text, and what the agent would do with it
+   */
+  getOutcome(text, category, draft, rules, facts = {}) {
+    const candidates = rules.filter(rule => !category || rule.category === category);
+    const best = ruleEngine.findMatches(text, candidates, facts)[0];
+
+    if (!best) {
+      return { isDraft: false, ruleId: null, decision: 'ai_fallback' };
+    }
+
+    let decision = 'ai_fallback';
+    if (best.confidence > RULE_CONFIDENCE_THRESHOLD) {
+      decision = best.autoFix ? 'auto' : best.confidence > CONFIDENT_THRESHOLD ? 'confident' : 'approval';
+    }
+
+    return {
+      isDraft: best === draft,
+      ruleId: best.id,
+      action: best.action,
+      confidence: best.confidence,
+      autoFix: Boolean(best.autoFix),
+      decision
+    };
+  }
+}
+
+export const ruleSandboxService = new RuleSandboxService();
+export default ruleSandboxService;
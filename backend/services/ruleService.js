@@ -0,0 +1,261 @@
+import { logger } from '../utils/logger.js';
+import { ruleEngine } from '../agents/RuleEngine.js';
+
+const EDITABLE_SCOPES = ['user', 'organization'];
+
+// How long a successful organization membership check is trusted
+const MEMBERSHIP_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Raised for rule requests the API should reject
+ */
+export class RuleError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'RuleError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Rule Service - the user's view of RuleEngine rules
+ *
+ * Users see the global rules overlaid with their organization's and their own.
+ * Global rules are read-only here; a user or organization rule with the same
+ * id replaces one, and disabling a global rule stores such an override.
+ */
+class RuleService {
+  constructor() {
+    this.memberships = new Map(); // `${userId}:${organization}` -> verified until (ms)
+  }
+
+  /**
+   * Rules visible to the user, each with its hit count since startup
+   */
+  async list(userId) {
+    const scope = await this.getScope(userId);
+
+    return ruleEngine.getVisibleRules(scope)
+      .map(rule => this.toResponse(rule))
+      .sort((a, b) => a.category.localeCompare(b.category) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Create a user or organization rule; reusing a global rule's id overrides it
+   */
+  async create(userId, data) {
+    const scope = await this.getScope(userId);
+    const owner = this.getOwner(scope, data.scope || 'user');
+    await this.assertCanEdit(userId, owner);
+
+    if (ruleEngine.getScopeRules(owner)?.has(data.id)) {
+      throw new RuleError(`Rule ${data.id} already exists`, 409);
+    }
+
+    const rule = await this.save({
+      ...data,
+      ...owner,
+      source: 'user',
+      createdBy: String(userId)
+    });
+
+    logger.info(`Rule created: ${rule.id}`, { scope: rule.scope, userId: String(userId) });
+    return this.toResponse(rule);
+  }
+
+  /**
+   * Change one of the user's own rules
+   * requestedScope picks between a user and an organization rule with the same id
+   */
+  async update(userId, id, changes, requestedScope = null) {
+    const scope = await this.getScope(userId);
+    const existing = this.getOwnRule(scope, id, requestedScope);
+    await this.assertCanEdit(userId, existing);
+
+    const rule = await this.save({
+      ...existing,
+      ...changes,
+      // null removes the pattern or the conditions; the current flags carry
+      // over to a new pattern unless they change too
+      pattern: changes.pattern !== undefined ? changes.pattern : existing.pattern?.source,
+      flags: changes.flags ?? existing.pattern?.flags,
+      conditions: changes.conditions !== undefined ? changes.conditions : existing.conditions
+    });
+
+    logger.info(`Rule updated: ${id}`, { scope: rule.scope, userId: String(userId) });
+    return this.toResponse(rule);
+  }
+
+  /**
+   * Enable or disable a rule; a global rule gets a user override instead
+   */
+  async setEnabled(userId, id, enabled, requestedScope = null) {
+    const scope = await this.getScope(userId);
+    const visible = ruleEngine.getRule(id, scope);
+
+    if (!visible) {
+      throw new RuleError(`Rule ${id} not found`, 404);
+    }
+
+    const existing = visible.scope === 'global' && !requestedScope
+      ? {
+        ...visible,
+        ...this.getOwner(scope, 'user'),
+        source: 'user',
+        createdBy: String(userId),
+        matchCount: 0,
+        createdAt: null
+      }
+      : this.getOwnRule(scope, id, requestedScope);
+    await this.assertCanEdit(userId, existing);
+
+    const rule = await this.save({
+      ...existing,
+      pattern: existing.pattern?.source,
+      flags: existing.pattern?.flags,
+      enabled
+    });
+
+    logger.info(`Rule ${enabled ? 'enabled' : 'disabled'}: ${id}`, { scope: rule.scope, userId: String(userId) });
+    return this.toResponse(rule);
+  }
+
+  /**
+   * Delete one of the user's own rules; a global rule it overrode applies again
+   */
+  async remove(userId, id, requestedScope = null) {
+    const scope = await this.getScope(userId);
+    const existing = this.getOwnRule(scope, id, requestedScope);
+    await this.assertCanEdit(userId, existing);
+
+    await ruleEngine.deleteRule(existing);
+
+    logger.info(`Rule deleted: ${id}`, { scope: existing.scope, userId: String(userId) });
+  }
+
+  /**
+   * The user's or organization's rule with this id, preferring the user's
+   */
+  getOwnRule(scope, id, requestedScope = null) {
+    const scopes = requestedScope ? [requestedScope] : EDITABLE_SCOPES;
+
+    for (const ruleScope of scopes) {
+      const owner = this.getOwner(scope, ruleScope);
+      const rule = ruleEngine.getScopeRules(owner)?.get(id);
+      if (rule) return rule;
+    }
+
+    if (!requestedScope && ruleEngine.getRule(id)) {
+      throw new RuleError(
+        `Rule ${id} is a global rule and cannot be changed; create a rule with the same id to override it`,
+        403
+      );
+    }
+
+    throw new RuleError(`Rule ${id} not found`, 404);
+  }
+
+  getOwner(scope, ruleScope) {
+    if (ruleScope === 'organization') {
+      if (!scope.organization) {
+        throw new RuleError('Organization rules require an Azure DevOps organization in your settings');
+      }
+      return { scope: 'organization', organization: scope.organization };
+    }
+
+    return { scope: 'user', userId: scope.userId };
+  }
+
+  /**
+   * Organization rules apply to everyone in the organization, so changing
+   * one takes a PAT that can read that organization's projects, not just its
+   * name in the user's settings
+   */
+  async assertCanEdit(userId, owner) {
+    if (owner.scope !== 'organization') return;
+
+    const key = `${userId}:${owner.organization}`;
+    if (this.memberships.get(key) > Date.now()) return;
+
+    const { getUserSettings } = await import('../utils/userSettings.js');
+    const settings = await getUserSettings(userId);
+    const config = settings.azureDevOps;
+
+    let projects = null;
+    if (config?.pat && config.organization === owner.organization) {
+      const { azureDevOpsClient } = await import('../devops/azureDevOpsClient.js');
+      projects = await azureDevOpsClient.createUserClient(config).getAllProjects().catch(() => null);
+    }
+
+    // Azure DevOps answers unauthenticated calls with a sign-in page, not a 401
+    if (!Array.isArray(projects?.value)) {
+      throw new RuleError(
+        `Organization rules require a Personal Access Token with access to ${owner.organization}`,
+        403
+      );
+    }
+
+    this.memberships.set(key, Date.now() + MEMBERSHIP_TTL_MS);
+  }
+
+  /**
+   * Store a rule, reporting one RuleEngine can't compile as a validation error
+   */
+  async save(rule) {
+    this.compile(rule);
+    return ruleEngine.saveRule(rule);
+  }
+
+  compile(rule) {
+    try {
+      return ruleEngine.createEntry(rule);
+    } catch (error) {
+      if (error.errors) {
+        throw new RuleError('Rule conditions are invalid', 400, { conditions: error.errors });
+      }
+      if (error instanceof SyntaxError) {
+        throw new RuleError('Pattern is not a valid regular expression', 400, { pattern: error.message });
+      }
+      throw new RuleError(error.message);
+    }
+  }
+
+  async getScope(userId) {
+    const { getUserSettings } = await import('../utils/userSettings.js');
+    const settings = await getUserSettings(userId);
+
+    return {
+      userId: String(userId),
+      organization: settings.azureDevOps?.organization || null
+    };
+  }
+
+  toResponse(rule) {
+    return {
+      id: rule.id,
+      scope: rule.scope,
+      category: rule.category,
+      pattern: rule.pattern?.source ?? null,
+      flags: rule.pattern?.flags ?? null,
+      conditions: rule.conditions,
+      action: rule.action,
+      confidence: rule.confidence,
+      solution: rule.solution,
+      autoFix: Boolean(rule.autoFix),
+      enabled: rule.enabled,
+      source: rule.source,
+      approvedBy: rule.approvedBy || null,
+      approvedAt: rule.approvedAt || null,
+      editable: rule.scope !== 'global',
+      hits: ruleEngine.stats.ruleHits[rule.key] || 0,
+      matchCount: rule.matchCount || 0,
+      lastMatchedAt: rule.lastMatchedAt || null,
+      createdAt: rule.createdAt,
+      updatedAt: rule.updatedAt
+    };
+  }
+}
+
+export const ruleService = new RuleService();
+export default ruleService;
@@ -0,0 +1,180 @@
+import { logger } from '../utils/logger.js';
+
+const FIELDS = {
+  state: 'System.State',
+  assignedTo: 'System.AssignedTo',
+  priority: 'Microsoft.VSTS.Common.Priority'
+};
+
+// Attempts when the item changes between reading it and writing to it
+const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * Raised for work item updates the API should reject
+ */
+export class WorkItemUpdateError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'WorkItemUpdateError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Work Item Update Service - JSON Patch updates with revision checks
+ *
+ * Every patch starts with a `test` of the revision it was built from. Callers
+ * that pass the revision they saw (the UI) get a 409 when the item has moved
+ * on; callers that don't (agents) re-read the item and try again, so tag
+ * merges never drop someone else's edit.
+ */
+class WorkItemUpdateService {
+  /**
+   * Apply changes to a work item and return the updated item
+   * changes: { state, assignedTo, priority, tags, addTags, removeTags, comment }
+   * options: { rev }
+   */
+  async update(client, id, changes, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const item = await this.getWorkItem(client, id);
+
+      if (options.rev !== undefined && item.rev !== options.rev) {
+        throw this.conflictError(id, item);
+      }
+
+      const operations = this.buildOperations(item, changes);
+      if (operations.length === 0) {
+        return item;
+      }
+
+      try {
+        const updated = await client.updateWorkItem(id, [
+          { op: 'test', path: '/rev', value: item.rev },
+          ...operations
+        ]);
+
+        logger.info(`Updated work item ${id}`, {
+          rev: updated.rev,
+          fields: operations.map(operation => operation.path)
+        });
+
+        return updated;
+      } catch (error) {
+        if (!this.isRevisionConflict(error)) {
+          throw this.toUpdateError(id, error);
+        }
+
+        if (options.rev !== undefined || attempt >= MAX_CONFLICT_RETRIES) {
+          throw this.conflictError(id);
+        }
+
+        logger.info(`Work item ${id} changed while updating, retrying (attempt ${attempt + 1})`);
+      }
+    }
+  }
+
+  async getWorkItem(client, id) {
+    // Azure DevOps answers 404 for an id that doesn't exist
+    const result = await client.getWorkItems([id]).catch(error => {
+      throw this.toUpdateError(id, error);
+    });
+    const item = result.value?.[0];
+
+    if (!item) {
+      throw new WorkItemUpdateError(`Work item ${id} not found`, 404);
+    }
+
+    return item;
+  }
+
+  /**
+   * Patch operations for the fields that actually change
+   */
+  buildOperations(item, changes) {
+    const fields = item.fields || {};
+    const operations = [];
+
+    if (changes.state !== undefined && changes.state !== fields[FIELDS.state]) {
+      operations.push({ op: 'add', path: `/fields/${FIELDS.state}`, value: changes.state });
+    }
+
+    if (changes.priority !== undefined && changes.priority !== fields[FIELDS.priority]) {
+      operations.push({ op: 'add', path: `/fields/${FIELDS.priority}`, value: changes.priority });
+    }
+
+    if (changes.assignedTo !== undefined) {
+      // Azure DevOps accepts either the display name or the unique name
+      const current = fields[FIELDS.assignedTo];
+      const isCurrent = [current?.uniqueName, current?.displayName]
+        .some(name => name && name.toLowerCase() === changes.assignedTo.toLowerCase());
+
+      if (!changes.assignedTo && current) {
+        operations.push({ op: 'remove', path: `/fields/${FIELDS.assignedTo}` });
+      } else if (changes.assignedTo && !isCurrent) {
+        operations.push({ op: 'add', path: `/fields/${FIELDS.assignedTo}`, value: changes.assignedTo });
+      }
+    }
+
+    const currentTags = this.parseTags(fields['System.Tags']);
+    const tags = this.mergeTags(currentTags, changes);
+    if (tags.join(';').toLowerCase() !== currentTags.join(';').toLowerCase()) {
+      operations.push({ op: 'add', path: '/fields/System.Tags', value: tags.join('; ') });
+    }
+
+    if (changes.comment) {
+      operations.push({ op: 'add', path: '/fields/System.History', value: changes.comment });
+    }
+
+    return operations;
+  }
+
+  parseTags(value) {
+    return (value || '').split(';').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  /**
+   * `tags` replaces the set; addTags/removeTags adjust it (case-insensitively)
+   */
+  mergeTags(currentTags, { tags, addTags = [], removeTags = [] }) {
+    const result = tags ? [...tags] : [...currentTags];
+    const has = (list, tag) => list.some(existing => existing.toLowerCase() === tag.toLowerCase());
+
+    for (const tag of addTags) {
+      if (!has(result, tag)) result.push(tag);
+    }
+
+    return result.filter(tag => !has(removeTags, tag));
+  }
+
+  isRevisionConflict(error) {
+    const status = error.response?.status;
+    const message = error.response?.data?.message || '';
+    return status === 409 || status === 412 || (status === 400 && /test operation|\brev\b|revision/i.test(message));
+  }
+
+  /**
+   * The current item is included when known, so the caller can reload from it
+   */
+  conflictError(id, current = null) {
+    return new WorkItemUpdateError(
+      `Work item ${id} was changed by someone else; reload it and try again`,
+      409,
+      current && { rev: current.rev, workItem: current }
+    );
+  }
+
+  /**
+   * Azure DevOps rejects invalid values (unknown state, user, ...) with a 400
+   */
+  toUpdateError(id, error) {
+    const status = error.response?.status;
+    if (status === 400 || status === 404) {
+      return new WorkItemUpdateError(error.response.data?.message || `Work item ${id} could not be updated`, status);
+    }
+    return error;
+  }
+}
+
+export const workItemUpdateService = new WorkItemUpdateService();
+export default workItemUpdateService;
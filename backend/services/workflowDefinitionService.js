@@ -0,0 +1,269 @@
+import { v4 as uuid } from 'uuid';
+import { logger } from '../utils/logger.js';
+import WorkflowDefinition from '../models/WorkflowDefinition.js';
+import WorkflowSchedule from '../models/WorkflowSchedule.js';
+import { workflowEngine } from '../workflows/SimpleWorkflowEngine.js';
+import { workflowValidator } from '../workflows/WorkflowValidator.js';
+import { workflowScheduler } from '../workflows/WorkflowScheduler.js';
+import { workflowSimulator } from '../workflows/WorkflowSimulator.js';
+
+/**
+ * Raised for workflow definition requests the API should reject
+ */
+export class WorkflowDefinitionError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'WorkflowDefinitionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Stores user-authored workflows and keeps workflowEngine in sync with them
+ */
+class WorkflowDefinitionService {
+  /**
+   * Register every stored definition (called on startup)
+   */
+  async loadAll() {
+    const definitions = await WorkflowDefinition.find({}).lean();
+    let loaded = 0;
+
+    for (const definition of definitions) {
+      try {
+        workflowEngine.register(this.toWorkflow(definition));
+        loaded++;
+      } catch (error) {
+        logger.error(`Failed to load user workflow ${definition.id}:`, error);
+      }
+    }
+
+    logger.info(`Loaded ${loaded} user workflows`);
+    return loaded;
+  }
+
+  /**
+   * Built-in workflows plus the user's own definitions
+   */
+  async list(userId) {
+    const definitions = await WorkflowDefinition.find({ userId }).sort({ createdAt: -1 }).lean();
+
+    const builtIn = Array.from(workflowEngine.workflows.values())
+      .filter(workflow => !workflow.userId)
+      .map(workflow => ({
+        id: workflow.id,
+        name: workflow.name,
+        description: workflow.description,
+        enabled: workflow.enabled !== false,
+        trigger: workflow.trigger,
+        steps: workflow.steps,
+        resumePolicy: workflow.resumePolicy || 'fail',
+        builtIn: true
+      }));
+
+    return [...builtIn, ...definitions.map(definition => this.toResponse(definition))];
+  }
+
+  /**
+   * Get one of the user's definitions
+   */
+  async get(userId, id) {
+    const definition = await WorkflowDefinition.findOne({ userId, id }).lean();
+    if (!definition) {
+      throw new WorkflowDefinitionError(`Workflow ${id} not found`, 404);
+    }
+    return this.toResponse(definition);
+  }
+
+  /**
+   * Validate, store and register a new definition
+   */
+  async create(userId, data) {
+    const definition = { ...data, id: uuid(), userId: String(userId), enabled: data.enabled !== false };
+    this.assertValid(definition);
+
+    let saved;
+    try {
+      saved = await WorkflowDefinition.create(definition);
+    } catch (error) {
+      throw this.translateSaveError(error, definition.name);
+    }
+
+    const stored = saved.toObject();
+    await this.activate(stored);
+
+    logger.info(`User workflow created: ${stored.id}`, { userId: String(userId), name: stored.name });
+    return this.toResponse(stored);
+  }
+
+  /**
+   * Replace a definition and re-register it
+   */
+  async update(userId, id, data) {
+    const existing = await WorkflowDefinition.findOne({ userId, id }).lean();
+    if (!existing) {
+      throw new WorkflowDefinitionError(`Workflow ${id} not found`, 404);
+    }
+
+    const definition = {
+      ...data,
+      id,
+      userId: String(userId),
+      enabled: data.enabled ?? existing.enabled
+    };
+    this.assertValid(definition);
+
+    let updated;
+    try {
+      updated = await WorkflowDefinition.findOneAndUpdate(
+        { userId, id },
+        {
+          $set: {
+            name: definition.name,
+            description: definition.description ?? null,
+            enabled: definition.enabled,
+            trigger: definition.trigger,
+            steps: definition.steps,
+            stepDefaults: definition.stepDefaults ?? null,
+            maxParallel: definition.maxParallel ?? null,
+            resumePolicy: definition.resumePolicy ?? 'fail'
+          },
+          $inc: { version: 1 }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      throw this.translateSaveError(error, definition.name);
+    }
+
+    await this.activate(updated);
+
+    logger.info(`User workflow updated: ${id}`, { userId: String(userId), version: updated.version });
+    return this.toResponse(updated);
+  }
+
+  /**
+   * Enable or disable a definition without changing it
+   */
+  async setEnabled(userId, id, enabled) {
+    const updated = await WorkflowDefinition.findOneAndUpdate(
+      { userId, id },
+      { $set: { enabled } },
+      { new: true }
+    ).lean();
+
+    if (!updated) {
+      throw new WorkflowDefinitionError(`Workflow ${id} not found`, 404);
+    }
+
+    await this.activate(updated);
+
+    logger.info(`User workflow ${enabled ? 'enabled' : 'disabled'}: ${id}`, { userId: String(userId) });
+    return this.toResponse(updated);
+  }
+
+  /**
+   * Delete a definition, its schedule and its registration
+   * Executions already running finish normally
+   */
+  async remove(userId, id) {
+    const deleted = await WorkflowDefinition.findOneAndDelete({ userId, id }).lean();
+    if (!deleted) {
+      throw new WorkflowDefinitionError(`Workflow ${id} not found`, 404);
+    }
+
+    workflowScheduler.stopJob(workflowScheduler.getKey(String(userId), id));
+    await WorkflowSchedule.deleteMany({ userId, workflowId: id });
+    workflowEngine.unregister(id);
+
+    logger.info(`User workflow deleted: ${id}`, { userId: String(userId) });
+  }
+
+  /**
+   * Dry-run a built-in workflow or one of the user's own against a payload
+   */
+  async simulate(userId, id, data) {
+    const workflow = workflowEngine.workflows.get(id);
+    if (!workflow || (workflow.userId && workflow.userId !== String(userId))) {
+      throw new WorkflowDefinitionError(`Workflow ${id} not found`, 404);
+    }
+
+    return workflowSimulator.simulate(workflow, { ...data, userId: String(userId) });
+  }
+
+  /**
+   * Throw a 400 listing every validation problem
+   */
+  assertValid(definition) {
+    const { valid, errors } = workflowValidator.validate(definition);
+    if (!valid) {
+      throw new WorkflowDefinitionError('Workflow definition is invalid', 400, errors);
+    }
+  }
+
+  /**
+   * Hot-register a stored definition and sync its schedule
+   */
+  async activate(definition) {
+    const workflow = this.toWorkflow(definition);
+    const userId = workflow.userId;
+
+    workflowEngine.register(workflow);
+
+    if (workflow.enabled && workflow.trigger.type === 'schedule') {
+      await workflowScheduler.updateSchedule(userId, workflow.id, {
+        enabled: true,
+        cron: workflow.trigger.cron,
+        timezone: workflow.trigger.timezone || null
+      });
+    } else {
+      workflowScheduler.stopJob(workflowScheduler.getKey(userId, workflow.id));
+    }
+  }
+
+  /**
+   * Map duplicate-name errors to 409
+   */
+  translateSaveError(error, name) {
+    if (error.code === 11000) {
+      return new WorkflowDefinitionError(`A workflow named '${name}' already exists`, 409);
+    }
+    return error;
+  }
+
+  /**
+   * Engine representation of a stored definition
+   */
+  toWorkflow(definition) {
+    return {
+      id: definition.id,
+      userId: String(definition.userId),
+      name: definition.name,
+      description: definition.description,
+      enabled: definition.enabled !== false,
+      trigger: definition.trigger,
+      steps: definition.steps,
+      resumePolicy: definition.resumePolicy || 'fail',
+      ...(definition.stepDefaults ? { stepDefaults: definition.stepDefaults } : {}),
+      ...(definition.maxParallel ? { maxParallel: definition.maxParallel } : {})
+    };
+  }
+
+  /**
+   * API representation of a stored definition
+   */
+  toResponse(definition) {
+    return {
+      ...this.toWorkflow(definition),
+      version: definition.version,
+      builtIn: false,
+      registered: workflowEngine.workflows.has(definition.id),
+      createdAt: definition.createdAt,
+      updatedAt: definition.updatedAt
+    };
+  }
+}
+
+export const workflowDefinitionService = new WorkflowDefinitionService();
+export default workflowDefinitionService;
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { UserSettings } from '../../models/UserSettings.js';
+import { executeAgent } from '../../agents/ExecuteAgent.js';
+
+const userId = '64b000000000000000000001';
+
+const workItem = (tags = '') => ({ id: 42, fields: { 'System.Tags': tags } });
+
+describe('ExecuteAgent work item actions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports update_failed when Azure DevOps is not configured', async () => {
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({ userId }));
+
+    const result = await executeAgent.executeAction('assign_to_lead', 'Delegate', { workItem: workItem(), userId });
+
+    expect(result).toMatchObject({
+      status: 'update_failed',
+      action: 'assign_to_lead',
+      workItemId: 42,
+      reason: 'Azure DevOps configuration required'
+    });
+  });
+
+  it('assigns the item to the lead', async () => {
+    const client = {
+      getWorkItems: jest.fn().mockResolvedValue({ value: [{ id: 42, rev: 3, fields: {} }] }),
+      updateWorkItem: jest.fn().mockResolvedValue({ id: 42, rev: 4 })
+    };
+
+    const result = await executeAgent.executeAction('assign_to_lead', 'Delegate', {
+      workItem: workItem(), userId, lead: 'lead@contoso.com', client
+    });
+
+    expect(result).toMatchObject({ status: 'work_item_updated', rev: 4 });
+    expect(client.updateWorkItem.mock.calls[0][1]).toContainEqual(
+      { op: 'add', path: '/fields/System.AssignedTo', value: 'lead@contoso.com' }
+    );
+  });
+
+  it('does not flag an item for assignment twice', async () => {
+    const result = await executeAgent.executeAction('assign_to_lead', 'Delegate', {
+      workItem: workItem('Needs-Assignment; frontend'), userId
+    });
+
+    expect(result.status).toBe('action_skipped');
+  });
+});
+
+describe('ExecuteAgent.createBug', () => {
+  it('does not file a bug for a failure that is not recurring yet', async () => {
+    const result = await executeAgent.createBug({
+      build: { id: 42 },
+      userId,
+      recurrence: { signature: 'abc123def456', occurrences: 2, recurring: false }
+    });
+
+    expect(result).toMatchObject({ status: 'action_skipped', action: 'create_bug' });
+    expect(result.reason).toMatch(/seen 2 times; not recurring yet/);
+  });
+});
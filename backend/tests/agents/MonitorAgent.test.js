@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals';
+import FailureSignature from '../../models/FailureSignature.js';
+import { monitorAgent } from '../../agents/MonitorAgent.js';
+
+const build = (id, fields = {}) => ({ id, definition: { id: 7, name: 'web-ci' }, ...fields });
+
+const lean = value => ({ lean: async () => value });
+
+describe('MonitorAgent failure recurrence', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the same signature to errors that differ only in numbers, ids and hashes', () => {
+    const first = monitorAgent.getFailureSignature(build(1), 'Timeout after 300 ms in job 5f3a9c2e-1b2d-4e5f-8a9b-0c1d2e3f4a5b (commit 3fa85f6457174562)');
+    const second = monitorAgent.getFailureSignature(build(2), 'Timeout after 450 ms in job 0a1b2c3d-4e5f-6a7b-8c9d-0e1f2a3b4c5d (commit 9be41c2d3e4f5a6b)');
+    const otherPipeline = monitorAgent.getFailureSignature(build(3, { definition: { id: 8 } }), 'Timeout after 300 ms');
+
+    expect(first).toBe(second);
+    expect(otherPipeline).not.toBe(monitorAgent.getFailureSignature(build(3), 'Timeout after 300 ms'));
+  });
+
+  it('reports a failure as recurring from its third occurrence', async () => {
+    jest.spyOn(FailureSignature, 'findOne').mockReturnValue(lean({ occurrences: 2, buildIds: [40, 41], lastSeen: new Date() }));
+    const update = jest.spyOn(FailureSignature, 'findOneAndUpdate').mockReturnValue(lean({ occurrences: 3, firstSeen: new Date(), bug: { id: 90 } }));
+
+    const recurrence = await monitorAgent.trackFailure(build(42), 'npm ERR!', 'user-1');
+
+    expect(update.mock.calls[0][1]).toMatchObject({ $inc: { occurrences: 1 } });
+    expect(recurrence).toMatchObject({ occurrences: 3, recurring: true, bugId: 90 });
+    expect(recurrence.tag).toBe(`failure-sig-${recurrence.signature}`);
+  });
+
+  it('counts a build only once', async () => {
+    jest.spyOn(FailureSignature, 'findOne').mockReturnValue(lean({ occurrences: 2, buildIds: [41, 42], lastSeen: new Date() }));
+    const update = jest.spyOn(FailureSignature, 'findOneAndUpdate');
+
+    const recurrence = await monitorAgent.trackFailure(build(42), 'npm ERR!', 'user-1');
+
+    expect(update).not.toHaveBeenCalled();
+    expect(recurrence).toMatchObject({ occurrences: 2, recurring: false });
+  });
+
+  it('starts over after a signature has not been seen for a week', async () => {
+    const lastSeen = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    jest.spyOn(FailureSignature, 'findOne').mockReturnValue(lean({ occurrences: 5, buildIds: [30], lastSeen }));
+    const update = jest.spyOn(FailureSignature, 'findOneAndUpdate').mockReturnValue(lean({ occurrences: 1 }));
+
+    const recurrence = await monitorAgent.trackFailure(build(42), 'npm ERR!', 'user-1');
+
+    expect(update.mock.calls[0][1].$set).toMatchObject({ occurrences: 1, buildIds: [42] });
+    expect(recurrence.recurring).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+import { ruleConditions } from '../../agents/RuleConditions.js';
+
+const matches = (conditions, facts) => ruleConditions.evaluate(ruleConditions.compile(conditions), facts);
+
+describe('RuleConditions', () => {
+  describe('validate', () => {
+    it('rejects unknown fields and operators that do not fit the field', () => {
+      const { valid, errors } = ruleConditions.validate({
+        all: [
+          { field: 'build.colour', operator: 'equals', value: 'red' },
+          { field: 'pr.fileCount', operator: 'matches', value: '^1' }
+        ]
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        "conditions.all[0]: unknown field 'build.colour'",
+        "conditions.all[1]: 'matches' cannot be used with pr.fileCount"
+      ]);
+    });
+
+    it('rejects empty groups and groups nested too deep', () => {
+      expect(ruleConditions.validate({ all: [] }).valid).toBe(false);
+
+      const leaf = { field: 'workItem.priority', operator: 'equals', value: 1 };
+      const nested = { all: [{ any: [{ all: [{ any: [{ all: [leaf] }] }] }] }] };
+      expect(ruleConditions.validate(nested).errors[0]).toMatch(/nested at most 4 deep/);
+    });
+
+    it('rejects unsafe patterns', () => {
+      const { valid, errors } = ruleConditions.validate({
+        all: [{ field: 'build.definition', operator: 'matches', value: '(a+)+$' }]
+      });
+
+      expect(valid).toBe(false);
+      expect(errors[0]).toMatch(/backtrack catastrophically/);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('compares branches without refs/heads/ and case-insensitively', () => {
+      const facts = { 'build.branch': 'refs/heads/Main' };
+
+      expect(matches({ all: [{ field: 'build.branch', operator: 'equals', value: 'main' }] }, facts)).toBe(true);
+      expect(matches({ all: [{ field: 'build.branch', operator: 'matches', value: '^main$' }] }, facts)).toBe(true);
+      expect(matches({ all: [{ field: 'build.branch', operator: 'matches', value: '^refs/heads/main$' }] }, facts)).toBe(false);
+    });
+
+    it('combines all and any groups', () => {
+      const conditions = {
+        all: [
+          { field: 'workItem.type', operator: 'in', value: ['Bug', 'Issue'] },
+          { any: [
+            { field: 'workItem.priority', operator: 'lte', value: 1 },
+            { field: 'build.stage', operator: 'contains', value: 'deploy' }
+          ] }
+        ]
+      };
+
+      expect(matches(conditions, { 'workItem.type': 'bug', 'workItem.priority': 1 })).toBe(true);
+      expect(matches(conditions, { 'workItem.type': 'bug', 'workItem.priority': 3 })).toBe(false);
+      expect(matches(conditions, { 'workItem.type': 'task', 'workItem.priority': 1 })).toBe(false);
+    });
+
+    it('needs every value to pass a negative operator', () => {
+      const conditions = { all: [{ field: 'build.stage', operator: 'notEquals', value: 'test' }] };
+
+      expect(matches(conditions, { 'build.stage': ['Build', 'Deploy'] })).toBe(true);
+      expect(matches(conditions, { 'build.stage': ['Build', 'Test'] })).toBe(false);
+    });
+
+    it('does not match a missing fact', () => {
+      expect(matches({ all: [{ field: 'build.definition', operator: 'notEquals', value: 'ci' }] }, {})).toBe(false);
+    });
+
+    it('handles hour ranges that wrap past midnight in the condition timezone', () => {
+      const nights = {
+        all: [{ field: 'time.hour', operator: 'between', value: [22, 6], timezone: 'America/New_York' }]
+      };
+
+      expect(matches(nights, { now: '2024-01-15T04:00:00Z' })).toBe(true); // 23:00 in New York
+      expect(matches(nights, { now: '2024-01-15T17:00:00Z' })).toBe(false); // 12:00 in New York
+    });
+
+    it('does not match an hour of an invalid timestamp', () => {
+      const conditions = { all: [{ field: 'time.hour', operator: 'between', value: [0, 23] }] };
+
+      expect(() => matches(conditions, { now: 'not a date' })).not.toThrow();
+      expect(matches(conditions, { now: 'not a date' })).toBe(false);
+    });
+  });
+
+  describe('getFacts', () => {
+    it('collects build facts from the failed timeline records', () => {
+      const facts = ruleConditions.getFacts({
+        data: {
+          build: { definition: { name: 'ci' }, sourceBranch: 'refs/heads/main', finishTime: '2024-01-15T04:00:00Z' },
+          timeline: {
+            records: [
+              { type: 'Stage', name: 'Test', result: 'failed' },
+              { type: 'Task', name: 'npm test', result: 'failed' },
+              { type: 'Stage', name: 'Build', result: 'succeeded' }
+            ]
+          }
+        },
+        facts: { 'build.definition': 'override' }
+      });
+
+      expect(facts).toEqual({
+        'build.definition': 'override',
+        'build.branch': 'refs/heads/main',
+        'build.stage': ['Test'],
+        'build.task': ['npm test'],
+        now: '2024-01-15T04:00:00Z'
+      });
+    });
+  });
+});
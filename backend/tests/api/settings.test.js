@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { User } from '../../models/User.js';
+import { UserSettings } from '../../models/UserSettings.js';
+import { security } from '../../config/env.js';
+import { configLoader } from '../../config/settings.js';
+import { generateToken } from '../../middleware/auth.js';
+import { apiRoutes } from '../../api/routes.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+const admin = { _id: '64b000000000000000000001', email: 'admin@example.com' };
+const member = { _id: '64b000000000000000000002', email: 'member@example.com' };
+
+const as = user => `Bearer ${generateToken(user._id)}`;
+
+describe('settings API', () => {
+  let updateRuntimeSettings;
+
+  beforeAll(() => {
+    security.adminEmails.push(admin.email);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: async () => [admin, member].find(user => user._id === id) || null
+    }));
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({ userId: member._id }));
+    jest.spyOn(UserSettings.prototype, 'save').mockResolvedValue({});
+    jest.spyOn(configLoader, 'getRuntimeSettings').mockReturnValue({ ai: { provider: 'gemini' }, memory: { vectorSearch: 'atlas' } });
+    updateRuntimeSettings = jest.spyOn(configLoader, 'updateRuntimeSettings').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    security.adminEmails.splice(security.adminEmails.indexOf(admin.email), 1);
+  });
+
+  it('reports the memory settings and whether the user may change them', async () => {
+    const asMember = await request(app).get('/api/settings').set('Authorization', as(member));
+    const asAdmin = await request(app).get('/api/settings').set('Authorization', as(admin));
+
+    expect(asMember.status).toBe(200);
+    expect(asMember.body.memory).toEqual(expect.objectContaining({ canEdit: false }));
+    expect(asMember.body.memory.embeddingProvider).toMatch(/^(huggingface|local)$/);
+    expect(asAdmin.body.memory.canEdit).toBe(true);
+  });
+
+  it('lets an admin switch the embedding provider for the instance', async () => {
+    const response = await request(app)
+      .put('/api/settings')
+      .set('Authorization', as(admin))
+      .send({ memory: { embeddingProvider: 'local' } });
+
+    expect(response.status).toBe(200);
+    expect(updateRuntimeSettings).toHaveBeenCalledWith({
+      ai: { provider: 'gemini' },
+      memory: { vectorSearch: 'atlas', embeddingProvider: 'local' }
+    });
+  });
+
+  it('refuses memory settings from other users', async () => {
+    const response = await request(app)
+      .put('/api/settings')
+      .set('Authorization', as(member))
+      .send({ memory: { embeddingProvider: 'local' } });
+
+    expect(response.status).toBe(403);
+    expect(updateRuntimeSettings).not.toHaveBeenCalled();
+    expect(UserSettings.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown embedding providers', async () => {
+    const response = await request(app)
+      .put('/api/settings')
+      .set('Authorization', as(admin))
+      .send({ memory: { embeddingProvider: 'openai' } });
+
+    expect(response.status).toBe(400);
+    expect(updateRuntimeSettings).not.toHaveBeenCalled();
+  });
+});
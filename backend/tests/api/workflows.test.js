@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { User } from '../../models/User.js';
+import WorkflowExecution from '../../models/WorkflowExecution.js';
+import { generateToken } from '../../middleware/auth.js';
+import { workflowEngine } from '../../workflows/SimpleWorkflowEngine.js';
+import { apiRoutes } from '../../api/routes.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+const alice = { _id: '64b000000000000000000001', email: 'alice@example.com' };
+const bob = { _id: '64b000000000000000000002', email: 'bob@example.com' };
+
+const as = user => `Bearer ${generateToken(user._id)}`;
+
+const execution = (fields = {}) => new WorkflowExecution({
+  id: 'exec-1',
+  workflowId: 'build-failure',
+  userId: alice._id,
+  status: 'failed',
+  startTime: new Date('2024-01-15T10:00:00Z'),
+  steps: [{ id: 'analyze', status: 'failed', input: { buildId: 42 }, error: 'boom' }],
+  ...fields
+});
+
+describe('workflow executions API', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: async () => [alice, bob].find(user => user._id === id) || null
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /workflows/executions', () => {
+    it('pages through the user\'s executions with the given filters', async () => {
+      const query = jest.spyOn(workflowEngine, 'queryExecutions')
+        .mockResolvedValue({ executions: [{ id: 'exec-1', workflowId: 'unknown-workflow' }], total: 45 });
+
+      const res = await request(app)
+        .get('/api/workflows/executions?workflowId=build-failure&status=failed&from=2024-01-01&page=2&limit=20')
+        .set('Authorization', as(alice));
+
+      expect(res.status).toBe(200);
+      expect(query).toHaveBeenCalledWith(
+        { userId: alice._id, workflowId: 'build-failure', status: 'failed', from: new Date('2024-01-01'), to: null },
+        { page: 2, limit: 20 }
+      );
+      expect(res.body.executions[0].workflowName).toBe('unknown-workflow');
+      expect(res.body.pagination).toEqual({ page: 2, limit: 20, total: 45, totalPages: 3 });
+    });
+
+    it('caps the page size', async () => {
+      const query = jest.spyOn(workflowEngine, 'queryExecutions').mockResolvedValue({ executions: [], total: 0 });
+
+      await request(app).get('/api/workflows/executions?limit=500').set('Authorization', as(alice));
+
+      expect(query).toHaveBeenCalledWith(expect.anything(), { page: 1, limit: 100 });
+    });
+
+    it('rejects an unknown status and invalid dates', async () => {
+      const query = jest.spyOn(workflowEngine, 'queryExecutions');
+
+      const status = await request(app).get('/api/workflows/executions?status=stuck').set('Authorization', as(alice));
+      const date = await request(app).get('/api/workflows/executions?from=yesterday').set('Authorization', as(alice));
+
+      expect(status.status).toBe(400);
+      expect(date.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /workflows/executions/:id', () => {
+    it('returns the steps with their inputs and errors', async () => {
+      jest.spyOn(WorkflowExecution, 'findOne').mockResolvedValue(execution());
+
+      const res = await request(app).get('/api/workflows/executions/exec-1').set('Authorization', as(alice));
+
+      expect(res.status).toBe(200);
+      expect(res.body.execution.steps[0]).toMatchObject({ id: 'analyze', input: { buildId: 42 }, error: 'boom' });
+    });
+
+    it('answers 404 for another user\'s execution', async () => {
+      jest.spyOn(WorkflowExecution, 'findOne').mockResolvedValue(execution());
+
+      const res = await request(app).get('/api/workflows/executions/exec-1').set('Authorization', as(bob));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /workflows/executions/:id/approve', () => {
+    const paused = () => execution({
+      status: 'paused',
+      steps: [{ id: 'gate', status: 'waiting', approval: { message: 'Retry?' } }]
+    });
+
+    it('decides the only waiting step as the signed-in user', async () => {
+      jest.spyOn(WorkflowExecution, 'findOne').mockResolvedValue(paused());
+      const decide = jest.spyOn(workflowEngine, 'decideApproval').mockResolvedValue({ id: 'gate', status: 'completed' });
+
+      const res = await request(app)
+        .post('/api/workflows/executions/exec-1/approve')
+        .set('Authorization', as(alice))
+        .send({ approved: true, comment: 'go' });
+
+      expect(res.status).toBe(200);
+      expect(decide).toHaveBeenCalledWith('exec-1', 'gate', { approved: true, comment: 'go', decidedBy: alice.email });
+    });
+
+    it('answers 409 when the step was decided concurrently', async () => {
+      jest.spyOn(WorkflowExecution, 'findOne').mockResolvedValue(paused());
+      jest.spyOn(workflowEngine, 'decideApproval').mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/workflows/executions/exec-1/approve')
+        .set('Authorization', as(alice))
+        .send({ approved: false });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('does not let another user decide', async () => {
+      jest.spyOn(WorkflowExecution, 'findOne').mockResolvedValue(paused());
+      const decide = jest.spyOn(workflowEngine, 'decideApproval');
+
+      const res = await request(app)
+        .post('/api/workflows/executions/exec-1/approve')
+        .set('Authorization', as(bob))
+        .send({ approved: true });
+
+      expect(res.status).toBe(404);
+      expect(decide).not.toHaveBeenCalled();
+    });
+
+    it('answers 400 when no step is waiting', async () => {
+      jest.spyOn(WorkflowExecution, 'findOne').mockResolvedValue(execution());
+
+      const res = await request(app)
+        .post('/api/workflows/executions/exec-1/approve')
+        .set('Authorization', as(alice))
+        .send({ approved: true });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { jest } from '@jest/globals';
+import Pattern from '../../models/Pattern.js';
+import { patternTracker } from '../../learning/PatternTracker.js';
+
+const task = { type: 'build_failure', category: 'build', description: 'npm ERR! cannot find module express' };
+
+describe('PatternTracker.trackFeedback', () => {
+  beforeEach(() => {
+    jest.spyOn(Pattern.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('starts a pattern from the first verdict on a solution', async () => {
+    jest.spyOn(Pattern, 'findOne').mockResolvedValue(null);
+
+    const pattern = await patternTracker.trackFeedback(task, 'Add express to dependencies', true);
+
+    expect(pattern).toMatchObject({ type: 'build_failure', solution: 'Add express to dependencies', confirmedCount: 1 });
+    expect(pattern.metadata.source).toBe('feedback');
+  });
+
+  it('moves confidence with human verdicts and back when one is taken back', async () => {
+    const stored = new Pattern({
+      signature: 'sig', type: 'build_failure', category: 'build', pattern: 'npm', solution: 'Retry',
+      successCount: 2, failureCount: 2, confirmedCount: 0, rejectedCount: 0
+    });
+    stored.confidence = patternTracker.calculateConfidence(stored);
+    const before = stored.confidence;
+    jest.spyOn(Pattern, 'findOne').mockResolvedValue(stored);
+
+    await patternTracker.trackFeedback(task, 'Retry', false);
+    expect(stored.rejectedCount).toBe(1);
+    expect(stored.confidence).toBeLessThan(before);
+
+    await patternTracker.trackFeedback(task, 'Retry', false, { undo: true });
+    expect(stored.rejectedCount).toBe(0);
+    expect(stored.confidence).toBe(before);
+  });
+
+  it('does not create a pattern when taking back a verdict it never saw', async () => {
+    jest.spyOn(Pattern, 'findOne').mockResolvedValue(null);
+
+    expect(await patternTracker.trackFeedback(task, 'Retry', true, { undo: true })).toBeNull();
+    expect(Pattern.prototype.save).not.toHaveBeenCalled();
+  });
+});
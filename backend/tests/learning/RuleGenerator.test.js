@@ -0,0 +1,18 @@
+import { ruleGenerator } from '../../learning/RuleGenerator.js';
+
+const pattern = (fields = {}) => ({ type: 'build_failure', successCount: 0, confirmedCount: 0, rejectedCount: 0, ...fields });
+
+describe('RuleGenerator.isPromotable', () => {
+  it('promotes a pattern people have confirmed even without automatic successes', () => {
+    expect(ruleGenerator.isPromotable(pattern({ confirmedCount: 1 }), 5)).toBe(false);
+    expect(ruleGenerator.isPromotable(pattern({ confirmedCount: 2 }), 5)).toBe(true);
+  });
+
+  it('holds back a pattern people rejected more often than they confirmed', () => {
+    expect(ruleGenerator.isPromotable(pattern({ successCount: 10, confirmedCount: 1, rejectedCount: 2 }), 5)).toBe(false);
+  });
+
+  it('never promotes explanations', () => {
+    expect(ruleGenerator.isPromotable(pattern({ type: 'pr_explanation', confirmedCount: 10 }), 5)).toBe(false);
+  });
+});
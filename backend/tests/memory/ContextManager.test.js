@@ -0,0 +1,52 @@
+import { jest } from '@jest/globals';
+import { mongoVectorStore } from '../../memory/MongoVectorStore.js';
+import { contextManager } from '../../memory/ContextManager.js';
+
+const scope = { userId: '64b000000000000000000001', organization: 'contoso', project: 'web' };
+
+const task = (fields = {}) => ({
+  type: 'build_failure',
+  category: 'build',
+  description: 'npm ci failed: cannot find module express',
+  scope,
+  ...fields
+});
+
+describe('ContextManager', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('searches the task\'s scope and applies the type filter in the search', async () => {
+    const search = jest.spyOn(mongoVectorStore, 'searchSimilar')
+      .mockResolvedValue([{ content: 'Added express to package.json', score: 0.9 }]);
+
+    const { count, context } = await contextManager.buildContext(task(), { filterType: 'build_failure' });
+
+    expect(search).toHaveBeenCalledWith(task().description, 5, { ...scope, type: 'build_failure' });
+    expect(count).toBe(1);
+    expect(context).toContain('Added express to package.json');
+  });
+
+  it('gives a task without a user no memories and stores none for it', async () => {
+    const search = jest.spyOn(mongoVectorStore, 'searchSimilar');
+    const store = jest.spyOn(mongoVectorStore, 'store');
+
+    expect(await contextManager.buildContext(task({ scope: undefined }))).toEqual({ context: '', memories: [], count: 0 });
+    expect(await contextManager.storeTaskOutcome(task({ scope: { organization: 'contoso' } }), { success: true })).toBeNull();
+    expect(search).not.toHaveBeenCalled();
+    expect(store).not.toHaveBeenCalled();
+  });
+
+  it('stores a task outcome in the task\'s scope under its memory type', async () => {
+    const store = jest.spyOn(mongoVectorStore, 'store').mockResolvedValue({ _id: 'memory-1' });
+
+    await contextManager.storeTaskOutcome(task({ category: 'release' }), { success: true, result: { solution: 'Retry' } });
+
+    expect(store).toHaveBeenCalledWith(
+      expect.stringContaining('Solution: Retry'),
+      expect.objectContaining({ category: 'release', success: true }),
+      { ...scope, type: 'release_failure' }
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Memory from '../../models/Memory.js';
+import { inProcessVectorIndex } from '../../memory/InProcessVectorIndex.js';
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+const memory = (userId, embedding, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  organization: 'contoso',
+  project: 'web',
+  type: 'build_failure',
+  embedding,
+  embeddingModel: 'test-model',
+  ...fields
+});
+
+const scope = (userId, fields = {}) => ({ userId: String(userId), organization: 'contoso', project: 'web', ...fields });
+
+// Memory.find(query).sort().limit().lean() over an in-memory collection
+function mockMemories(memories) {
+  return jest.spyOn(Memory, 'find').mockImplementation(query => {
+    const found = memories.filter(m =>
+      String(m.userId) === String(query.userId) &&
+      m.organization === query.organization &&
+      m.project === query.project &&
+      (!query.type || m.type === query.type)
+    );
+    const chain = { sort: () => chain, limit: () => chain, lean: async () => found };
+    return chain;
+  });
+}
+
+describe('InProcessVectorIndex', () => {
+  let memories;
+  let find;
+
+  beforeEach(() => {
+    inProcessVectorIndex.invalidate();
+    memories = [
+      memory(alice, [1, 0]),
+      memory(alice, [0, 1]),
+      memory(alice, [1, 1], { type: 'deployment_failure' }),
+      memory(bob, [1, 0])
+    ];
+    find = mockMemories(memories);
+  });
+
+  afterEach(() => {
+    find.mockRestore();
+  });
+
+  it('ranks memories by cosine similarity scaled to 0..1', async () => {
+    const results = await inProcessVectorIndex.search([1, 0], 'test-model', 5, scope(alice, { type: 'build_failure' }));
+
+    expect(results).toEqual([
+      { id: String(memories[0]._id), score: 1 },
+      { id: String(memories[1]._id), score: 0.5 }
+    ]);
+  });
+
+  it('only searches the scope it is asked for', async () => {
+    const results = await inProcessVectorIndex.search([1, 0], 'test-model', 5, scope(bob));
+    expect(results.map(r => r.id)).toEqual([String(memories[3]._id)]);
+
+    const otherProject = await inProcessVectorIndex.search([1, 0], 'test-model', 5, scope(alice, { project: 'api' }));
+    expect(otherProject).toEqual([]);
+  });
+
+  it('finds nothing without a user', async () => {
+    expect(await inProcessVectorIndex.search([1, 0], 'test-model', 5, {})).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('loads each scope once and caches it', async () => {
+    await inProcessVectorIndex.search([1, 0], 'test-model', 5, scope(alice));
+    await inProcessVectorIndex.search([0, 1], 'test-model', 5, scope(alice));
+    await inProcessVectorIndex.search([1, 0], 'test-model', 5, scope(bob));
+
+    expect(find).toHaveBeenCalledTimes(2);
+    expect(inProcessVectorIndex.getStats()).toMatchObject({ scopes: 2, size: 4 });
+  });
+
+  it('skips memories embedded by another model', async () => {
+    memories[1].embeddingModel = 'other-model';
+
+    const results = await inProcessVectorIndex.search([0, 1], 'test-model', 5, scope(alice, { type: 'build_failure' }));
+    expect(results.map(r => r.id)).toEqual([String(memories[0]._id)]);
+  });
+
+  it('adds stored memories to loaded scopes and moves them when their type changes', async () => {
+    const typed = scope(alice, { type: 'build_failure' });
+    await inProcessVectorIndex.search([1, 0], 'test-model', 5, typed);
+
+    const stored = memory(alice, [1, 0]);
+    inProcessVectorIndex.add(stored);
+    expect((await inProcessVectorIndex.search([1, 0], 'test-model', 5, typed)).map(r => r.id))
+      .toContain(String(stored._id));
+
+    inProcessVectorIndex.add({ ...stored, type: 'deployment_failure' });
+    expect((await inProcessVectorIndex.search([1, 0], 'test-model', 5, typed)).map(r => r.id))
+      .not.toContain(String(stored._id));
+  });
+
+  it('forgets removed memories', async () => {
+    await inProcessVectorIndex.search([1, 0], 'test-model', 5, scope(alice));
+    inProcessVectorIndex.remove([memories[0]._id]);
+
+    const results = await inProcessVectorIndex.search([1, 0], 'test-model', 5, scope(alice));
+    expect(results.map(r => r.id)).not.toContain(String(memories[0]._id));
+  });
+});
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import Memory from '../../models/Memory.js';
+import { eventBus } from '../../events/EventBus.js';
+import { incidentMemory } from '../../memory/IncidentMemory.js';
+import { mongoVectorStore } from '../../memory/MongoVectorStore.js';
+
+const userId = 'user-1';
+const scope = { userId, organization: 'contoso', project: 'web' };
+
+const build = (id, fields = {}) => ({
+  id,
+  buildNumber: `2024.${id}`,
+  definition: { id: 7, name: 'ci' },
+  sourceBranch: 'refs/heads/main',
+  finishTime: '2024-01-15T04:00:00Z',
+  ...fields
+});
+
+const event = (type, payload) => ({ type, userId, payload });
+
+describe('IncidentMemory', () => {
+  let incidents;
+
+  beforeEach(() => {
+    incidents = [];
+    jest.spyOn(incidentMemory, 'getContext').mockResolvedValue({
+      scope,
+      client: {
+        getBuildTimeline: async () => null,
+        getChangesBetweenBuilds: async () => ({ value: [{ id: 'abcdef123456', message: 'Fix the build\n\nDetails', author: { displayName: 'Sam' } }] })
+      }
+    });
+
+    // An open incident for the signature takes the build; otherwise a new one is stored
+    jest.spyOn(Memory, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+      const open = incidents.find(m => !m.metadata.resolved && m.metadata.signature === query['metadata.signature']);
+      if (open) open.metadata.buildIds.push(update.$addToSet['metadata.buildIds']);
+      return open || null;
+    });
+    jest.spyOn(Memory, 'find').mockImplementation(() => ({
+      lean: async () => incidents.filter(m => !m.metadata.resolved)
+    }));
+    jest.spyOn(mongoVectorStore, 'store').mockImplementation(async (content, metadata) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const memory = { _id: `memory-${incidents.length + 1}`, content, metadata };
+      incidents.push(memory);
+      return memory;
+    });
+    jest.spyOn(mongoVectorStore, 'update').mockImplementation(async (id, content, metadata) => {
+      Object.assign(incidents.find(m => m._id === id), { content, metadata });
+    });
+  });
+
+  afterEach(() => {
+    incidentMemory.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('records one incident when the webhook and the poller deliver the same failure at once', async () => {
+    const failed = event('build.failed', { build: build(101) });
+
+    await Promise.all([incidentMemory.handleEvent(failed), incidentMemory.handleEvent({ ...failed })]);
+
+    expect(mongoVectorStore.store).toHaveBeenCalledTimes(1);
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0].metadata).toMatchObject({ incident: true, resolved: false, definitionId: 7 });
+  });
+
+  it('adds later failures of the same signature to the open incident', async () => {
+    await incidentMemory.handleEvent(event('build.failed', { build: build(101) }));
+    await incidentMemory.handleEvent(event('build.failed', { build: build(102) }));
+
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0].metadata.buildIds).toEqual([101, 102]);
+  });
+
+  it('resolves open incidents with the green build and the commits in between', async () => {
+    await incidentMemory.handleEvent(event('build.failed', { build: build(101) }));
+    await incidentMemory.handleEvent(event('build.succeeded', { build: build(103) }));
+
+    expect(incidents[0].metadata).toMatchObject({
+      resolved: true,
+      fixedBy: { buildId: 103, commits: [{ id: 'abcdef123456', message: 'Fix the build', author: 'Sam' }] }
+    });
+    expect(incidents[0].content).toContain('Fixed by build #2024.103 on 2024-01-15');
+  });
+
+  it('leaves incidents open after a partially succeeded build', async () => {
+    incidentMemory.start();
+    await incidentMemory.handleEvent(event('build.failed', { build: build(101) }));
+
+    eventBus.publish('build.partiallysucceeded', { build: build(103, { result: 'partiallySucceeded' }) }, { userId });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(Memory.find).not.toHaveBeenCalled();
+    expect(incidents[0].metadata.resolved).toBe(false);
+  });
+
+  it('skips events without a user', () => {
+    expect(incidentMemory.handleEvent({ type: 'build.failed', userId: null, payload: { build: build(101) } })).toBeNull();
+  });
+});
@@ -0,0 +1,33 @@
+import { localEmbedder, LOCAL_EMBEDDING_MODEL } from '../../memory/LocalEmbedder.js';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('LocalEmbedder', () => {
+  it('embeds into unit vectors of the all-MiniLM-L6-v2 size', () => {
+    const vector = localEmbedder.embed('npm ci failed: cannot find module express');
+
+    expect(localEmbedder.model).toBe(LOCAL_EMBEDDING_MODEL);
+    expect(vector).toHaveLength(384);
+    expect(cosine(vector, vector)).toBeCloseTo(1, 6);
+  });
+
+  it('is deterministic', () => {
+    const text = 'Test run timed out after 300000 ms';
+    expect(localEmbedder.embed(text)).toEqual(localEmbedder.embed(text));
+  });
+
+  it('places similar failures closer than unrelated ones', () => {
+    const failure = localEmbedder.embed('npm install failed: cannot find module lodash');
+    const similar = localEmbedder.embed('npm ci failed with cannot find module react');
+    const unrelated = localEmbedder.embed('Docker daemon is not running on the build agent');
+
+    expect(cosine(failure, similar)).toBeGreaterThan(cosine(failure, unrelated));
+  });
+
+  it('returns a fixed unit vector for text with nothing to embed', () => {
+    const vector = localEmbedder.embed('');
+
+    expect(vector[0]).toBe(1);
+    expect(cosine(vector, vector)).toBe(1);
+  });
+});
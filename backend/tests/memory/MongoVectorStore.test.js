@@ -0,0 +1,70 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Memory from '../../models/Memory.js';
+import { mongoVectorStore } from '../../memory/MongoVectorStore.js';
+import { LOCAL_EMBEDDING_MODEL } from '../../memory/LocalEmbedder.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('MongoVectorStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only asks Atlas for memories embedded by the query\'s model', async () => {
+    jest.spyOn(mongoVectorStore, 'getProvider').mockReturnValue('local');
+    jest.spyOn(mongoVectorStore, 'getSearchMode').mockReturnValue('atlas');
+    const aggregate = jest.spyOn(Memory, 'aggregate').mockResolvedValue([{ _id: 'memory-1', score: 0.9 }]);
+    jest.spyOn(Memory, 'updateMany').mockResolvedValue({});
+
+    const results = await mongoVectorStore.searchSimilar('npm ci failed', 5, { userId, organization: 'contoso', project: 'web' });
+
+    expect(results).toHaveLength(1);
+    expect(aggregate.mock.calls[0][0][0].$vectorSearch.filter).toEqual({
+      userId,
+      organization: 'contoso',
+      project: 'web',
+      embeddingModel: LOCAL_EMBEDDING_MODEL
+    });
+  });
+
+  it('stores memories in their user, organization and project scope', async () => {
+    jest.spyOn(mongoVectorStore, 'getProvider').mockReturnValue('local');
+    const create = jest.spyOn(Memory, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+
+    await mongoVectorStore.store('npm ci failed', { category: 'build' }, { userId, organization: 'contoso', project: 'web', type: 'build_failure' });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      userId,
+      organization: 'contoso',
+      project: 'web',
+      type: 'build_failure',
+      embeddingModel: LOCAL_EMBEDDING_MODEL
+    }));
+  });
+
+  it('refuses to store or search memories without a user', async () => {
+    const create = jest.spyOn(Memory, 'create');
+    const aggregate = jest.spyOn(Memory, 'aggregate');
+
+    await expect(mongoVectorStore.store('npm ci failed', {}, { organization: 'contoso' })).rejects.toThrow('Memory needs a userId');
+    expect(await mongoVectorStore.searchSimilar('npm ci failed', 5, { organization: 'contoso', project: 'web' })).toEqual([]);
+    expect(create).not.toHaveBeenCalled();
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+
+  it('filters by type inside the vector search', async () => {
+    jest.spyOn(mongoVectorStore, 'getProvider').mockReturnValue('local');
+    jest.spyOn(mongoVectorStore, 'getSearchMode').mockReturnValue('atlas');
+    const aggregate = jest.spyOn(Memory, 'aggregate').mockResolvedValue([]);
+
+    await mongoVectorStore.searchSimilar('npm ci failed', 5, { userId, type: 'build_failure' });
+
+    expect(aggregate.mock.calls[0][0][0].$vectorSearch.filter).toMatchObject({
+      userId,
+      organization: null,
+      project: null,
+      type: 'build_failure'
+    });
+  });
+});
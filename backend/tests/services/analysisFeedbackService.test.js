@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import AnalysisFeedback from '../../models/AnalysisFeedback.js';
+import { UserSettings } from '../../models/UserSettings.js';
+import { azureDevOpsClient } from '../../devops/azureDevOpsClient.js';
+import { patternTracker } from '../../learning/PatternTracker.js';
+import { analysisFeedbackService, AnalysisFeedbackError } from '../../services/analysisFeedbackService.js';
+
+const userId = '64b000000000000000000001';
+
+const task = { type: 'pr_explanation', category: 'pr', description: 'Add pagination to users' };
+
+// findOne(...).lean() and findOneAndUpdate(...).lean()
+const lean = value => ({ lean: async () => value });
+
+describe('analysisFeedbackService', () => {
+  let azure;
+  let track;
+
+  beforeEach(() => {
+    azure = {
+      getPullRequestDetails: jest.fn().mockResolvedValue({ pullRequestId: 7, title: 'Add pagination to users' }),
+      getWorkItems: jest.fn().mockResolvedValue({ value: [] })
+    };
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({
+      userId,
+      azureDevOps: { organization: 'contoso', project: 'web', pat: 'plain-pat' }
+    }));
+    jest.spyOn(azureDevOpsClient, 'createUserClient').mockReturnValue(azure);
+    jest.spyOn(AnalysisFeedback, 'findOneAndUpdate').mockImplementation((filter, { $set }) => lean({ ...filter, ...$set }));
+    track = jest.spyOn(patternTracker, 'trackFeedback').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores a verdict against the task the analysis was for and learns from it', async () => {
+    jest.spyOn(AnalysisFeedback, 'findOne').mockReturnValue(lean(null));
+
+    const feedback = await analysisFeedbackService.submit(userId, 'pullRequest', 7, { rating: 'down', analysis: 'Adds caching' });
+
+    expect(AnalysisFeedback.findOneAndUpdate).toHaveBeenCalledWith(
+      { userId, targetType: 'pullRequest', targetId: '7' },
+      { $set: { rating: 'down', correction: null, analysis: 'Adds caching', task } },
+      expect.objectContaining({ upsert: true })
+    );
+    expect(track.mock.calls).toEqual([[task, 'Adds caching', false, {}]]);
+    expect(feedback).toMatchObject({ targetId: '7', rating: 'down', correction: null });
+  });
+
+  it('learns a correction as a confirmed solution', async () => {
+    jest.spyOn(AnalysisFeedback, 'findOne').mockReturnValue(lean(null));
+
+    await analysisFeedbackService.submit(userId, 'pullRequest', 7, {
+      rating: 'down', analysis: 'Adds caching', correction: 'Adds pagination'
+    });
+
+    expect(track).toHaveBeenCalledWith(task, 'Adds pagination', true, {});
+  });
+
+  it('takes the earlier verdict back when an item is rated again', async () => {
+    jest.spyOn(AnalysisFeedback, 'findOne').mockReturnValue(lean({
+      rating: 'down', analysis: 'Adds caching', correction: 'Adds pagination', task
+    }));
+
+    await analysisFeedbackService.submit(userId, 'pullRequest', 7, { rating: 'up', analysis: 'Adds caching' });
+
+    expect(track.mock.calls).toEqual([
+      [task, 'Adds caching', false, { undo: true }],
+      [task, 'Adds pagination', true, { undo: true }],
+      [task, 'Adds caching', true, {}]
+    ]);
+    expect(azure.getPullRequestDetails).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for an item that does not exist', async () => {
+    jest.spyOn(AnalysisFeedback, 'findOne').mockReturnValue(lean(null));
+
+    const error = await analysisFeedbackService.submit(userId, 'workItem', 42, { rating: 'up', analysis: 'Bug' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(AnalysisFeedbackError);
+    expect(error.statusCode).toBe(404);
+    expect(track).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import BuildRetry from '../../models/BuildRetry.js';
+import { buildRetryService, BuildRetryError } from '../../services/buildRetryService.js';
+
+const build = (fields = {}) => ({
+  id: 42,
+  status: 'completed',
+  result: 'failed',
+  definition: { id: 7, name: 'web-ci' },
+  sourceBranch: 'refs/heads/main',
+  ...fields
+});
+
+const timeline = {
+  records: [
+    { type: 'Stage', identifier: 'Build', result: 'succeeded' },
+    { type: 'Stage', identifier: 'Test', result: 'failed' },
+    { type: 'Task', name: 'npm test', result: 'failed' }
+  ]
+};
+
+const client = (fields = {}) => ({
+  getBuild: jest.fn().mockResolvedValue(build()),
+  getBuildTimeline: jest.fn().mockResolvedValue(timeline),
+  retryBuildStage: jest.fn().mockResolvedValue({}),
+  queueBuild: jest.fn().mockResolvedValue({ id: 43 }),
+  ...fields
+});
+
+const scheduler = { type: 'workflow', id: 'build-failure', name: 'Build failure' };
+
+/**
+ * BuildRetry lookups: retryBuildId queries walk the retry chain,
+ * createdAt queries look for a retry inside the cooldown
+ */
+function mockRetries({ chain = [], recent = null, attempts = 0 } = {}) {
+  jest.spyOn(BuildRetry, 'findOne').mockImplementation(query => {
+    const found = query.createdAt ? recent : chain.find(retry => retry.retryBuildId === query.retryBuildId) || null;
+    const result = { lean: async () => found };
+    return { ...result, sort: () => result };
+  });
+  jest.spyOn(BuildRetry, 'countDocuments').mockResolvedValue(attempts);
+  return jest.spyOn(BuildRetry, 'create').mockImplementation(async record => ({ toObject: () => record }));
+}
+
+describe('buildRetryService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reruns only the failed stages and records who triggered it', async () => {
+    const create = mockRetries();
+    const azure = client();
+
+    const retry = await buildRetryService.retryBuild('user-1', 42, { client: azure, triggeredBy: scheduler });
+
+    expect(azure.retryBuildStage).toHaveBeenCalledWith(42, 'Test');
+    expect(azure.queueBuild).not.toHaveBeenCalled();
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      rootBuildId: 42,
+      mode: 'failed_stages',
+      stages: ['Test'],
+      triggeredBy: scheduler
+    }));
+    expect(retry.mode).toBe('failed_stages');
+  });
+
+  it('queues a new build for the same definition and branch when there are no stages', async () => {
+    mockRetries();
+    const azure = client({ getBuildTimeline: jest.fn().mockResolvedValue({ records: [] }) });
+
+    const retry = await buildRetryService.retryBuild('user-1', 42, { client: azure });
+
+    expect(azure.queueBuild).toHaveBeenCalledWith(7, 'refs/heads/main');
+    expect(retry).toMatchObject({ mode: 'full', retryBuildId: 43, triggeredBy: { type: 'user', id: 'user-1' } });
+  });
+
+  it('refuses builds that did not fail', async () => {
+    mockRetries();
+
+    await expect(buildRetryService.retryBuild('user-1', 42, { client: client({ getBuild: jest.fn().mockResolvedValue(build({ result: 'succeeded' })) }) }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(buildRetryService.retryBuild('user-1', 42, { client: client({ getBuild: jest.fn().mockResolvedValue(build({ status: 'inProgress' })) }) }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('stops once the build has used its retries, counting retries of retries', async () => {
+    mockRetries({ chain: [{ rootBuildId: 40, retryBuildId: 42 }], attempts: 2 });
+    const azure = client();
+
+    const error = await buildRetryService.retryBuild('user-1', 42, { client: azure }).catch(e => e);
+
+    expect(error).toBeInstanceOf(BuildRetryError);
+    expect(error.statusCode).toBe(429);
+    expect(error.details).toEqual({ attempts: 2, limit: 2 });
+    expect(BuildRetry.countDocuments).toHaveBeenCalledWith({ userId: 'user-1', rootBuildId: 40, status: 'queued' });
+    expect(azure.retryBuildStage).not.toHaveBeenCalled();
+  });
+
+  it('holds off while the pipeline and branch are cooling down', async () => {
+    mockRetries({ recent: { _id: 'retry-1', createdAt: new Date(Date.now() - 60 * 1000) } });
+    const azure = client();
+
+    const error = await buildRetryService.retryBuild('user-1', 42, { client: azure }).catch(e => e);
+
+    expect(error.statusCode).toBe(429);
+    expect(error.message).toMatch(/web-ci on refs\/heads\/main was retried recently; try again in 9 min/);
+    expect(error.details.lastRetryId).toBe('retry-1');
+    expect(azure.retryBuildStage).not.toHaveBeenCalled();
+  });
+
+  it('refuses a second retry of the same build while the first is in progress', async () => {
+    mockRetries();
+    let finishStage;
+    const azure = client({ retryBuildStage: jest.fn(() => new Promise(resolve => { finishStage = resolve; })) });
+
+    const first = buildRetryService.retryBuild('user-1', 42, { client: azure });
+    await new Promise(resolve => setImmediate(resolve));
+    const second = await buildRetryService.retryBuild('user-1', 42, { client: azure }).catch(e => e);
+    finishStage({});
+    await first;
+
+    expect(second.statusCode).toBe(409);
+    expect(second.message).toBe('A retry of build 42 is already in progress');
+    expect(azure.retryBuildStage).toHaveBeenCalledTimes(1);
+  });
+
+  it('records a retry Azure DevOps refused as failed', async () => {
+    const create = mockRetries();
+    const azure = client({ retryBuildStage: jest.fn().mockRejectedValue(new Error('403 Forbidden')) });
+
+    await expect(buildRetryService.retryBuild('user-1', 42, { client: azure })).rejects.toThrow('403 Forbidden');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', error: '403 Forbidden' }));
+  });
+});
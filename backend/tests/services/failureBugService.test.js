@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import FailureSignature from '../../models/FailureSignature.js';
+import { failureBugService } from '../../services/failureBugService.js';
+
+const build = {
+  id: 42,
+  buildNumber: '20240115.3',
+  definition: { id: 7, name: 'web-ci' },
+  sourceBranch: 'refs/heads/main',
+  _links: { web: { href: 'https://dev.azure.com/contoso/web/_build/results?buildId=42' } }
+};
+
+const recurrence = {
+  signature: 'abc123def456',
+  tag: 'failure-sig-abc123def456',
+  error: 'npm ERR! cannot find module express\nat require',
+  occurrences: 3,
+  firstSeen: new Date('2024-01-10T00:00:00Z'),
+  recurring: true
+};
+
+const log = [
+  '2024-01-15T10:00:00.000Z Installing dependencies',
+  '2024-01-15T10:00:01.000Z ##[error]npm ERR! cannot find module <express>',
+  '2024-01-15T10:00:02.000Z Finishing'
+].join('\n');
+
+const client = (openBugs = []) => ({
+  config: { organization: 'contoso', project: 'web' },
+  getBuildTimeline: jest.fn().mockResolvedValue({ records: [{ type: 'Task', result: 'failed', log: { id: 9 } }] }),
+  getBuildLogContent: jest.fn().mockResolvedValue(log),
+  findOpenWorkItemsByTag: jest.fn().mockResolvedValue({ value: openBugs }),
+  createWorkItem: jest.fn().mockResolvedValue({ id: 100, webUrl: 'https://bug/100' }),
+  updateWorkItem: jest.fn().mockResolvedValue({ id: 90, webUrl: 'https://bug/90' })
+});
+
+const field = (operations, name) => operations.find(operation => operation.path === `/fields/${name}`)?.value;
+
+describe('failureBugService', () => {
+  let link;
+
+  beforeEach(() => {
+    link = jest.spyOn(FailureSignature, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('files a tagged bug with the root cause, log excerpt and build link', async () => {
+    const azure = client();
+
+    const result = await failureBugService.fileBug('user-1', {
+      build, recurrence, rootCause: 'express is missing from package.json', areaPath: 'web\\Build', client: azure
+    });
+
+    expect(azure.findOpenWorkItemsByTag).toHaveBeenCalledWith('Bug', 'failure-sig-abc123def456');
+    const [type, operations] = azure.createWorkItem.mock.calls[0];
+    expect(type).toBe('Bug');
+    expect(field(operations, 'System.Title')).toBe('Recurring build failure: web-ci - npm ERR! cannot find module express');
+    expect(field(operations, 'System.AreaPath')).toBe('web\\Build');
+    expect(field(operations, 'System.Tags')).toBe('recurring-build-failure; failure-sig-abc123def456');
+
+    const repro = field(operations, 'Microsoft.VSTS.TCM.ReproSteps');
+    expect(repro).toContain('has failed 3 times');
+    expect(repro).toContain('express is missing from package.json');
+    expect(repro).toContain('<pre>##[error]npm ERR! cannot find module &lt;express&gt;</pre>');
+    expect(operations).toContainEqual(expect.objectContaining({
+      path: '/relations/-',
+      value: expect.objectContaining({ rel: 'Hyperlink', url: build._links.web.href })
+    }));
+
+    expect(result).toEqual({ status: 'bug_created', workItemId: 100, url: 'https://bug/100', signature: 'abc123def456' });
+    expect(link).toHaveBeenCalledWith(
+      { userId: 'user-1', signature: 'abc123def456' },
+      { $set: { bug: expect.objectContaining({ id: 100 }) } }
+    );
+  });
+
+  it('adds the occurrence to an open bug with the signature tag instead of filing another', async () => {
+    const azure = client([{ id: 90 }]);
+
+    const result = await failureBugService.fileBug('user-1', { build, recurrence, client: azure });
+
+    expect(azure.createWorkItem).not.toHaveBeenCalled();
+    const [id, [history]] = azure.updateWorkItem.mock.calls[0];
+    expect(id).toBe(90);
+    expect(history.path).toBe('/fields/System.History');
+    expect(history.value).toContain('build 20240115.3');
+    expect(result.status).toBe('bug_updated');
+  });
+
+  it('files the bug without an excerpt when the log cannot be read', async () => {
+    const azure = client();
+    azure.getBuildLogContent.mockRejectedValue(new Error('404'));
+
+    await failureBugService.fileBug('user-1', { build, recurrence, client: azure });
+
+    expect(field(azure.createWorkItem.mock.calls[0][1], 'Microsoft.VSTS.TCM.ReproSteps')).not.toContain('Log excerpt');
+  });
+
+  it('uses the log tail when no line is marked as an error', async () => {
+    const azure = client();
+    azure.getBuildLogContent.mockResolvedValue('step one\nstep two');
+
+    expect(await failureBugService.getLogExcerpt(azure, build)).toBe('step one\nstep two');
+  });
+});
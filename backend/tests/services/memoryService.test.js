@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import Memory from '../../models/Memory.js';
+import { inProcessVectorIndex } from '../../memory/InProcessVectorIndex.js';
+import { memoryService, MemoryError } from '../../services/memoryService.js';
+import { memoryUpdateSchema } from '../../validators/schemas.js';
+
+const userId = '64b000000000000000000001';
+
+const incident = {
+  _id: 'memory-1',
+  userId,
+  content: 'Build failure: ci #12',
+  type: 'build_failure',
+  metadata: {
+    incident: true,
+    resolved: false,
+    signature: 'sig',
+    definitionId: 7,
+    buildIds: [12],
+    note: 'flaky agent',
+    timestamp: new Date('2024-01-15T04:00:00Z')
+  }
+};
+
+describe('memoryService.update', () => {
+  let findByIdAndUpdate;
+
+  beforeEach(() => {
+    jest.spyOn(Memory, 'findOne').mockReturnValue({ lean: async () => incident });
+    findByIdAndUpdate = jest.spyOn(Memory, 'findByIdAndUpdate').mockReturnValue({ lean: async () => incident });
+    jest.spyOn(inProcessVectorIndex, 'add').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('merges metadata keys instead of replacing the metadata', async () => {
+    await memoryService.update(userId, 'memory-1', { metadata: { note: 'runner out of disk', owner: 'platform' }, pinned: true });
+
+    expect(findByIdAndUpdate).toHaveBeenCalledWith('memory-1', {
+      $set: { pinned: true, 'metadata.note': 'runner out of disk', 'metadata.owner': 'platform' }
+    }, { new: true });
+  });
+
+  it('removes keys set to null', async () => {
+    await memoryService.update(userId, 'memory-1', { metadata: { note: null } });
+
+    expect(findByIdAndUpdate).toHaveBeenCalledWith('memory-1', { $unset: { 'metadata.note': '' } }, { new: true });
+  });
+
+  it('refuses changes to the keys incidents are tracked by and to dates', async () => {
+    const error = await memoryService.update(userId, 'memory-1', {
+      metadata: { resolved: true, buildIds: [], timestamp: '2020-01-01' }
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(MemoryError);
+    expect(error.statusCode).toBe(400);
+    expect(error.details.map(detail => detail.path[1])).toEqual(['resolved', 'buildIds', 'timestamp']);
+    expect(findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses operator and dotted keys', async () => {
+    await expect(memoryService.update(userId, 'memory-1', { metadata: { $where: '1', 'a.b': 1 } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(memoryUpdateSchema.safeParse({ metadata: { $where: '1' } }).success).toBe(false);
+    expect(memoryUpdateSchema.safeParse({ metadata: { 'fixedBy.buildId': 1 } }).success).toBe(false);
+    expect(memoryUpdateSchema.safeParse({ metadata: { note: 'ok' } }).success).toBe(true);
+  });
+
+  it('only updates the user\'s own memories', async () => {
+    Memory.findOne.mockReturnValue({ lean: async () => null });
+
+    await expect(memoryService.update('someone-else', 'memory-1', { pinned: true }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { pullRequestCommentService } from '../../services/pullRequestCommentService.js';
+
+const pullRequest = { pullRequestId: 7, repository: { id: 'repo-1' } };
+
+const changes = {
+  changeEntries: [
+    { path: '/src/api/users.js', changeTrackingId: 1, changeType: 'edit' },
+    { path: '/src/utils/format.js', changeTrackingId: 2, changeType: 'add' },
+    { path: '/src/legacy.js', changeTrackingId: 3, changeType: 'delete' },
+    { path: '/src', isFolder: true, changeType: 'edit' }
+  ]
+};
+
+const explanation = [
+  'Adds pagination to the users endpoint.',
+  '- src/api/users.js:42 reads `limit` without an upper bound',
+  '- format.js#L10 duplicates an existing helper'
+].join('\n');
+
+const client = (threads = []) => ({
+  getPullRequestThreads: jest.fn().mockResolvedValue({ value: threads }),
+  createPullRequestThread: jest.fn().mockImplementation(async () => ({ id: 100 })),
+  updatePullRequestComment: jest.fn().mockResolvedValue({}),
+  updatePullRequestThread: jest.fn().mockResolvedValue({})
+});
+
+// A thread as Azure DevOps returns it for a previous post
+const posted = (id, thread) => ({
+  id,
+  status: thread.status,
+  properties: { 'DevOpsAgent.ThreadKey': { $type: 'System.String', $value: thread.key } },
+  threadContext: thread.threadContext,
+  comments: [{ id: 1, parentCommentId: 0, content: thread.content }]
+});
+
+describe('pullRequestCommentService', () => {
+  it('posts a closed summary thread and a thread anchored to each mentioned file and line', async () => {
+    const azure = client();
+
+    const { threads } = await pullRequestCommentService.postAnalysis(azure, pullRequest, { explanation, changes, iterationId: 3 });
+
+    expect(threads.map(thread => [thread.key, thread.action])).toEqual([
+      ['summary', 'created'],
+      ['file:/src/api/users.js', 'created'],
+      ['file:/src/utils/format.js', 'created']
+    ]);
+
+    const [repositoryId, pullRequestId, summary] = azure.createPullRequestThread.mock.calls[0];
+    expect([repositoryId, pullRequestId]).toEqual(['repo-1', 7]);
+    expect(summary.status).toBe('closed');
+
+    const users = azure.createPullRequestThread.mock.calls[1][2];
+    expect(users).toMatchObject({
+      status: 'active',
+      threadContext: { filePath: '/src/api/users.js', rightFileStart: { line: 42, offset: 1 } },
+      pullRequestThreadContext: { changeTrackingId: 1, iterationContext: { secondComparingIteration: 3 } }
+    });
+    expect(azure.createPullRequestThread.mock.calls[2][2].threadContext.rightFileStart.line).toBe(10);
+  });
+
+  it('edits its own threads on a re-run instead of adding duplicates', async () => {
+    const previous = client();
+    await pullRequestCommentService.postAnalysis(previous, pullRequest, { explanation, changes });
+    const threads = previous.createPullRequestThread.mock.calls.map(([, , payload], i) => posted(i + 1, {
+      key: payload.properties['DevOpsAgent.ThreadKey'].$value,
+      status: payload.status,
+      threadContext: payload.threadContext,
+      content: payload.comments[0].content
+    }));
+    const azure = client(threads);
+
+    const result = await pullRequestCommentService.postAnalysis(azure, pullRequest, {
+      explanation: explanation.replace('without an upper bound', 'without any upper bound'),
+      changes
+    });
+
+    expect(azure.createPullRequestThread).not.toHaveBeenCalled();
+    expect(result.threads.map(thread => thread.action)).toEqual(['updated', 'updated', 'unchanged']);
+    expect(azure.updatePullRequestComment).toHaveBeenCalledWith('repo-1', 7, 2, 1, expect.stringContaining('without any upper bound'));
+  });
+
+  it('closes file threads the new analysis no longer mentions and reopens them later', async () => {
+    const stale = posted(5, { key: 'file:/src/utils/format.js', status: 'active', content: 'old note' });
+    const azure = client([stale]);
+
+    const first = await pullRequestCommentService.postAnalysis(azure, pullRequest, {
+      explanation: 'Adds pagination to the users endpoint.',
+      changes
+    });
+
+    expect(first.threads).toContainEqual(expect.objectContaining({ key: 'file:/src/utils/format.js', action: 'closed' }));
+    expect(azure.updatePullRequestThread).toHaveBeenCalledWith('repo-1', 7, 5, { status: 'closed' });
+
+    const reopened = client([{ ...stale, status: 'closed' }]);
+    await pullRequestCommentService.postAnalysis(reopened, pullRequest, { explanation, changes });
+
+    expect(reopened.updatePullRequestThread).toHaveBeenCalledWith('repo-1', 7, 5, { status: 'active' });
+  });
+
+  it('ignores deleted files and bare names shared by several changed files', () => {
+    const shared = {
+      changeEntries: [
+        { path: '/web/index.js', changeType: 'edit' },
+        { path: '/api/index.js', changeType: 'edit' },
+        { path: '/src/legacy.js', changeType: 'delete' }
+      ]
+    };
+
+    const mentions = pullRequestCommentService.findFileMentions('index.js grows\nlegacy.js is gone\napi/index.js, line 3 exports twice', shared);
+
+    expect(mentions.map(mention => [mention.file.path, mention.line])).toEqual([['/api/index.js', 3]]);
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { reviewerRecommendationService } from '../../services/reviewerRecommendationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const person = (name, fields = {}) => ({
+  id: `${name}-id`,
+  displayName: name,
+  uniqueName: `${name.toLowerCase()}@contoso.com`,
+  ...fields
+});
+
+const commit = (name, daysAgo) => ({
+  author: { name, email: `${name.toLowerCase()}@contoso.com`, date: new Date(Date.now() - daysAgo * DAY_MS).toISOString() }
+});
+
+const pullRequest = {
+  pullRequestId: 7,
+  repository: { id: 'repo-1' },
+  targetRefName: 'refs/heads/main',
+  createdBy: person('Ann'),
+  reviewers: []
+};
+
+const changes = {
+  changeEntries: [
+    { item: { path: '/src/api/users.js' }, changeType: 'edit' },
+    { item: { path: '/src/api/orders.js' }, changeType: 'add' },
+    { item: { path: '/src/api/invoices.js' }, changeType: 'add' },
+    { item: { path: '/src/api', isFolder: true }, changeType: 'edit' }
+  ]
+};
+
+const client = (commitsByPath, active = [], completed = []) => ({
+  getPullRequestChanges: jest.fn().mockResolvedValue(changes),
+  getCommitsForPath: jest.fn(async (repositoryId, path) => ({ value: commitsByPath[path] || [] })),
+  getPullRequests: jest.fn(async status => ({ value: status === 'active' ? active : completed }))
+});
+
+describe('reviewerRecommendationService', () => {
+  it('looks up edited files and the folders of added files, busiest folder first', () => {
+    const { paths, fileCount } = reviewerRecommendationService.getHistoryPaths(changes);
+
+    expect(paths).toEqual(['/src/api', '/src/api/users.js']);
+    expect(fileCount).toBe(3);
+  });
+
+  it('ranks recent committers first and leaves out the author and service accounts', async () => {
+    const azure = client({
+      '/src/api': [commit('Bob', 10), commit('Ann', 1), commit('Project Collection Build Service', 1)],
+      '/src/api/users.js': [commit('Bob', 20), commit('Cy', 200)]
+    }, [], [{ pullRequestId: 1, createdBy: person('Bob'), reviewers: [person('Cy')] }]);
+
+    const { recommendations } = await reviewerRecommendationService.recommend(azure, pullRequest);
+
+    expect(recommendations.map(candidate => candidate.displayName)).toEqual(['Bob', 'Cy']);
+    expect(recommendations[0]).toMatchObject({ id: 'Bob-id', score: 1, canAdd: true, activeReviews: 0 });
+    expect(recommendations[0].expertise.commits).toBe(2);
+    expect(recommendations[0].reasoning).toMatch(/^2 commits to 2 of the 2 changed paths in the last year, most recently 10 days ago; no pending reviews/);
+    expect(azure.getCommitsForPath).toHaveBeenCalledWith('repo-1', '/src/api', expect.objectContaining({ branch: 'refs/heads/main' }));
+  });
+
+  it('discounts people who already have pending reviews', async () => {
+    const busy = { ...person('Bob'), vote: 0 };
+    const azure = client(
+      { '/src/api': [commit('Bob', 1), commit('Cy', 1)] },
+      [
+        { pullRequestId: 1, createdBy: person('Dee'), reviewers: [busy, person('Cy', { vote: 10 })] },
+        { pullRequestId: 2, createdBy: person('Dee'), reviewers: [busy] }
+      ]
+    );
+
+    const { recommendations } = await reviewerRecommendationService.recommend(azure, pullRequest, { changes });
+
+    expect(recommendations.map(candidate => [candidate.displayName, candidate.activeReviews])).toEqual([['Cy', 0], ['Bob', 2]]);
+    expect(recommendations[1].score).toBeCloseTo(1 / 1.5, 2);
+  });
+
+  it('still suggests committers without an identity but marks them as not addable', async () => {
+    const azure = client({ '/src/api': [commit('Eve', 3)] });
+
+    const { recommendations } = await reviewerRecommendationService.recommend(azure, pullRequest, { changes });
+
+    expect(recommendations[0]).toMatchObject({ id: null, canAdd: false });
+    expect(recommendations[0].reasoning).toMatch(/must be added manually/);
+  });
+
+  it('adds each reviewer on its own and skips existing ones', async () => {
+    const azure = {
+      addPullRequestReviewer: jest.fn()
+        .mockResolvedValueOnce({ displayName: 'Bob' })
+        .mockRejectedValueOnce(Object.assign(new Error('403'), { response: { data: { message: 'Not allowed' } } }))
+    };
+
+    const results = await reviewerRecommendationService.addReviewers(
+      azure,
+      { ...pullRequest, reviewers: [person('Cy')] },
+      ['Bob-id', 'Cy-id', 'Dee-id']
+    );
+
+    expect(results).toEqual([
+      { id: 'Bob-id', displayName: 'Bob', status: 'added' },
+      { id: 'Cy-id', status: 'already_reviewer' },
+      { id: 'Dee-id', status: 'failed', error: 'Not allowed' }
+    ]);
+  });
+});
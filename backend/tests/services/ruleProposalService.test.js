@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import RuleProposal from '../../models/RuleProposal.js';
+import { ruleEngine } from '../../agents/RuleEngine.js';
+import { ruleProposalService } from '../../services/ruleProposalService.js';
+import { RuleError } from '../../services/ruleService.js';
+
+const admin = { _id: 'admin-1', name: 'Ada' };
+
+const stored = (fields = {}) => ({
+  _id: 'proposal-1',
+  ruleId: 'learned-npm',
+  status: 'proposed',
+  rule: { category: 'build', pattern: 'npm ERR!', flags: 'i', action: 'retry_build', confidence: 0.8, solution: 'Retry', autoFix: false },
+  source: { signature: 'sig', confirmedCount: 2, rejectedCount: 0, examples: [{ task: 'npm ERR! tenant-a log', solution: 'Retry' }] },
+  history: [{ action: 'proposed', userName: 'RuleGenerator' }],
+  ...fields
+});
+
+// findOneAndUpdate(...).lean()
+const lean = value => ({ lean: async () => value });
+
+describe('ruleProposalService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('list', () => {
+    const mockFind = proposals => jest.spyOn(RuleProposal, 'find').mockReturnValue({
+      sort: () => ({ limit: () => lean(proposals) })
+    });
+
+    it('gives reviewers the examples and history', async () => {
+      mockFind([stored()]);
+
+      const [proposal] = await ruleProposalService.list('proposed');
+
+      expect(proposal.source.examples).toHaveLength(1);
+      expect(proposal.history).toHaveLength(1);
+    });
+
+    it('leaves out other tenants\' examples and the history without details', async () => {
+      mockFind([stored()]);
+
+      const [proposal] = await ruleProposalService.list('proposed', { details: false });
+
+      expect(proposal.source).toEqual({ signature: 'sig', confirmedCount: 2, rejectedCount: 0 });
+      expect(proposal).not.toHaveProperty('history');
+      expect(proposal.rule.pattern).toBe('npm ERR!');
+    });
+  });
+
+  describe('decide', () => {
+    it('approves a pending proposal and makes the rule live', async () => {
+      jest.spyOn(RuleProposal, 'findById').mockResolvedValue(stored());
+      jest.spyOn(RuleProposal, 'findOneAndUpdate').mockReturnValue(lean(stored({ status: 'approved' })));
+      const saveRule = jest.spyOn(ruleEngine, 'saveRule').mockResolvedValue({});
+
+      const approved = await ruleProposalService.approve(admin, 'proposal-1', 'looks right');
+
+      expect(approved.status).toBe('approved');
+      expect(RuleProposal.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'proposal-1', status: 'proposed' },
+        expect.objectContaining({ $set: { status: 'approved' } }),
+        { new: true }
+      );
+      expect(saveRule).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'learned-npm',
+        scope: 'global',
+        source: 'learned',
+        enabled: true,
+        approvedBy: 'admin-1'
+      }));
+    });
+
+    it('refuses an approval when a concurrent review decided first', async () => {
+      jest.spyOn(RuleProposal, 'findById').mockResolvedValue(stored());
+      jest.spyOn(RuleProposal, 'findOneAndUpdate').mockReturnValue(lean(null));
+      const saveRule = jest.spyOn(ruleEngine, 'saveRule').mockResolvedValue({});
+
+      const error = await ruleProposalService.approve(admin, 'proposal-1').catch(e => e);
+
+      expect(error).toBeInstanceOf(RuleError);
+      expect(error.statusCode).toBe(409);
+      expect(saveRule).not.toHaveBeenCalled();
+    });
+
+    it('puts the proposal back when the rule cannot be saved', async () => {
+      jest.spyOn(RuleProposal, 'findById').mockResolvedValue(stored());
+      jest.spyOn(RuleProposal, 'findOneAndUpdate').mockReturnValue(lean(stored({ status: 'approved' })));
+      jest.spyOn(ruleEngine, 'saveRule').mockRejectedValue(new Error('write failed'));
+      const updateOne = jest.spyOn(RuleProposal, 'updateOne').mockResolvedValue({});
+
+      await expect(ruleProposalService.approve(admin, 'proposal-1')).rejects.toThrow('write failed');
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'proposal-1' },
+        { $set: { status: 'proposed' }, $pop: { history: 1 } }
+      );
+    });
+
+    it('refuses to review a decided proposal', async () => {
+      jest.spyOn(RuleProposal, 'findById').mockResolvedValue(stored({ status: 'rejected' }));
+
+      await expect(ruleProposalService.reject(admin, 'proposal-1'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('disables a disputed live rule when it is rejected', async () => {
+      jest.spyOn(RuleProposal, 'findById').mockResolvedValue(stored());
+      jest.spyOn(RuleProposal, 'findOneAndUpdate').mockReturnValue(lean(stored({ status: 'rejected' })));
+      jest.spyOn(ruleEngine, 'getRule').mockReturnValue({ id: 'learned-npm', source: 'learned' });
+      const disableRule = jest.spyOn(ruleEngine, 'disableRule').mockReturnValue(true);
+
+      await ruleProposalService.reject(admin, 'proposal-1', 'wrong fix');
+
+      expect(disableRule).toHaveBeenCalledWith('learned-npm');
+    });
+  });
+
+  describe('dispute', () => {
+    it('only reopens an approved rule for rejections it has not seen', async () => {
+      const findOneAndUpdate = jest.spyOn(RuleProposal, 'findOneAndUpdate')
+        .mockReturnValue(lean(stored({ status: 'proposed' })));
+
+      await ruleProposalService.dispute('learned-npm', { confirmedCount: 1, rejectedCount: 4, confidence: 0.2 });
+
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { ruleId: 'learned-npm', status: 'approved', 'source.rejectedCount': { $lt: 4 } },
+        expect.objectContaining({ $set: expect.objectContaining({ status: 'proposed', 'source.rejectedCount': 4 }) }),
+        { new: true }
+      );
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import Rule from '../../models/Rule.js';
+import Memory from '../../models/Memory.js';
+import { UserSettings } from '../../models/UserSettings.js';
+import { azureDevOpsClient } from '../../devops/azureDevOpsClient.js';
+import { ruleEngine } from '../../agents/RuleEngine.js';
+import { ruleSandboxService } from '../../services/ruleSandboxService.js';
+
+const userId = '64b000000000000000000001';
+
+const draft = (fields = {}) => ({
+  id: 'flaky-e2e',
+  category: 'build',
+  pattern: 'cypress.*timed out',
+  action: 'retry_build',
+  confidence: 0.85,
+  solution: 'Retry the e2e stage',
+  ...fields
+});
+
+const build = id => ({ id, buildNumber: `2024.${id}`, definition: { name: 'web-ci' }, sourceBranch: 'refs/heads/main' });
+
+// Build 1 failed in e2e, build 2 in npm install; log 2 of each build is the failed step's
+const logs = {
+  1: { 1: 'Checkout\nDone', 2: '2024-01-15T10:00:00.000Z Running e2e\n2024-01-15T10:00:05.000Z cypress: test timed out after 60s' },
+  2: { 1: 'Checkout\nDone', 2: 'cypress installed\nnpm ci failed: cannot find module cypress timed out' }
+};
+
+const client = (fields = {}) => ({
+  getFailedBuilds: jest.fn().mockResolvedValue({ value: [build(1), build(2)] }),
+  getBuildLogs: jest.fn().mockResolvedValue({ value: [{ id: 1 }, { id: 2 }] }),
+  getBuildTimeline: jest.fn().mockResolvedValue({ records: [{ type: 'Task', name: 'e2e', result: 'failed', log: { id: 2 } }] }),
+  getBuildLogContent: jest.fn(async (buildId, logId) => logs[buildId][logId]),
+  ...fields
+});
+
+const connect = azure => {
+  jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({
+    userId,
+    azureDevOps: { organization: 'contoso', project: 'web', pat: 'plain-pat' }
+  }));
+  jest.spyOn(azureDevOpsClient, 'createUserClient').mockReturnValue(azure);
+};
+
+describe('ruleSandboxService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shows where a draft matches recent failed builds and which rule would win', async () => {
+    const azure = client();
+    connect(azure);
+    const save = jest.spyOn(Rule, 'findOneAndUpdate');
+
+    const result = await ruleSandboxService.test(userId, draft(), { builds: 2 });
+
+    expect(result.summary).toMatchObject({ buildsScanned: 2, buildsMatched: 2, draftWins: 1 });
+    expect(azure.getBuildLogContent).not.toHaveBeenCalledWith(1, 1);
+
+    const [e2e, npm] = result.builds;
+    expect(e2e).toMatchObject({ buildId: 1, logs: [2], matchCount: 1 });
+    expect(e2e.excerpts[0]).toMatchObject({ line: 2, text: 'cypress: test timed out after 60s', matchStart: 0 });
+    expect(e2e.outcome).toMatchObject({ isDraft: true, ruleId: 'flaky-e2e', action: 'retry_build', decision: 'confident' });
+
+    // The default npm rule is more confident than the draft
+    expect(npm.outcome).toMatchObject({ isDraft: false, ruleId: 'npm-install-failed', decision: 'auto' });
+    expect(save).not.toHaveBeenCalled();
+    expect(ruleEngine.getRule('flaky-e2e', { userId })).toBeUndefined();
+  });
+
+  it('reports builds whose logs could not be read and keeps going', async () => {
+    connect(client({
+      getBuildLogs: jest.fn()
+        .mockRejectedValueOnce(new Error('403 Forbidden'))
+        .mockResolvedValue({ value: [{ id: 2 }] })
+    }));
+
+    const result = await ruleSandboxService.test(userId, draft(), { builds: 2 });
+
+    expect(result.errors).toEqual([{ buildId: 1, error: '403 Forbidden' }]);
+    expect(result.summary.buildsScanned).toBe(1);
+  });
+
+  it('stops downloading logs once the scan budget is spent', async () => {
+    const huge = `${'x'.repeat(199990)}\ncypress timed out`;
+    const azure = client({
+      getFailedBuilds: jest.fn().mockResolvedValue({ value: [build(1), build(2), build(3)] }),
+      getBuildLogs: jest.fn().mockResolvedValue({ value: [{ id: 1 }, { id: 2 }, { id: 3 }] }),
+      getBuildTimeline: jest.fn().mockResolvedValue({ records: [] }),
+      getBuildLogContent: jest.fn().mockResolvedValue(huge)
+    });
+    connect(azure);
+
+    const result = await ruleSandboxService.test(userId, draft(), { builds: 3 });
+
+    expect(result.summary.buildsScanned).toBe(2);
+    expect(azure.getBuildLogs).toHaveBeenCalledTimes(2);
+    expect(result.warnings).toContainEqual(expect.stringMatching(/^1 build\(s\) were not scanned/));
+  });
+
+  it('matches the user\'s stored memories', async () => {
+    const find = jest.spyOn(Memory, 'find').mockReturnValue({
+      sort: () => ({
+        limit: () => ({
+          select: () => ({
+            lean: async () => [
+              { _id: 'memory-1', content: 'e2e: cypress run timed out on login spec', metadata: { category: 'build' } },
+              { _id: 'memory-2', content: 'deploy failed', metadata: { category: 'release' } }
+            ]
+          })
+        })
+      })
+    });
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({ userId }));
+
+    const result = await ruleSandboxService.test(userId, draft(), { memories: 10 });
+
+    expect(find).toHaveBeenCalledWith({ userId });
+    expect(result.summary).toMatchObject({ memoriesScanned: 2, memoriesMatched: 1, draftWins: 1 });
+    expect(result.memories[0]).toMatchObject({ memoryId: 'memory-1', category: 'build', matchCount: 1 });
+  });
+
+  it('needs Azure DevOps to test against builds', async () => {
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({ userId }));
+
+    await expect(ruleSandboxService.test(userId, draft(), { builds: 5 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Azure DevOps configuration required' });
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import Rule from '../../models/Rule.js';
+import { UserSettings } from '../../models/UserSettings.js';
+import { azureDevOpsClient } from '../../devops/azureDevOpsClient.js';
+import { ruleEngine } from '../../agents/RuleEngine.js';
+import { ruleService, RuleError } from '../../services/ruleService.js';
+
+const alice = '64b000000000000000000001';
+const bob = '64b000000000000000000002';
+
+const draft = (fields = {}) => ({
+  id: 'flaky-e2e',
+  category: 'build',
+  pattern: 'cypress.*timed out',
+  action: 'retry_build',
+  confidence: 0.8,
+  solution: 'Retry the e2e stage',
+  ...fields
+});
+
+const settings = (azureDevOps = { organization: 'contoso', project: 'web' }) =>
+  jest.spyOn(UserSettings, 'findOne').mockImplementation(async ({ userId }) => new UserSettings({ userId, azureDevOps }));
+
+describe('ruleService', () => {
+  let store;
+
+  beforeEach(() => {
+    settings();
+    store = jest.spyOn(Rule, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(Rule, 'deleteOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    ruleEngine.scopedRules.clear();
+    ruleService.memberships.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('stores a user rule that only its owner sees', async () => {
+    const rule = await ruleService.create(alice, draft());
+
+    expect(rule).toMatchObject({ id: 'flaky-e2e', scope: 'user', pattern: 'cypress.*timed out', flags: 'i', editable: true, hits: 0 });
+    expect(store).toHaveBeenCalledWith(
+      { ruleId: 'flaky-e2e', scope: 'user', userId: alice, organization: null },
+      expect.anything(),
+      expect.objectContaining({ upsert: true })
+    );
+    expect((await ruleService.list(alice)).map(r => r.id)).toContain('flaky-e2e');
+    expect((await ruleService.list(bob)).map(r => r.id)).not.toContain('flaky-e2e');
+  });
+
+  it('rejects invalid patterns and duplicate ids', async () => {
+    const invalid = await ruleService.create(alice, draft({ pattern: 'cypress (' })).catch(e => e);
+    expect(invalid).toBeInstanceOf(RuleError);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.details).toHaveProperty('pattern');
+
+    await ruleService.create(alice, draft());
+    await expect(ruleService.create(alice, draft())).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('keeps the flags when only the pattern changes', async () => {
+    await ruleService.create(alice, draft({ flags: 'im' }));
+
+    const rule = await ruleService.update(alice, 'flaky-e2e', { pattern: 'playwright.*timed out' });
+
+    expect(rule).toMatchObject({ pattern: 'playwright.*timed out', flags: 'im' });
+  });
+
+  it('refuses to change a global rule', async () => {
+    await expect(ruleService.update(alice, 'npm-install-failed', { confidence: 0.5 }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(ruleService.remove(alice, 'missing-rule')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('disables a global rule for one user with an override and restores it when the override is deleted', async () => {
+    const disabled = await ruleService.setEnabled(alice, 'npm-install-failed', false);
+
+    expect(disabled).toMatchObject({ scope: 'user', enabled: false, source: 'user' });
+    expect(ruleEngine.getRule('npm-install-failed', { userId: alice }).enabled).toBe(false);
+    expect(ruleEngine.getRule('npm-install-failed', { userId: bob }).enabled).toBe(true);
+
+    await ruleService.remove(alice, 'npm-install-failed');
+
+    expect(ruleEngine.getRule('npm-install-failed', { userId: alice }).scope).toBe('global');
+  });
+
+  describe('organization rules', () => {
+    const projects = value => jest.spyOn(azureDevOpsClient, 'createUserClient')
+      .mockReturnValue({ getAllProjects: jest.fn().mockResolvedValue(value) });
+
+    it('need a PAT that can read the organization', async () => {
+      projects('<html>Sign in</html>');
+
+      await expect(ruleService.create(alice, draft({ scope: 'organization' }))).rejects.toMatchObject({ statusCode: 403 });
+      expect(azureDevOpsClient.createUserClient).not.toHaveBeenCalled();
+
+      settings({ organization: 'contoso', pat: 'plain-pat' });
+      await expect(ruleService.create(alice, draft({ scope: 'organization' }))).rejects.toMatchObject({ statusCode: 403 });
+      expect(azureDevOpsClient.createUserClient).toHaveBeenCalledTimes(1);
+    });
+
+    it('apply to everyone in the organization once membership is verified', async () => {
+      settings({ organization: 'contoso', pat: 'plain-pat' });
+      const client = projects({ value: [{ name: 'web' }] });
+
+      const rule = await ruleService.create(alice, draft({ scope: 'organization' }));
+      await ruleService.update(alice, 'flaky-e2e', { confidence: 0.9 }, 'organization');
+
+      expect(rule.scope).toBe('organization');
+      expect(client).toHaveBeenCalledTimes(1);
+      expect(ruleEngine.getRule('flaky-e2e', { userId: bob, organization: 'contoso' }).confidence).toBe(0.9);
+    });
+  });
+});
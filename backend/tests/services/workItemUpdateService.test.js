@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { workItemUpdateService, WorkItemUpdateError } from '../../services/workItemUpdateService.js';
+
+const item = (rev, fields = {}) => ({
+  id: 42,
+  rev,
+  fields: { 'System.State': 'Active', 'System.Tags': 'frontend', ...fields }
+});
+
+const httpError = (status, message = '') => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { message } }
+});
+
+// A client whose work item is read from `items` in turn
+function mockClient(items, updates = []) {
+  return {
+    getWorkItems: jest.fn(async () => ({ value: [items.length > 1 ? items.shift() : items[0]] })),
+    updateWorkItem: jest.fn(async (id, operations) => {
+      const next = updates.shift();
+      if (next instanceof Error) throw next;
+      return next || { id, rev: operations[0].value + 1 };
+    })
+  };
+}
+
+describe('workItemUpdateService.update', () => {
+  it('tests the revision it read before patching only what changes', async () => {
+    const client = mockClient([item(5)]);
+
+    await workItemUpdateService.update(client, 42, { state: 'Active', addTags: ['blocked'] });
+
+    expect(client.updateWorkItem).toHaveBeenCalledWith(42, [
+      { op: 'test', path: '/rev', value: 5 },
+      { op: 'add', path: '/fields/System.Tags', value: 'frontend; blocked' }
+    ]);
+  });
+
+  it('returns the item untouched when nothing changes', async () => {
+    const client = mockClient([item(5)]);
+
+    const result = await workItemUpdateService.update(client, 42, { state: 'Active', addTags: ['Frontend'] });
+
+    expect(result.rev).toBe(5);
+    expect(client.updateWorkItem).not.toHaveBeenCalled();
+  });
+
+  it('re-reads the item and merges again when it changed in between', async () => {
+    const client = mockClient(
+      [item(5), item(6, { 'System.Tags': 'frontend; urgent' })],
+      [httpError(412)]
+    );
+
+    await workItemUpdateService.update(client, 42, { addTags: ['blocked'] });
+
+    expect(client.getWorkItems).toHaveBeenCalledTimes(2);
+    expect(client.updateWorkItem).toHaveBeenLastCalledWith(42, [
+      { op: 'test', path: '/rev', value: 6 },
+      { op: 'add', path: '/fields/System.Tags', value: 'frontend; urgent; blocked' }
+    ]);
+  });
+
+  it('gives up with a 409 after repeated conflicts', async () => {
+    const conflict = httpError(400, 'Test operation failed: rev mismatch');
+    const client = mockClient([item(5)], [conflict, conflict, conflict]);
+
+    const error = await workItemUpdateService.update(client, 42, { priority: 1 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(WorkItemUpdateError);
+    expect(error.statusCode).toBe(409);
+    expect(client.updateWorkItem).toHaveBeenCalledTimes(3);
+  });
+
+  it('refuses with the current item when the caller saw an older revision', async () => {
+    const client = mockClient([item(7)]);
+
+    const error = await workItemUpdateService.update(client, 42, { priority: 1 }, { rev: 5 }).catch(e => e);
+
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toMatchObject({ rev: 7, workItem: { id: 42 } });
+    expect(client.updateWorkItem).not.toHaveBeenCalled();
+  });
+
+  it('reports a work item that does not exist as a 404', async () => {
+    const client = {
+      getWorkItems: jest.fn().mockRejectedValue(httpError(404, 'TF401232: Work item 42 does not exist'))
+    };
+
+    const error = await workItemUpdateService.update(client, 42, { priority: 1 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(WorkItemUpdateError);
+    expect(error.statusCode).toBe(404);
+  });
+
+  it('passes invalid values Azure DevOps rejects on as a 400', async () => {
+    const client = mockClient([item(5)], [httpError(400, "The field 'State' contains the value 'Nope' that is not in the list of supported values")]);
+
+    await expect(workItemUpdateService.update(client, 42, { state: 'Nope' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
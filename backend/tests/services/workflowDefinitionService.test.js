@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import WorkflowDefinition from '../../models/WorkflowDefinition.js';
+import WorkflowSchedule from '../../models/WorkflowSchedule.js';
+import { agentRegistry } from '../../agents/AgentRegistry.js';
+import { workflowEngine } from '../../workflows/SimpleWorkflowEngine.js';
+import { workflowDefinitionService, WorkflowDefinitionError } from '../../services/workflowDefinitionService.js';
+
+const definition = (fields = {}) => ({
+  name: 'Notify on failure',
+  trigger: { type: 'event', event: 'build.failed' },
+  steps: [{ id: 'notify', agent: 'execute', action: 'sendNotification', input: { build: '${build}' } }],
+  ...fields
+});
+
+// Model.create resolves a document; toObject() gives what was stored
+const created = () => jest.spyOn(WorkflowDefinition, 'create')
+  .mockImplementation(async data => ({ toObject: () => ({ ...data, version: 1 }) }));
+
+// findOne(...).lean()
+const lean = value => ({ lean: async () => value });
+
+describe('workflowDefinitionService', () => {
+  const ids = [];
+
+  beforeAll(async () => {
+    await agentRegistry.initialize();
+  });
+
+  afterEach(() => {
+    ids.splice(0).forEach(id => workflowEngine.unregister(id));
+    jest.restoreAllMocks();
+  });
+
+  describe('create', () => {
+    it('stores the definition for the user and registers it with the engine', async () => {
+      created();
+
+      const workflow = await workflowDefinitionService.create('user-1', definition());
+      ids.push(workflow.id);
+
+      expect(WorkflowDefinition.create).toHaveBeenCalledWith(expect.objectContaining({
+        id: workflow.id,
+        userId: 'user-1',
+        enabled: true
+      }));
+      expect(workflow).toMatchObject({ userId: 'user-1', builtIn: false, registered: true });
+      expect(workflowEngine.workflows.get(workflow.id).userId).toBe('user-1');
+    });
+
+    it('rejects an invalid definition with every problem listed', async () => {
+      const create = created();
+
+      const error = await workflowDefinitionService.create('user-1', definition({
+        steps: [
+          { id: 'ghost', agent: 'nobody', action: 'run' },
+          { id: 'notify', agent: 'execute', action: 'sendNotification', input: { userId: 'user-2' } }
+        ]
+      })).catch(e => e);
+
+      expect(error).toBeInstanceOf(WorkflowDefinitionError);
+      expect(error.statusCode).toBe(400);
+      expect(error.details).toEqual(expect.arrayContaining([
+        expect.stringMatching(/nobody/),
+        expect.stringMatching(/userId/)
+      ]));
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('answers 409 for a duplicate name', async () => {
+      jest.spyOn(WorkflowDefinition, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(workflowDefinitionService.create('user-1', definition()))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('ownership', () => {
+    it('does not find another user\'s workflow', async () => {
+      const findOne = jest.spyOn(WorkflowDefinition, 'findOne').mockReturnValue(lean(null));
+
+      await expect(workflowDefinitionService.get('user-2', 'wf-1')).rejects.toMatchObject({ statusCode: 404 });
+      expect(findOne).toHaveBeenCalledWith({ userId: 'user-2', id: 'wf-1' });
+    });
+
+    it('does not simulate another user\'s workflow', async () => {
+      workflowEngine.register({ id: 'owned', name: 'Owned', userId: 'user-1', steps: definition().steps });
+      ids.push('owned');
+
+      await expect(workflowDefinitionService.simulate('user-2', 'owned', {}))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('removes the definition, its schedules and its registration', async () => {
+      workflowEngine.register({ id: 'wf-1', name: 'Owned', userId: 'user-1', steps: definition().steps });
+      jest.spyOn(WorkflowDefinition, 'findOneAndDelete').mockReturnValue(lean({ id: 'wf-1', userId: 'user-1' }));
+      const deleteMany = jest.spyOn(WorkflowSchedule, 'deleteMany').mockResolvedValue({});
+
+      await workflowDefinitionService.remove('user-1', 'wf-1');
+
+      expect(deleteMany).toHaveBeenCalledWith({ userId: 'user-1', workflowId: 'wf-1' });
+      expect(workflowEngine.workflows.has('wf-1')).toBe(false);
+    });
+  });
+
+  describe('owner binding', () => {
+    const agent = { type: 'owner-test', name: 'Owner test agent' };
+
+    beforeAll(() => {
+      agentRegistry.register(agent);
+    });
+
+    it('runs user-authored steps as the owner without a caller-supplied client', async () => {
+      jest.spyOn(workflowEngine, 'saveExecution').mockResolvedValue();
+      agent.record = jest.fn().mockResolvedValue('ok');
+      workflowEngine.register({
+        id: 'bound',
+        name: 'Bound',
+        userId: 'user-1',
+        steps: [{ id: 'record', agent: 'owner-test', action: 'record', input: '${build}' }]
+      });
+      ids.push('bound');
+
+      await workflowEngine.execute('bound', {
+        build: { id: 42, userId: 'user-2', client: { token: 'stolen' } }
+      }, { userId: 'user-1' });
+
+      expect(agent.record).toHaveBeenCalledWith({ id: 42, userId: 'user-1' });
+    });
+  });
+});
@@ -0,0 +1,5 @@
+// config/env.js validates these on import; tests never connect anywhere
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/devops-agent-test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-at-least-32-chars';
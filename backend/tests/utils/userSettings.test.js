@@ -0,0 +1,29 @@
+import { jest } from '@jest/globals';
+import { UserSettings } from '../../models/UserSettings.js';
+import { getUserClient } from '../../utils/userSettings.js';
+
+describe('getUserClient', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is null until the user has configured Azure DevOps', async () => {
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({
+      userId: '64b000000000000000000001',
+      azureDevOps: { organization: 'contoso', project: 'web' }
+    }));
+
+    expect(await getUserClient('64b000000000000000000001')).toBeNull();
+  });
+
+  it('builds a client for the user\'s organization', async () => {
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({
+      userId: '64b000000000000000000001',
+      azureDevOps: { organization: 'contoso', project: 'web', pat: 'plain-pat', baseUrl: 'https://dev.azure.com' }
+    }));
+
+    const client = await getUserClient('64b000000000000000000001');
+
+    expect(client.config).toMatchObject({ organization: 'contoso', project: 'web' });
+  });
+});
@@ -0,0 +1,83 @@
+import { expressionEvaluator, ExpressionError } from '../../workflows/ExpressionEvaluator.js';
+
+describe('ExpressionEvaluator', () => {
+  describe('property access', () => {
+    it.each(['__proto__', 'constructor', 'prototype'])('rejects %s in a reference', property => {
+      expect(() => expressionEvaluator.evaluate(`\${decision.${property}}`, { decision: {} }))
+        .toThrow(ExpressionError);
+      expect(() => expressionEvaluator.evaluate(`decision.${property}`, { decision: {} }))
+        .toThrow(`Access to '${property}' is not allowed`);
+    });
+
+    it('rejects blocked properties in bracket paths', () => {
+      expect(() => expressionEvaluator.resolvePath('decision["constructor"]', { decision: {} }))
+        .toThrow(ExpressionError);
+    });
+
+    it('reports blocked properties as invalid at validation time', () => {
+      expect(expressionEvaluator.validate('${a.constructor.name} == "Object"')).toEqual({
+        valid: false,
+        error: expect.stringContaining("'constructor'")
+      });
+    });
+
+    it('does not read inherited properties', () => {
+      expect(expressionEvaluator.evaluate('decision.toString', { decision: {} })).toBeUndefined();
+      expect(expressionEvaluator.evaluate('decision.hasOwnProperty', { decision: {} })).toBeUndefined();
+    });
+
+    it('resolves dotted and indexed paths', () => {
+      const scope = { decision: { decision: 'auto_execute' }, risks: [{ type: 'security' }] };
+
+      expect(expressionEvaluator.test('${decision.decision} == "auto_execute"', scope)).toBe(true);
+      expect(expressionEvaluator.test('${decision.decision} == "manual"', scope)).toBe(false);
+      expect(expressionEvaluator.evaluate('${risks[0].type}', scope)).toBe('security');
+      expect(expressionEvaluator.evaluate('risks.length', scope)).toBe(1);
+    });
+  });
+
+  describe('operator precedence', () => {
+    it('multiplies before adding', () => {
+      expect(expressionEvaluator.evaluate('1 + 2 * 3')).toBe(7);
+      expect(expressionEvaluator.evaluate('(1 + 2) * 3')).toBe(9);
+      expect(expressionEvaluator.evaluate('10 - 4 - 3')).toBe(3);
+      expect(expressionEvaluator.evaluate('7 % 4 * 2')).toBe(6);
+    });
+
+    it('compares after arithmetic', () => {
+      expect(expressionEvaluator.evaluate('1 + 2 == 3')).toBe(true);
+      expect(expressionEvaluator.evaluate('2 * 3 > 5')).toBe(true);
+    });
+
+    it('binds && tighter than ||', () => {
+      expect(expressionEvaluator.evaluate('true || false && false')).toBe(true);
+      expect(expressionEvaluator.evaluate('(true || false) && false')).toBe(false);
+      expect(expressionEvaluator.evaluate('false and true or true')).toBe(true);
+    });
+
+    it('applies unary operators before binary ones', () => {
+      expect(expressionEvaluator.evaluate('!false && false')).toBe(false);
+      expect(expressionEvaluator.evaluate('not (false && false)')).toBe(true);
+      expect(expressionEvaluator.evaluate('-2 * 3')).toBe(-6);
+    });
+
+    it('evaluates membership alongside comparisons', () => {
+      const scope = { labels: ['urgent', 'bug'], state: 'Active' };
+
+      expect(expressionEvaluator.test('"bug" in labels && state == "Active"', scope)).toBe(true);
+      expect(expressionEvaluator.test('labels contains "docs" || state in ["Active", "New"]', scope)).toBe(true);
+    });
+  });
+
+  describe('errors', () => {
+    it('rejects expressions that do not parse', () => {
+      expect(expressionEvaluator.validate('1 +').valid).toBe(false);
+      expect(expressionEvaluator.validate('(a == 1').valid).toBe(false);
+      expect(() => expressionEvaluator.compile('a == 1 b')).toThrow("Unexpected token 'b'");
+    });
+
+    it('rejects empty expressions', () => {
+      expect(() => expressionEvaluator.compile('  ')).toThrow('Expression must be a non-empty string');
+    });
+  });
+});
@@ -0,0 +1,425 @@
+import { jest } from '@jest/globals';
+import { workflowEngine } from '../../workflows/SimpleWorkflowEngine.js';
+import { agentRegistry } from '../../agents/AgentRegistry.js';
+import WorkflowExecution from '../../models/WorkflowExecution.js';
+import { approvalNotifier } from '../../workflows/ApprovalNotifier.js';
+
+const step = (id, dependsOn) => ({ id, agent: 'monitor', action: 'monitorBuild', ...(dependsOn && { dependsOn }) });
+
+describe('SimpleWorkflowEngine.buildGraph', () => {
+  it('chains steps without dependsOn in order', () => {
+    const steps = workflowEngine.buildGraph({ id: 'wf', steps: [step('a'), step('b'), step('c')] });
+
+    expect(steps.map(s => s.dependsOn)).toEqual([[], ['a'], ['b']]);
+  });
+
+  it('accepts a diamond of dependencies', () => {
+    const steps = workflowEngine.buildGraph({
+      id: 'wf',
+      steps: [step('a', []), step('b', ['a']), step('c', ['a']), step('d', ['b', 'c', 'b'])]
+    });
+
+    expect(steps.find(s => s.id === 'd').dependsOn).toEqual(['b', 'c']);
+  });
+
+  it('rejects a cycle and names the steps in it', () => {
+    const workflow = {
+      id: 'wf',
+      steps: [step('start', []), step('a', ['start', 'c']), step('b', ['a']), step('c', ['b'])]
+    };
+
+    expect(() => workflowEngine.buildGraph(workflow))
+      .toThrow('Workflow wf has a dependency cycle between steps: a, b, c');
+  });
+
+  it('rejects a two-step cycle', () => {
+    expect(() => workflowEngine.buildGraph({ id: 'wf', steps: [step('a', ['b']), step('b', ['a'])] }))
+      .toThrow(/dependency cycle between steps: a, b/);
+  });
+
+  it('rejects a step that depends on itself', () => {
+    expect(() => workflowEngine.buildGraph({ id: 'wf', steps: [step('a', ['a'])] }))
+      .toThrow("step 'a' depends on itself");
+  });
+
+  it('rejects unknown and duplicate steps', () => {
+    expect(() => workflowEngine.buildGraph({ id: 'wf', steps: [step('a', ['missing'])] }))
+      .toThrow("depends on unknown step 'missing'");
+    expect(() => workflowEngine.buildGraph({ id: 'wf', steps: [step('a'), step('a')] }))
+      .toThrow("duplicate step id 'a'");
+  });
+});
+
+describe('SimpleWorkflowEngine step policies', () => {
+  const agent = { type: 'policy-test', name: 'Policy test agent' };
+  let sleep;
+
+  const run = (steps, fields = {}) => {
+    workflowEngine.register({ id: 'policy-test', name: 'Policy test', steps, ...fields });
+    return workflowEngine.execute('policy-test', {});
+  };
+
+  beforeAll(() => {
+    agentRegistry.register(agent);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(workflowEngine, 'saveExecution').mockResolvedValue();
+    sleep = jest.spyOn(workflowEngine, 'sleep').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    workflowEngine.unregister('policy-test');
+    jest.restoreAllMocks();
+  });
+
+  it('retries a failing step with exponential backoff until it succeeds', async () => {
+    agent.flaky = jest.fn()
+      .mockRejectedValueOnce(new Error('503'))
+      .mockRejectedValueOnce(new Error('503'))
+      .mockResolvedValue('ok');
+
+    const execution = await run([{
+      id: 'call', agent: 'policy-test', action: 'flaky', output: 'result',
+      retry: { attempts: 3, backoff: { type: 'exponential', delayMs: 100 } }
+    }]);
+
+    expect(execution.status).toBe('completed');
+    expect(execution.outputs.result).toBe('ok');
+    expect(execution.steps[0].attempts.map(attempt => attempt.status)).toEqual(['failed', 'failed', 'completed']);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+  });
+
+  it('fails the workflow once the attempts run out', async () => {
+    agent.flaky = jest.fn().mockRejectedValue(new Error('still down'));
+
+    const execution = await run([
+      { id: 'call', agent: 'policy-test', action: 'flaky', retry: { attempts: 2, backoff: 50 } },
+      { id: 'after', agent: 'policy-test', action: 'flaky' }
+    ]);
+
+    expect(execution.status).toBe('failed');
+    expect(agent.flaky).toHaveBeenCalledTimes(2);
+    expect(execution.steps.map(record => record.id)).toEqual(['call']);
+  });
+
+  it('times out a hanging attempt and fails it straight away with onTimeout fail', async () => {
+    agent.hang = jest.fn(() => new Promise(() => {}));
+
+    const execution = await run([{
+      id: 'hang', agent: 'policy-test', action: 'hang', timeoutMs: 20, onTimeout: 'fail', retry: { attempts: 3 }
+    }]);
+
+    expect(execution.status).toBe('failed');
+    expect(agent.hang).toHaveBeenCalledTimes(1);
+    expect(execution.steps[0]).toMatchObject({ status: 'failed', timedOut: true });
+    expect(execution.steps[0].attempts[0].status).toBe('timeout');
+  });
+
+  it('carries on after a timeout with onTimeout skip or continue', async () => {
+    agent.hang = jest.fn(() => new Promise(() => {}));
+    agent.next = jest.fn().mockResolvedValue('done');
+
+    const execution = await run([
+      { id: 'optional', agent: 'policy-test', action: 'hang', timeoutMs: 20, onTimeout: 'skip' },
+      { id: 'best-effort', agent: 'policy-test', action: 'hang', timeoutMs: 20, onTimeout: 'continue' },
+      { id: 'next', agent: 'policy-test', action: 'next' }
+    ]);
+
+    expect(execution.status).toBe('completed');
+    expect(execution.steps.map(record => [record.id, record.status])).toEqual([
+      ['optional', 'skipped'],
+      ['best-effort', 'failed'],
+      ['next', 'completed']
+    ]);
+  });
+
+  it('takes policies from the workflow stepDefaults', async () => {
+    agent.flaky = jest.fn().mockRejectedValueOnce(new Error('503')).mockResolvedValue('ok');
+
+    const execution = await run(
+      [{ id: 'call', agent: 'policy-test', action: 'flaky' }],
+      { stepDefaults: { retry: { attempts: 2, backoff: { type: 'fixed', delayMs: 250 } } } }
+    );
+
+    expect(execution.status).toBe('completed');
+    expect(sleep).toHaveBeenCalledWith(250);
+  });
+
+  it('caps exponential backoff at maxDelayMs', () => {
+    const backoff = { type: 'exponential', delayMs: 1000, maxDelayMs: 5000 };
+
+    expect([1, 2, 3, 4].map(attempt => workflowEngine.getBackoffDelay(backoff, attempt))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  it('rejects malformed policies', () => {
+    expect(() => workflowEngine.validate({
+      id: 'bad',
+      steps: [{ id: 'a', agent: 'policy-test', action: 'flaky', retry: { attempts: 0 }, timeoutMs: -1, onTimeout: 'later' }]
+    })).toThrow(/retry.attempts must be an integer[\s\S]*timeoutMs must be a positive number[\s\S]*onTimeout must be one of/);
+  });
+});
+
+describe('SimpleWorkflowEngine.queryExecutions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('filters by owner, workflow, status and start time and leaves out step details', async () => {
+    const chain = { sort: () => chain, skip: jest.fn(() => chain), limit: () => chain, lean: async () => [] };
+    const find = jest.spyOn(WorkflowExecution, 'find').mockReturnValue(chain);
+    jest.spyOn(WorkflowExecution, 'countDocuments').mockResolvedValue(0);
+    const from = new Date('2024-01-01');
+
+    await workflowEngine.queryExecutions(
+      { userId: 'user-1', workflowId: 'build-failure', status: 'failed', from },
+      { page: 3, limit: 10 }
+    );
+
+    expect(find).toHaveBeenCalledWith(
+      { userId: 'user-1', workflowId: 'build-failure', status: 'failed', startTime: { $gte: from } },
+      expect.objectContaining({ 'steps.input': 0, 'steps.result': 0, context: 0, outputs: 0 })
+    );
+    expect(chain.skip).toHaveBeenCalledWith(20);
+  });
+});
+
+describe('SimpleWorkflowEngine execution recovery', () => {
+  const agent = { type: 'recovery-test', name: 'Recovery test agent' };
+  let save;
+
+  const orphan = (fields = {}) => ({
+    _id: 'mongo-id',
+    id: 'exec-1',
+    workflowId: 'recovery-test',
+    status: 'running',
+    startTime: new Date(Date.now() - 5000),
+    context: {},
+    outputs: { first: 'done' },
+    steps: [
+      { id: 'first', status: 'completed', result: 'done' },
+      { id: 'second', status: 'running', startTime: new Date(Date.now() - 1000) }
+    ],
+    lease: { owner: 'crashed-instance', expiresAt: new Date(Date.now() - 1000) },
+    ...fields
+  });
+
+  // find(...).lean() for the orphan scan, findOneAndUpdate(...).lean() for the claim
+  const mockOrphans = (orphans, claimed = orphans) => {
+    jest.spyOn(WorkflowExecution, 'find').mockReturnValue({ lean: async () => orphans });
+    return jest.spyOn(WorkflowExecution, 'findOneAndUpdate')
+      .mockImplementation(({ id }) => ({ lean: async () => claimed.find(stored => stored.id === id) || null }));
+  };
+
+  const register = resumePolicy => workflowEngine.register({
+    id: 'recovery-test',
+    name: 'Recovery test',
+    resumePolicy,
+    steps: [
+      { id: 'first', agent: 'recovery-test', action: 'work', output: 'first' },
+      { id: 'second', agent: 'recovery-test', action: 'work', output: 'second' }
+    ]
+  });
+
+  beforeAll(() => {
+    agentRegistry.register(agent);
+  });
+
+  beforeEach(() => {
+    agent.work = jest.fn().mockResolvedValue('ok');
+    save = jest.spyOn(workflowEngine, 'saveExecution').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    workflowEngine.unregister('recovery-test');
+    jest.restoreAllMocks();
+  });
+
+  it('claims only executions whose lease has expired or is missing', async () => {
+    const claim = mockOrphans([], []);
+    claim.mockReturnValue({ lean: async () => null });
+
+    await workflowEngine.claimExecution('exec-1');
+
+    const [query, update] = claim.mock.calls[0];
+    expect(query).toMatchObject({ id: 'exec-1', status: 'running' });
+    expect(query.$or).toEqual([{ lease: null }, { 'lease.expiresAt': { $lt: expect.any(Date) } }]);
+    expect(update.$set.lease.owner).toBe(workflowEngine.instanceId);
+  });
+
+  it('resumes an execution from its unfinished steps when the workflow allows it', async () => {
+    register('resume');
+    mockOrphans([orphan()]);
+    const continueExecution = jest.spyOn(workflowEngine, 'continueExecution');
+
+    const summary = await workflowEngine.recoverExecutions();
+    const execution = await continueExecution.mock.results[0].value;
+
+    expect(summary).toEqual({ resumed: 1, failed: 0, skipped: 0 });
+    expect(agent.work).toHaveBeenCalledTimes(1);
+    expect(execution.status).toBe('completed');
+    expect(execution.outputs).toEqual({ first: 'done', second: 'ok' });
+    expect(execution).not.toHaveProperty('_id');
+  });
+
+  it('fails an interrupted execution under the default resume policy', async () => {
+    register();
+    mockOrphans([orphan()]);
+
+    const summary = await workflowEngine.recoverExecutions();
+
+    expect(summary).toEqual({ resumed: 0, failed: 1, skipped: 0 });
+    expect(agent.work).not.toHaveBeenCalled();
+    const [saved] = save.mock.calls[0];
+    expect(saved).toMatchObject({ status: 'failed', error: 'Interrupted by a restart (resumePolicy: fail)', lease: null });
+    expect(saved.steps.map(record => [record.id, record.status])).toEqual([['first', 'completed'], ['second', 'failed']]);
+  });
+
+  it('fails an execution whose workflow is gone', async () => {
+    mockOrphans([orphan()]);
+
+    const summary = await workflowEngine.recoverExecutions();
+
+    expect(summary.failed).toBe(1);
+    expect(save.mock.calls[0][0].error).toMatch(/no longer registered/);
+  });
+
+  it('skips an execution another instance claimed first', async () => {
+    register('resume');
+    mockOrphans([orphan()], []);
+
+    const summary = await workflowEngine.recoverExecutions();
+
+    expect(summary).toEqual({ resumed: 0, failed: 0, skipped: 1 });
+    expect(agent.work).not.toHaveBeenCalled();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to resume an execution that is still leased', async () => {
+    jest.spyOn(WorkflowExecution, 'findOneAndUpdate').mockReturnValue({ lean: async () => null });
+    jest.spyOn(WorkflowExecution, 'findOne').mockReturnValue({
+      lean: async () => orphan({ lease: { owner: 'other-instance', expiresAt: new Date(Date.now() + 60000) } })
+    });
+
+    await expect(workflowEngine.resume('exec-1')).rejects.toThrow('Execution exec-1 is owned by other-instance');
+  });
+
+  it('marks the lease lost when another instance has taken the execution over', async () => {
+    save.mockRestore();
+    jest.spyOn(WorkflowExecution, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    await workflowEngine.persistExecution({ id: 'exec-taken' });
+
+    expect(workflowEngine.lostLeases.has('exec-taken')).toBe(true);
+    workflowEngine.lostLeases.delete('exec-taken');
+  });
+});
+
+describe('SimpleWorkflowEngine approval steps', () => {
+  const agent = { type: 'approval-test', name: 'Approval test agent' };
+  let notify;
+
+  const register = (approval = {}) => workflowEngine.register({
+    id: 'approval-test',
+    name: 'Approval test',
+    steps: [
+      { id: 'gate', type: 'approval', output: 'decision', approval: { message: 'Retry build ${build.id}?', ...approval } },
+      { id: 'retry', agent: 'approval-test', action: 'retry', input: '${decision}' }
+    ]
+  });
+
+  // The paused execution as decideApproval's conditional update returns it
+  const claimed = paused => jest.spyOn(WorkflowExecution, 'findOneAndUpdate')
+    .mockReturnValue({ lean: async () => ({ ...structuredClone(paused), status: 'running' }) });
+
+  const pause = async () => {
+    register();
+    return workflowEngine.execute('approval-test', { build: { id: 42 } }, { userId: 'user-1' });
+  };
+
+  beforeAll(() => {
+    agentRegistry.register(agent);
+  });
+
+  beforeEach(() => {
+    agent.retry = jest.fn().mockResolvedValue('retried');
+    jest.spyOn(workflowEngine, 'saveExecution').mockResolvedValue();
+    notify = jest.spyOn(approvalNotifier, 'requestApproval').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    workflowEngine.unregister('approval-test');
+    jest.restoreAllMocks();
+  });
+
+  it('pauses at an approval step and notifies the owner', async () => {
+    const execution = await pause();
+
+    expect(execution.status).toBe('paused');
+    expect(execution.steps[0]).toMatchObject({
+      status: 'waiting',
+      approval: { message: 'Retry build 42?', defaultDecision: 'reject' }
+    });
+    expect(notify).toHaveBeenCalledWith(execution, expect.objectContaining({ id: 'approval-test' }), execution.steps[0]);
+    expect(agent.retry).not.toHaveBeenCalled();
+  });
+
+  it('resumes after an approval and passes the decision on', async () => {
+    const paused = await pause();
+    const update = claimed(paused);
+    const continueExecution = jest.spyOn(workflowEngine, 'continueExecution');
+
+    const record = await workflowEngine.decideApproval(paused.id, 'gate', { approved: true, decidedBy: 'ada@example.com' });
+    const execution = await continueExecution.mock.results[0].value;
+
+    expect(update).toHaveBeenCalledWith(
+      { id: paused.id, status: 'paused', steps: { $elemMatch: { id: 'gate', status: 'waiting' } } },
+      expect.anything(),
+      { new: true }
+    );
+    expect(record.approval).toMatchObject({ decision: 'approved', decidedBy: 'ada@example.com' });
+    expect(agent.retry).toHaveBeenCalledWith({ approved: true, decidedBy: 'ada@example.com', comment: null, timedOut: false });
+    expect(execution.status).toBe('completed');
+  });
+
+  it('fails the execution when the step is rejected', async () => {
+    const paused = await pause();
+    claimed(paused);
+    const continueExecution = jest.spyOn(workflowEngine, 'continueExecution');
+
+    await workflowEngine.decideApproval(paused.id, 'gate', { approved: false, decidedBy: 'ada@example.com' });
+    const execution = await continueExecution.mock.results[0].value;
+
+    expect(execution.status).toBe('failed');
+    expect(execution.steps[0].error).toBe('Rejected by ada@example.com');
+    expect(agent.retry).not.toHaveBeenCalled();
+  });
+
+  it('decides nothing when the step was already decided', async () => {
+    jest.spyOn(WorkflowExecution, 'findOneAndUpdate').mockReturnValue({ lean: async () => null });
+    const continueExecution = jest.spyOn(workflowEngine, 'continueExecution');
+
+    expect(await workflowEngine.decideApproval('exec-1', 'gate', { approved: true })).toBeNull();
+    expect(continueExecution).not.toHaveBeenCalled();
+  });
+
+  it('applies the default decision once the approval times out', async () => {
+    register({ defaultDecision: 'approve' });
+    const paused = await workflowEngine.execute('approval-test', { build: { id: 42 } }, { userId: 'user-1' });
+    paused.steps[0].approval.expiresAt = new Date(Date.now() - 1000);
+    jest.spyOn(WorkflowExecution, 'find').mockReturnValue({ lean: async () => [structuredClone(paused)] });
+    claimed(paused);
+    const continueExecution = jest.spyOn(workflowEngine, 'continueExecution');
+
+    expect(await workflowEngine.expireApprovals()).toBe(1);
+    await continueExecution.mock.results[0].value;
+
+    expect(agent.retry).toHaveBeenCalledWith(expect.objectContaining({ approved: true, decidedBy: 'timeout', timedOut: true }));
+  });
+
+  it('rejects malformed approval steps', () => {
+    expect(() => register({ message: '' })).toThrow("step 'gate': approval.message is required");
+    expect(() => register({ timeoutMs: -1, defaultDecision: 'maybe' }))
+      .toThrow(/timeoutMs must be a positive number.*defaultDecision must be one of/);
+  });
+});
@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import { eventBus } from '../../events/EventBus.js';
+import { workflowEngine } from '../../workflows/SimpleWorkflowEngine.js';
+import { triggerDispatcher } from '../../workflows/TriggerDispatcher.js';
+
+const workflow = (id, trigger, fields = {}) => ({
+  id,
+  name: id,
+  trigger: { type: 'event', ...trigger },
+  steps: [{ id: 'notify', agent: 'execute', action: 'sendNotification' }],
+  ...fields
+});
+
+const build = { id: 42, definition: { name: 'web-ci' }, sourceBranch: 'refs/heads/main' };
+
+describe('TriggerDispatcher', () => {
+  const ids = [];
+  let execute;
+
+  const register = definition => {
+    workflowEngine.register(definition);
+    ids.push(definition.id);
+  };
+
+  beforeAll(() => {
+    triggerDispatcher.start();
+  });
+
+  afterAll(() => {
+    triggerDispatcher.stop();
+  });
+
+  beforeEach(() => {
+    triggerDispatcher.recentDispatches.clear();
+    execute = jest.spyOn(workflowEngine, 'execute').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    ids.splice(0).forEach(id => workflowEngine.unregister(id));
+    jest.restoreAllMocks();
+  });
+
+  it('starts workflows whose event pattern matches, with the payload as context', () => {
+    register(workflow('on-failure', { event: 'build.failed' }));
+    register(workflow('on-any-build', { event: ['release.*', 'build.*'] }));
+    register(workflow('on-pr', { event: 'pullrequest.created' }));
+
+    const event = eventBus.publish('build.failed', { build }, { userId: 'user-1', source: 'webhook' });
+
+    expect(execute.mock.calls.map(([id]) => id).sort()).toEqual(['on-any-build', 'on-failure']);
+    expect(execute).toHaveBeenCalledWith('on-failure', expect.objectContaining({
+      build,
+      userId: 'user-1',
+      event: expect.objectContaining({ id: event.id, type: 'build.failed', source: 'webhook' })
+    }), {
+      userId: 'user-1',
+      trigger: { type: 'event', event: 'build.failed', eventId: event.id }
+    });
+  });
+
+  it('only starts workflows whose filter passes', () => {
+    register(workflow('main-only', { event: 'build.failed', filter: "build.sourceBranch == 'refs/heads/main'" }));
+    register(workflow('release-only', { event: 'build.failed', filter: "build.sourceBranch == 'refs/heads/release'" }));
+
+    eventBus.publish('build.failed', { build }, { userId: 'user-1' });
+
+    expect(execute.mock.calls.map(([id]) => id)).toEqual(['main-only']);
+  });
+
+  it('treats a filter that cannot be evaluated as no match', () => {
+    register(workflow('broken-filter', { event: 'build.failed', filter: 'build.id / 0 > 1' }));
+
+    expect(triggerDispatcher.handleEvent({ type: 'build.failed', userId: 'user-1', payload: { build } })).toEqual([]);
+  });
+
+  it('starts a workflow once for the same event from the webhook and the poller', () => {
+    register(workflow('on-failure', { event: 'build.failed' }));
+
+    eventBus.publish('build.failed', { build }, { userId: 'user-1', source: 'webhook', dedupeKey: 42 });
+    eventBus.publish('build.failed', { build }, { userId: 'user-1', source: 'poller', dedupeKey: 42 });
+    eventBus.publish('build.failed', { build }, { userId: 'user-2', source: 'poller', dedupeKey: 42 });
+
+    expect(execute).toHaveBeenCalledTimes(2);
+    expect(execute.mock.calls.map(([, , options]) => options.userId)).toEqual(['user-1', 'user-2']);
+  });
+
+  it('keeps user-authored workflows to their owner\'s events and skips disabled ones', () => {
+    register(workflow('mine', { event: 'build.failed' }, { userId: 'user-1' }));
+    register(workflow('paused', { event: 'build.failed' }, { enabled: false }));
+
+    eventBus.publish('build.failed', { build }, { userId: 'user-2' });
+    expect(execute).not.toHaveBeenCalled();
+
+    eventBus.publish('build.failed', { build }, { userId: 'user-1' });
+    expect(execute.mock.calls.map(([id]) => id)).toEqual(['mine']);
+  });
+});
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { UserSettings } from '../../models/UserSettings.js';
+import WorkflowSchedule from '../../models/WorkflowSchedule.js';
+import { workflowEngine } from '../../workflows/SimpleWorkflowEngine.js';
+import { workflowScheduler } from '../../workflows/WorkflowScheduler.js';
+
+const userId = '64b000000000000000000001';
+
+const workflow = {
+  id: 'test-daily-digest',
+  name: 'Daily digest',
+  trigger: { type: 'schedule', cron: '0 9 * * *', timezone: 'Europe/London' },
+  steps: [{ id: 'notify', agent: 'execute', action: 'sendNotification' }]
+};
+
+const configured = () => new UserSettings({
+  userId,
+  azureDevOps: { organization: 'contoso', project: 'web', pat: 'plain-pat' }
+});
+
+describe('WorkflowScheduler', () => {
+  beforeAll(() => {
+    workflowEngine.register(workflow);
+  });
+
+  afterAll(() => {
+    workflowEngine.workflows.delete(workflow.id);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(WorkflowSchedule, 'find').mockReturnValue({ lean: async () => [] });
+  });
+
+  afterEach(() => {
+    workflowScheduler.stopUserSchedules(userId);
+    jest.restoreAllMocks();
+  });
+
+  describe('ensureUserSchedules', () => {
+    it('creates schedules disabled, so logging in never turns one on', async () => {
+      jest.spyOn(UserSettings, 'findOne').mockResolvedValue(configured());
+      const upsert = jest.spyOn(WorkflowSchedule, 'findOneAndUpdate').mockResolvedValue({});
+
+      await workflowScheduler.ensureUserSchedules(userId);
+
+      expect(upsert).toHaveBeenCalledWith(
+        { userId, workflowId: workflow.id },
+        { $setOnInsert: { cron: '0 9 * * *', timezone: 'Europe/London', enabled: false } },
+        { upsert: true, new: true }
+      );
+      expect(WorkflowSchedule.find).toHaveBeenCalledWith({ userId, enabled: true });
+      expect(workflowScheduler.jobs.size).toBe(0);
+    });
+
+    it('waits for Azure DevOps settings', async () => {
+      jest.spyOn(UserSettings, 'findOne').mockResolvedValue(new UserSettings({ userId }));
+      const upsert = jest.spyOn(WorkflowSchedule, 'findOneAndUpdate');
+
+      await workflowScheduler.ensureUserSchedules(userId);
+
+      expect(upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  it('defaults new schedule documents to disabled', () => {
+    expect(new WorkflowSchedule({ userId, workflowId: workflow.id, cron: '0 9 * * *' }).enabled).toBe(false);
+  });
+
+  it('lists schedules the user has not set up as disabled', async () => {
+    const [schedule] = (await workflowScheduler.listSchedules(userId)).filter(s => s.workflowId === workflow.id);
+
+    expect(schedule).toMatchObject({ enabled: false, active: false, cron: '0 9 * * *' });
+  });
+
+  it('starts the job once the user enables the schedule', async () => {
+    jest.spyOn(WorkflowSchedule, 'findOneAndUpdate').mockReturnValue({
+      lean: async () => ({ userId, workflowId: workflow.id, cron: '0 9 * * *', timezone: 'Europe/London', enabled: true })
+    });
+
+    const schedule = await workflowScheduler.updateSchedule(userId, workflow.id, { enabled: true });
+
+    expect(schedule).toMatchObject({ enabled: true, active: true });
+  });
+
+  it('rejects an invalid cron override', async () => {
+    await expect(workflowScheduler.updateSchedule(userId, workflow.id, { cron: 'every morning' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
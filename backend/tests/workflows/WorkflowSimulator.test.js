@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import WorkflowExecution from '../../models/WorkflowExecution.js';
+import { agentRegistry } from '../../agents/AgentRegistry.js';
+import { workflowEngine } from '../../workflows/SimpleWorkflowEngine.js';
+import { workflowSimulator } from '../../workflows/WorkflowSimulator.js';
+
+const workflow = {
+  id: 'simulation-test',
+  name: 'Simulation test',
+  trigger: { type: 'event', event: 'build.failed', filter: "build.sourceBranch == 'refs/heads/main'" },
+  steps: [
+    { id: 'analyze', agent: 'monitor', action: 'monitorBuildFailure', input: { buildId: '${build.id}' }, output: 'analysis' },
+    { id: 'notify', agent: 'execute', action: 'sendNotification', condition: 'analysis.severity == \'high\'', input: { message: 'Build ${build.id} failed' } },
+    { id: 'gate', type: 'approval', approval: { message: 'Retry?' }, output: 'decision' }
+  ]
+};
+
+const build = { id: 42, sourceBranch: 'refs/heads/main' };
+
+describe('WorkflowSimulator', () => {
+  let sendNotification;
+
+  beforeAll(async () => {
+    await agentRegistry.initialize();
+  });
+
+  beforeEach(() => {
+    workflowEngine.register(workflow);
+    sendNotification = jest.spyOn(agentRegistry.get('execute'), 'sendNotification');
+  });
+
+  afterEach(() => {
+    workflowEngine.unregister(workflow.id);
+    jest.restoreAllMocks();
+  });
+
+  it('stubs side effects and reports what they would have done without saving anything', async () => {
+    const persist = jest.spyOn(WorkflowExecution, 'findOneAndUpdate');
+
+    const simulation = await workflowSimulator.simulate(workflow, {
+      userId: 'user-1',
+      payload: { build },
+      mocks: { analyze: { severity: 'high' } }
+    });
+
+    expect(simulation.execution.status).toBe('completed');
+    expect(simulation.execution.steps.map(record => [record.id, record.status, record.simulation]))
+      .toEqual([['analyze', 'completed', 'mocked'], ['notify', 'completed', 'stubbed'], ['gate', 'completed', undefined]]);
+    expect(simulation.sideEffects).toEqual([expect.objectContaining({
+      step: 'notify',
+      status: 'notification_sent',
+      message: 'Build 42 failed'
+    })]);
+    expect(sendNotification).not.toHaveBeenCalled();
+    expect(persist).not.toHaveBeenCalled();
+  });
+
+  it('records conditions that did not pass', async () => {
+    const simulation = await workflowSimulator.simulate(workflow, {
+      payload: { build },
+      mocks: { analyze: { severity: 'low' } }
+    });
+
+    const notify = simulation.execution.steps.find(record => record.id === 'notify');
+    expect(notify).toMatchObject({ status: 'skipped', condition: { expression: "analysis.severity == 'high'", passed: false } });
+    expect(simulation.sideEffects).toEqual([]);
+  });
+
+  it('lets a mock reject an approval', async () => {
+    const simulation = await workflowSimulator.simulate(workflow, {
+      payload: { build },
+      mocks: { analyze: { severity: 'low' }, gate: { approved: false, comment: 'not now' } }
+    });
+
+    expect(simulation.execution.status).toBe('failed');
+    expect(simulation.execution.steps.find(record => record.id === 'gate').approval)
+      .toMatchObject({ decision: 'rejected', decidedBy: 'simulation', comment: 'not now' });
+  });
+
+  it('reports whether the trigger would have fired', async () => {
+    const fired = await workflowSimulator.simulate(workflow, { payload: { build }, mocks: { analyze: {} } });
+    const filtered = await workflowSimulator.simulate(workflow, {
+      payload: { build: { ...build, sourceBranch: 'refs/heads/feature' } },
+      event: 'pullrequest.created',
+      mocks: { analyze: {} }
+    });
+
+    expect(fired.trigger).toEqual({ type: 'event', event: 'build.failed', matchesEvent: true, passesFilter: true });
+    expect(filtered.trigger).toEqual({ type: 'event', event: 'pullrequest.created', matchesEvent: false, passesFilter: false });
+  });
+});
@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import { workflowEngine } from '../../../workflows/SimpleWorkflowEngine.js';
+import { agentRegistry } from '../../../agents/AgentRegistry.js';
+import { monitorAgent } from '../../../agents/MonitorAgent.js';
+import { executeAgent } from '../../../agents/ExecuteAgent.js';
+import { ruleEngine } from '../../../agents/RuleEngine.js';
+import { cacheManager } from '../../../cache/CacheManager.js';
+import { UserSettings } from '../../../models/UserSettings.js';
+import buildFailureWorkflow from '../../../workflows/definitions/build-failure-workflow.js';
+
+const build = { id: 42, buildNumber: '20240115.3', definition: { id: 7, name: 'web-ci' }, sourceBranch: 'refs/heads/main' };
+
+// Without a timeline the monitor describes the failure with this text
+const RULE_PATTERN = /no specific error details/i;
+
+describe('build-failure-resolution workflow', () => {
+  let retryBuild;
+  let notifications;
+
+  beforeAll(() => {
+    agentRegistry.initialize();
+    workflowEngine.register(buildFailureWorkflow);
+  });
+
+  beforeEach(() => {
+    cacheManager.caches.analysis.clear();
+    jest.spyOn(workflowEngine, 'saveExecution').mockResolvedValue();
+    jest.spyOn(UserSettings, 'findOne').mockResolvedValue({ azureDevOps: {} });
+    jest.spyOn(monitorAgent, 'trackFailure').mockResolvedValue({ recurring: false, occurrences: 1 });
+    jest.spyOn(monitorAgent, 'learn').mockResolvedValue();
+    retryBuild = jest.spyOn(executeAgent, 'retryBuild').mockResolvedValue({ status: 'build_retried', action: 'retry_build' });
+    notifications = jest.spyOn(executeAgent, 'sendNotification');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ruleEngine.removeRule({ id: 'test-auto-retry', scope: 'global' });
+  });
+
+  const addRule = fields => ruleEngine.addRule({
+    id: 'test-auto-retry',
+    category: 'build',
+    pattern: RULE_PATTERN,
+    action: 'retry_build',
+    solution: 'Retry the build',
+    ...fields
+  });
+
+  it('retries the build for a high-confidence autoFix rule', async () => {
+    addRule({ confidence: 0.95, autoFix: true });
+
+    const execution = await workflowEngine.execute('build-failure-resolution', { build, userId: 'user-1' });
+
+    expect(execution.status).toBe('completed');
+    expect(execution.outputs.decision).toMatchObject({ decision: 'auto_execute', action: 'retry_build' });
+    expect(retryBuild).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'retry_build',
+      solution: 'Retry the build',
+      build,
+      userId: 'user-1',
+      triggeredBy: { type: 'workflow', id: 'build-failure-resolution' }
+    }));
+    expect(notifications).toHaveBeenCalledTimes(1);
+    expect(notifications.mock.calls[0][0].message).toBe('Build web-ci #20240115.3 failed; ran retry_build: build_retried');
+  });
+
+  it('notifies without retrying when the rule is not safe to auto-execute', async () => {
+    addRule({ confidence: 0.95, autoFix: false });
+
+    const execution = await workflowEngine.execute('build-failure-resolution', { build, userId: 'user-1' });
+
+    expect(execution.outputs.decision.decision).toBe('notify_and_suggest');
+    expect(execution.steps.find(step => step.id === 'execute_fix').status).toBe('skipped');
+    expect(retryBuild).not.toHaveBeenCalled();
+    expect(notifications).toHaveBeenCalledTimes(1);
+    expect(notifications.mock.calls[0][0].message)
+      .toBe('Build web-ci #20240115.3 failed; no fix was run: Medium risk, notify team with suggestion');
+  });
+});
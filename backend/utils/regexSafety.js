@@ -0,0 +1,43 @@
+/**
+ * Regex Safety Utility
+ *
+ * User and organization rules carry their own regular expressions, which run
+ * on the main thread against build logs. Patterns with nested quantifiers
+ * such as (a+)+ can backtrack for minutes on a short input, so they are
+ * rejected, and the text any rule pattern is tested against is capped.
+ */
+import safeRegex from 'safe-regex2';
+
+// Longest text a rule pattern is tested against (logs keep their tail)
+export const MAX_PATTERN_INPUT = 100000;
+
+export const UNSAFE_PATTERN_MESSAGE = 'Pattern may backtrack catastrophically; nested quantifiers such as (a+)+ are not allowed';
+
+/**
+ * Whether a pattern compiles and is free of nested quantifiers
+ */
+export function isSafePattern(pattern, flags = 'i') {
+  try {
+    return safeRegex(pattern instanceof RegExp ? pattern : new RegExp(pattern, flags));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compile a user-supplied pattern; throws when it is invalid or unsafe
+ */
+export function compileSafePattern(pattern, flags = 'i') {
+  const regex = new RegExp(pattern, flags);
+  if (!safeRegex(regex)) {
+    throw new Error(UNSAFE_PATTERN_MESSAGE);
+  }
+  return regex;
+}
+
+/**
+ * Cap text before a pattern runs on it, keeping the end where errors are
+ */
+export function limitPatternInput(text, max = MAX_PATTERN_INPUT) {
+  return text.length > max ? text.slice(-max) : text;
+}
@@ -1,5 +1,6 @@
 import { UserSettings } from '../models/UserSettings.js';
 import { encrypt, decrypt } from './encryption.js';
+import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
 
 export const getUserSettings = async (userId) => {
   let settings = await UserSettings.findOne({ userId });
@@ -25,6 +26,20 @@ export const getUserSettings = async (userId) => {
   return settings;
 };
 
+/**
+ * Azure DevOps client for the user's own organization, or null when they
+ * haven't configured Azure DevOps
+ */
+export const getUserClient = async (userId) => {
+  const settings = await getUserSettings(userId);
+
+  if (!settings.azureDevOps?.organization || !settings.azureDevOps?.pat) {
+    return null;
+  }
+
+  return azureDevOpsClient.createUserClient(settings.azureDevOps);
+};
+
 export const updateUserSettings = async (userId, updates) => {
   let settings = await UserSettings.findOne({ userId });
   
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { isSafePattern, UNSAFE_PATTERN_MESSAGE } from '../utils/regexSafety.js';
 
 // Authentication schemas
 export const registerSchema = z.object({
@@ -52,7 +53,12 @@ export const settingsSchema = z.object({
     pullRequestEnabled: z.boolean().optional(),
     overdueCheckEnabled: z.boolean().optional(),
     overdueFilterEnabled: z.boolean().optional(),
-    overdueMaxDays: z.number().int().min(1).max(365).optional()
+    overdueMaxDays: z.number().int().min(1).max(365).optional(),
+    autoAssignReviewers: z.boolean().optional()
+  }).optional(),
+  memory: z.object({
+    embeddingProvider: z.enum(['huggingface', 'local']).optional(),
+    vectorSearch: z.enum(['auto', 'atlas', 'local']).optional()
   }).optional(),
   security: z.object({
     webhookSecret: z.string().optional(),
@@ -69,3 +75,277 @@ export const testConnectionSchema = z.object({
   pat: z.string().min(20).max(200),
   baseUrl: z.string().url()
 });
+
+// Workflow schedule update schema
+export const workflowScheduleSchema = z.object({
+  enabled: z.boolean().optional(),
+  cron: z.string().min(1).max(100).optional(),
+  timezone: z.string().min(1).max(100).nullable().optional()
+}).refine(data => Object.keys(data).length > 0, {
+  message: 'At least one of enabled, cron or timezone is required'
+});
+
+// User-authored workflow schemas
+const workflowIdentifier = z.string().min(1).max(64).regex(/^[A-Za-z_][A-Za-z0-9_-]*$/, 'Must start with a letter or underscore and contain only letters, numbers, _ and -');
+
+const workflowRetrySchema = z.object({
+  attempts: z.number().int().min(1).max(10),
+  backoff: z.union([
+    z.number().min(0),
+    z.object({
+      type: z.enum(['fixed', 'exponential']),
+      delayMs: z.number().min(0).optional(),
+      factor: z.number().min(1).optional(),
+      maxDelayMs: z.number().positive().optional()
+    }).strict()
+  ]).optional()
+}).strict();
+
+const workflowStepPolicySchema = {
+  retry: workflowRetrySchema.optional(),
+  timeoutMs: z.number().positive().max(60 * 60 * 1000).optional(),
+  onTimeout: z.enum(['retry', 'fail', 'skip', 'continue']).optional()
+};
+
+const workflowStepFlowSchema = {
+  id: workflowIdentifier,
+  output: workflowIdentifier.optional(),
+  condition: z.string().min(1).max(500).optional(),
+  dependsOn: z.array(workflowIdentifier).max(50).optional(),
+  continueOnError: z.boolean().optional()
+};
+
+const workflowAgentStepSchema = z.object({
+  ...workflowStepFlowSchema,
+  agent: z.string().min(1).max(50),
+  action: z.string().min(1).max(100),
+  input: z.any().optional(),
+  ...workflowStepPolicySchema
+}).strict();
+
+const workflowApprovalStepSchema = z.object({
+  ...workflowStepFlowSchema,
+  type: z.literal('approval'),
+  approval: z.object({
+    message: z.string().min(1).max(2000),
+    timeoutMs: z.number().positive().max(7 * 24 * 60 * 60 * 1000).optional(),
+    defaultDecision: z.enum(['approve', 'reject']).optional()
+  }).strict()
+}).strict();
+
+const workflowStepSchema = z.union([workflowAgentStepSchema, workflowApprovalStepSchema]);
+
+const workflowTriggerSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('event'),
+    event: z.union([z.string().min(1).max(100), z.array(z.string().min(1).max(100)).min(1).max(10)]),
+    filter: z.string().min(1).max(500).optional()
+  }).strict(),
+  z.object({
+    type: z.literal('schedule'),
+    cron: z.string().min(1).max(100),
+    timezone: z.string().min(1).max(100).optional(),
+    source: z.string().min(1).max(50).optional(),
+    as: workflowIdentifier.optional(),
+    each: z.boolean().optional()
+  }).strict()
+]);
+
+export const workflowDefinitionSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100).trim(),
+  description: z.string().max(500).optional(),
+  enabled: z.boolean().optional(),
+  trigger: workflowTriggerSchema,
+  steps: z.array(workflowStepSchema).min(1, 'At least one step is required').max(50),
+  stepDefaults: z.object(workflowStepPolicySchema).strict().optional(),
+  maxParallel: z.number().int().min(1).max(10).optional(),
+  resumePolicy: z.enum(['resume', 'fail']).optional()
+});
+
+export const workflowEnabledSchema = z.object({
+  enabled: z.boolean()
+});
+
+// Agent rules. Patterns are compiled with their flags; g and y are excluded
+// because they make RegExp.test() stateful between matches
+const compilesWithFlags = ({ pattern, flags }) => {
+  if (pattern == null) return true;
+  try {
+    new RegExp(pattern, flags ?? 'i');
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Patterns run against build logs for every tenant, so nested quantifiers are refused
+const isSafe = ({ pattern, flags }) => pattern == null || isSafePattern(pattern, flags ?? 'i');
+
+const ruleFields = {
+  category: z.string().trim().min(1).max(40),
+  pattern: z.string().min(1, 'Pattern is required').max(500),
+  flags: z.string().regex(/^(?!.*(.).*\1)[imsu]*$/, 'Flags may only contain i, m, s and u, once each'),
+  action: z.string().regex(/^[a-z][a-z0-9_]*$/, 'Action must be snake_case').max(60),
+  confidence: z.number().min(0).max(1),
+  solution: z.string().trim().max(1000),
+  autoFix: z.boolean(),
+  enabled: z.boolean()
+};
+
+const invalidPattern = { message: 'Pattern is not a valid regular expression', path: ['pattern'] };
+const unsafePattern = { message: UNSAFE_PATTERN_MESSAGE, path: ['pattern'] };
+
+// Structured conditions; RuleConditions checks fields, operators and values
+const ruleConditionSchema = z.object({
+  field: z.string().min(1).max(60),
+  operator: z.enum(['equals', 'notEquals', 'in', 'notIn', 'contains', 'matches', 'gt', 'gte', 'lt', 'lte', 'between']),
+  value: z.union([
+    z.string().max(200),
+    z.number(),
+    z.array(z.union([z.string().max(200), z.number()])).min(1).max(50)
+  ]),
+  timezone: z.string().max(60).optional()
+}).strict();
+
+const ruleConditionGroupSchema = z.lazy(() => {
+  const items = z.array(z.union([ruleConditionSchema, ruleConditionGroupSchema])).min(1).max(20);
+  return z.union([
+    z.object({ all: items }).strict(),
+    z.object({ any: items }).strict()
+  ]);
+});
+
+const hasPatternOrConditions = {
+  check: ({ pattern, conditions }) => Boolean(pattern || conditions),
+  message: { message: 'A rule needs a pattern, conditions, or both', path: ['pattern'] }
+};
+
+const ruleIdSchema = z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Id may only contain lowercase letters, digits and dashes').max(60);
+
+const ruleObjectSchema = z.object({
+  id: ruleIdSchema,
+  scope: z.enum(['user', 'organization']).default('user'),
+  category: ruleFields.category,
+  pattern: ruleFields.pattern.optional(),
+  flags: ruleFields.flags.default('i'),
+  conditions: ruleConditionGroupSchema.optional(),
+  action: ruleFields.action,
+  confidence: ruleFields.confidence.default(0.8),
+  solution: ruleFields.solution.optional(),
+  autoFix: ruleFields.autoFix.default(false),
+  enabled: ruleFields.enabled.default(true)
+});
+
+export const ruleSchema = ruleObjectSchema
+  .refine(compilesWithFlags, invalidPattern)
+  .refine(isSafe, unsafePattern)
+  .refine(hasPatternOrConditions.check, hasPatternOrConditions.message);
+
+export const ruleUpdateSchema = z.object({
+  category: ruleFields.category.optional(),
+  // null removes the pattern or the conditions (the rule must keep one)
+  pattern: ruleFields.pattern.nullable().optional(),
+  flags: ruleFields.flags.optional(),
+  conditions: ruleConditionGroupSchema.nullable().optional(),
+  action: ruleFields.action.optional(),
+  confidence: ruleFields.confidence.optional(),
+  solution: ruleFields.solution.optional(),
+  autoFix: ruleFields.autoFix.optional(),
+  enabled: ruleFields.enabled.optional()
+})
+  .refine(compilesWithFlags, invalidPattern)
+  .refine(isSafe, unsafePattern)
+  .refine(changes => Object.values(changes).some(value => value !== undefined), {
+    message: 'At least one change is required'
+  });
+
+// Edits to a learned rule awaiting review, and review decisions
+export const ruleProposalUpdateSchema = z.object({
+  category: ruleFields.category.optional(),
+  pattern: ruleFields.pattern.optional(),
+  flags: ruleFields.flags.optional(),
+  action: ruleFields.action.optional(),
+  confidence: ruleFields.confidence.optional(),
+  solution: ruleFields.solution.optional(),
+  autoFix: ruleFields.autoFix.optional(),
+  note: z.string().trim().max(500).optional()
+})
+  .refine(compilesWithFlags, invalidPattern)
+  .refine(isSafe, unsafePattern)
+  .refine(({ note, ...changes }) => Object.values(changes).some(value => value !== undefined), {
+    message: 'At least one change is required'
+  });
+
+export const ruleProposalDecisionSchema = z.object({
+  note: z.string().trim().max(500).optional()
+});
+
+// A draft rule run against recent failed build logs and stored memories;
+// an id of an existing rule stands in for that rule when picking the winner
+export const ruleTestSchema = z.object({
+  rule: ruleObjectSchema.extend({ id: ruleIdSchema.default('draft') })
+    .refine(compilesWithFlags, invalidPattern)
+    .refine(isSafe, unsafePattern)
+    .refine(hasPatternOrConditions.check, hasPatternOrConditions.message),
+  builds: z.number().int().min(0).max(25).default(10),
+  memories: z.number().int().min(0).max(500).default(200)
+});
+
+export const workflowSimulationSchema = z.object({
+  payload: z.record(z.any()).optional(),
+  event: z.string().min(1).max(100).optional(),
+  mocks: z.record(workflowIdentifier, z.any()).optional()
+});
+
+export const workflowApprovalDecisionSchema = z.object({
+  approved: z.boolean(),
+  stepId: workflowIdentifier.optional(),
+  comment: z.string().max(1000).optional()
+});
+
+export const buildRetrySchema = z.object({
+  mode: z.enum(['failed_stages', 'full']).default('failed_stages')
+});
+
+export const pullRequestReviewersSchema = z.object({
+  reviewerIds: z.array(z.string().uuid()).min(1).max(10)
+});
+
+// A verdict on an AI analysis; only a thumbs-down carries a correction
+export const analysisFeedbackSchema = z.object({
+  rating: z.enum(['up', 'down']),
+  analysis: z.string().trim().min(1).max(20000),
+  correction: z.string().trim().max(5000).optional()
+}).refine(
+  ({ rating, correction }) => !correction || rating === 'down',
+  { message: 'A correction can only come with a thumbs-down', path: ['correction'] }
+);
+
+// Curation of a stored memory; see models/Memory.js for the types
+export const memoryUpdateSchema = z.object({
+  type: z.enum(['build_failure', 'release_failure', 'pr_issue', 'work_item', 'sprint_insight', 'general']).optional(),
+  // Keys to merge into the metadata; null removes a key
+  metadata: z.record(z.any()).refine(
+    metadata => Object.keys(metadata).every(key => key && !key.startsWith('$') && !key.includes('.')),
+    { message: "Metadata keys cannot be empty, start with '$' or contain '.'" }
+  ).optional(),
+  pinned: z.boolean().optional()
+}).refine(changes => Object.values(changes).some(value => value !== undefined), {
+  message: 'At least one change is required'
+});
+
+// Work item edits; `rev` is the revision the client last saw, and an empty
+// assignedTo clears the assignee
+export const workItemUpdateSchema = z.object({
+  rev: z.number().int().positive().optional(),
+  state: z.string().trim().min(1).optional(),
+  assignedTo: z.string().trim().optional(),
+  priority: z.number().int().min(1).max(4).optional(),
+  tags: z.array(z.string().trim().min(1)).optional(),
+  addTags: z.array(z.string().trim().min(1)).optional(),
+  removeTags: z.array(z.string().trim().min(1)).optional(),
+  comment: z.string().trim().min(1).optional()
+}).refine(
+  ({ rev, ...changes }) => Object.values(changes).some(value => value !== undefined),
+  { message: 'At least one change is required' }
+);
@@ -4,6 +4,7 @@ import { notificationService } from '../notifications/notificationService.js';
 import { markdownFormatter } from '../utils/markdownFormatter.js';
 import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
 import notificationHistoryService from '../services/notificationHistoryService.js';
+import { eventBus } from '../events/EventBus.js';
 import BaseWebhook from './BaseWebhook.js';
 
 class BuildWebhook extends BaseWebhook {
@@ -109,6 +110,13 @@ class BuildWebhook extends BaseWebhook {
         // Legacy global notification
         await notificationService.sendNotification(message, notificationType);
       }
+
+      // Let event-triggered workflows react (e.g. build.failed)
+      eventBus.publish(`build.${(result || 'completed').toLowerCase()}`, { build: resource }, {
+        userId,
+        source: 'webhook',
+        dedupeKey: buildId
+      });
       
       res.json({
         message: 'Build completed webhook processed successfully',
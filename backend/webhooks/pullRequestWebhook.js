@@ -4,6 +4,7 @@ import { notificationService } from '../notifications/notificationService.js';
 import { markdownFormatter } from '../utils/markdownFormatter.js';
 import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
 import notificationHistoryService from '../services/notificationHistoryService.js';
+import { eventBus } from '../events/EventBus.js';
 import BaseWebhook from './BaseWebhook.js';
 
 class PullRequestWebhook extends BaseWebhook {
@@ -80,6 +81,12 @@ class PullRequestWebhook extends BaseWebhook {
       } else {
         await notificationService.sendNotification(card, 'pull-request-created');
       }
+
+      eventBus.publish('pullrequest.created', { pr: resource }, {
+        userId,
+        source: 'webhook',
+        dedupeKey: pullRequestId
+      });
       
       res.json({
         message: 'Pull request created webhook processed successfully',
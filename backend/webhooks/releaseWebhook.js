@@ -2,6 +2,7 @@ import { logger } from '../utils/logger.js';
 import { markdownFormatter } from '../utils/markdownFormatter.js';
 import axios from 'axios';
 import notificationHistoryService from '../services/notificationHistoryService.js';
+import { eventBus } from '../events/EventBus.js';
 import BaseWebhook from './BaseWebhook.js';
 
 class ReleaseWebhook extends BaseWebhook {
@@ -87,6 +88,17 @@ class ReleaseWebhook extends BaseWebhook {
       if (userId) {
         await this.sendUserNotification(resource, userSettings, notificationType, failedLogs, userId);
       }
+
+      // release.deployment.succeeded, release.deployment.failed, ...
+      eventBus.publish(`release.deployment.${isFailed ? 'failed' : (status || 'completed')}`, {
+        release: resource,
+        environment: environmentName,
+        failedLogs
+      }, {
+        userId,
+        source: 'webhook',
+        dedupeKey: eventId
+      });
       
       res.json({
         message: 'Release deployment webhook processed successfully',
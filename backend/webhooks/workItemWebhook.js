@@ -3,6 +3,7 @@ import { aiService } from '../ai/aiService.js';
 import { notificationService } from '../notifications/notificationService.js';
 import { markdownFormatter } from '../utils/markdownFormatter.js';
 import notificationHistoryService from '../services/notificationHistoryService.js';
+import { eventBus } from '../events/EventBus.js';
 import BaseWebhook from './BaseWebhook.js';
 
 class WorkItemWebhook extends BaseWebhook {
@@ -99,6 +100,12 @@ class WorkItemWebhook extends BaseWebhook {
         // Legacy global notification
         await notificationService.sendNotification(message, 'work-item-created');
       }
+
+      eventBus.publish('workitem.created', { workItem: resource }, {
+        userId,
+        source: 'webhook',
+        dedupeKey: workItemId
+      });
       
       res.json({
         message: 'Work item created webhook processed successfully',
@@ -216,6 +223,12 @@ class WorkItemWebhook extends BaseWebhook {
         // Legacy global notification
         await notificationService.sendNotification(message, 'work-item-updated');
       }
+
+      eventBus.publish('workitem.updated', { workItem: resource, changes: changedFields }, {
+        userId,
+        source: 'webhook',
+        dedupeKey: `${workItemId}-${resource.rev || revision.rev || Date.now()}`
+      });
       
       res.json({
         message: 'Work item updated webhook processed successfully',
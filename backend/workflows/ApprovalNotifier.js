@@ -0,0 +1,147 @@
+import { logger } from '../utils/logger.js';
+import { env } from '../config/env.js';
+import notificationHistoryService from '../services/notificationHistoryService.js';
+
+/**
+ * Approval Notifier - tells a workflow's owner that an approval step is waiting
+ * The card links to the Automations page, where the (authenticated) user
+ * approves or rejects through /api/workflows/executions/:id/approve
+ */
+class ApprovalNotifier {
+  /**
+   * Notify the execution's owner about a waiting approval step
+   * Errors are logged, never thrown - the step keeps waiting either way
+   */
+  async requestApproval(execution, workflow, record) {
+    if (!execution.userId) {
+      logger.warn(`Approval step ${record.id} of execution ${execution.id} has no owner to notify`);
+      return;
+    }
+
+    try {
+      const { getUserSettings } = await import('../utils/userSettings.js');
+      const settings = await getUserSettings(execution.userId);
+      const links = this.getLinks(execution.id, record.id);
+      const channels = [];
+
+      if (settings.notifications?.enabled && settings.notifications.googleChatEnabled && settings.notifications.webhooks?.googleChat) {
+        try {
+          const { sendGoogleChatNotification } = await import('../utils/notificationWrapper.js');
+          const card = this.formatApprovalCard(execution, workflow, record, links);
+
+          await sendGoogleChatNotification(execution.userId, card, settings.notifications.webhooks.googleChat);
+
+          channels.push({ platform: 'google-chat', status: 'sent', sentAt: new Date() });
+        } catch (error) {
+          channels.push({ platform: 'google-chat', status: 'failed', error: error.message });
+          logger.error('Failed to queue approval notification:', error);
+        }
+      }
+
+      await notificationHistoryService.saveNotification(execution.userId, {
+        type: 'approval',
+        subType: 'requested',
+        title: `Approval needed: ${workflow.name || workflow.id}`,
+        message: record.approval.message,
+        source: 'workflow',
+        metadata: {
+          executionId: execution.id,
+          workflowId: execution.workflowId,
+          stepId: record.id,
+          expiresAt: record.approval.expiresAt,
+          defaultDecision: record.approval.defaultDecision,
+          url: links.review
+        },
+        channels
+      });
+
+      logger.info(`Approval requested for step ${record.id}`, {
+        executionId: execution.id,
+        userId: execution.userId
+      });
+    } catch (error) {
+      logger.error(`Error sending approval request for execution ${execution.id}:`, error);
+    }
+  }
+
+  /**
+   * Frontend links that open the execution with a decision preselected
+   */
+  getLinks(executionId, stepId) {
+    const baseUrl = (env.FRONTEND_URL || `http://localhost:${env.PORT}`).replace(/\/$/, '');
+    const review = `${baseUrl}/automations?execution=${encodeURIComponent(executionId)}&step=${encodeURIComponent(stepId)}`;
+
+    return {
+      review,
+      approve: `${review}&decision=approve`,
+      reject: `${review}&decision=reject`
+    };
+  }
+
+  formatApprovalCard(execution, workflow, record, links) {
+    const defaultDecision = record.approval.defaultDecision === 'approve' ? 'approved' : 'rejected';
+
+    return {
+      cardsV2: [{
+        cardId: `approval-${execution.id}-${record.id}`,
+        card: {
+          header: {
+            title: '✋ Approval Needed',
+            subtitle: workflow.name || workflow.id,
+            imageUrl: 'https://img.icons8.com/color/96/inspection.png',
+            imageType: 'CIRCLE'
+          },
+          sections: [
+            {
+              widgets: [
+                {
+                  textParagraph: {
+                    text: record.approval.message
+                  }
+                },
+                {
+                  decoratedText: {
+                    startIcon: { knownIcon: 'CLOCK' },
+                    topLabel: 'Expires',
+                    text: `${new Date(record.approval.expiresAt).toUTCString()} (then ${defaultDecision} automatically)`,
+                    wrapText: true
+                  }
+                },
+                {
+                  decoratedText: {
+                    startIcon: { knownIcon: 'BOOKMARK' },
+                    topLabel: 'Step',
+                    text: record.id
+                  }
+                }
+              ]
+            },
+            {
+              widgets: [{
+                buttonList: {
+                  buttons: [
+                    {
+                      text: 'Approve',
+                      onClick: {
+                        openLink: { url: links.approve }
+                      }
+                    },
+                    {
+                      text: 'Reject',
+                      onClick: {
+                        openLink: { url: links.reject }
+                      }
+                    }
+                  ]
+                }
+              }]
+            }
+          ]
+        }
+      }]
+    };
+  }
+}
+
+export const approvalNotifier = new ApprovalNotifier();
+export default approvalNotifier;
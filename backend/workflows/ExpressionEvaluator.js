@@ -0,0 +1,550 @@
+/**
+ * Sandboxed expression evaluator for workflow step conditions
+ * Parses expressions into an AST and interprets them - never uses eval/Function
+ *
+ * Supported syntax:
+ *   References:  ${decision.decision}, ${risks[0].type}, decision.action, context.userId
+ *   Literals:    "text", 'text', 42, 1.5, true, false, null, ["a", "b"]
+ *   Comparison:  ==, !=, <, <=, >, >=
+ *   Boolean:     &&, ||, !, and, or, not
+ *   Membership:  value in list, list contains value
+ *   Math:        +, -, *, /, %, unary -
+ */
+
+/**
+ * Error raised when an expression cannot be parsed or evaluated
+ */
+export class ExpressionError extends Error {
+  constructor(message, expression = null, position = null) {
+    super(position !== null ? `${message} at position ${position}` : message);
+    this.name = 'ExpressionError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+const KEYWORDS = {
+  and: '&&',
+  or: '||',
+  not: '!',
+  in: 'in',
+  contains: 'contains'
+};
+
+const LITERALS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%'];
+
+// Binary operator precedence (higher binds tighter)
+const PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4, 'in': 4, 'contains': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+// Property names that must never be reachable from an expression
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+class ExpressionEvaluator {
+  constructor() {
+    this.cache = new Map();
+    this.maxCacheSize = 500;
+  }
+
+  /**
+   * Parse an expression into an AST (cached)
+   */
+  compile(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new ExpressionError('Expression must be a non-empty string', expression);
+    }
+
+    const cached = this.cache.get(expression);
+    if (cached) return cached;
+
+    const tokens = this.tokenize(expression);
+    const parser = { tokens, index: 0, expression };
+    const ast = this.parseBinary(parser, 0);
+
+    if (parser.index < tokens.length) {
+      const token = tokens[parser.index];
+      throw new ExpressionError(`Unexpected token '${token.value}'`, expression, token.position);
+    }
+
+    if (this.cache.size >= this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(expression, ast);
+
+    return ast;
+  }
+
+  /**
+   * Check whether an expression parses
+   */
+  validate(expression) {
+    try {
+      this.compile(expression);
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * List the reference paths (as segment arrays) used by an expression
+   */
+  references(expression) {
+    const paths = [];
+    const visit = node => {
+      if (node.type === 'reference') paths.push(node.path);
+      if (node.type === 'binary') {
+        visit(node.left);
+        visit(node.right);
+      }
+      if (node.type === 'unary') visit(node.argument);
+      if (node.type === 'list') node.elements.forEach(visit);
+    };
+
+    visit(this.compile(expression));
+    return paths;
+  }
+
+  /**
+   * Evaluate an expression against a scope
+   */
+  evaluate(expression, scope = {}) {
+    const ast = this.compile(expression);
+    return this.evaluateNode(ast, scope, expression);
+  }
+
+  /**
+   * Evaluate an expression and coerce the result to a boolean
+   */
+  test(expression, scope = {}) {
+    return this.isTruthy(this.evaluate(expression, scope));
+  }
+
+  /**
+   * Resolve a dotted path (e.g. "analysis.result.action") against a scope
+   */
+  resolvePath(path, scope = {}) {
+    const segments = this.parsePath(path);
+    return this.lookup(segments, scope);
+  }
+
+  /**
+   * Split a path string into property segments
+   */
+  parsePath(path) {
+    const segments = [];
+    const pattern = /([^.[\]]+)|\[(\d+)\]|\[["']([^"']*)["']\]/g;
+    let match;
+
+    while ((match = pattern.exec(path)) !== null) {
+      segments.push(match[1] ?? (match[2] !== undefined ? Number(match[2]) : match[3]));
+    }
+
+    if (segments.length === 0) {
+      throw new ExpressionError(`Invalid reference '${path}'`, path);
+    }
+
+    const blocked = segments.find(segment => BLOCKED_PROPERTIES.has(segment));
+    if (blocked) {
+      throw new ExpressionError(`Access to '${blocked}' is not allowed`, path);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Convert an expression string into tokens
+   */
+  tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+      const char = expression[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      // ${path.to.value} reference
+      if (char === '$' && expression[i + 1] === '{') {
+        const end = expression.indexOf('}', i + 2);
+        if (end === -1) {
+          throw new ExpressionError('Unterminated ${ reference', expression, i);
+        }
+        const path = expression.slice(i + 2, end).trim();
+        if (!path) {
+          throw new ExpressionError('Empty ${} reference', expression, i);
+        }
+        tokens.push({ type: 'reference', value: path, position: i });
+        i = end + 1;
+        continue;
+      }
+
+      // String literal
+      if (char === '"' || char === '\'') {
+        let value = '';
+        let j = i + 1;
+        while (j < expression.length && expression[j] !== char) {
+          if (expression[j] === '\\' && j + 1 < expression.length) {
+            j++;
+          }
+          value += expression[j];
+          j++;
+        }
+        if (j >= expression.length) {
+          throw new ExpressionError('Unterminated string literal', expression, i);
+        }
+        tokens.push({ type: 'literal', value, position: i });
+        i = j + 1;
+        continue;
+      }
+
+      // Number literal
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(expression[i + 1] || ''))) {
+        const match = /^\d*\.?\d+(?:[eE][+-]?\d+)?/.exec(expression.slice(i));
+        tokens.push({ type: 'literal', value: Number(match[0]), position: i });
+        i += match[0].length;
+        continue;
+      }
+
+      // Identifier, keyword or bare path (decision.action, risks[0].type)
+      if (/[A-Za-z_]/.test(char)) {
+        const match = /^[A-Za-z_][\w]*(?:\.[A-Za-z_]\w*|\[\d+\])*/.exec(expression.slice(i));
+        const word = match[0];
+
+        if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+          tokens.push({ type: 'operator', value: KEYWORDS[word], position: i });
+        } else if (Object.prototype.hasOwnProperty.call(LITERALS, word)) {
+          tokens.push({ type: 'literal', value: LITERALS[word], position: i });
+        } else {
+          tokens.push({ type: 'reference', value: word, position: i });
+        }
+        i += word.length;
+        continue;
+      }
+
+      if ('()[],'.includes(char)) {
+        tokens.push({ type: 'punctuation', value: char, position: i });
+        i++;
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => expression.startsWith(op, i));
+      if (operator) {
+        // Strict forms behave the same as == / != in this language
+        const normalized = operator === '===' ? '==' : operator === '!==' ? '!=' : operator;
+        tokens.push({ type: 'operator', value: normalized, position: i });
+        i += operator.length;
+        continue;
+      }
+
+      throw new ExpressionError(`Unexpected character '${char}'`, expression, i);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Precedence-climbing parser for binary operators
+   */
+  parseBinary(parser, minPrecedence) {
+    let left = this.parseUnary(parser);
+
+    while (parser.index < parser.tokens.length) {
+      const token = parser.tokens[parser.index];
+      const precedence = token.type === 'operator' ? PRECEDENCE[token.value] : undefined;
+
+      if (precedence === undefined || precedence <= minPrecedence) {
+        break;
+      }
+
+      parser.index++;
+      const right = this.parseBinary(parser, precedence);
+      left = { type: 'binary', operator: token.value, left, right, position: token.position };
+    }
+
+    return left;
+  }
+
+  /**
+   * Parse unary operators (!, not, -)
+   */
+  parseUnary(parser) {
+    const token = parser.tokens[parser.index];
+
+    if (token?.type === 'operator' && (token.value === '!' || token.value === '-')) {
+      parser.index++;
+      const argument = this.parseUnary(parser);
+      return { type: 'unary', operator: token.value, argument, position: token.position };
+    }
+
+    return this.parsePrimary(parser);
+  }
+
+  /**
+   * Parse literals, references, parenthesised groups and list literals
+   */
+  parsePrimary(parser) {
+    const token = parser.tokens[parser.index];
+
+    if (!token) {
+      throw new ExpressionError('Unexpected end of expression', parser.expression, parser.expression.length);
+    }
+
+    parser.index++;
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'reference') {
+      return { type: 'reference', path: this.parsePath(token.value) };
+    }
+
+    if (token.value === '(') {
+      const inner = this.parseBinary(parser, 0);
+      this.expect(parser, ')');
+      return inner;
+    }
+
+    if (token.value === '[') {
+      const elements = [];
+      if (parser.tokens[parser.index]?.value !== ']') {
+        do {
+          elements.push(this.parseBinary(parser, 0));
+        } while (this.consume(parser, ','));
+      }
+      this.expect(parser, ']');
+      return { type: 'list', elements };
+    }
+
+    throw new ExpressionError(`Unexpected token '${token.value}'`, parser.expression, token.position);
+  }
+
+  /**
+   * Consume a punctuation token if it is next
+   */
+  consume(parser, value) {
+    if (parser.tokens[parser.index]?.value === value) {
+      parser.index++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Require a punctuation token
+   */
+  expect(parser, value) {
+    if (!this.consume(parser, value)) {
+      const token = parser.tokens[parser.index];
+      throw new ExpressionError(
+        `Expected '${value}'`,
+        parser.expression,
+        token ? token.position : parser.expression.length
+      );
+    }
+  }
+
+  /**
+   * Interpret an AST node
+   */
+  evaluateNode(node, scope, expression) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'reference':
+        return this.lookup(node.path, scope);
+
+      case 'list':
+        return node.elements.map(element => this.evaluateNode(element, scope, expression));
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, scope, expression);
+        if (node.operator === '!') return !this.isTruthy(value);
+        return -this.requireNumber(value, '-', expression, node.position);
+      }
+
+      case 'binary':
+        return this.evaluateBinary(node, scope, expression);
+
+      default:
+        throw new ExpressionError(`Unknown node type '${node.type}'`, expression);
+    }
+  }
+
+  /**
+   * Interpret a binary operation
+   */
+  evaluateBinary(node, scope, expression) {
+    const { operator } = node;
+
+    // Short-circuit boolean operators
+    if (operator === '&&') {
+      return this.isTruthy(this.evaluateNode(node.left, scope, expression))
+        && this.isTruthy(this.evaluateNode(node.right, scope, expression));
+    }
+    if (operator === '||') {
+      return this.isTruthy(this.evaluateNode(node.left, scope, expression))
+        || this.isTruthy(this.evaluateNode(node.right, scope, expression));
+    }
+
+    const left = this.evaluateNode(node.left, scope, expression);
+    const right = this.evaluateNode(node.right, scope, expression);
+
+    switch (operator) {
+      case '==':
+        return this.equals(left, right);
+      case '!=':
+        return !this.equals(left, right);
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return this.compare(operator, left, right);
+      case 'in':
+        return this.contains(right, left);
+      case 'contains':
+        return this.contains(left, right);
+      case '+':
+        if (typeof left === 'string' && typeof right === 'string') {
+          return left + right;
+        }
+        return this.requireNumber(left, operator, expression, node.position)
+          + this.requireNumber(right, operator, expression, node.position);
+      case '-':
+        return this.requireNumber(left, operator, expression, node.position)
+          - this.requireNumber(right, operator, expression, node.position);
+      case '*':
+        return this.requireNumber(left, operator, expression, node.position)
+          * this.requireNumber(right, operator, expression, node.position);
+      case '/':
+      case '%': {
+        const dividend = this.requireNumber(left, operator, expression, node.position);
+        const divisor = this.requireNumber(right, operator, expression, node.position);
+        if (divisor === 0) {
+          throw new ExpressionError('Division by zero', expression, node.position);
+        }
+        return operator === '/' ? dividend / divisor : dividend % divisor;
+      }
+      default:
+        throw new ExpressionError(`Unsupported operator '${operator}'`, expression, node.position);
+    }
+  }
+
+  /**
+   * Walk a property path using own properties only
+   */
+  lookup(segments, scope) {
+    let current = scope;
+
+    for (const segment of segments) {
+      if (current === null || current === undefined) {
+        return undefined;
+      }
+
+      if (segment === 'length' && (Array.isArray(current) || typeof current === 'string')) {
+        current = current.length;
+        continue;
+      }
+
+      if (typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+        return undefined;
+      }
+
+      current = current[segment];
+    }
+
+    return current;
+  }
+
+  /**
+   * Equality without type coercion (null and undefined are equal)
+   */
+  equals(left, right) {
+    if (left === null || left === undefined) {
+      return right === null || right === undefined;
+    }
+    if (left instanceof Date || right instanceof Date) {
+      return new Date(left).getTime() === new Date(right).getTime();
+    }
+    return left === right;
+  }
+
+  /**
+   * Ordering comparison - mismatched or missing operands never match
+   */
+  compare(operator, left, right) {
+    const comparable = (typeof left === 'number' && typeof right === 'number')
+      || (typeof left === 'string' && typeof right === 'string');
+
+    if (!comparable) {
+      return false;
+    }
+
+    switch (operator) {
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      default: return left >= right;
+    }
+  }
+
+  /**
+   * Membership test for arrays, strings and objects
+   */
+  contains(container, item) {
+    if (Array.isArray(container)) {
+      return container.some(element => this.equals(element, item));
+    }
+    if (typeof container === 'string') {
+      return item !== null && item !== undefined && container.includes(String(item));
+    }
+    if (container && typeof container === 'object') {
+      return typeof item === 'string' && Object.prototype.hasOwnProperty.call(container, item);
+    }
+    return false;
+  }
+
+  /**
+   * Ensure an arithmetic operand is numeric
+   */
+  requireNumber(value, operator, expression, position) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new ExpressionError(
+        `Operator '${operator}' expects numbers but got ${value === undefined ? 'undefined' : JSON.stringify(value)}`,
+        expression,
+        position
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Truthiness rules for conditions
+   */
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value === 'false') return false;
+    return !!value;
+  }
+}
+
+// Export singleton instance
+export const expressionEvaluator = new ExpressionEvaluator();
+export default expressionEvaluator;
@@ -1,40 +1,343 @@
+import os from 'os';
+import cron from 'node-cron';
 import { v4 as uuid } from 'uuid';
-import mongoose from 'mongoose';
 import { logger } from '../utils/logger.js';
 import { agentRegistry } from '../agents/AgentRegistry.js';
+import { expressionEvaluator } from './ExpressionEvaluator.js';
+import { approvalNotifier } from './ApprovalNotifier.js';
+import WorkflowExecution from '../models/WorkflowExecution.js';
+
+// Step statuses that count as finished when scheduling or resuming
+const FINISHED_STEP_STATUSES = ['completed', 'failed', 'skipped'];
+
+// What to do when a step attempt exceeds its timeoutMs
+const ON_TIMEOUT_POLICIES = ['retry', 'fail', 'skip', 'continue'];
+
+// What to do with an execution whose process died while it was running
+const RESUME_POLICIES = ['resume', 'fail'];
+
+// Outcome of an approval step nobody decided in time
+const APPROVAL_DECISIONS = ['approve', 'reject'];
+
+/**
+ * Raised when a step attempt exceeds its timeout
+ */
+class StepTimeoutError extends Error {
+  constructor(stepId, timeoutMs) {
+    super(`Step ${stepId} timed out after ${timeoutMs}ms`);
+    this.name = 'StepTimeoutError';
+  }
+}
 
 /**
  * Simple workflow engine for autonomous multi-step tasks
  * No external dependencies (no Temporal, no Bull)
+ *
+ * Steps form a DAG: a step may declare `dependsOn: ['stepId', ...]` and runs
+ * as soon as all of its dependencies have finished. Steps that omit
+ * `dependsOn` depend on the previous step, so plain lists stay sequential;
+ * `dependsOn: []` marks a step as a root that starts immediately.
+ *
+ * Each step may also declare:
+ *   retry:     { attempts: 3, backoff: { type: 'exponential', delayMs: 1000, maxDelayMs: 30000 } }
+ *              (backoff may also be a number of milliseconds for a fixed delay)
+ *   timeoutMs: per-attempt timeout (defaults to 5 minutes)
+ *   onTimeout: what happens when an attempt times out
+ *              'retry'    - retry while attempts remain, then fail the step (default)
+ *              'fail'     - fail the step immediately without retrying
+ *              'skip'     - retry, then mark the step skipped and carry on
+ *              'continue' - retry, then mark the step failed but carry on
+ * Workflow-level `stepDefaults` apply to every step that omits these fields.
+ *
+ * A step with `type: 'approval'` runs no agent; it waits for a person:
+ *   approval: { message, timeoutMs: 86400000, defaultDecision: 'reject' }
+ * The owner is notified and the execution pauses once nothing else is
+ * running. decideApproval() (or the timeout, applying defaultDecision)
+ * completes the step on approval or fails it on rejection, then resumes the
+ * run. Either way the step output is { approved, decidedBy, comment, timedOut }.
+ *
+ * Running executions hold a lease (owner + expiry) that is renewed while the
+ * engine works on them. Executions whose lease has expired were orphaned by a
+ * crash or restart; recovery claims them atomically and then, following the
+ * workflow's `resumePolicy`, either resumes them ('resume') or marks them
+ * failed ('fail', the default).
  */
 class SimpleWorkflowEngine {
   constructor() {
     this.workflows = new Map();
     this.activeExecutions = new Map();
+    this.pendingSaves = new Map();
+    this.lostLeases = new Set();
+    this.defaultMaxParallel = 4;
+    this.defaultStepTimeoutMs = 5 * 60 * 1000;
+    this.maxRetryAttempts = 10;
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuid().slice(0, 8)}`;
+    this.leaseDurationMs = 60 * 1000;
+    this.leaseRenewIntervalMs = 20 * 1000;
+    this.recoveryIntervalMs = 60 * 1000;
+    this.recoveryTimer = null;
+    this.defaultApprovalTimeoutMs = 24 * 60 * 60 * 1000;
+    this.maxApprovalTimeoutMs = 7 * 24 * 60 * 60 * 1000;
   }
 
   /**
    * Register a workflow
    */
   register(workflow) {
-    if (!workflow.id || !workflow.steps) {
-      throw new Error('Workflow must have id and steps');
-    }
+    const steps = this.validate(workflow);
 
     this.workflows.set(workflow.id, {
       ...workflow,
+      steps,
       registeredAt: new Date()
     });
 
     logger.info(`Workflow registered: ${workflow.id}`, {
-      steps: workflow.steps.length
+      steps: steps.length,
+      roots: steps.filter(step => step.dependsOn.length === 0).length
+    });
+  }
+
+  /**
+   * Check a workflow without registering it; returns the normalized steps
+   */
+  validate(workflow) {
+    if (!workflow.id || !workflow.steps) {
+      throw new Error('Workflow must have id and steps');
+    }
+
+    const steps = this.buildGraph(workflow);
+    this.validateTrigger(workflow);
+    this.validateConditions(workflow);
+    this.validatePolicies(workflow);
+    this.validateApprovals(workflow);
+
+    if (workflow.resumePolicy !== undefined && !RESUME_POLICIES.includes(workflow.resumePolicy)) {
+      throw new Error(`Workflow ${workflow.id} resumePolicy must be one of ${RESUME_POLICIES.join(', ')}`);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Remove a registered workflow (running executions are not affected)
+   */
+  unregister(workflowId) {
+    const removed = this.workflows.delete(workflowId);
+    if (removed) {
+      logger.info(`Workflow unregistered: ${workflowId}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Normalize step dependencies and reject unknown references or cycles
+   */
+  buildGraph(workflow) {
+    const ids = new Set();
+
+    for (const step of workflow.steps) {
+      if (!step.id) {
+        throw new Error(`Workflow ${workflow.id} has a step without an id`);
+      }
+      if (ids.has(step.id)) {
+        throw new Error(`Workflow ${workflow.id} has duplicate step id '${step.id}'`);
+      }
+      ids.add(step.id);
+    }
+
+    const steps = workflow.steps.map((step, index) => {
+      const dependsOn = Array.isArray(step.dependsOn)
+        ? [...new Set(step.dependsOn)]
+        : (index > 0 ? [workflow.steps[index - 1].id] : []);
+
+      for (const dependency of dependsOn) {
+        if (dependency === step.id) {
+          throw new Error(`Workflow ${workflow.id} step '${step.id}' depends on itself`);
+        }
+        if (!ids.has(dependency)) {
+          throw new Error(`Workflow ${workflow.id} step '${step.id}' depends on unknown step '${dependency}'`);
+        }
+      }
+
+      return { ...step, dependsOn };
     });
+
+    // Kahn's algorithm - any step left over is part of a cycle
+    const remaining = new Map(steps.map(step => [step.id, step.dependsOn.length]));
+    const queue = steps.filter(step => step.dependsOn.length === 0).map(step => step.id);
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      remaining.delete(id);
+
+      for (const step of steps) {
+        if (step.dependsOn.includes(id) && remaining.has(step.id)) {
+          const count = remaining.get(step.id) - 1;
+          remaining.set(step.id, count);
+          if (count === 0) queue.push(step.id);
+        }
+      }
+    }
+
+    if (remaining.size > 0) {
+      throw new Error(`Workflow ${workflow.id} has a dependency cycle between steps: ${[...remaining.keys()].join(', ')}`);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Reject malformed event and schedule triggers
+   */
+  validateTrigger(workflow) {
+    const { trigger } = workflow;
+    if (!trigger) return;
+
+    if (trigger.type === 'schedule') {
+      if (typeof trigger.cron !== 'string' || !cron.validate(trigger.cron)) {
+        throw new Error(`Workflow ${workflow.id} has an invalid schedule cron '${trigger.cron}'`);
+      }
+      if (trigger.timezone && !this.isValidTimezone(trigger.timezone)) {
+        throw new Error(`Workflow ${workflow.id} has an unknown schedule timezone '${trigger.timezone}'`);
+      }
+      if (trigger.each && !trigger.source) {
+        throw new Error(`Workflow ${workflow.id} schedule uses 'each' without a 'source'`);
+      }
+      return;
+    }
+
+    if (trigger.type !== 'event') return;
+
+    const events = Array.isArray(trigger.event) ? trigger.event : [trigger.event];
+    if (events.length === 0 || !events.every(event => typeof event === 'string' && event.length > 0)) {
+      throw new Error(`Workflow ${workflow.id} has an event trigger without an event name`);
+    }
+
+    if (trigger.filter) {
+      const { valid, error } = expressionEvaluator.validate(trigger.filter);
+      if (!valid) {
+        throw new Error(`Workflow ${workflow.id} has an invalid trigger filter - ${error}`);
+      }
+    }
+  }
+
+  /**
+   * Whether Intl knows the given IANA timezone
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Reject workflows whose step conditions do not parse
+   */
+  validateConditions(workflow) {
+    const errors = [];
+
+    for (const step of workflow.steps) {
+      if (!step.condition) continue;
+
+      const { valid, error } = expressionEvaluator.validate(step.condition);
+      if (!valid) {
+        errors.push(`step '${step.id}': ${error}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Workflow ${workflow.id} has invalid conditions - ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Reject malformed retry / timeout policies
+   */
+  validatePolicies(workflow) {
+    const errors = [];
+    const sources = [
+      ...(workflow.stepDefaults ? [{ label: 'stepDefaults', policy: workflow.stepDefaults }] : []),
+      ...workflow.steps.map(step => ({ label: `step '${step.id}'`, policy: step }))
+    ];
+
+    for (const { label, policy } of sources) {
+      const { retry, timeoutMs, onTimeout } = policy;
+
+      if (retry !== undefined) {
+        if (!Number.isInteger(retry.attempts) || retry.attempts < 1 || retry.attempts > this.maxRetryAttempts) {
+          errors.push(`${label}: retry.attempts must be an integer between 1 and ${this.maxRetryAttempts}`);
+        }
+
+        const { backoff } = retry;
+        if (backoff !== undefined && typeof backoff !== 'number') {
+          if (typeof backoff !== 'object' || !['fixed', 'exponential'].includes(backoff.type)) {
+            errors.push(`${label}: retry.backoff must be a delay in ms or { type: 'fixed' | 'exponential', delayMs }`);
+          } else if (backoff.delayMs !== undefined && !(backoff.delayMs >= 0)) {
+            errors.push(`${label}: retry.backoff.delayMs must be a non-negative number`);
+          }
+        } else if (typeof backoff === 'number' && backoff < 0) {
+          errors.push(`${label}: retry.backoff must be a non-negative number`);
+        }
+      }
+
+      if (timeoutMs !== undefined && !(typeof timeoutMs === 'number' && timeoutMs > 0)) {
+        errors.push(`${label}: timeoutMs must be a positive number`);
+      }
+
+      if (onTimeout !== undefined && !ON_TIMEOUT_POLICIES.includes(onTimeout)) {
+        errors.push(`${label}: onTimeout must be one of ${ON_TIMEOUT_POLICIES.join(', ')}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Workflow ${workflow.id} has invalid step policies - ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Reject malformed approval steps
+   */
+  validateApprovals(workflow) {
+    const errors = [];
+
+    for (const step of workflow.steps) {
+      if (step.type === undefined) continue;
+
+      if (step.type !== 'approval') {
+        errors.push(`step '${step.id}': unknown type '${step.type}'`);
+        continue;
+      }
+
+      const { approval } = step;
+      if (!approval || typeof approval.message !== 'string' || approval.message.length === 0) {
+        errors.push(`step '${step.id}': approval.message is required`);
+        continue;
+      }
+      if (step.agent || step.action || step.retry) {
+        errors.push(`step '${step.id}': approval steps cannot have agent, action or retry`);
+      }
+      if (approval.timeoutMs !== undefined && !(typeof approval.timeoutMs === 'number' && approval.timeoutMs > 0 && approval.timeoutMs <= this.maxApprovalTimeoutMs)) {
+        errors.push(`step '${step.id}': approval.timeoutMs must be a positive number of at most ${this.maxApprovalTimeoutMs}ms`);
+      }
+      if (approval.defaultDecision !== undefined && !APPROVAL_DECISIONS.includes(approval.defaultDecision)) {
+        errors.push(`step '${step.id}': approval.defaultDecision must be one of ${APPROVAL_DECISIONS.join(', ')}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Workflow ${workflow.id} has invalid approval steps - ${errors.join('; ')}`);
+    }
   }
 
   /**
    * Execute a workflow
+   * options.userId and options.trigger record who and what started the run
    */
-  async execute(workflowId, context = {}) {
+  async execute(workflowId, context = {}, options = {}) {
     const workflow = this.workflows.get(workflowId);
     if (!workflow) {
       throw new Error(`Workflow ${workflowId} not found`);
@@ -44,246 +347,978 @@ class SimpleWorkflowEngine {
     const execution = {
       id: executionId,
       workflowId,
+      userId: options.userId || null,
+      trigger: options.trigger || { type: 'manual' },
       status: 'running',
       startTime: new Date(),
       steps: [],
       context: { ...context },
-      outputs: {}
+      outputs: {},
+      lease: this.createLease()
     };
 
-    this.activeExecutions.set(executionId, execution);
+    logger.info(`Workflow execution started`, {
+      executionId,
+      workflowId,
+      trigger: execution.trigger.type
+    });
+
+    return await this.run(workflow, execution);
+  }
+
+  /**
+   * Run a workflow as a dry run: nothing is persisted, approvals are decided
+   * immediately and agent actions go through options.stubAction(step, agent,
+   * input), which returns { result, stubbed }. options.mocks maps step ids to
+   * results used instead of running the step at all.
+   * Returns the execution trace.
+   */
+  async simulate(workflowId, context = {}, options = {}) {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const execution = {
+      id: `simulation-${uuid()}`,
+      workflowId,
+      userId: options.userId || null,
+      trigger: options.trigger || { type: 'manual' },
+      status: 'running',
+      startTime: new Date(),
+      steps: [],
+      context: { ...context },
+      outputs: {},
+      dryRun: {
+        mocks: options.mocks || {},
+        stubAction: options.stubAction
+      }
+    };
 
     try {
-      logger.info(`Workflow execution started`, {
-        executionId,
-        workflowId
-      });
+      await this.runSteps(workflow, execution);
+      execution.status = 'completed';
+    } catch (error) {
+      execution.status = 'failed';
+      execution.error = error.message;
+    }
 
-      // Save initial state
-      await this.saveExecution(execution);
+    execution.endTime = new Date();
+    execution.duration = execution.endTime - execution.startTime;
+    delete execution.dryRun;
 
-      // Execute steps sequentially
-      for (const step of workflow.steps) {
-        // Check condition if specified
-        if (step.condition && !this.evaluateCondition(step.condition, execution.outputs)) {
-          logger.debug(`Step ${step.id} skipped (condition not met)`);
-          continue;
-        }
+    logger.info(`Workflow simulation finished`, {
+      workflowId,
+      status: execution.status,
+      steps: execution.steps.length
+    });
 
-        // Execute step
-        const stepResult = await this.executeStep(step, execution);
+    return execution;
+  }
 
-        execution.steps.push({
-          id: step.id,
-          status: stepResult.success ? 'completed' : 'failed',
-          result: stepResult.result,
-          error: stepResult.error,
-          timestamp: new Date()
-        });
+  /**
+   * Drive an execution to completion and persist the final state
+   */
+  async run(workflow, execution) {
+    this.activeExecutions.set(execution.id, execution);
 
-        // Store output
-        if (step.output) {
-          execution.outputs[step.output] = stepResult.result;
-        }
+    // Keep the lease alive so recovery on other instances leaves this run alone
+    const heartbeat = setInterval(() => {
+      execution.lease = this.createLease();
+      this.saveExecution(execution);
+    }, this.leaseRenewIntervalMs);
+    heartbeat.unref();
 
-        // Save progress
-        await this.saveExecution(execution);
+    try {
+      // Save initial state
+      await this.saveExecution(execution);
 
-        // Stop on error if not configured to continue
-        if (!stepResult.success && !step.continueOnError) {
-          throw new Error(`Step ${step.id} failed: ${stepResult.error}`);
-        }
-      }
+      const { suspended } = await this.runSteps(workflow, execution);
 
-      execution.status = 'completed';
-      execution.endTime = new Date();
-      execution.duration = execution.endTime - execution.startTime;
+      if (suspended) {
+        execution.status = 'paused';
 
-      logger.info(`Workflow execution completed`, {
-        executionId,
-        workflowId,
-        duration: execution.duration
-      });
+        logger.info(`Workflow execution paused for approval`, {
+          executionId: execution.id,
+          workflowId: execution.workflowId,
+          waitingSteps: execution.steps.filter(record => record.status === 'waiting').map(record => record.id)
+        });
+      } else {
+        execution.status = 'completed';
+        execution.endTime = new Date();
+        execution.duration = execution.endTime - new Date(execution.startTime);
+
+        logger.info(`Workflow execution completed`, {
+          executionId: execution.id,
+          workflowId: execution.workflowId,
+          duration: execution.duration
+        });
+      }
 
     } catch (error) {
       execution.status = 'failed';
       execution.error = error.message;
       execution.endTime = new Date();
+      execution.duration = execution.endTime - new Date(execution.startTime);
 
       logger.error(`Workflow execution failed`, {
-        executionId,
-        workflowId,
+        executionId: execution.id,
+        workflowId: execution.workflowId,
         error: error.message
       });
     } finally {
+      clearInterval(heartbeat);
+      execution.lease = null;
       await this.saveExecution(execution);
-      this.activeExecutions.delete(executionId);
+      this.activeExecutions.delete(execution.id);
+      this.lostLeases.delete(execution.id);
     }
 
     return execution;
   }
 
   /**
-   * Execute a single step
+   * Schedule steps as their dependencies finish, running independent
+   * branches concurrently (bounded by workflow.maxParallel)
+   * Returns { suspended: true } when only approval steps are left waiting
+   */
+  async runSteps(workflow, execution) {
+    const maxParallel = workflow.maxParallel || this.defaultMaxParallel;
+    const finished = new Map();
+    const running = new Map();
+    const waiting = new Set();
+    let failure = null;
+
+    // Steps finished before a resume keep their recorded outcome; a failure
+    // recorded then (e.g. a rejected approval) still stops the workflow
+    for (const record of execution.steps) {
+      if (FINISHED_STEP_STATUSES.includes(record.status)) {
+        finished.set(record.id, record.status);
+
+        const step = workflow.steps.find(candidate => candidate.id === record.id);
+        if (record.status === 'failed' && step && !this.canContinueAfterFailure(step, workflow, record) && !failure) {
+          failure = new Error(`Step ${record.id} failed: ${record.error}`);
+        }
+      } else if (record.status === 'waiting') {
+        waiting.add(record.id);
+      }
+    }
+
+    while (true) {
+      if (!failure && this.lostLeases.has(execution.id)) {
+        failure = new Error('Execution was taken over by another instance');
+      }
+
+      if (!failure) {
+        for (const step of workflow.steps) {
+          if (running.size >= maxParallel) break;
+          if (finished.has(step.id) || running.has(step.id) || waiting.has(step.id)) continue;
+          if (!step.dependsOn.every(dependency => finished.has(dependency))) continue;
+
+          running.set(step.id, this.runStep(step, execution).then(record => ({ step, record })));
+        }
+      }
+
+      if (running.size === 0) break;
+
+      const { step, record } = await Promise.race(running.values());
+      running.delete(step.id);
+
+      if (record.status === 'waiting') {
+        waiting.add(step.id);
+        continue;
+      }
+
+      finished.set(step.id, record.status);
+
+      // Stop scheduling new steps on error if not configured to continue;
+      // steps already in flight are allowed to finish
+      if (record.status === 'failed' && !this.canContinueAfterFailure(step, workflow, record) && !failure) {
+        failure = new Error(`Step ${step.id} failed: ${record.error}`);
+      }
+    }
+
+    if (failure) {
+      throw failure;
+    }
+
+    return { suspended: waiting.size > 0 };
+  }
+
+  /**
+   * Whether a failed step lets the rest of the workflow carry on
+   */
+  canContinueAfterFailure(step, workflow, record) {
+    if (step.continueOnError) return true;
+    return record.timedOut === true && this.getStepPolicy(step, workflow).onTimeout === 'continue';
+  }
+
+  /**
+   * Resolve a step's retry / timeout policy, falling back to workflow defaults
+   */
+  getStepPolicy(step, workflow = {}) {
+    const defaults = workflow.stepDefaults || {};
+    const retry = step.retry || defaults.retry || {};
+
+    return {
+      attempts: retry.attempts || 1,
+      backoff: retry.backoff ?? defaults.retry?.backoff ?? { type: 'exponential', delayMs: 1000 },
+      timeoutMs: step.timeoutMs || defaults.timeoutMs || this.defaultStepTimeoutMs,
+      onTimeout: step.onTimeout || defaults.onTimeout || 'retry'
+    };
+  }
+
+  /**
+   * Delay before the given retry (attempt numbers start at 1)
+   */
+  getBackoffDelay(backoff, attempt) {
+    if (typeof backoff === 'number') {
+      return backoff;
+    }
+
+    const delayMs = backoff.delayMs ?? 1000;
+    if (backoff.type === 'fixed') {
+      return delayMs;
+    }
+
+    const delay = delayMs * Math.pow(backoff.factor || 2, attempt - 1);
+    return Math.min(delay, backoff.maxDelayMs || 60000);
+  }
+
+  /**
+   * Run one step: check its condition, execute it and record timings
+   */
+  async runStep(step, execution) {
+    const record = {
+      id: step.id,
+      status: 'running',
+      dependsOn: step.dependsOn,
+      startTime: new Date()
+    };
+
+    execution.steps.push(record);
+
+    if (step.condition) {
+      const { passed, error } = this.checkCondition(step, execution);
+      if (execution.dryRun) {
+        record.condition = { expression: step.condition, passed };
+      }
+      if (!passed) {
+        record.status = 'skipped';
+        if (error) record.error = error;
+        this.finishRecord(record);
+        await this.saveExecution(execution);
+        return record;
+      }
+    }
+
+    if (step.type === 'approval') {
+      return await this.requestApproval(step, execution, record);
+    }
+
+    await this.saveExecution(execution);
+
+    const stepResult = await this.executeStep(step, execution, record);
+
+    record.status = stepResult.skipped ? 'skipped' : (stepResult.success ? 'completed' : 'failed');
+    record.result = stepResult.result;
+    record.error = stepResult.error;
+    record.timedOut = stepResult.timedOut || false;
+    this.finishRecord(record);
+
+    // Store output
+    if (step.output && stepResult.success) {
+      execution.outputs[step.output] = stepResult.result;
+    }
+
+    // Save progress
+    await this.saveExecution(execution);
+
+    return record;
+  }
+
+  /**
+   * Put an approval step into the waiting state and notify the owner
    */
-  async executeStep(step, execution) {
+  async requestApproval(step, execution, record) {
+    const timeoutMs = step.approval.timeoutMs || this.defaultApprovalTimeoutMs;
+    const message = this.resolveValue(step.approval.message, this.buildScope(execution.outputs, execution.context));
+
+    record.status = 'waiting';
+    record.approval = {
+      message: typeof message === 'string' ? message : JSON.stringify(message),
+      requestedAt: new Date(),
+      expiresAt: new Date(Date.now() + timeoutMs),
+      defaultDecision: step.approval.defaultDecision || 'reject'
+    };
+
+    // Dry runs decide on the spot (approve unless a mock says otherwise)
+    if (execution.dryRun) {
+      const mock = execution.dryRun.mocks[step.id];
+      const result = this.applyDecision(record, {
+        approved: mock ? mock.approved === true : true,
+        decidedBy: 'simulation',
+        comment: mock?.comment
+      });
+      if (step.output) {
+        execution.outputs[step.output] = result;
+      }
+      return record;
+    }
+
+    await this.saveExecution(execution);
+    await approvalNotifier.requestApproval(execution, this.workflows.get(execution.workflowId), record);
+
+    return record;
+  }
+
+  /**
+   * Approve or reject a waiting approval step of a paused execution and
+   * resume it in the background
+   * decision: { approved, decidedBy, comment, timedOut }
+   * Returns the decided step record, or null if the step is not waiting on
+   * a paused execution (already decided, or other steps are still running)
+   */
+  async decideApproval(executionId, stepId, decision) {
+    const stored = await WorkflowExecution.findOneAndUpdate(
+      { id: executionId, status: 'paused', steps: { $elemMatch: { id: stepId, status: 'waiting' } } },
+      { $set: { status: 'running', lease: this.createLease() } },
+      { new: true }
+    ).lean();
+
+    if (!stored) {
+      return null;
+    }
+
+    const record = stored.steps.find(candidate => candidate.id === stepId);
+    const result = this.applyDecision(record, decision);
+
+    logger.info(`Approval step ${stepId} ${record.approval.decision}`, {
+      executionId,
+      decidedBy: result.decidedBy,
+      timedOut: result.timedOut
+    });
+
+    const workflow = this.workflows.get(stored.workflowId);
+    if (!workflow) {
+      await this.abandon(stored, `Workflow ${stored.workflowId} is no longer registered`);
+      return record;
+    }
+
+    const step = workflow.steps.find(candidate => candidate.id === stepId);
+    if (step?.output) {
+      stored.outputs = { ...stored.outputs, [step.output]: result };
+    }
+
+    this.continueExecution(workflow, stored).catch(error => {
+      logger.error(`Failed to resume execution ${executionId} after approval:`, error);
+    });
+
+    return record;
+  }
+
+  /**
+   * Record a decision on a waiting approval step; returns the step output
+   */
+  applyDecision(record, decision) {
+    const approved = decision.approved === true;
+    const result = {
+      approved,
+      decidedBy: decision.decidedBy,
+      comment: decision.comment || null,
+      timedOut: decision.timedOut === true
+    };
+
+    record.status = approved ? 'completed' : 'failed';
+    record.result = result;
+    record.approval = {
+      ...record.approval,
+      decision: approved ? 'approved' : 'rejected',
+      decidedBy: result.decidedBy,
+      decidedAt: new Date(),
+      comment: result.comment,
+      timedOut: result.timedOut
+    };
+    if (!approved) {
+      record.error = result.timedOut ? 'Approval timed out and was rejected by default' : `Rejected by ${result.decidedBy}`;
+    }
+    this.finishRecord(record);
+
+    return result;
+  }
+
+  /**
+   * Apply the default decision to approval steps whose timeout has passed
+   */
+  async expireApprovals() {
+    const now = new Date();
+    const expired = await WorkflowExecution
+      .find(
+        { status: 'paused', steps: { $elemMatch: { status: 'waiting', 'approval.expiresAt': { $lt: now } } } },
+        { id: 1, steps: 1 }
+      )
+      .lean();
+
+    let decided = 0;
+
+    for (const execution of expired) {
+      const records = execution.steps.filter(record =>
+        record.status === 'waiting' && new Date(record.approval?.expiresAt) < now
+      );
+
+      for (const record of records) {
+        try {
+          const result = await this.decideApproval(execution.id, record.id, {
+            approved: record.approval.defaultDecision === 'approve',
+            decidedBy: 'timeout',
+            timedOut: true
+          });
+          if (result) decided++;
+        } catch (error) {
+          logger.error(`Failed to expire approval ${record.id} of execution ${execution.id}:`, error);
+        }
+      }
+    }
+
+    if (decided > 0) {
+      logger.info(`Applied default decision to ${decided} expired approvals`);
+    }
+
+    return decided;
+  }
+
+  /**
+   * Stamp end time and duration on a step record
+   */
+  finishRecord(record) {
+    record.endTime = new Date();
+    record.duration = record.endTime - new Date(record.startTime);
+    record.timestamp = record.endTime;
+  }
+
+  /**
+   * Execute a single step, applying its retry, backoff and timeout policy
+   * Every attempt is appended to record.attempts
+   */
+  async executeStep(step, execution, record = { attempts: [] }) {
+    const workflow = this.workflows.get(execution.workflowId);
+    const policy = this.getStepPolicy(step, workflow);
+    record.attempts = record.attempts || [];
+
     logger.debug(`Executing step: ${step.id}`, {
       agent: step.agent,
-      action: step.action
+      action: step.action,
+      attempts: policy.attempts,
+      timeoutMs: policy.timeoutMs
     });
 
+    let input;
+    let agent;
+
     try {
       // Resolve input from previous outputs
-      const input = this.resolveInput(step.input, execution.outputs, execution.context);
+      input = this.resolveInput(step.input, execution.outputs, execution.context);
+      if (workflow.userId) {
+        input = this.bindOwner(input, execution);
+      }
+      record.input = input;
 
       // Get agent
-      const agent = agentRegistry.get(step.agent);
+      agent = agentRegistry.get(step.agent);
       if (!agent) {
         throw new Error(`Agent ${step.agent} not found`);
       }
 
-      // Execute action
-      const result = await agent[step.action](input);
-
-      return {
-        success: true,
-        result
-      };
-
+      if (typeof agent[step.action] !== 'function') {
+        throw new Error(`Agent ${step.agent} has no action ${step.action}`);
+      }
     } catch (error) {
+      // Configuration errors are not retried
       logger.error(`Step ${step.id} failed:`, error);
       return {
         success: false,
         error: error.message
       };
     }
+
+    if (execution.dryRun) {
+      return await this.simulateStep(step, agent, input, execution, record);
+    }
+
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+      const attemptRecord = { attempt, startTime: new Date() };
+      record.attempts.push(attemptRecord);
+
+      try {
+        const result = await this.invokeWithTimeout(
+          () => agent[step.action](input),
+          step.id,
+          policy.timeoutMs
+        );
+
+        attemptRecord.status = 'completed';
+        this.finishRecord(attemptRecord);
+
+        return {
+          success: true,
+          result
+        };
+
+      } catch (error) {
+        const timedOut = error instanceof StepTimeoutError;
+        attemptRecord.status = timedOut ? 'timeout' : 'failed';
+        attemptRecord.error = error.message;
+        this.finishRecord(attemptRecord);
+        lastError = error;
+
+        logger.warn(`Step ${step.id} attempt ${attempt}/${policy.attempts} ${timedOut ? 'timed out' : 'failed'}`, {
+          executionId: execution.id,
+          error: error.message
+        });
+
+        if (timedOut && policy.onTimeout === 'fail') {
+          break;
+        }
+
+        if (attempt < policy.attempts) {
+          await this.saveExecution(execution);
+          await this.sleep(this.getBackoffDelay(policy.backoff, attempt));
+        }
+      }
+    }
+
+    const timedOut = lastError instanceof StepTimeoutError;
+
+    if (timedOut && policy.onTimeout === 'skip') {
+      logger.warn(`Step ${step.id} skipped after timeout`);
+      return {
+        success: false,
+        skipped: true,
+        timedOut,
+        error: lastError.message
+      };
+    }
+
+    logger.error(`Step ${step.id} failed:`, lastError);
+    return {
+      success: false,
+      timedOut,
+      error: lastError.message
+    };
+  }
+
+  /**
+   * Dry-run a step: use its mock, or let stubAction decide what the action
+   * returns; record.simulation says which happened
+   */
+  async simulateStep(step, agent, input, execution, record) {
+    const { mocks, stubAction } = execution.dryRun;
+
+    if (Object.prototype.hasOwnProperty.call(mocks, step.id)) {
+      record.simulation = 'mocked';
+      return { success: true, result: mocks[step.id] };
+    }
+
+    try {
+      const { result, stubbed } = await stubAction(step, agent, input);
+      record.simulation = stubbed ? 'stubbed' : 'executed';
+      return { success: true, result };
+    } catch (error) {
+      record.simulation = 'executed';
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run an action, rejecting with StepTimeoutError if it takes too long
+   * The underlying call cannot be cancelled; its late result is ignored
+   */
+  async invokeWithTimeout(action, stepId, timeoutMs) {
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new StepTimeoutError(stepId, timeoutMs)), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([Promise.resolve().then(action), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Build the variable scope shared by inputs and conditions
+   */
+  buildScope(outputs = {}, context = {}) {
+    return {
+      ...context,
+      ...outputs,
+      context,
+      outputs
+    };
   }
 
   /**
    * Resolve input variables from outputs
+   * Strings, arrays and plain objects are resolved recursively; a string that
+   * is exactly "${path}" is replaced by the referenced value itself
    */
   resolveInput(input, outputs, context) {
-    if (!input) return {};
-    if (typeof input !== 'string') return input;
-
-    // Replace ${variable} with actual values
-    let resolved = input;
-    const matches = input.match(/\$\{([^}]+)\}/g);
-
-    if (matches) {
-      matches.forEach(match => {
-        const varName = match.slice(2, -1); // Remove ${ and }
-        const value = outputs[varName] || context[varName] || match;
-        resolved = resolved.replace(match, JSON.stringify(value));
-      });
+    if (input === undefined || input === null) return {};
+    return this.resolveValue(input, this.buildScope(outputs, context));
+  }
 
-      try {
-        return JSON.parse(resolved);
-      } catch {
-        return resolved;
-      }
+  /**
+   * Steps of user-authored workflows act as the user who runs them: the
+   * engine sets userId and drops any client, so actions only ever load the
+   * running user's Azure DevOps client
+   */
+  bindOwner(input, execution) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return input;
+    }
+
+    const { client, ...rest } = input;
+    return { ...rest, userId: execution.userId };
+  }
+
+  /**
+   * Resolve ${...} references inside a value
+   */
+  resolveValue(value, scope) {
+    if (typeof value === 'string') {
+      return this.interpolate(value, scope);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveValue(item, scope));
+    }
+
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.resolveValue(item, scope)])
+      );
     }
 
-    return input;
+    return value;
   }
 
   /**
-   * Evaluate condition
+   * Replace ${path} references in a string (unresolved references are kept)
    */
-  evaluateCondition(condition, outputs) {
+  interpolate(template, scope) {
+    const whole = template.match(/^\$\{([^}]+)\}$/);
+    if (whole) {
+      const value = this.lookupReference(whole[1], scope);
+      return value === undefined ? template : value;
+    }
+
+    return template.replace(/\$\{([^}]+)\}/g, (match, path) => {
+      const value = this.lookupReference(path, scope);
+      if (value === undefined) return match;
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+  }
+
+  /**
+   * Look up a dotted reference, treating invalid paths as unresolved
+   */
+  lookupReference(path, scope) {
     try {
-      // Simple condition evaluation
-      // Format: ${variable} == "value" or ${variable} > 5
-      const resolved = this.resolveInput(condition, outputs, {});
-      
-      // For now, just check if resolved value is truthy
-      return !!resolved && resolved !== 'false';
-    } catch {
-      return false;
+      return expressionEvaluator.resolvePath(path.trim(), scope);
+    } catch (error) {
+      logger.warn(`Invalid workflow reference '${path}': ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Evaluate condition against step outputs and execution context
+   * Throws ExpressionError when the condition cannot be evaluated
+   */
+  evaluateCondition(condition, outputs, context = {}) {
+    return expressionEvaluator.test(condition, this.buildScope(outputs, context));
+  }
+
+  /**
+   * Check a step's condition, reporting evaluation errors
+   */
+  checkCondition(step, execution) {
+    try {
+      if (this.evaluateCondition(step.condition, execution.outputs, execution.context)) {
+        return { passed: true };
+      }
+
+      logger.debug(`Step ${step.id} skipped (condition not met)`, {
+        condition: step.condition
+      });
+
+      return { passed: false };
+    } catch (error) {
+      logger.warn(`Step ${step.id} skipped (condition evaluation failed)`, {
+        executionId: execution.id,
+        condition: step.condition,
+        error: error.message
+      });
+
+      return {
+        passed: false,
+        error: `Condition '${step.condition}' could not be evaluated: ${error.message}`
+      };
     }
   }
 
   /**
    * Save execution state to MongoDB
+   * Saves for the same execution are serialized so parallel steps never
+   * overwrite a newer state with an older one
    */
   async saveExecution(execution) {
+    if (execution.dryRun) return;
+
+    const previous = this.pendingSaves.get(execution.id) || Promise.resolve();
+    const next = previous.then(() => this.persistExecution(execution));
+    this.pendingSaves.set(execution.id, next);
+
+    try {
+      await next;
+    } finally {
+      if (this.pendingSaves.get(execution.id) === next) {
+        this.pendingSaves.delete(execution.id);
+      }
+    }
+  }
+
+  /**
+   * Write execution state (errors are logged, never thrown)
+   * Only the lease owner may write; if another instance has taken the
+   * execution over, the upsert hits the unique id index and is dropped
+   */
+  async persistExecution(execution) {
     try {
-      const WorkflowExecution = mongoose.model('WorkflowExecution');
       await WorkflowExecution.findOneAndUpdate(
-        { id: execution.id },
+        { id: execution.id, 'lease.owner': this.instanceId },
         execution,
         { upsert: true }
       );
     } catch (error) {
+      if (error.code === 11000) {
+        logger.warn(`Execution ${execution.id} is owned by another instance, state not saved`);
+        this.lostLeases.add(execution.id);
+        return;
+      }
       logger.error('Failed to save execution:', error);
     }
   }
 
+  /**
+   * A fresh lease owned by this instance
+   */
+  createLease() {
+    return {
+      owner: this.instanceId,
+      expiresAt: new Date(Date.now() + this.leaseDurationMs)
+    };
+  }
+
+  /**
+   * Query matching running executions nobody holds a live lease on
+   */
+  getOrphanQuery() {
+    return {
+      status: 'running',
+      $or: [
+        { lease: null },
+        { 'lease.expiresAt': { $lt: new Date() } }
+      ]
+    };
+  }
+
+  /**
+   * Atomically take ownership of an orphaned execution
+   * Returns the stored execution, or null if it is not orphaned (finished,
+   * still leased, or just claimed by another instance)
+   */
+  async claimExecution(executionId) {
+    return WorkflowExecution.findOneAndUpdate(
+      { id: executionId, ...this.getOrphanQuery() },
+      { $set: { lease: this.createLease() } },
+      { new: true }
+    ).lean();
+  }
+
   /**
    * Resume execution after crash
+   * Finished steps keep their results; steps that were in flight are rerun
    */
   async resume(executionId) {
     try {
-      const WorkflowExecution = mongoose.model('WorkflowExecution');
-      const execution = await WorkflowExecution.findOne({ id: executionId });
-
-      if (!execution) {
-        throw new Error(`Execution ${executionId} not found`);
-      }
+      const stored = await this.claimExecution(executionId);
 
-      if (execution.status !== 'running') {
-        throw new Error(`Execution ${executionId} is not running`);
+      if (!stored) {
+        const existing = await WorkflowExecution.findOne({ id: executionId }).lean();
+        if (!existing) {
+          throw new Error(`Execution ${executionId} not found`);
+        }
+        if (existing.status !== 'running') {
+          throw new Error(`Execution ${executionId} is not running`);
+        }
+        throw new Error(`Execution ${executionId} is owned by ${existing.lease.owner}`);
       }
 
-      const workflow = this.workflows.get(execution.workflowId);
+      const workflow = this.workflows.get(stored.workflowId);
       if (!workflow) {
-        throw new Error(`Workflow ${execution.workflowId} not found`);
+        await this.abandon(stored, `Workflow ${stored.workflowId} not found`);
+        throw new Error(`Workflow ${stored.workflowId} not found`);
       }
 
-      // Find last completed step
-      const lastStepIndex = execution.steps.length;
-      const remainingSteps = workflow.steps.slice(lastStepIndex);
+      return await this.continueExecution(workflow, stored);
 
-      logger.info(`Resuming execution from step ${lastStepIndex}`, {
-        executionId,
-        remainingSteps: remainingSteps.length
-      });
+    } catch (error) {
+      logger.error('Failed to resume execution:', error);
+      throw error;
+    }
+  }
 
-      // Continue execution
-      this.activeExecutions.set(executionId, execution);
-
-      for (const step of remainingSteps) {
-        const stepResult = await this.executeStep(step, execution);
-        
-        execution.steps.push({
-          id: step.id,
-          status: stepResult.success ? 'completed' : 'failed',
-          result: stepResult.result,
-          timestamp: new Date()
-        });
+  /**
+   * Run the unfinished steps of a claimed execution
+   */
+  async continueExecution(workflow, stored) {
+    const { _id, __v, ...execution } = stored;
+    execution.context = execution.context || {};
+    execution.outputs = execution.outputs || {};
+    execution.steps = (execution.steps || [])
+      .filter(record => FINISHED_STEP_STATUSES.includes(record.status) || record.status === 'waiting');
 
-        if (step.output) {
-          execution.outputs[step.output] = stepResult.result;
+    logger.info(`Resuming execution`, {
+      executionId: execution.id,
+      finishedSteps: execution.steps.length,
+      remainingSteps: workflow.steps.length - execution.steps.length
+    });
+
+    return await this.run(workflow, execution);
+  }
+
+  /**
+   * Mark a claimed execution failed; steps that were in flight fail with it
+   */
+  async abandon(stored, reason) {
+    const { _id, __v, ...execution } = stored;
+    const endTime = new Date();
+
+    execution.steps = (execution.steps || []).map(record => {
+      if (FINISHED_STEP_STATUSES.includes(record.status)) return record;
+      return {
+        ...record,
+        status: 'failed',
+        error: 'Interrupted',
+        endTime,
+        duration: endTime - new Date(record.startTime)
+      };
+    });
+    execution.status = 'failed';
+    execution.error = reason;
+    execution.endTime = endTime;
+    execution.duration = endTime - new Date(execution.startTime);
+    execution.lease = null;
+
+    await this.saveExecution(execution);
+
+    logger.warn(`Execution abandoned`, {
+      executionId: execution.id,
+      workflowId: execution.workflowId,
+      reason
+    });
+
+    return execution;
+  }
+
+  /**
+   * Resume or fail every orphaned execution according to its workflow's
+   * resumePolicy. Each execution is claimed first, so concurrent instances
+   * never handle the same one. Resumed runs continue in the background.
+   */
+  async recoverExecutions() {
+    const orphans = await WorkflowExecution
+      .find(this.getOrphanQuery(), { id: 1, workflowId: 1 })
+      .lean();
+
+    const summary = { resumed: 0, failed: 0, skipped: 0 };
+
+    for (const orphan of orphans) {
+      try {
+        const stored = await this.claimExecution(orphan.id);
+        if (!stored) {
+          summary.skipped++;
+          continue;
         }
 
-        await this.saveExecution(execution);
+        const workflow = this.workflows.get(stored.workflowId);
 
-        if (!stepResult.success && !step.continueOnError) {
-          throw new Error(`Step ${step.id} failed: ${stepResult.error}`);
+        if (!workflow) {
+          await this.abandon(stored, `Interrupted by a restart; workflow ${stored.workflowId} is no longer registered`);
+          summary.failed++;
+        } else if ((workflow.resumePolicy || 'fail') === 'resume') {
+          this.continueExecution(workflow, stored).catch(error => {
+            logger.error(`Failed to resume execution ${stored.id}:`, error);
+          });
+          summary.resumed++;
+        } else {
+          await this.abandon(stored, 'Interrupted by a restart (resumePolicy: fail)');
+          summary.failed++;
         }
+      } catch (error) {
+        logger.error(`Failed to recover execution ${orphan.id}:`, error);
       }
+    }
 
-      execution.status = 'completed';
-      execution.endTime = new Date();
-      await this.saveExecution(execution);
+    if (orphans.length > 0) {
+      logger.info('Recovered orphaned workflow executions', summary);
+    }
 
-      this.activeExecutions.delete(executionId);
+    return summary;
+  }
 
-      return execution;
+  /**
+   * Recover orphaned executions now and then periodically, so executions
+   * whose lease was still live at boot are picked up once it expires;
+   * the same sweep times out expired approvals
+   */
+  startRecovery() {
+    if (this.recoveryTimer) return;
 
-    } catch (error) {
-      logger.error('Failed to resume execution:', error);
-      throw error;
+    const sweep = async () => {
+      try {
+        await this.recoverExecutions();
+        await this.expireApprovals();
+      } catch (error) {
+        logger.error('Workflow execution recovery failed:', error);
+      }
+    };
+
+    this.recoveryTimer = setInterval(sweep, this.recoveryIntervalMs);
+    this.recoveryTimer.unref();
+
+    return sweep();
+  }
+
+  /**
+   * Stop the periodic recovery sweep
+   */
+  stopRecovery() {
+    if (this.recoveryTimer) {
+      clearInterval(this.recoveryTimer);
+      this.recoveryTimer = null;
     }
   }
 
@@ -292,7 +1327,6 @@ class SimpleWorkflowEngine {
    */
   async getExecution(executionId) {
     try {
-      const WorkflowExecution = mongoose.model('WorkflowExecution');
       return await WorkflowExecution.findOne({ id: executionId });
     } catch (error) {
       logger.error('Failed to get execution:', error);
@@ -305,9 +1339,8 @@ class SimpleWorkflowEngine {
    */
   async listExecutions(workflowId = null, limit = 10) {
     try {
-      const WorkflowExecution = mongoose.model('WorkflowExecution');
       const query = workflowId ? { workflowId } : {};
-      
+
       return await WorkflowExecution
         .find(query)
         .sort({ startTime: -1 })
@@ -318,6 +1351,35 @@ class SimpleWorkflowEngine {
     }
   }
 
+  /**
+   * Page through executions, newest first
+   * filters: { userId, workflowId, status, from, to }; step results, inputs,
+   * context and outputs are left out of the list (fetch one execution for those)
+   */
+  async queryExecutions(filters = {}, { page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (filters.userId) query.userId = String(filters.userId);
+    if (filters.workflowId) query.workflowId = filters.workflowId;
+    if (filters.status) query.status = filters.status;
+    if (filters.from || filters.to) {
+      query.startTime = {};
+      if (filters.from) query.startTime.$gte = filters.from;
+      if (filters.to) query.startTime.$lte = filters.to;
+    }
+
+    const [executions, total] = await Promise.all([
+      WorkflowExecution
+        .find(query, { 'steps.result': 0, 'steps.input': 0, 'steps.attempts': 0, context: 0, outputs: 0 })
+        .sort({ startTime: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WorkflowExecution.countDocuments(query)
+    ]);
+
+    return { executions, total };
+  }
+
   /**
    * Get statistics
    */
@@ -325,6 +1387,7 @@ class SimpleWorkflowEngine {
     return {
       registeredWorkflows: this.workflows.size,
       activeExecutions: this.activeExecutions.size,
+      instanceId: this.instanceId,
       workflows: Array.from(this.workflows.keys())
     };
   }
@@ -0,0 +1,199 @@
+import { logger } from '../utils/logger.js';
+import { eventBus } from '../events/EventBus.js';
+import { expressionEvaluator } from './ExpressionEvaluator.js';
+import { workflowEngine } from './SimpleWorkflowEngine.js';
+
+/**
+ * Trigger Dispatcher - starts workflows whose event trigger matches a published event
+ *
+ * A workflow opts in with:
+ *   trigger: { type: 'event', event: 'build.failed', filter: "build.definition.name == 'ci'" }
+ * `event` may be a single pattern or a list; a trailing '*' matches any suffix
+ * ('build.*'). The optional `filter` is an expression evaluated against the
+ * event payload. Workflows owned by a user (workflow.userId) only see that
+ * user's events; workflows without an owner see every event.
+ */
+class TriggerDispatcher {
+  constructor() {
+    this.started = false;
+    this.recentDispatches = new Map(); // dedupeKey -> timestamp
+    this.DEDUPE_WINDOW = 5 * 60 * 1000; // 5 minutes
+    this.stats = {
+      received: 0,
+      dispatched: 0,
+      deduped: 0,
+      filtered: 0
+    };
+    this.handleEvent = this.handleEvent.bind(this);
+  }
+
+  /**
+   * Start listening on the event bus
+   */
+  start() {
+    if (this.started) {
+      logger.warn('Trigger dispatcher already started');
+      return;
+    }
+
+    eventBus.on('*', this.handleEvent);
+    this.started = true;
+    logger.info('Trigger dispatcher started');
+  }
+
+  /**
+   * Stop listening on the event bus
+   */
+  stop() {
+    eventBus.off('*', this.handleEvent);
+    this.started = false;
+    logger.info('Trigger dispatcher stopped');
+  }
+
+  /**
+   * Start every matching workflow for an event
+   * Executions run in the background; the returned ids are for callers that care
+   */
+  handleEvent(event) {
+    this.stats.received++;
+    this.cleanupOldEntries();
+
+    const started = [];
+
+    for (const workflow of this.findMatchingWorkflows(event)) {
+      const dedupeKey = this.getDedupeKey(workflow, event);
+      if (dedupeKey && this.recentDispatches.has(dedupeKey)) {
+        this.stats.deduped++;
+        logger.info(`Duplicate event ignored for workflow ${workflow.id}`, {
+          eventType: event.type,
+          dedupeKey
+        });
+        continue;
+      }
+
+      if (!this.passesFilter(workflow, event)) {
+        this.stats.filtered++;
+        continue;
+      }
+
+      if (dedupeKey) {
+        this.recentDispatches.set(dedupeKey, Date.now());
+      }
+
+      this.stats.dispatched++;
+      started.push(workflow.id);
+
+      logger.info(`Event ${event.type} triggered workflow ${workflow.id}`, {
+        eventId: event.id,
+        userId: event.userId || 'global'
+      });
+
+      workflowEngine
+        .execute(workflow.id, this.buildContext(event), {
+          userId: event.userId,
+          trigger: { type: 'event', event: event.type, eventId: event.id }
+        })
+        .catch(error => {
+          logger.error(`Workflow ${workflow.id} failed to start from event ${event.type}:`, error);
+        });
+    }
+
+    return started;
+  }
+
+  /**
+   * Registered workflows with an event trigger matching the event
+   */
+  findMatchingWorkflows(event) {
+    return Array.from(workflowEngine.workflows.values()).filter(workflow => {
+      const { trigger } = workflow;
+      if (!trigger || trigger.type !== 'event') return false;
+      if (workflow.enabled === false) return false;
+      if (workflow.userId && String(workflow.userId) !== event.userId) return false;
+
+      const patterns = Array.isArray(trigger.event) ? trigger.event : [trigger.event];
+      return patterns.some(pattern => this.matchesPattern(pattern, event.type));
+    });
+  }
+
+  /**
+   * Match an event type against 'build.failed', 'build.*' or '*'
+   */
+  matchesPattern(pattern, type) {
+    if (typeof pattern !== 'string' || !pattern) return false;
+    if (pattern === '*' || pattern === type) return true;
+    if (pattern.endsWith('*')) {
+      return type.startsWith(pattern.slice(0, -1));
+    }
+    return false;
+  }
+
+  /**
+   * Evaluate the trigger filter against the payload (errors count as no match)
+   */
+  passesFilter(workflow, event) {
+    const { filter } = workflow.trigger;
+    if (!filter) return true;
+
+    try {
+      return expressionEvaluator.test(filter, this.buildContext(event));
+    } catch (error) {
+      logger.warn(`Trigger filter for workflow ${workflow.id} could not be evaluated`, {
+        filter,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Execution context: the payload plus the user and event metadata
+   */
+  buildContext(event) {
+    return {
+      ...event.payload,
+      userId: event.userId,
+      event: {
+        id: event.id,
+        type: event.type,
+        source: event.source,
+        timestamp: event.timestamp
+      }
+    };
+  }
+
+  /**
+   * Events without a dedupeKey are never deduplicated
+   */
+  getDedupeKey(workflow, event) {
+    if (!event.dedupeKey) return null;
+    return `${event.userId || 'global'}:${workflow.id}:${event.type}:${event.dedupeKey}`;
+  }
+
+  /**
+   * Drop dedupe entries older than the window
+   */
+  cleanupOldEntries() {
+    const cutoff = Date.now() - this.DEDUPE_WINDOW;
+    for (const [key, timestamp] of this.recentDispatches.entries()) {
+      if (timestamp < cutoff) {
+        this.recentDispatches.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      started: this.started,
+      trackedDispatches: this.recentDispatches.size
+    };
+  }
+}
+
+// Export singleton instance
+export const triggerDispatcher = new TriggerDispatcher();
+export default triggerDispatcher;
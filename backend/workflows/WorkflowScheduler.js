@@ -0,0 +1,429 @@
+import cron from 'node-cron';
+import { logger } from '../utils/logger.js';
+import { getUserSettings } from '../utils/userSettings.js';
+import { azureDevOpsClient } from '../devops/azureDevOpsClient.js';
+import { workflowEngine } from './SimpleWorkflowEngine.js';
+import WorkflowSchedule from '../models/WorkflowSchedule.js';
+
+// Named data sources a schedule trigger can load into the execution context
+const CONTEXT_SOURCES = {
+  sprintWorkItems: async client => (await client.getAllCurrentSprintWorkItems()).value || [],
+  idlePullRequests: async client => (await client.getIdlePullRequests(48)).value || [],
+  overdueWorkItems: async client => (await client.getOverdueWorkItems()).value || []
+};
+
+/**
+ * Raised for schedule requests the API should reject (unknown workflow, bad cron)
+ */
+export class ScheduleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Workflow Scheduler - runs workflows with a cron trigger, per user
+ *
+ * A workflow opts in with:
+ *   trigger: { type: 'schedule', cron: '0 9 * * *', timezone: 'Europe/London',
+ *              source: 'sprintWorkItems', as: 'workItems', each: false }
+ * `source` loads data with the user's Azure DevOps client into context[as]
+ * (defaults to the source name). With `each: true` the workflow runs once per
+ * item instead. Each user gets a WorkflowSchedule document so their cron,
+ * timezone and enabled flag survive restarts. Schedules start disabled; a
+ * workflow only runs on a user's behalf once they enable its schedule.
+ */
+class WorkflowScheduler {
+  constructor() {
+    this.jobs = new Map(); // `${userId}:${workflowId}` -> cron task
+    this.running = new Set(); // schedules with a run in progress
+    this.initialized = false;
+  }
+
+  /**
+   * Scheduled workflows visible to a user (global ones plus their own)
+   */
+  getScheduledWorkflows(userId) {
+    return Array.from(workflowEngine.workflows.values()).filter(workflow =>
+      workflow.trigger?.type === 'schedule' &&
+      workflow.enabled !== false &&
+      (!workflow.userId || String(workflow.userId) === String(userId))
+    );
+  }
+
+  /**
+   * Create missing (disabled) schedule documents for a user and start the enabled ones
+   * Runs on every login, so it never turns a schedule on
+   */
+  async ensureUserSchedules(userId) {
+    try {
+      const settings = await getUserSettings(userId);
+      if (!settings.azureDevOps?.organization || !settings.azureDevOps?.project || !settings.azureDevOps?.pat) {
+        logger.debug(`User ${userId} missing Azure DevOps settings, skipping workflow schedules`);
+        return;
+      }
+
+      for (const workflow of this.getScheduledWorkflows(userId)) {
+        await WorkflowSchedule.findOneAndUpdate(
+          { userId, workflowId: workflow.id },
+          {
+            $setOnInsert: {
+              cron: workflow.trigger.cron,
+              timezone: workflow.trigger.timezone,
+              enabled: false
+            }
+          },
+          { upsert: true, new: true }
+        );
+      }
+
+      await this.startUserSchedules(userId);
+    } catch (error) {
+      logger.error(`Failed to set up workflow schedules for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * (Re)start cron jobs for every enabled schedule of a user
+   */
+  async startUserSchedules(userId) {
+    this.stopUserSchedules(userId);
+
+    const schedules = await WorkflowSchedule.find({ userId, enabled: true }).lean();
+    let started = 0;
+
+    for (const schedule of schedules) {
+      if (this.startJob(schedule)) started++;
+    }
+
+    logger.info(`Started ${started} workflow schedules for user ${userId}`);
+    return started;
+  }
+
+  /**
+   * Stop all cron jobs of a user
+   */
+  stopUserSchedules(userId) {
+    const prefix = `${userId}:`;
+    for (const key of Array.from(this.jobs.keys())) {
+      if (key.startsWith(prefix)) {
+        this.stopJob(key);
+      }
+    }
+  }
+
+  /**
+   * Start the cron job for one schedule document
+   */
+  startJob(schedule) {
+    const userId = String(schedule.userId);
+    const key = this.getKey(userId, schedule.workflowId);
+    this.stopJob(key);
+
+    const workflow = workflowEngine.workflows.get(schedule.workflowId);
+    if (!workflow || workflow.trigger?.type !== 'schedule' || workflow.enabled === false) {
+      logger.warn(`Workflow ${schedule.workflowId} is not a scheduled workflow, skipping schedule for user ${userId}`);
+      return false;
+    }
+
+    if (!cron.validate(schedule.cron)) {
+      logger.warn(`Invalid cron '${schedule.cron}' for workflow ${schedule.workflowId} (user ${userId})`);
+      return false;
+    }
+
+    const task = cron.schedule(schedule.cron, () => {
+      this.runSchedule(userId, schedule.workflowId).catch(error => {
+        logger.error(`Scheduled workflow ${schedule.workflowId} failed for user ${userId}:`, error);
+      });
+    }, {
+      scheduled: false,
+      timezone: schedule.timezone || undefined,
+      name: `${userId}-workflow-${schedule.workflowId}`
+    });
+
+    task.start();
+    this.jobs.set(key, task);
+
+    logger.debug(`Scheduled workflow ${schedule.workflowId} for user ${userId}`, {
+      cron: schedule.cron,
+      timezone: schedule.timezone || 'server'
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop one cron job
+   */
+  stopJob(key) {
+    const task = this.jobs.get(key);
+    if (!task) return;
+
+    try {
+      task.stop();
+    } catch (error) {
+      logger.warn(`Failed to stop workflow schedule ${key}:`, error);
+    }
+    this.jobs.delete(key);
+  }
+
+  /**
+   * Change a user's cron, timezone or enabled flag for a scheduled workflow
+   */
+  async updateSchedule(userId, workflowId, updates) {
+    const workflow = this.getScheduledWorkflows(userId).find(candidate => candidate.id === workflowId);
+    if (!workflow) {
+      throw new ScheduleError(`Scheduled workflow ${workflowId} not found`, 404);
+    }
+
+    if (updates.cron !== undefined && !cron.validate(updates.cron)) {
+      throw new ScheduleError(`Invalid cron expression '${updates.cron}'`);
+    }
+
+    if (updates.timezone && !workflowEngine.isValidTimezone(updates.timezone)) {
+      throw new ScheduleError(`Unknown timezone '${updates.timezone}'`);
+    }
+
+    const schedule = await WorkflowSchedule.findOneAndUpdate(
+      { userId, workflowId },
+      {
+        $set: updates,
+        $setOnInsert: {
+          ...(updates.cron === undefined ? { cron: workflow.trigger.cron } : {}),
+          ...(updates.timezone === undefined && workflow.trigger.timezone ? { timezone: workflow.trigger.timezone } : {})
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    if (schedule.enabled) {
+      this.startJob(schedule);
+    } else {
+      this.stopJob(this.getKey(userId, workflowId));
+    }
+
+    logger.info(`Workflow schedule updated: ${workflowId} (user ${userId})`, {
+      enabled: schedule.enabled,
+      cron: schedule.cron,
+      timezone: schedule.timezone || 'server'
+    });
+
+    return this.describe(schedule, workflow);
+  }
+
+  /**
+   * List a user's schedules, including scheduled workflows without a document yet
+   */
+  async listSchedules(userId) {
+    const documents = await WorkflowSchedule.find({ userId }).lean();
+    const byWorkflow = new Map(documents.map(schedule => [schedule.workflowId, schedule]));
+
+    return this.getScheduledWorkflows(userId).map(workflow => this.describe(
+      byWorkflow.get(workflow.id) || {
+        userId,
+        workflowId: workflow.id,
+        cron: workflow.trigger.cron,
+        timezone: workflow.trigger.timezone,
+        enabled: false,
+        lastResult: 'pending',
+        runCount: 0
+      },
+      workflow
+    ));
+  }
+
+  /**
+   * Shape a schedule for API responses
+   */
+  describe(schedule, workflow) {
+    return {
+      workflowId: schedule.workflowId,
+      workflowName: workflow?.name || schedule.workflowId,
+      cron: schedule.cron,
+      timezone: schedule.timezone || null,
+      defaultCron: workflow?.trigger?.cron,
+      enabled: schedule.enabled,
+      active: this.jobs.has(this.getKey(schedule.userId, schedule.workflowId)),
+      lastRun: schedule.lastRun || null,
+      lastResult: schedule.lastResult,
+      lastError: schedule.lastError || null,
+      lastExecutionIds: schedule.lastExecutionIds || [],
+      runCount: schedule.runCount || 0
+    };
+  }
+
+  /**
+   * Run a scheduled workflow for a user now
+   * Overlapping runs of the same schedule are skipped
+   */
+  async runSchedule(userId, workflowId, { manual = false } = {}) {
+    const key = this.getKey(userId, workflowId);
+    if (this.running.has(key)) {
+      logger.warn(`Scheduled workflow ${workflowId} already running for user ${userId}, skipping`);
+      return { skipped: true, executions: [] };
+    }
+
+    const workflow = this.getScheduledWorkflows(userId).find(candidate => candidate.id === workflowId);
+    if (!workflow) {
+      throw new ScheduleError(`Scheduled workflow ${workflowId} not found`, 404);
+    }
+
+    this.running.add(key);
+    const executions = [];
+
+    try {
+      const schedule = await WorkflowSchedule.findOne({ userId, workflowId }).lean();
+      const trigger = manual
+        ? { type: 'manual' }
+        : { type: 'schedule', cron: schedule?.cron || workflow.trigger.cron };
+
+      const contexts = await this.buildContexts(workflow, userId, schedule);
+
+      logger.info(`Running scheduled workflow ${workflowId} for user ${userId}`, {
+        runs: contexts.length,
+        manual
+      });
+
+      for (const context of contexts) {
+        const execution = await workflowEngine.execute(workflowId, context, { userId, trigger });
+        executions.push({ id: execution.id, status: execution.status, error: execution.error });
+      }
+
+      const failed = executions.find(execution => execution.status === 'failed');
+      await this.recordRun(userId, workflowId, executions, failed ? failed.error : null);
+
+      return { skipped: false, executions };
+    } catch (error) {
+      await this.recordRun(userId, workflowId, executions, error.message);
+      throw error;
+    } finally {
+      this.running.delete(key);
+    }
+  }
+
+  /**
+   * Build one execution context per run
+   */
+  async buildContexts(workflow, userId, schedule) {
+    const { source, each } = workflow.trigger;
+    const settings = await getUserSettings(userId);
+    const base = {
+      userId: String(userId),
+      settings: this.getWorkflowSettings(settings),
+      schedule: {
+        cron: schedule?.cron || workflow.trigger.cron,
+        timezone: schedule?.timezone || workflow.trigger.timezone || null,
+        firedAt: new Date()
+      }
+    };
+
+    if (!source) {
+      return [base];
+    }
+
+    const load = this.hasSource(source) && CONTEXT_SOURCES[source];
+    if (!load) {
+      throw new Error(`Unknown schedule source '${source}'`);
+    }
+
+    if (!settings.azureDevOps?.organization || !settings.azureDevOps?.project || !settings.azureDevOps?.pat) {
+      throw new Error(`User ${userId} is missing Azure DevOps settings`);
+    }
+
+    const client = azureDevOpsClient.createUserClient(settings.azureDevOps);
+    const data = await load(client);
+    const as = workflow.trigger.as || source;
+
+    if (each) {
+      return (Array.isArray(data) ? data : []).map(item => ({ ...base, [as]: item }));
+    }
+
+    return [{ ...base, [as]: data }];
+  }
+
+  /**
+   * User opt-ins scheduled workflows can check in conditions (${settings.x})
+   */
+  getWorkflowSettings(settings) {
+    return {
+      autoAssignReviewers: settings.polling?.autoAssignReviewers === true
+    };
+  }
+
+  /**
+   * Persist the outcome of a run on the schedule document
+   */
+  async recordRun(userId, workflowId, executions, error) {
+    try {
+      await WorkflowSchedule.updateOne(
+        { userId, workflowId },
+        {
+          $set: {
+            lastRun: new Date(),
+            lastResult: error ? 'error' : 'success',
+            lastError: error || null,
+            lastExecutionIds: executions.map(execution => execution.id)
+          },
+          $inc: { runCount: 1 }
+        }
+      );
+    } catch (dbError) {
+      logger.error(`Failed to record run of ${workflowId} for user ${userId}:`, dbError);
+    }
+  }
+
+  /**
+   * Restore persisted schedules after a restart
+   */
+  async initializeFromDatabase() {
+    if (this.initialized) {
+      logger.warn('Workflow scheduler already initialized, skipping');
+      return;
+    }
+
+    try {
+      const userIds = await WorkflowSchedule.distinct('userId', { enabled: true });
+
+      for (const userId of userIds) {
+        try {
+          await this.startUserSchedules(userId.toString());
+        } catch (error) {
+          logger.error(`Failed to restore workflow schedules for user ${userId}:`, error);
+        }
+      }
+
+      this.initialized = true;
+      logger.info(`Workflow schedules restored for ${userIds.length} users`);
+    } catch (error) {
+      logger.error('Failed to initialize workflow scheduler from database:', error);
+    }
+  }
+
+  /**
+   * Whether a schedule trigger may use the given source
+   */
+  hasSource(source) {
+    return Object.prototype.hasOwnProperty.call(CONTEXT_SOURCES, source);
+  }
+
+  getKey(userId, workflowId) {
+    return `${userId}:${workflowId}`;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      activeSchedules: this.jobs.size,
+      runningSchedules: this.running.size,
+      sources: Object.keys(CONTEXT_SOURCES)
+    };
+  }
+}
+
+// Export singleton instance
+export const workflowScheduler = new WorkflowScheduler();
+export default workflowScheduler;
@@ -0,0 +1,177 @@
+import { v4 as uuid } from 'uuid';
+import { workflowEngine } from './SimpleWorkflowEngine.js';
+import { triggerDispatcher } from './TriggerDispatcher.js';
+
+// Agent actions without side effects; simulations run these for real
+const PURE_ACTIONS = {
+  execute: ['decide', 'suggest', 'assessRisk']
+};
+
+/**
+ * Workflow Simulator - replays a workflow against a recorded payload
+ *
+ * Every agent action except the pure ones above is stubbed: ExecuteAgent
+ * actions report what they would have done, other agents (which call AI
+ * providers and feed the learning system) return a placeholder. Callers can
+ * pass `mocks` ({ stepId: result }) to stand in for any step's output so
+ * downstream conditions can be exercised. Nothing is persisted.
+ */
+class WorkflowSimulator {
+  /**
+   * Simulate a registered workflow
+   * options: { userId, payload, event, mocks }
+   */
+  async simulate(workflow, options = {}) {
+    const { userId = null, payload = {}, mocks = {} } = options;
+    const { context, trigger, report } = this.buildTrigger(workflow, userId, payload, options.event);
+
+    const execution = await workflowEngine.simulate(workflow.id, context, {
+      userId,
+      trigger,
+      mocks,
+      stubAction: (step, agent, input) => this.stubAction(step, agent, input)
+    });
+
+    return {
+      workflowId: workflow.id,
+      trigger: report,
+      execution,
+      sideEffects: execution.steps
+        .filter(record => record.simulation === 'stubbed' && record.status === 'completed')
+        .map(record => ({ step: record.id, ...record.result }))
+    };
+  }
+
+  /**
+   * Execution context and trigger metadata, built the way real runs build
+   * them; report says whether the trigger would have fired
+   */
+  buildTrigger(workflow, userId, payload, eventType) {
+    const { trigger = {} } = workflow;
+
+    if (trigger.type === 'event') {
+      const patterns = Array.isArray(trigger.event) ? trigger.event : [trigger.event];
+      const type = eventType || patterns.find(pattern => !pattern.includes('*')) || 'simulation';
+      const event = {
+        id: uuid(),
+        type,
+        source: 'simulation',
+        timestamp: new Date().toISOString(),
+        userId,
+        payload
+      };
+
+      return {
+        context: triggerDispatcher.buildContext(event),
+        trigger: { type: 'event', event: type, eventId: event.id },
+        report: {
+          type: 'event',
+          event: type,
+          matchesEvent: patterns.some(pattern => triggerDispatcher.matchesPattern(pattern, type)),
+          passesFilter: triggerDispatcher.passesFilter(workflow, event)
+        }
+      };
+    }
+
+    if (trigger.type === 'schedule') {
+      return {
+        context: {
+          ...payload,
+          userId,
+          schedule: {
+            cron: trigger.cron,
+            timezone: trigger.timezone || null,
+            firedAt: new Date()
+          }
+        },
+        trigger: { type: 'schedule', cron: trigger.cron },
+        report: { type: 'schedule', cron: trigger.cron }
+      };
+    }
+
+    return {
+      context: { ...payload, userId },
+      trigger: { type: 'manual' },
+      report: { type: 'manual' }
+    };
+  }
+
+  /**
+   * Run pure actions, describe everything else
+   */
+  async stubAction(step, agent, input) {
+    if (PURE_ACTIONS[step.agent]?.includes(step.action)) {
+      return { result: await agent[step.action](input), stubbed: false };
+    }
+
+    return { result: this.describeAction(step, input), stubbed: true };
+  }
+
+  /**
+   * What a stubbed action would have done
+   */
+  describeAction(step, input) {
+    const base = { simulated: true, agent: step.agent, action: step.action };
+
+    if (step.agent === 'execute') {
+      switch (step.action) {
+        case 'sendNotification':
+          return {
+            ...base,
+            status: 'notification_sent',
+            recipient: input?.recipient || input,
+            priority: input?.priority || 'normal',
+            message: input?.message || input
+          };
+
+        case 'escalate':
+          return {
+            ...base,
+            status: 'escalated',
+            issue: input?.issue || input,
+            reason: input?.reason,
+            escalatedTo: 'team_lead'
+          };
+
+        case 'executeAction':
+          return {
+            ...base,
+            status: 'action_queued',
+            wouldExecute: input?.action || input,
+            reason: input?.reason
+          };
+
+        case 'createBug':
+          return {
+            ...base,
+            status: 'bug_filed',
+            signature: input?.recurrence?.signature,
+            occurrences: input?.recurrence?.occurrences
+          };
+
+        case 'assignReviewers':
+          return {
+            ...base,
+            status: 'reviewers_assigned',
+            pullRequestId: input?.pullRequest?.pullRequestId
+          };
+
+        case 'executeBatch':
+          return {
+            ...base,
+            status: 'batch_queued',
+            wouldExecute: (Array.isArray(input) ? input : []).map(action => action.type)
+          };
+      }
+    }
+
+    return {
+      ...base,
+      status: 'simulated',
+      input
+    };
+  }
+}
+
+export const workflowSimulator = new WorkflowSimulator();
+export default workflowSimulator;
@@ -0,0 +1,236 @@
+import { agentRegistry } from '../agents/AgentRegistry.js';
+import { EVENT_PAYLOAD_KEYS } from '../events/EventBus.js';
+import { expressionEvaluator } from './ExpressionEvaluator.js';
+import { workflowEngine } from './SimpleWorkflowEngine.js';
+import { workflowScheduler } from './WorkflowScheduler.js';
+
+// Agent lifecycle methods that workflow steps may not call directly
+const RESTRICTED_ACTIONS = new Set([
+  'constructor', 'execute', 'analyze', 'aiAnalyze', 'plan', 'act',
+  'learn', 'getStats', 'resetStats'
+]);
+
+// Step input keys the engine sets itself for user-authored workflows
+const RESERVED_INPUT_KEYS = ['userId', 'client'];
+
+// Scope names every execution has (see SimpleWorkflowEngine.buildScope)
+const BASE_CONTEXT_KEYS = ['userId', 'context', 'outputs'];
+
+/**
+ * Workflow Validator - semantic checks for user-authored workflows
+ * Beyond the engine's structural checks (graph, conditions, policies) this
+ * verifies that every agent and action exists and that every ${reference}
+ * points at a trigger payload key or at the output of an upstream step.
+ */
+class WorkflowValidator {
+  /**
+   * Validate a workflow definition
+   * Returns { valid, errors }
+   */
+  validate(workflow) {
+    const errors = [];
+
+    let steps;
+    try {
+      steps = workflowEngine.validate(workflow);
+    } catch (error) {
+      return { valid: false, errors: [error.message] };
+    }
+
+    const contextKeys = this.getContextKeys(workflow.trigger, errors);
+
+    for (const step of steps) {
+      if (step.type !== 'approval') {
+        this.validateAction(step, errors);
+        this.validateInput(step, errors);
+      }
+    }
+
+    const outputs = new Map();
+    for (const step of steps) {
+      if (!step.output) continue;
+      if (outputs.has(step.output)) {
+        errors.push(`step '${step.id}': output '${step.output}' is already produced by step '${outputs.get(step.output)}'`);
+      } else if (BASE_CONTEXT_KEYS.includes(step.output)) {
+        errors.push(`step '${step.id}': output name '${step.output}' is reserved`);
+      } else {
+        outputs.set(step.output, step.id);
+      }
+    }
+
+    if (contextKeys) {
+      const ancestors = this.getAncestors(steps);
+
+      for (const step of steps) {
+        const available = new Set(contextKeys);
+        for (const ancestor of ancestors.get(step.id)) {
+          const output = steps.find(candidate => candidate.id === ancestor).output;
+          if (output) available.add(output);
+        }
+
+        for (const root of this.getInputReferences(step.input, `step '${step.id}' input`, errors)) {
+          this.checkReference(root, available, outputs, `step '${step.id}' input`, errors);
+        }
+
+        if (step.approval) {
+          for (const root of this.getInputReferences(step.approval.message, `step '${step.id}' approval message`, errors)) {
+            this.checkReference(root, available, outputs, `step '${step.id}' approval message`, errors);
+          }
+        }
+
+        if (step.condition) {
+          for (const path of expressionEvaluator.references(step.condition)) {
+            this.checkReference(path[0], available, outputs, `step '${step.id}' condition`, errors);
+          }
+        }
+      }
+
+      if (workflow.trigger?.filter) {
+        for (const path of expressionEvaluator.references(workflow.trigger.filter)) {
+          this.checkReference(path[0], new Set(contextKeys), new Map(), 'trigger filter', errors);
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check that a step's agent exists and exposes its action
+   */
+  validateAction(step, errors) {
+    const agent = agentRegistry.get(step.agent);
+    if (!agent) {
+      errors.push(`step '${step.id}': unknown agent '${step.agent}' (available: ${agentRegistry.getAll().map(candidate => candidate.type).join(', ')})`);
+      return;
+    }
+
+    const action = step.action;
+    if (
+      typeof action !== 'string' ||
+      action.startsWith('_') ||
+      RESTRICTED_ACTIONS.has(action) ||
+      action in Object.prototype ||
+      typeof agent[action] !== 'function'
+    ) {
+      errors.push(`step '${step.id}': agent '${step.agent}' has no action '${action}'`);
+    }
+  }
+
+  /**
+   * Steps run as the workflow's owner, so their input may not name a user or client
+   */
+  validateInput(step, errors) {
+    if (!step.input || typeof step.input !== 'object' || Array.isArray(step.input)) return;
+
+    for (const key of RESERVED_INPUT_KEYS) {
+      if (Object.prototype.hasOwnProperty.call(step.input, key)) {
+        errors.push(`step '${step.id}': input '${key}' is reserved (steps always run as the workflow owner)`);
+      }
+    }
+  }
+
+  /**
+   * Names the trigger puts into the execution context (null when unknown)
+   */
+  getContextKeys(trigger, errors) {
+    if (!trigger) {
+      errors.push('trigger is required');
+      return null;
+    }
+
+    if (trigger.type === 'event') {
+      const keys = new Set([...BASE_CONTEXT_KEYS, 'event']);
+      const patterns = Array.isArray(trigger.event) ? trigger.event : [trigger.event];
+
+      for (const pattern of patterns) {
+        const family = pattern.split('.')[0];
+        if (family.includes('*')) {
+          Object.values(EVENT_PAYLOAD_KEYS).flat().forEach(key => keys.add(key));
+        } else if (EVENT_PAYLOAD_KEYS[family]) {
+          EVENT_PAYLOAD_KEYS[family].forEach(key => keys.add(key));
+        } else {
+          errors.push(`trigger: unknown event '${pattern}' (known families: ${Object.keys(EVENT_PAYLOAD_KEYS).join(', ')})`);
+        }
+      }
+
+      return [...keys];
+    }
+
+    if (trigger.type === 'schedule') {
+      const keys = [...BASE_CONTEXT_KEYS, 'schedule', 'settings'];
+      if (trigger.source) {
+        if (!workflowScheduler.hasSource(trigger.source)) {
+          errors.push(`trigger: unknown schedule source '${trigger.source}'`);
+        }
+        keys.push(trigger.as || trigger.source);
+      }
+      return keys;
+    }
+
+    errors.push(`trigger: unsupported type '${trigger.type}'`);
+    return null;
+  }
+
+  /**
+   * Map each step id to the set of steps it (transitively) depends on
+   */
+  getAncestors(steps) {
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const ancestors = new Map();
+
+    const collect = id => {
+      if (ancestors.has(id)) return ancestors.get(id);
+
+      const result = new Set();
+      for (const dependency of byId.get(id).dependsOn) {
+        result.add(dependency);
+        collect(dependency).forEach(ancestor => result.add(ancestor));
+      }
+
+      ancestors.set(id, result);
+      return result;
+    };
+
+    steps.forEach(step => collect(step.id));
+    return ancestors;
+  }
+
+  /**
+   * Root names of every ${reference} inside a step input
+   */
+  getInputReferences(value, label, errors, roots = []) {
+    if (typeof value === 'string') {
+      for (const [, path] of value.matchAll(/\$\{([^}]+)\}/g)) {
+        try {
+          roots.push(expressionEvaluator.parsePath(path.trim())[0]);
+        } catch (error) {
+          errors.push(`${label}: ${error.message}`);
+        }
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(item => this.getInputReferences(item, label, errors, roots));
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => this.getInputReferences(item, label, errors, roots));
+    }
+
+    return roots;
+  }
+
+  /**
+   * Record an error unless the reference root is in scope
+   */
+  checkReference(root, available, outputs, label, errors) {
+    if (available.has(root)) return;
+
+    if (outputs.has(root)) {
+      errors.push(`${label}: '${root}' is produced by step '${outputs.get(root)}', which is not upstream (add it to dependsOn)`);
+    } else {
+      errors.push(`${label}: unknown reference '${root}'`);
+    }
+  }
+}
+
+// Export singleton instance
+export const workflowValidator = new WorkflowValidator();
+export default workflowValidator;
@@ -12,39 +12,83 @@ export default {
     event: 'build.failed'
   },
 
+  // The failure event is not redelivered, so finish the run after a restart
+  resumePolicy: 'resume',
+
   steps: [
     {
       id: 'monitor',
       agent: 'monitor',
       action: 'monitorBuildFailure',
-      input: '${build}',
-      output: 'analysis'
+      input: {
+        build: '${build}',
+        userId: '${userId}'
+      },
+      output: 'analysis',
+      retry: { attempts: 2, backoff: { type: 'exponential', delayMs: 2000 } },
+      timeoutMs: 120000
     },
     {
       id: 'check_auto_fix',
       agent: 'execute',
       action: 'decide',
-      input: '${analysis}',
+      // The rule or AI analysis, not the monitor's whole result
+      input: '${analysis.analysis}',
       output: 'decision'
     },
     {
       id: 'execute_fix',
       agent: 'execute',
       action: 'executeAction',
-      input: '${decision}',
+      input: {
+        action: '${decision.action}',
+        solution: '${analysis.analysis.solution}',
+        build: '${build}',
+        userId: '${userId}',
+        triggeredBy: { type: 'workflow', id: 'build-failure-resolution' }
+      },
       condition: '${decision.decision} == "auto_execute"',
       output: 'fix_result'
     },
+    {
+      id: 'notify_fix',
+      agent: 'execute',
+      action: 'sendNotification',
+      dependsOn: ['execute_fix'],
+      input: {
+        recipient: 'team',
+        message: 'Build ${build.definition.name} #${build.buildNumber} failed; ran ${decision.action}: ${fix_result.status}',
+        priority: 'high'
+      },
+      condition: '${decision.decision} == "auto_execute"',
+      output: 'fix_notification'
+    },
     {
       id: 'notify',
       agent: 'execute',
       action: 'sendNotification',
+      dependsOn: ['check_auto_fix'],
       input: {
         recipient: 'team',
-        message: '${fix_result}',
+        message: 'Build ${build.definition.name} #${build.buildNumber} failed; no fix was run: ${decision.reason}',
         priority: 'high'
       },
+      condition: '${decision.decision} != "auto_execute"',
       output: 'notification_result'
+    },
+    {
+      id: 'file_bug',
+      agent: 'execute',
+      action: 'createBug',
+      dependsOn: ['monitor'],
+      input: {
+        build: '${build}',
+        userId: '${userId}',
+        recurrence: '${analysis.recurrence}',
+        rootCause: '${analysis.result.solution}'
+      },
+      condition: '${analysis.recurrence.recurring} == true',
+      output: 'bug_result'
     }
   ]
 };
@@ -1,6 +1,6 @@
 /**
  * PR Monitoring Workflow
- * Handles idle PRs automatically
+ * Handles idle PRs automatically: reminders, reviewer assignment and escalation
  */
 export default {
   id: 'pr-monitoring',
@@ -8,10 +8,16 @@ export default {
   description: 'Monitor PRs and send reminders for idle ones',
   
   trigger: {
-    type: 'scheduled',
-    cron: '0 */6 * * *' // Every 6 hours
+    type: 'schedule',
+    cron: '0 */6 * * *', // Every 6 hours
+    source: 'idlePullRequests',
+    as: 'pr',
+    each: true // One run per idle PR
   },
 
+  // The next scheduled run re-checks idle PRs, so interrupted runs just fail
+  resumePolicy: 'fail',
+
   steps: [
     {
       id: 'check_pr',
@@ -22,6 +28,7 @@ export default {
     },
     {
       id: 'send_reminder',
+      dependsOn: ['check_pr'],
       agent: 'execute',
       action: 'sendNotification',
       input: {
@@ -32,8 +39,23 @@ export default {
       condition: '${pr_status.result.action} == "send_notification"',
       output: 'reminder_sent'
     },
+    {
+      // Idle PRs without individual reviewers get the best-placed ones added,
+      // for users who turned on auto-assignment in their PR polling settings
+      id: 'assign_reviewers',
+      dependsOn: ['check_pr'],
+      agent: 'execute',
+      action: 'assignReviewers',
+      input: {
+        pullRequest: '${pr}',
+        userId: '${userId}'
+      },
+      condition: '${settings.autoAssignReviewers} == true',
+      output: 'reviewer_assignment'
+    },
     {
       id: 'escalate_if_needed',
+      dependsOn: ['check_pr'],
       agent: 'execute',
       action: 'escalate',
       input: {
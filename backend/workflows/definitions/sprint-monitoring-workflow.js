@@ -8,10 +8,14 @@ export default {
   description: 'Monitor sprint progress and identify risks',
   
   trigger: {
-    type: 'scheduled',
-    cron: '0 9 * * *' // Every day at 9 AM
+    type: 'schedule',
+    cron: '0 9 * * *', // Every day at 9 AM
+    source: 'sprintWorkItems',
+    as: 'workItems'
   },
 
+  resumePolicy: 'resume',
+
   steps: [
     {
       id: 'analyze_sprint',
@@ -22,6 +26,7 @@ export default {
     },
     {
       id: 'check_risks',
+      dependsOn: ['analyze_sprint'],
       agent: 'execute',
       action: 'decide',
       input: '${sprint_analysis}',
@@ -29,6 +34,7 @@ export default {
     },
     {
       id: 'escalate_blockers',
+      dependsOn: ['analyze_sprint'],
       agent: 'execute',
       action: 'escalate',
       input: {
@@ -40,6 +46,7 @@ export default {
     },
     {
       id: 'send_summary',
+      dependsOn: ['analyze_sprint'],
       agent: 'execute',
       action: 'sendNotification',
       input: {
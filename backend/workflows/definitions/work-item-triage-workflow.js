@@ -0,0 +1,31 @@
+/**
+ * Work Item Triage Workflow
+ * Applies work item rules to overdue items: blocked ones are escalated and
+ * unassigned ones routed to the lead, in Azure DevOps
+ */
+export default {
+  id: 'work-item-triage',
+  name: 'Work Item Triage',
+  description: 'Escalate blocked and route unassigned overdue work items',
+
+  trigger: {
+    type: 'event',
+    event: 'workitem.overdue'
+  },
+
+  // The next overdue check publishes the item again
+  resumePolicy: 'fail',
+
+  steps: [
+    {
+      id: 'triage',
+      agent: 'monitor',
+      action: 'monitorWorkItem',
+      input: {
+        workItem: '${workItem}',
+        userId: '${userId}'
+      },
+      output: 'triage_result'
+    }
+  ]
+};
@@ -1,19 +1,22 @@
 import { workflowEngine } from './SimpleWorkflowEngine.js';
+import { workflowDefinitionService } from '../services/workflowDefinitionService.js';
 import { logger } from '../utils/logger.js';
 
 // Import workflow definitions
 import buildFailureWorkflow from './definitions/build-failure-workflow.js';
 import sprintMonitoringWorkflow from './definitions/sprint-monitoring-workflow.js';
 import prMonitoringWorkflow from './definitions/pr-monitoring-workflow.js';
+import workItemTriageWorkflow from './definitions/work-item-triage-workflow.js';
 
 /**
- * Load and register all workflows
+ * Load and register all workflows (built-in definitions, then user workflows)
  */
 export async function loadWorkflows() {
   const workflows = [
     buildFailureWorkflow,
     sprintMonitoringWorkflow,
-    prMonitoringWorkflow
+    prMonitoringWorkflow,
+    workItemTriageWorkflow
   ];
 
   for (const workflow of workflows) {
@@ -26,6 +29,13 @@ export async function loadWorkflows() {
   }
 
   logger.info(`Loaded ${workflows.length} workflows`);
+
+  // User-authored workflows stored in MongoDB
+  try {
+    await workflowDefinitionService.loadAll();
+  } catch (error) {
+    logger.error('Failed to load user workflows:', error);
+  }
 }
 
 export default loadWorkflows;
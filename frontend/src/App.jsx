@@ -9,6 +9,10 @@ import Pipelines from './pages/Pipelines'
 import Releases from './pages/Releases'
 import PullRequests from './pages/PullRequests'
 import NotificationHistory from './pages/NotificationHistory'
+import Automations from './pages/Automations'
+import Rules from './pages/Rules'
+import RuleProposals from './pages/RuleProposals'
+import Memories from './pages/Memories'
 import LandingPage from './pages/LandingPage'
 import SignIn from './pages/SignIn'
 import SignUp from './pages/SignUp'
@@ -50,6 +54,10 @@ function AppContent() {
         <Route path="/pull-requests" element={<PullRequests />} />
         <Route path="/logs" element={<Logs />} />
         <Route path="/notifications" element={<NotificationHistory />} />
+        <Route path="/automations" element={<Automations />} />
+        <Route path="/rules" element={<Rules />} />
+        <Route path="/rules/proposals" element={<RuleProposals />} />
+        <Route path="/memories" element={<Memories />} />
         <Route path="/settings" element={<Settings />} />
         <Route path="*" element={<Navigate to="/dashboard" replace />} />
       </Routes>
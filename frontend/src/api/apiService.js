@@ -9,6 +9,13 @@ const api = axios.create({
   }
 })
 
+// Where each kind of AI analysis takes feedback
+const ANALYSIS_FEEDBACK_PATHS = {
+  build: (id) => `/builds/${id}/analyze/feedback`,
+  pullRequest: (id) => `/pull-requests/${id}/explain/feedback`,
+  workItem: (id) => `/work-items/${id}/explain/feedback`
+}
+
 // Request interceptor for adding auth token
 api.interceptors.request.use(
   (config) => {
@@ -91,6 +98,16 @@ export const apiService = {
     return response.data
   },
 
+  async updateWorkItem(workItemId, changes) {
+    const response = await api.patch(`/work-items/${workItemId}`, changes)
+    return response.data
+  },
+
+  async getWorkItemStates(workItemType) {
+    const response = await api.get(`/work-items/types/${encodeURIComponent(workItemType)}/states`)
+    return response.data
+  },
+
   // Builds/Pipelines
   async getRecentBuilds(limit = 20, repository = 'all') {
     const params = new URLSearchParams({ limit: limit.toString() });
@@ -129,12 +146,38 @@ export const apiService = {
     return response.data
   },
 
+  async postPullRequestAnalysis(pullRequestId) {
+    const response = await api.post(`/pull-requests/${pullRequestId}/comments`)
+    return response.data
+  },
+
+  async getReviewerRecommendations(pullRequestId) {
+    const response = await api.get(`/pull-requests/${pullRequestId}/reviewers/recommendations`)
+    return response.data
+  },
+
+  async addPullRequestReviewers(pullRequestId, reviewerIds) {
+    const response = await api.post(`/pull-requests/${pullRequestId}/reviewers`, { reviewerIds })
+    return response.data
+  },
+
   // Build analysis
   async analyzeBuild(buildId) {
     const response = await api.post(`/builds/${buildId}/analyze`)
     return response.data
   },
 
+  // Feedback on AI analyses: { rating: 'up' | 'down', analysis, correction }
+  async getAnalysisFeedback(targetType, targetId) {
+    const response = await api.get(ANALYSIS_FEEDBACK_PATHS[targetType](targetId))
+    return response.data
+  },
+
+  async submitAnalysisFeedback(targetType, targetId, feedback) {
+    const response = await api.put(ANALYSIS_FEEDBACK_PATHS[targetType](targetId), feedback)
+    return response.data
+  },
+
   // Pull request changes/diffs
   async getPullRequestChanges(pullRequestId) {
     const response = await api.get(`/pull-requests/${pullRequestId}/changes`)
@@ -161,6 +204,105 @@ export const apiService = {
   async testConnection(azureDevOpsConfig) {
     const response = await api.post('/settings/test-connection', azureDevOpsConfig)
     return response.data
+  },
+
+  // Workflows
+  async getWorkflows() {
+    const response = await api.get('/workflows')
+    return response.data
+  },
+
+  async getWorkflowExecutions(params = {}) {
+    const response = await api.get('/workflows/executions', { params })
+    return response.data
+  },
+
+  async getWorkflowExecution(executionId) {
+    const response = await api.get(`/workflows/executions/${executionId}`)
+    return response.data
+  },
+
+  async decideWorkflowApproval(executionId, decision) {
+    const response = await api.post(`/workflows/executions/${executionId}/approve`, decision)
+    return response.data
+  },
+
+  // Agent rules
+  async getRules() {
+    const response = await api.get('/rules')
+    return response.data
+  },
+
+  async getRuleFields() {
+    const response = await api.get('/rules/fields')
+    return response.data
+  },
+
+  async createRule(rule) {
+    const response = await api.post('/rules', rule)
+    return response.data
+  },
+
+  async updateRule(ruleId, changes, scope) {
+    const response = await api.put(`/rules/${ruleId}`, changes, { params: { scope } })
+    return response.data
+  },
+
+  async setRuleEnabled(ruleId, enabled, scope) {
+    const response = await api.post(`/rules/${ruleId}/${enabled ? 'enable' : 'disable'}`, null, { params: { scope } })
+    return response.data
+  },
+
+  async testRule(rule, options = {}) {
+    const response = await api.post('/rules/test', { rule, ...options })
+    return response.data
+  },
+
+  async deleteRule(ruleId, scope) {
+    const response = await api.delete(`/rules/${ruleId}`, { params: { scope } })
+    return response.data
+  },
+
+  // Review queue for learned rules
+  async getRuleProposals(status = 'proposed') {
+    const response = await api.get('/rules/proposals', { params: { status } })
+    return response.data
+  },
+
+  async updateRuleProposal(proposalId, changes) {
+    const response = await api.put(`/rules/proposals/${proposalId}`, changes)
+    return response.data
+  },
+
+  async decideRuleProposal(proposalId, approved, note) {
+    const response = await api.post(`/rules/proposals/${proposalId}/${approved ? 'approve' : 'reject'}`, { note })
+    return response.data
+  },
+
+  // Agent memories
+  async getMemories(params = {}) {
+    const response = await api.get('/memories', { params })
+    return response.data
+  },
+
+  async getMemory(memoryId) {
+    const response = await api.get(`/memories/${memoryId}`)
+    return response.data
+  },
+
+  async updateMemory(memoryId, changes) {
+    const response = await api.put(`/memories/${memoryId}`, changes)
+    return response.data
+  },
+
+  async setMemoryPinned(memoryId, pinned) {
+    const response = await api.post(`/memories/${memoryId}/${pinned ? 'pin' : 'unpin'}`)
+    return response.data
+  },
+
+  async deleteMemory(memoryId) {
+    const response = await api.delete(`/memories/${memoryId}`)
+    return response.data
   }
 }
 
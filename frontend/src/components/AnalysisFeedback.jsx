@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react'
+import { ThumbsUp, ThumbsDown, Loader2 } from 'lucide-react'
+import { apiService } from '../api/apiService'
+
+/**
+ * Thumbs up/down on an AI analysis, with an optional correction on thumbs down
+ */
+const AnalysisFeedback = ({ targetType, targetId, analysis }) => {
+  const [feedback, setFeedback] = useState(null)
+  const [correcting, setCorrecting] = useState(false)
+  const [correction, setCorrection] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    apiService.getAnalysisFeedback(targetType, targetId)
+      .then(response => setFeedback(response.feedback))
+      .catch(error => console.error('Failed to load feedback:', error))
+  }, [targetType, targetId])
+
+  const submit = async (rating, text = '') => {
+    setSaving(true)
+    setError(null)
+    try {
+      const response = await apiService.submitAnalysisFeedback(targetType, targetId, {
+        rating,
+        analysis,
+        ...(text.trim() ? { correction: text.trim() } : {})
+      })
+      setFeedback(response.feedback)
+      setCorrecting(false)
+    } catch (error) {
+      console.error('Failed to save feedback:', error)
+      setError(error.response?.data?.error || 'Failed to save feedback')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const rateDown = () => {
+    setCorrection(feedback?.correction || '')
+    setCorrecting(true)
+  }
+
+  const buttonClass = (active) => `p-1.5 rounded-md transition-colors disabled:opacity-60 ${
+    active
+      ? 'bg-blue-600 dark:bg-blue-500 text-white'
+      : 'text-blue-700 dark:text-blue-300 hover:bg-blue-100 dark:hover:bg-blue-900/50'
+  }`
+
+  return (
+    <div className="mt-3 pt-3 border-t border-blue-200 dark:border-blue-800/30 space-y-2">
+      <div className="flex items-center gap-2 text-sm text-blue-700 dark:text-blue-300">
+        <span>{feedback ? 'Thanks for the feedback.' : 'Was this helpful?'}</span>
+        <button
+          onClick={() => submit('up')}
+          disabled={saving}
+          className={buttonClass(feedback?.rating === 'up')}
+          title="Helpful"
+        >
+          <ThumbsUp className="h-3.5 w-3.5" />
+        </button>
+        <button
+          onClick={rateDown}
+          disabled={saving}
+          className={buttonClass(feedback?.rating === 'down' || correcting)}
+          title="Not helpful"
+        >
+          <ThumbsDown className="h-3.5 w-3.5" />
+        </button>
+        {saving && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+      </div>
+
+      {correcting && (
+        <div className="space-y-2">
+          <textarea
+            value={correction}
+            onChange={e => setCorrection(e.target.value)}
+            rows={3}
+            maxLength={5000}
+            placeholder="What should it have said? (optional)"
+            className="w-full px-3 py-2 text-sm border border-blue-200 dark:border-blue-800/30 rounded-md bg-background text-foreground focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => submit('down', correction)}
+              disabled={saving}
+              className="px-3 py-1 text-sm bg-blue-600 dark:bg-blue-500 text-white rounded-md hover:bg-blue-700 dark:hover:bg-blue-600 disabled:opacity-60 transition-colors"
+            >
+              Send
+            </button>
+            <button
+              onClick={() => setCorrecting(false)}
+              className="px-3 py-1 text-sm text-blue-700 dark:text-blue-300 hover:underline"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {feedback?.correction && !correcting && (
+        <p className="text-sm text-blue-700 dark:text-blue-300">
+          Your correction: {feedback.correction}
+        </p>
+      )}
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default AnalysisFeedback
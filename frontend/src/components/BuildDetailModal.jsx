@@ -18,10 +18,12 @@ import {
 import { format } from 'date-fns'
 import ReactMarkdown from 'react-markdown'
 import { apiService } from '../api/apiService'
+import AnalysisFeedback from './AnalysisFeedback'
 
 const BuildDetailModal = ({ build, isOpen, onClose }) => {
   const [aiAnalysis, setAiAnalysis] = useState(null)
   const [loadingAI, setLoadingAI] = useState(false)
+  const [aiFailed, setAiFailed] = useState(false)
   const [copied, setCopied] = useState(false)
 
   // Get build details
@@ -81,6 +83,7 @@ const BuildDetailModal = ({ build, isOpen, onClose }) => {
     } catch (error) {
       console.error('Failed to load AI analysis:', error)
       setAiAnalysis('AI analysis temporarily unavailable. Please try again later.')
+      setAiFailed(true)
     } finally {
       setLoadingAI(false)
     }
@@ -102,6 +105,7 @@ const BuildDetailModal = ({ build, isOpen, onClose }) => {
   useEffect(() => {
     if (isOpen && build) {
       setAiAnalysis(null)
+      setAiFailed(false)
       setLoadingAI(false)
       setCopied(false)
     }
@@ -258,6 +262,10 @@ const BuildDetailModal = ({ build, isOpen, onClose }) => {
                     <ReactMarkdown>{aiAnalysis}</ReactMarkdown>
                   </div>
                 )}
+
+                {aiAnalysis && !aiFailed && (
+                  <AnalysisFeedback key={build.id} targetType="build" targetId={build.id} analysis={aiAnalysis} />
+                )}
                 
                 {!aiAnalysis && !loadingAI && (
                   <p className="text-sm text-blue-700 dark:text-blue-300">
@@ -8,6 +8,9 @@ import {
   FileText,
   Settings,
   Bell,
+  Workflow,
+  ListChecks,
+  Brain,
 } from "lucide-react"
 
 import { DevOpsNavMain } from "@/components/DevOpsNavMain"
@@ -67,6 +70,21 @@ const data = {
           url: "/notifications",
           icon: Bell,
         },
+        {
+          title: "Automations",
+          url: "/automations",
+          icon: Workflow,
+        },
+        {
+          title: "Rules",
+          url: "/rules",
+          icon: ListChecks,
+        },
+        {
+          title: "Memories",
+          url: "/memories",
+          icon: Brain,
+        },
         {
           title: "Logs",
           url: "/logs",
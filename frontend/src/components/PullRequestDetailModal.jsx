@@ -12,16 +12,28 @@ import {
   Bot,
   Loader2,
   Eye,
-  FileText
+  FileText,
+  MessageSquare,
+  UserPlus,
+  Users
 } from 'lucide-react'
 import { format } from 'date-fns'
 import ReactMarkdown from 'react-markdown'
 import { apiService } from '../api/apiService'
+import AnalysisFeedback from './AnalysisFeedback'
 
 const PullRequestDetailModal = ({ pullRequest, isOpen, onClose }) => {
   const [aiExplanation, setAiExplanation] = useState(null)
   const [loadingAI, setLoadingAI] = useState(false)
+  const [aiFailed, setAiFailed] = useState(false)
+  const [postingComments, setPostingComments] = useState(false)
+  const [postResult, setPostResult] = useState(null)
   const [copied, setCopied] = useState(false)
+  const [reviewerSuggestions, setReviewerSuggestions] = useState(null)
+  const [loadingReviewers, setLoadingReviewers] = useState(false)
+  const [addingReviewers, setAddingReviewers] = useState(false)
+  const [addedReviewers, setAddedReviewers] = useState([])
+  const [reviewerError, setReviewerError] = useState(null)
 
   // Get PR details
   const title = pullRequest?.title || 'No title'
@@ -31,7 +43,7 @@ const PullRequestDetailModal = ({ pullRequest, isOpen, onClose }) => {
   const sourceBranch = pullRequest?.sourceRefName?.replace('refs/heads/', '') || 'Unknown'
   const targetBranch = pullRequest?.targetRefName?.replace('refs/heads/', '') || 'Unknown'
   const creationDate = pullRequest?.creationDate
-  const reviewers = pullRequest?.reviewers || []
+  const reviewers = [...(pullRequest?.reviewers || []), ...addedReviewers]
 
   // Get status color
   const getStatusColor = (status) => {
@@ -64,11 +76,77 @@ const PullRequestDetailModal = ({ pullRequest, isOpen, onClose }) => {
     } catch (error) {
       console.error('Failed to load AI explanation:', error)
       setAiExplanation('AI explanation temporarily unavailable. Please try again later.')
+      setAiFailed(true)
     } finally {
       setLoadingAI(false)
     }
   }
 
+  // Post the analysis to the PR as comment threads
+  const postAnalysis = async () => {
+    if (!pullRequest || postingComments) return
+
+    setPostingComments(true)
+    try {
+      const response = await apiService.postPullRequestAnalysis(pullRequest.pullRequestId)
+      const created = response.threads.filter(thread => thread.action === 'created').length
+      const updated = response.threads.filter(thread => thread.action === 'updated').length
+      const closed = response.threads.filter(thread => thread.action === 'closed').length
+      setPostResult({
+        success: true,
+        message: `Posted to PR (${created} threads created, ${updated} updated${closed ? `, ${closed} outdated closed` : ''})`
+      })
+    } catch (error) {
+      console.error('Failed to post analysis:', error)
+      setPostResult({ success: false, message: error.response?.data?.error || 'Failed to post analysis to the pull request' })
+    } finally {
+      setPostingComments(false)
+    }
+  }
+
+  // Rank reviewers by history on the changed files and current review load
+  const loadReviewerSuggestions = async () => {
+    if (!pullRequest || loadingReviewers) return
+
+    setLoadingReviewers(true)
+    setReviewerError(null)
+    try {
+      const response = await apiService.getReviewerRecommendations(pullRequest.pullRequestId)
+      setReviewerSuggestions(response.recommendations)
+    } catch (error) {
+      console.error('Failed to load reviewer recommendations:', error)
+      setReviewerError(error.response?.data?.error || 'Failed to recommend reviewers')
+    } finally {
+      setLoadingReviewers(false)
+    }
+  }
+
+  const addReviewers = async (candidates) => {
+    if (!pullRequest || addingReviewers || candidates.length === 0) return
+
+    setAddingReviewers(true)
+    setReviewerError(null)
+    try {
+      const response = await apiService.addPullRequestReviewers(pullRequest.pullRequestId, candidates.map(c => c.id))
+      const added = candidates.filter(candidate =>
+        response.results.some(result => result.id === candidate.id && result.status === 'added'))
+      setAddedReviewers(prev => [...prev, ...added])
+
+      const failed = response.results.filter(result => result.status === 'failed')
+      if (failed.length > 0) {
+        setReviewerError(`Could not add ${failed.length} reviewer${failed.length !== 1 ? 's' : ''}: ${failed[0].error}`)
+      }
+    } catch (error) {
+      console.error('Failed to add reviewers:', error)
+      setReviewerError(error.response?.data?.error || 'Failed to add reviewers')
+    } finally {
+      setAddingReviewers(false)
+    }
+  }
+
+  const isReviewer = (candidate) => reviewers.some(reviewer => reviewer.id === candidate.id)
+  const addableSuggestions = (reviewerSuggestions || []).filter(candidate => candidate.canAdd && !isReviewer(candidate))
+
   // Copy PR link
   const copyLink = async () => {
     try {
@@ -85,8 +163,15 @@ const PullRequestDetailModal = ({ pullRequest, isOpen, onClose }) => {
   useEffect(() => {
     if (isOpen && pullRequest) {
       setAiExplanation(null)
+      setAiFailed(false)
       setLoadingAI(false)
+      setPostingComments(false)
+      setPostResult(null)
       setCopied(false)
+      setReviewerSuggestions(null)
+      setLoadingReviewers(false)
+      setAddedReviewers([])
+      setReviewerError(null)
     }
   }, [isOpen, pullRequest])
 
@@ -238,6 +323,16 @@ const PullRequestDetailModal = ({ pullRequest, isOpen, onClose }) => {
                       🤖 Explain This PR
                     </button>
                   )}
+                  {aiExplanation && !loadingAI && (
+                    <button
+                      onClick={postAnalysis}
+                      disabled={postingComments}
+                      className="flex items-center gap-1.5 px-3 py-1 text-sm bg-blue-600 dark:bg-blue-500 text-white rounded-md hover:bg-blue-700 dark:hover:bg-blue-600 disabled:opacity-60 transition-colors"
+                    >
+                      {postingComments ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <MessageSquare className="h-3.5 w-3.5" />}
+                      Post to PR
+                    </button>
+                  )}
                 </div>
                 
                 {loadingAI && (
@@ -252,6 +347,16 @@ const PullRequestDetailModal = ({ pullRequest, isOpen, onClose }) => {
                     <ReactMarkdown>{aiExplanation}</ReactMarkdown>
                   </div>
                 )}
+
+                {aiExplanation && !aiFailed && (
+                  <AnalysisFeedback key={pullRequest.pullRequestId} targetType="pullRequest" targetId={pullRequest.pullRequestId} analysis={aiExplanation} />
+                )}
+
+                {postResult && (
+                  <p className={`mt-3 text-sm ${postResult.success ? 'text-green-700 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    {postResult.message}
+                  </p>
+                )}
                 
                 {!aiExplanation && !loadingAI && (
                   <p className="text-sm text-blue-700 dark:text-blue-300">
@@ -260,6 +365,88 @@ const PullRequestDetailModal = ({ pullRequest, isOpen, onClose }) => {
                 )}
               </div>
 
+              {/* Suggested Reviewers */}
+              <div className="rounded-lg p-4 border border-border dark:border-[#1a1a1a]">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center gap-2">
+                    <Users className="h-5 w-5 text-muted-foreground" />
+                    <h4 className="font-medium text-foreground">Suggested Reviewers</h4>
+                  </div>
+                  {!reviewerSuggestions && !loadingReviewers && (
+                    <button
+                      onClick={loadReviewerSuggestions}
+                      className="px-3 py-1 text-sm bg-muted text-foreground rounded-md hover:bg-muted/70 transition-colors"
+                    >
+                      Suggest Reviewers
+                    </button>
+                  )}
+                  {addableSuggestions.length > 1 && (
+                    <button
+                      onClick={() => addReviewers(addableSuggestions)}
+                      disabled={addingReviewers}
+                      className="flex items-center gap-1.5 px-3 py-1 text-sm bg-blue-600 dark:bg-blue-500 text-white rounded-md hover:bg-blue-700 dark:hover:bg-blue-600 disabled:opacity-60 transition-colors"
+                    >
+                      {addingReviewers ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <UserPlus className="h-3.5 w-3.5" />}
+                      Add all
+                    </button>
+                  )}
+                </div>
+
+                {loadingReviewers && (
+                  <div className="flex items-center gap-2 text-muted-foreground">
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                    <span className="text-sm">Reading commit history for the changed files...</span>
+                  </div>
+                )}
+
+                {reviewerSuggestions && reviewerSuggestions.length === 0 && (
+                  <p className="text-sm text-muted-foreground">
+                    No one else has committed to these files in the last year.
+                  </p>
+                )}
+
+                {reviewerSuggestions && reviewerSuggestions.length > 0 && (
+                  <ul className="space-y-3">
+                    {reviewerSuggestions.map(candidate => (
+                      <li key={candidate.id || candidate.uniqueName} className="flex items-start justify-between gap-3">
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2">
+                            <span className="text-sm font-medium text-foreground">{candidate.displayName}</span>
+                            <span className="text-xs text-muted-foreground">{Math.round(candidate.score * 100)}% match</span>
+                          </div>
+                          <p className="text-xs text-muted-foreground">{candidate.reasoning}</p>
+                        </div>
+                        {isReviewer(candidate) ? (
+                          <span className="flex items-center gap-1 text-xs text-green-700 dark:text-green-400 shrink-0">
+                            <CheckCircle className="h-3.5 w-3.5" />
+                            Reviewer
+                          </span>
+                        ) : candidate.canAdd && (
+                          <button
+                            onClick={() => addReviewers([candidate])}
+                            disabled={addingReviewers}
+                            className="flex items-center gap-1 px-2 py-1 text-xs border border-border rounded-md hover:bg-muted disabled:opacity-60 transition-colors shrink-0"
+                          >
+                            <UserPlus className="h-3.5 w-3.5" />
+                            Add
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {reviewerError && (
+                  <p className="mt-3 text-sm text-red-600 dark:text-red-400">{reviewerError}</p>
+                )}
+
+                {!reviewerSuggestions && !loadingReviewers && !reviewerError && (
+                  <p className="text-sm text-muted-foreground">
+                    Rank reviewers by who has worked on the changed files and how many reviews they already have open.
+                  </p>
+                )}
+              </div>
+
               {/* Description */}
               {description && (
                 <div>
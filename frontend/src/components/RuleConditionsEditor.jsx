@@ -0,0 +1,146 @@
+import React from 'react'
+import { Plus, X } from 'lucide-react'
+import { OPERATOR_LABELS, emptyCondition, isConditionGroup } from '../utils/ruleConditions'
+
+const controlClass = 'px-2 py-1.5 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground text-sm'
+
+// Regexes see the value the way the server compares it (branch fields without refs/heads/)
+function getPlaceholder(operator, field) {
+  if (operator === 'in' || operator === 'notIn') return 'Comma-separated values'
+  if (operator === 'matches') return `Regex, case-insensitive, against the ${field?.description?.toLowerCase() || 'value'}`
+  return field?.description
+}
+
+function ConditionRow({ condition, fields, onChange, onRemove }) {
+  const field = fields.find(candidate => candidate.name === condition.field)
+  const operators = field?.operators || []
+  const inputType = field?.type === 'number' ? 'number' : 'text'
+
+  const update = (changes) => onChange({ ...condition, ...changes })
+
+  const changeField = (name) => {
+    const next = fields.find(candidate => candidate.name === name)
+    const operator = next?.operators.includes(condition.operator) ? condition.operator : 'equals'
+    update({
+      field: name,
+      operator,
+      value: operator === condition.operator ? condition.value : '',
+      timezone: name === 'time.hour' ? condition.timezone : undefined
+    })
+  }
+
+  const changeOperator = (operator) => {
+    update({ operator, value: operator === 'between' ? ['', ''] : '' })
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select className={controlClass} value={condition.field} onChange={e => changeField(e.target.value)} title={field?.description}>
+        {fields.map(candidate => (
+          <option key={candidate.name} value={candidate.name}>{candidate.name}</option>
+        ))}
+      </select>
+      <select className={controlClass} value={condition.operator} onChange={e => changeOperator(e.target.value)}>
+        {operators.map(operator => (
+          <option key={operator} value={operator}>{OPERATOR_LABELS[operator] || operator}</option>
+        ))}
+      </select>
+      {condition.operator === 'between' ? (
+        <>
+          <input type="number" className={`${controlClass} w-20`} value={condition.value[0]} onChange={e => update({ value: [e.target.value, condition.value[1]] })} required />
+          <span className="text-sm text-muted-foreground">and</span>
+          <input type="number" className={`${controlClass} w-20`} value={condition.value[1]} onChange={e => update({ value: [condition.value[0], e.target.value] })} required />
+        </>
+      ) : (
+        <input
+          type={condition.operator === 'in' || condition.operator === 'notIn' ? 'text' : inputType}
+          className={`${controlClass} flex-1 min-w-[8rem]`}
+          value={condition.value}
+          onChange={e => update({ value: e.target.value })}
+          placeholder={getPlaceholder(condition.operator, field)}
+          required
+        />
+      )}
+      {condition.field === 'time.hour' && (
+        <input
+          className={`${controlClass} w-40`}
+          value={condition.timezone || ''}
+          onChange={e => update({ timezone: e.target.value || undefined })}
+          placeholder="Timezone (UTC)"
+        />
+      )}
+      <button type="button" onClick={onRemove} className="p-1 rounded-lg text-muted-foreground hover:bg-muted hover:text-foreground" title="Remove condition">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  )
+}
+
+/**
+ * Edits an AND/OR group of structured conditions; groups nest
+ */
+export default function RuleConditionsEditor({ value, fields, onChange, onRemove, depth = 0 }) {
+  const updateItem = (index, item) => {
+    onChange({ ...value, items: value.items.map((existing, i) => i === index ? item : existing) })
+  }
+
+  const removeItem = (index) => {
+    const items = value.items.filter((_, i) => i !== index)
+    if (items.length === 0) {
+      onRemove()
+    } else {
+      onChange({ ...value, items })
+    }
+  }
+
+  const addItem = (item) => onChange({ ...value, items: [...value.items, item] })
+
+  return (
+    <div className={`space-y-2 ${depth > 0 ? 'pl-3 border-l-2 border-border dark:border-[#1a1a1a]' : ''}`}>
+      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+        Match
+        <select className={controlClass} value={value.mode} onChange={e => onChange({ ...value, mode: e.target.value })}>
+          <option value="all">all (AND)</option>
+          <option value="any">any (OR)</option>
+        </select>
+        of:
+      </div>
+
+      {value.items.map((item, index) => isConditionGroup(item) ? (
+        <RuleConditionsEditor
+          key={index}
+          value={item}
+          fields={fields}
+          depth={depth + 1}
+          onChange={next => updateItem(index, next)}
+          onRemove={() => removeItem(index)}
+        />
+      ) : (
+        <ConditionRow
+          key={index}
+          condition={item}
+          fields={fields}
+          onChange={next => updateItem(index, next)}
+          onRemove={() => removeItem(index)}
+        />
+      ))}
+
+      <div className="flex items-center gap-3">
+        <button type="button" onClick={() => addItem(emptyCondition(fields))} className="flex items-center gap-1 text-sm text-muted-foreground hover:text-foreground">
+          <Plus className="h-3.5 w-3.5" />
+          Condition
+        </button>
+        {depth < 2 && (
+          <button
+            type="button"
+            onClick={() => addItem({ mode: value.mode === 'all' ? 'any' : 'all', items: [emptyCondition(fields)] })}
+            className="flex items-center gap-1 text-sm text-muted-foreground hover:text-foreground"
+          >
+            <Plus className="h-3.5 w-3.5" />
+            Group
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+import React from 'react'
+import { AlertTriangle, ExternalLink } from 'lucide-react'
+import { format } from 'date-fns'
+
+const DECISION_LABELS = {
+  auto: 'acts automatically',
+  confident: 'acts (confident)',
+  approval: 'waits for approval',
+  ai_fallback: 'too low, AI decides'
+}
+
+function Excerpt({ excerpt }) {
+  const { text, matchStart, matchLength } = excerpt
+
+  return (
+    <div className="flex gap-3 font-mono text-xs">
+      <span className="text-muted-foreground w-10 text-right flex-shrink-0">{excerpt.line}</span>
+      <span className="text-foreground break-all whitespace-pre-wrap">
+        {text.slice(0, matchStart)}
+        <mark className="bg-yellow-200 dark:bg-yellow-500/30 text-foreground rounded px-0.5">
+          {text.slice(matchStart, matchStart + matchLength)}
+        </mark>
+        {text.slice(matchStart + matchLength)}
+      </span>
+    </div>
+  )
+}
+
+function Outcome({ outcome }) {
+  if (!outcome?.ruleId) {
+    return <span className="text-xs text-muted-foreground">No rule applies here</span>
+  }
+
+  const confidence = `${Math.round(outcome.confidence * 100)}%`
+
+  if (!outcome.isDraft) {
+    return (
+      <span className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300">
+        {outcome.ruleId} wins ({outcome.action}, {confidence})
+      </span>
+    )
+  }
+
+  return (
+    <span className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300">
+      {outcome.action} · {confidence} · {DECISION_LABELS[outcome.decision]}
+    </span>
+  )
+}
+
+function MatchCard({ title, subtitle, url, match }) {
+  return (
+    <div className="p-3 rounded-lg border border-border dark:border-[#1a1a1a] space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="min-w-0">
+          <div className="flex items-center gap-1 text-sm font-medium text-foreground">
+            {title}
+            {url && (
+              <a href={url} target="_blank" rel="noopener noreferrer" className="text-muted-foreground hover:text-foreground">
+                <ExternalLink className="h-3.5 w-3.5" />
+              </a>
+            )}
+          </div>
+          <div className="text-xs text-muted-foreground">
+            {subtitle} · {match.matchCount > 0 ? `${match.matchCount} match${match.matchCount === 1 ? '' : 'es'}` : 'conditions met'}
+          </div>
+        </div>
+        <Outcome outcome={match.outcome} />
+      </div>
+      <div className="space-y-1">
+        {match.excerpts.map((excerpt, index) => <Excerpt key={index} excerpt={excerpt} />)}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * What a draft rule matched in recent failed builds and stored memories
+ */
+export default function RuleTestResults({ result }) {
+  const { summary, warnings = [], errors = [], builds = [], memories = [] } = result
+  const formatDate = (date) => date ? format(new Date(date), 'MMM dd, HH:mm') : ''
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-foreground">
+        Matched {summary.buildsMatched} of {summary.buildsScanned} failed builds
+        and {summary.memoriesMatched} of {summary.memoriesScanned} memories;
+        it would be the deciding rule in {summary.draftWins} of them.
+      </p>
+
+      {[...warnings, ...(errors.length > 0 ? [`${errors.length} build${errors.length === 1 ? '' : 's'} could not be read`] : [])].map(warning => (
+        <div key={warning} className="flex items-center gap-2 text-sm text-amber-700 dark:text-amber-400">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+          {warning}
+        </div>
+      ))}
+
+      {builds.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Failed builds</h3>
+          {builds.map(build => (
+            <MatchCard
+              key={build.buildId}
+              title={`${build.definition || 'Build'} #${build.buildNumber || build.buildId}`}
+              subtitle={[build.branch?.replace('refs/heads/', ''), formatDate(build.finishTime)].filter(Boolean).join(' · ')}
+              url={build.url}
+              match={build}
+            />
+          ))}
+        </div>
+      )}
+
+      {memories.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Memories</h3>
+          {memories.map(memory => (
+            <MatchCard
+              key={memory.memoryId}
+              title={memory.type || 'Memory'}
+              subtitle={[memory.category, formatDate(memory.createdAt)].filter(Boolean).join(' · ')}
+              match={memory}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
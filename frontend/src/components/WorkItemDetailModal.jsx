@@ -18,27 +18,38 @@ import {
   CheckSquare,
   Bug,
   Lightbulb,
-  Target
+  Target,
+  Plus
 } from 'lucide-react'
 import { format } from 'date-fns'
 import ReactMarkdown from 'react-markdown'
 import { apiService } from '../api/apiService'
+import AnalysisFeedback from './AnalysisFeedback'
 
-const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
+const WorkItemDetailModal = ({ workItem, isOpen, onClose, onUpdated }) => {
+  const [item, setItem] = useState(workItem)
   const [aiExplanation, setAiExplanation] = useState(null)
   const [loadingAI, setLoadingAI] = useState(false)
+  const [aiFailed, setAiFailed] = useState(false)
   const [copied, setCopied] = useState(false)
+  const [states, setStates] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [updateError, setUpdateError] = useState(null)
+  const [latestItem, setLatestItem] = useState(null)
+  const [assigneeInput, setAssigneeInput] = useState('')
+  const [newTag, setNewTag] = useState('')
 
   // Get work item details
-  const title = workItem?.fields?.['System.Title'] || 'No title'
-  const description = workItem?.fields?.['System.Description'] || ''
-  const state = workItem?.fields?.['System.State'] || 'Unknown'
-  const assignee = workItem?.fields?.['System.AssignedTo']?.displayName || 'Unassigned'
-  const workItemType = workItem?.fields?.['System.WorkItemType'] || 'Item'
-  const priority = workItem?.fields?.['Microsoft.VSTS.Common.Priority']
-  const dueDate = workItem?.fields?.['Microsoft.VSTS.Scheduling.DueDate']
-  const createdDate = workItem?.fields?.['System.CreatedDate']
-  const tags = workItem?.fields?.['System.Tags'] || ''
+  const title = item?.fields?.['System.Title'] || 'No title'
+  const description = item?.fields?.['System.Description'] || ''
+  const state = item?.fields?.['System.State'] || 'Unknown'
+  const assignee = item?.fields?.['System.AssignedTo']?.displayName || 'Unassigned'
+  const workItemType = item?.fields?.['System.WorkItemType'] || 'Item'
+  const priority = item?.fields?.['Microsoft.VSTS.Common.Priority']
+  const dueDate = item?.fields?.['Microsoft.VSTS.Scheduling.DueDate']
+  const createdDate = item?.fields?.['System.CreatedDate']
+  const tags = item?.fields?.['System.Tags'] || ''
+  const tagList = tags.split(';').map(tag => tag.trim()).filter(Boolean)
 
   // Get work item type icon
   const getWorkItemTypeIcon = (type) => {
@@ -129,25 +140,74 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
 
   // Load AI explanation
   const loadAIExplanation = async () => {
-    if (!workItem || loadingAI) return
+    if (!item || loadingAI) return
     
     setLoadingAI(true)
     try {
       // Call AI service to explain the work item
-      const response = await apiService.explainWorkItem(workItem.id)
+      const response = await apiService.explainWorkItem(item.id)
       setAiExplanation(response.explanation)
     } catch (error) {
       console.error('Failed to load AI explanation:', error)
       setAiExplanation('AI explanation temporarily unavailable. Please try again later.')
+      setAiFailed(true)
     } finally {
       setLoadingAI(false)
     }
   }
 
+  // Save inline edits; the revision we loaded guards against overwriting someone else's change
+  const saveChanges = async (changes) => {
+    if (!item || saving) return
+
+    setSaving(true)
+    setUpdateError(null)
+    setLatestItem(null)
+    try {
+      const response = await apiService.updateWorkItem(item.id, { ...changes, rev: item.rev })
+      setItem(response.workItem)
+      onUpdated?.(response.workItem)
+    } catch (error) {
+      console.error('Failed to update work item:', error)
+      if (error.response?.status === 409) {
+        setUpdateError('This work item was changed by someone else.')
+        setLatestItem(error.response.data?.details?.workItem || null)
+      } else {
+        setUpdateError(error.response?.data?.error || 'Failed to update work item')
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const reloadLatest = () => {
+    setItem(latestItem)
+    setAssigneeInput(latestItem.fields?.['System.AssignedTo']?.uniqueName || '')
+    onUpdated?.(latestItem)
+    setLatestItem(null)
+    setUpdateError(null)
+  }
+
+  const saveAssignee = () => {
+    const current = item?.fields?.['System.AssignedTo']?.uniqueName || ''
+    if (assigneeInput.trim() !== current) {
+      saveChanges({ assignedTo: assigneeInput.trim() })
+    }
+  }
+
+  const addTag = () => {
+    const tag = newTag.trim()
+    if (!tag) return
+    setNewTag('')
+    if (!tagList.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      saveChanges({ addTags: [tag] })
+    }
+  }
+
   // Copy work item link
   const copyLink = async () => {
     try {
-      const url = getWorkItemUrl(workItem)
+      const url = getWorkItemUrl(item)
       await navigator.clipboard.writeText(url)
       setCopied(true)
       setTimeout(() => setCopied(false), 2000)
@@ -160,10 +220,37 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
   useEffect(() => {
     if (isOpen && workItem) {
       setAiExplanation(null)
+      setAiFailed(false)
       setLoadingAI(false)
       setCopied(false)
+      setUpdateError(null)
+      setLatestItem(null)
+      setNewTag('')
     }
-  }, [isOpen, workItem])
+  }, [isOpen, workItem?.id])
+
+  // Follow the item the parent passes in, including after our own updates
+  useEffect(() => {
+    setItem(workItem)
+    setAssigneeInput(workItem?.fields?.['System.AssignedTo']?.uniqueName || '')
+  }, [workItem])
+
+  // States allowed for this work item type
+  useEffect(() => {
+    if (!isOpen || !workItemType || workItemType === 'Item') return
+
+    let cancelled = false
+    apiService.getWorkItemStates(workItemType)
+      .then(response => {
+        if (!cancelled) setStates((response.states || []).map(s => s.name))
+      })
+      .catch(error => {
+        console.error('Failed to load work item states:', error)
+        if (!cancelled) setStates([])
+      })
+
+    return () => { cancelled = true }
+  }, [isOpen, workItemType])
 
   // Handle backdrop click
   const handleBackdropClick = (e) => {
@@ -194,7 +281,9 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
     }
   }, [isOpen, onClose])
 
-  if (!isOpen || !workItem) return null
+  if (!isOpen || !item) return null
+
+  const stateOptions = states.includes(state) ? states : [state, ...states]
 
   const modalContent = (
     <div 
@@ -208,7 +297,7 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
             {getWorkItemTypeIcon(workItemType)}
             <div>
               <h2 className="text-xl font-semibold text-foreground">
-                Work Item #{workItem.id}
+                Work Item #{item.id}
               </h2>
               <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStateColor(state)}`}>
                 {state}
@@ -228,7 +317,7 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
               )}
             </button>
             <a
-              href={getWorkItemUrl(workItem)}
+              href={getWorkItemUrl(item)}
               target="_blank"
               rel="noopener noreferrer"
               className="p-2 hover:bg-muted rounded-full transition-colors"
@@ -254,18 +343,6 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
               
               {/* Metadata */}
               <div className="flex flex-wrap items-center gap-4 text-sm text-muted-foreground">
-                <div className="flex items-center gap-1">
-                  <User className="h-4 w-4" />
-                  <span className={assignee === 'Unassigned' ? 'text-red-600 dark:text-red-400 font-medium' : ''}>{assignee}</span>
-                </div>
-                
-                {priority && (
-                  <div className="flex items-center gap-1">
-                    {getPriorityIcon(priority)}
-                    <span>{getPriorityText(priority)}</span>
-                  </div>
-                )}
-                
                 {createdDate && (
                   <div className="flex items-center gap-1">
                     <Calendar className="h-4 w-4" />
@@ -283,14 +360,99 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
                 )}
               </div>
 
+              {/* Editable fields */}
+              <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <label className="text-xs text-muted-foreground">
+                  <span className="block mb-1">State</span>
+                  <select
+                    value={state}
+                    onChange={(e) => saveChanges({ state: e.target.value })}
+                    disabled={saving}
+                    className="w-full px-3 py-2 border border-border rounded-md text-sm bg-card dark:bg-[#111111] text-foreground focus:ring-2 focus:ring-blue-500/20 focus:border-blue-300 dark:focus:border-blue-600 disabled:opacity-50"
+                  >
+                    {stateOptions.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="text-xs text-muted-foreground">
+                  <span className="flex items-center gap-1 mb-1">
+                    <User className="h-3 w-3" />
+                    Assigned to
+                    {assignee === 'Unassigned' && <span className="text-red-600 dark:text-red-400 font-medium">(unassigned)</span>}
+                  </span>
+                  <input
+                    type="text"
+                    value={assigneeInput}
+                    placeholder="name@company.com"
+                    onChange={(e) => setAssigneeInput(e.target.value)}
+                    onBlur={saveAssignee}
+                    onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                    disabled={saving}
+                    title={assignee}
+                    className="w-full px-3 py-2 border border-border rounded-md text-sm bg-card dark:bg-[#111111] text-foreground placeholder:text-muted-foreground focus:ring-2 focus:ring-blue-500/20 focus:border-blue-300 dark:focus:border-blue-600 disabled:opacity-50"
+                  />
+                </label>
+
+                <label className="text-xs text-muted-foreground">
+                  <span className="flex items-center gap-1 mb-1">
+                    {getPriorityIcon(priority)}
+                    Priority
+                  </span>
+                  <select
+                    value={priority?.toString() || ''}
+                    onChange={(e) => saveChanges({ priority: Number(e.target.value) })}
+                    disabled={saving}
+                    className="w-full px-3 py-2 border border-border rounded-md text-sm bg-card dark:bg-[#111111] text-foreground focus:ring-2 focus:ring-blue-500/20 focus:border-blue-300 dark:focus:border-blue-600 disabled:opacity-50"
+                  >
+                    {!priority && <option value="">None</option>}
+                    {[1, 2, 3, 4].map(value => (
+                      <option key={value} value={value}>{value} - {getPriorityText(value)}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
               {/* Tags */}
-              {tags && (
-                <div className="mt-3 flex flex-wrap gap-2">
-                  {tags.split(';').filter(tag => tag.trim()).map((tag, index) => (
-                    <span key={index} className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-muted text-muted-foreground">
-                      {tag.trim()}
-                    </span>
-                  ))}
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                {tagList.map(tag => (
+                  <span key={tag} className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs bg-muted text-muted-foreground">
+                    {tag}
+                    <button
+                      onClick={() => saveChanges({ removeTags: [tag] })}
+                      disabled={saving}
+                      className="hover:text-foreground disabled:opacity-50"
+                      title={`Remove ${tag}`}
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </span>
+                ))}
+                <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs border border-dashed border-border">
+                  <Plus className="h-3 w-3 text-muted-foreground" />
+                  <input
+                    type="text"
+                    value={newTag}
+                    placeholder="Add tag"
+                    onChange={(e) => setNewTag(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && addTag()}
+                    disabled={saving}
+                    className="w-20 bg-transparent text-foreground placeholder:text-muted-foreground focus:outline-none"
+                  />
+                </span>
+                {saving && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+              </div>
+
+              {updateError && (
+                <div className="mt-3 flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+                  <AlertTriangle className="h-4 w-4" />
+                  <span>{updateError}</span>
+                  {latestItem && (
+                    <button onClick={reloadLatest} className="underline hover:no-underline">
+                      Reload latest
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -324,6 +486,10 @@ const WorkItemDetailModal = ({ workItem, isOpen, onClose }) => {
                   <ReactMarkdown>{aiExplanation}</ReactMarkdown>
                 </div>
               )}
+
+              {aiExplanation && !aiFailed && (
+                <AnalysisFeedback key={item.id} targetType="workItem" targetId={item.id} analysis={aiExplanation} />
+              )}
               
               {!aiExplanation && !loadingAI && (
                 <p className="text-sm text-blue-700 dark:text-blue-300">
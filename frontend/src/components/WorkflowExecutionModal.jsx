@@ -0,0 +1,373 @@
+import { useState, useEffect } from 'react'
+import { createPortal } from 'react-dom'
+import {
+  X,
+  Workflow,
+  CheckCircle,
+  XCircle,
+  Clock,
+  SkipForward,
+  Loader2,
+  ChevronDown,
+  ChevronRight,
+  Calendar,
+  Zap,
+  Hand,
+  Check
+} from 'lucide-react'
+import { format } from 'date-fns'
+import { apiService } from '../api/apiService'
+import { formatDuration, describeTrigger, getStatusBadgeClass, getStatusBarClass } from '../utils/workflowFormat'
+
+const StepStatusIcon = ({ status }) => {
+  switch (status) {
+    case 'completed':
+      return <CheckCircle className="h-4 w-4 text-green-600 dark:text-green-400" />
+    case 'failed':
+      return <XCircle className="h-4 w-4 text-red-600 dark:text-red-400" />
+    case 'skipped':
+      return <SkipForward className="h-4 w-4 text-yellow-600 dark:text-yellow-400" />
+    case 'running':
+      return <Loader2 className="h-4 w-4 text-blue-600 dark:text-blue-400 animate-spin" />
+    case 'waiting':
+      return <Hand className="h-4 w-4 text-yellow-600 dark:text-yellow-400" />
+    default:
+      return <Clock className="h-4 w-4 text-muted-foreground" />
+  }
+}
+
+const JsonBlock = ({ label, value }) => {
+  if (value === undefined || value === null) return null
+
+  return (
+    <div>
+      <div className="text-xs font-medium text-muted-foreground uppercase tracking-wider mb-1">{label}</div>
+      <pre className="text-xs bg-muted rounded-lg p-3 overflow-x-auto max-h-64 text-foreground whitespace-pre-wrap break-all">
+        {typeof value === 'string' ? value : JSON.stringify(value, null, 2)}
+      </pre>
+    </div>
+  )
+}
+
+const ApprovalPanel = ({ step, canDecide, suggestedDecision, onDecide }) => {
+  const [comment, setComment] = useState('')
+  const [submitting, setSubmitting] = useState(null)
+  const [error, setError] = useState(null)
+
+  const decide = async (approved) => {
+    try {
+      setSubmitting(approved ? 'approve' : 'reject')
+      setError(null)
+      await onDecide(step.id, approved, comment)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to record decision')
+    } finally {
+      setSubmitting(null)
+    }
+  }
+
+  const defaultLabel = step.approval?.defaultDecision === 'approve' ? 'approved' : 'rejected'
+
+  return (
+    <div className="p-4 rounded-lg bg-yellow-50 dark:bg-yellow-950/30 border border-yellow-200 dark:border-yellow-900 space-y-3">
+      <div className="flex items-center gap-2 text-sm font-medium text-yellow-900 dark:text-yellow-100">
+        <Hand className="h-4 w-4" />
+        Approval needed: {step.id}
+      </div>
+      <p className="text-sm text-foreground whitespace-pre-wrap">{step.approval?.message}</p>
+      {step.approval?.expiresAt && (
+        <p className="text-xs text-muted-foreground">
+          Expires {format(new Date(step.approval.expiresAt), 'MMM dd, yyyy HH:mm')}, then {defaultLabel} automatically
+        </p>
+      )}
+      {canDecide ? (
+        <>
+          <textarea
+            className="w-full px-3 py-2 text-sm border border-border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground placeholder:text-muted-foreground"
+            rows={2}
+            placeholder="Comment (optional)"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => decide(true)}
+              disabled={!!submitting}
+              className={`flex items-center gap-1 px-3 py-1.5 text-sm font-medium rounded-lg transition-colors disabled:opacity-60 ${suggestedDecision === 'reject' ? 'bg-muted text-foreground hover:bg-muted/80' : 'bg-green-600 text-white hover:bg-green-700'}`}
+            >
+              {submitting === 'approve' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+              Approve
+            </button>
+            <button
+              onClick={() => decide(false)}
+              disabled={!!submitting}
+              className={`flex items-center gap-1 px-3 py-1.5 text-sm font-medium rounded-lg transition-colors disabled:opacity-60 ${suggestedDecision === 'reject' ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-muted text-foreground hover:bg-muted/80'}`}
+            >
+              {submitting === 'reject' ? <Loader2 className="h-4 w-4 animate-spin" /> : <X className="h-4 w-4" />}
+              Reject
+            </button>
+          </div>
+        </>
+      ) : (
+        <p className="text-xs text-muted-foreground">Other steps are still running; the decision opens once they finish.</p>
+      )}
+      {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  )
+}
+
+const WorkflowExecutionModal = ({ executionId, isOpen, onClose, suggestedDecision, onDecided }) => {
+  const [execution, setExecution] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [expandedSteps, setExpandedSteps] = useState({})
+  const [reloadKey, setReloadKey] = useState(0)
+
+  // Load execution details when opened (and again after a decision)
+  useEffect(() => {
+    if (!isOpen || !executionId) return
+
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    apiService.getWorkflowExecution(executionId)
+      .then(data => {
+        if (!cancelled) setExecution(data.execution)
+      })
+      .catch(err => {
+        console.error('Failed to load execution:', err)
+        if (!cancelled) setError('Failed to load execution details')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, executionId, reloadKey])
+
+  useEffect(() => {
+    setExpandedSteps({})
+  }, [executionId])
+
+  const handleDecide = async (stepId, approved, comment) => {
+    await apiService.decideWorkflowApproval(executionId, {
+      stepId,
+      approved,
+      ...(comment ? { comment } : {})
+    })
+    setReloadKey(key => key + 1)
+    if (onDecided) onDecided()
+  }
+
+  // Handle escape key and body scroll lock
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden'
+
+      const handleEscape = (e) => {
+        if (e.key === 'Escape') {
+          onClose()
+        }
+      }
+
+      document.addEventListener('keydown', handleEscape)
+
+      return () => {
+        document.body.style.overflow = 'unset'
+        document.removeEventListener('keydown', handleEscape)
+      }
+    }
+  }, [isOpen, onClose])
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  const toggleStep = (stepId) => {
+    setExpandedSteps(prev => ({ ...prev, [stepId]: !prev[stepId] }))
+  }
+
+  if (!isOpen) return null
+
+  // Position each step on a shared timeline starting at the execution start
+  const executionStart = execution ? new Date(execution.startTime).getTime() : 0
+  const executionEnd = execution
+    ? (execution.endTime ? new Date(execution.endTime).getTime() : Date.now())
+    : 0
+  const totalMs = Math.max(executionEnd - executionStart, 1)
+
+  const getBarStyle = (step) => {
+    const start = new Date(step.startTime).getTime()
+    const end = step.endTime ? new Date(step.endTime).getTime() : executionEnd
+    const left = Math.min(Math.max(((start - executionStart) / totalMs) * 100, 0), 100)
+    const width = Math.max(((end - start) / totalMs) * 100, 1)
+    return { left: `${left}%`, width: `${Math.min(width, 100 - left)}%` }
+  }
+
+  const steps = execution
+    ? [...(execution.steps || [])].sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+    : []
+
+  const modalContent = (
+    <div
+      className="fixed top-0 left-0 right-0 bottom-0 bg-black/50 flex items-center justify-center z-[9999] p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-background border border-border rounded-lg shadow-lg w-full max-w-4xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div className="flex items-center gap-3">
+            <Workflow className="h-6 w-6 text-muted-foreground" />
+            <div>
+              <h2 className="text-xl font-semibold text-foreground">
+                {execution?.workflowName || 'Workflow run'}
+              </h2>
+              {execution && (
+                <div className="flex items-center gap-2 mt-1">
+                  <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeClass(execution.status)}`}>
+                    {execution.status}
+                  </span>
+                  <span className="text-xs text-muted-foreground font-mono">{execution.id}</span>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <button
+            onClick={onClose}
+            className="p-2 text-muted-foreground hover:text-foreground transition-colors rounded-md hover:bg-muted"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="overflow-y-auto">
+          <div className="p-6 space-y-6">
+            {loading && (
+              <div className="flex items-center justify-center py-12 text-muted-foreground">
+                <Loader2 className="h-5 w-5 animate-spin mr-2" />
+                Loading execution...
+              </div>
+            )}
+
+            {error && !loading && (
+              <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+            )}
+
+            {execution && !loading && (
+              <>
+                {/* Run Metadata */}
+                <div className="flex flex-wrap items-center gap-4 text-sm text-muted-foreground">
+                  <div className="flex items-center gap-1">
+                    <Calendar className="h-4 w-4" />
+                    <span>{format(new Date(execution.startTime), 'MMM dd, yyyy HH:mm:ss')}</span>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <Clock className="h-4 w-4" />
+                    <span>{formatDuration(execution.duration)}</span>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <Zap className="h-4 w-4" />
+                    <span>{describeTrigger(execution.trigger)}</span>
+                  </div>
+                </div>
+
+                {steps.filter(step => step.status === 'waiting').map(step => (
+                  <ApprovalPanel
+                    key={step.id}
+                    step={step}
+                    canDecide={execution.status === 'paused'}
+                    suggestedDecision={suggestedDecision}
+                    onDecide={handleDecide}
+                  />
+                ))}
+
+                {execution.error && (
+                  <div className="p-4 rounded-lg bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900 text-sm text-red-800 dark:text-red-200">
+                    {execution.error}
+                  </div>
+                )}
+
+                {/* Step Timeline */}
+                <div>
+                  <h3 className="text-lg font-medium text-foreground mb-3">Steps</h3>
+
+                  {steps.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">No steps have run yet.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {steps.map(step => (
+                        <div key={step.id} className="border border-border rounded-lg">
+                          <button
+                            onClick={() => toggleStep(step.id)}
+                            className="w-full flex items-center gap-3 p-3 text-left hover:bg-muted/50 transition-colors rounded-lg"
+                          >
+                            {expandedSteps[step.id]
+                              ? <ChevronDown className="h-4 w-4 text-muted-foreground flex-shrink-0" />
+                              : <ChevronRight className="h-4 w-4 text-muted-foreground flex-shrink-0" />}
+                            <StepStatusIcon status={step.status} />
+                            <span className="w-40 flex-shrink-0 truncate text-sm font-medium text-foreground" title={step.id}>
+                              {step.id}
+                            </span>
+                            <div className="relative flex-1 h-2 bg-muted rounded-full">
+                              <div
+                                className={`absolute h-2 rounded-full ${getStatusBarClass(step.status)}`}
+                                style={getBarStyle(step)}
+                              />
+                            </div>
+                            <span className="w-16 flex-shrink-0 text-right text-xs text-muted-foreground">
+                              {formatDuration(step.duration)}
+                            </span>
+                          </button>
+
+                          {expandedSteps[step.id] && (
+                            <div className="px-4 pb-4 space-y-3">
+                              {step.error && (
+                                <div className="text-sm text-red-700 dark:text-red-300">{step.error}</div>
+                              )}
+                              <JsonBlock label="Input" value={step.input} />
+                              <JsonBlock label="Output" value={step.result} />
+                              {step.attempts?.length > 1 && (
+                                <div>
+                                  <div className="text-xs font-medium text-muted-foreground uppercase tracking-wider mb-1">Attempts</div>
+                                  <ul className="text-xs text-foreground space-y-1">
+                                    {step.attempts.map(attempt => (
+                                      <li key={attempt.attempt} className="flex items-center gap-2">
+                                        <span className={`px-1.5 py-0.5 rounded ${getStatusBadgeClass(attempt.status === 'timeout' ? 'failed' : attempt.status)}`}>
+                                          #{attempt.attempt} {attempt.status}
+                                        </span>
+                                        <span className="text-muted-foreground">{formatDuration(attempt.duration)}</span>
+                                        {attempt.error && <span className="truncate">{attempt.error}</span>}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <JsonBlock label="Outputs" value={execution.outputs && Object.keys(execution.outputs).length > 0 ? execution.outputs : null} />
+                <JsonBlock label="Trigger context" value={execution.context} />
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+
+  return createPortal(modalContent, document.body)
+}
+
+export default WorkflowExecutionModal
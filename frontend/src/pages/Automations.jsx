@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Filter, RefreshCw, ChevronLeft, ChevronRight } from 'lucide-react'
+import { apiService } from '../api/apiService'
+import { useHealth } from '../contexts/HealthContext'
+import LoadingSpinner from '../components/LoadingSpinner'
+import ErrorMessage from '../components/ErrorMessage'
+import WorkflowExecutionModal from '../components/WorkflowExecutionModal'
+import { formatDuration, describeTrigger, getStatusBadgeClass } from '../utils/workflowFormat'
+import { format } from 'date-fns'
+
+const PAGE_SIZE = 20
+
+export default function Automations() {
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [executions, setExecutions] = useState([])
+  const [workflows, setWorkflows] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 })
+  const [page, setPage] = useState(1)
+  const [workflowFilter, setWorkflowFilter] = useState('all')
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [searchParams, setSearchParams] = useSearchParams()
+  // Approval notifications link here with ?execution=...&decision=approve|reject
+  const [selectedExecutionId, setSelectedExecutionId] = useState(() => searchParams.get('execution'))
+  const [suggestedDecision, setSuggestedDecision] = useState(() => searchParams.get('decision'))
+  const { checkConnection } = useHealth()
+
+  useEffect(() => {
+    apiService.getWorkflows()
+      .then(data => setWorkflows(data.workflows || []))
+      .catch(err => console.error('Workflows error:', err))
+  }, [])
+
+  const loadExecutions = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const params = { page, limit: PAGE_SIZE }
+      if (workflowFilter !== 'all') params.workflowId = workflowFilter
+      if (statusFilter !== 'all') params.status = statusFilter
+      if (fromDate) params.from = new Date(`${fromDate}T00:00:00`).toISOString()
+      if (toDate) params.to = new Date(`${toDate}T23:59:59.999`).toISOString()
+
+      const data = await apiService.getWorkflowExecutions(params)
+      setExecutions(data.executions || [])
+      setPagination(data.pagination || { page, totalPages: 0, total: 0 })
+    } catch (err) {
+      setError('Failed to load workflow runs')
+      console.error('Workflow executions error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [page, workflowFilter, statusFilter, fromDate, toDate])
+
+  useEffect(() => {
+    loadExecutions()
+  }, [loadExecutions])
+
+  // Filters change the result set, so start again from the first page
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value)
+    setPage(1)
+  }
+
+  const handleSync = async () => {
+    await Promise.all([
+      checkConnection(),
+      loadExecutions()
+    ])
+  }
+
+  const closeModal = useCallback(() => {
+    setSelectedExecutionId(null)
+    setSuggestedDecision(null)
+    setSearchParams({}, { replace: true })
+  }, [setSearchParams])
+
+  const countSteps = (execution) => {
+    const steps = execution.steps || []
+    const completed = steps.filter(step => step.status === 'completed').length
+    return `${completed}/${steps.length}`
+  }
+
+  const hasFilters = workflowFilter !== 'all' || statusFilter !== 'all' || fromDate || toDate
+
+  if (loading && executions.length === 0 && !error) {
+    return <LoadingSpinner />
+  }
+
+  if (error && executions.length === 0) {
+    return <ErrorMessage message={error} onRetry={loadExecutions} />
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header with Refresh Button - Always visible */}
+      <div className="flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground tracking-tight">Automations</h1>
+          <p className="text-muted-foreground text-sm mt-0.5">Workflow runs, their triggers and step-by-step results</p>
+        </div>
+        <button
+          onClick={handleSync}
+          disabled={loading}
+          className="group flex items-center gap-2 px-3 py-1.5 bg-foreground text-background text-sm font-medium rounded-full hover:bg-foreground/90 disabled:opacity-60 transition-all duration-200"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 ${loading ? 'animate-spin' : 'group-hover:rotate-180'} transition-transform duration-300`} />
+          Sync
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-card dark:bg-[#111111] p-6 rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm">
+        <div className="flex flex-col lg:flex-row gap-4">
+          <div className="flex items-center gap-2 flex-1">
+            <Filter className="h-4 w-4 text-muted-foreground" />
+            <select
+              className="w-full px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground"
+              value={workflowFilter}
+              onChange={updateFilter(setWorkflowFilter)}
+            >
+              <option value="all">All Workflows</option>
+              {workflows.map(workflow => (
+                <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+              ))}
+            </select>
+          </div>
+          <select
+            className="px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground"
+            value={statusFilter}
+            onChange={updateFilter(setStatusFilter)}
+          >
+            <option value="all">All Statuses</option>
+            <option value="running">Running</option>
+            <option value="completed">Completed</option>
+            <option value="failed">Failed</option>
+            <option value="paused">Paused</option>
+          </select>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              aria-label="From date"
+              className="px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground"
+              value={fromDate}
+              onChange={updateFilter(setFromDate)}
+            />
+            <span className="text-sm text-muted-foreground">to</span>
+            <input
+              type="date"
+              aria-label="To date"
+              className="px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground"
+              value={toDate}
+              onChange={updateFilter(setToDate)}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Executions Table */}
+      <div className="bg-card dark:bg-[#111111] rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-border dark:divide-[#1a1a1a]">
+            <thead className="bg-muted">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                  Workflow
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                  Trigger
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                  Started
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                  Duration
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                  Steps
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-card dark:bg-[#111111] divide-y divide-border dark:divide-[#1a1a1a]">
+              {executions.length > 0 ? (
+                executions.map(execution => (
+                  <tr
+                    key={execution.id}
+                    onClick={() => setSelectedExecutionId(execution.id)}
+                    className="hover:bg-muted/50 transition-colors cursor-pointer"
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-foreground">
+                      {execution.workflowName}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-muted-foreground">
+                      {describeTrigger(execution.trigger)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeClass(execution.status)}`}>
+                        {execution.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-foreground">
+                      {format(new Date(execution.startTime), 'MMM dd, HH:mm:ss')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-muted-foreground">
+                      {formatDuration(execution.duration)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-muted-foreground">
+                      {countSteps(execution)}
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan="6" className="px-6 py-12 text-center text-muted-foreground">
+                    {hasFilters ? 'No runs match your filters' : 'No workflow runs yet'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between px-6 py-3 border-t border-border dark:border-[#1a1a1a]">
+            <span className="text-sm text-muted-foreground">
+              Page {pagination.page} of {pagination.totalPages} · {pagination.total} runs
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(current => current - 1)}
+                disabled={loading || page <= 1}
+                className="flex items-center gap-1 px-3 py-1.5 bg-muted text-foreground text-sm rounded-lg hover:bg-muted/80 disabled:opacity-50 transition-colors"
+              >
+                <ChevronLeft className="h-4 w-4" />
+                Prev
+              </button>
+              <button
+                onClick={() => setPage(current => current + 1)}
+                disabled={loading || page >= pagination.totalPages}
+                className="flex items-center gap-1 px-3 py-1.5 bg-muted text-foreground text-sm rounded-lg hover:bg-muted/80 disabled:opacity-50 transition-colors"
+              >
+                Next
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <WorkflowExecutionModal
+        executionId={selectedExecutionId}
+        isOpen={!!selectedExecutionId}
+        onClose={closeModal}
+        suggestedDecision={suggestedDecision}
+        onDecided={loadExecutions}
+      />
+    </div>
+  )
+}
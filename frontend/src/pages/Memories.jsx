@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { RefreshCw, Search, Pin, PinOff, Pencil, Trash2, Check, X, ChevronDown, ChevronUp, Loader2 } from 'lucide-react'
+import { format } from 'date-fns'
+import { apiService } from '../api/apiService'
+import LoadingSpinner from '../components/LoadingSpinner'
+import ErrorMessage from '../components/ErrorMessage'
+
+const MEMORY_TYPES = ['build_failure', 'release_failure', 'pr_issue', 'work_item', 'sprint_insight', 'general']
+
+const SOURCE_LABELS = {
+  incident: 'Incident',
+  agent: 'Agent outcome',
+  other: 'Other'
+}
+
+const inputClass = 'w-full px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground'
+const labelClass = 'text-xs font-medium text-muted-foreground uppercase tracking-wider'
+
+function getErrorMessage(err, fallback) {
+  const details = err.response?.data?.details
+  return Array.isArray(details) && details.length > 0
+    ? details.map(detail => detail.message).join('; ')
+    : err.response?.data?.error || fallback
+}
+
+function describeSource(source) {
+  const label = SOURCE_LABELS[source.kind] || source.kind
+  if (source.kind === 'incident') {
+    return `${label}: ${source.label}${source.resolved ? ' (resolved)' : ' (open)'}`
+  }
+  return source.label ? `${label}: ${source.label}` : label
+}
+
+// Only the keys that changed are sent; removed keys are sent as null
+function getMetadataChanges(original, edited) {
+  const changes = {}
+  for (const key of Object.keys(original)) {
+    if (!(key in edited)) changes[key] = null
+  }
+  for (const [key, value] of Object.entries(edited)) {
+    if (JSON.stringify(value) !== JSON.stringify(original[key])) changes[key] = value
+  }
+  return changes
+}
+
+function MemoryEditor({ memory, onSave, onCancel, saving }) {
+  const [type, setType] = useState(memory.type)
+  const [metadata, setMetadata] = useState(JSON.stringify(memory.metadata, null, 2))
+  const [metadataError, setMetadataError] = useState(null)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    try {
+      const parsed = JSON.parse(metadata)
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        setMetadataError('Metadata must be a JSON object')
+        return
+      }
+      onSave({ type, metadata: getMetadataChanges(memory.metadata, parsed) })
+    } catch (err) {
+      setMetadataError(err.message)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <label className="block space-y-1">
+        <span className={labelClass}>Type</span>
+        <select className={inputClass} value={type} onChange={e => setType(e.target.value)}>
+          {MEMORY_TYPES.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block space-y-1">
+        <span className={labelClass}>Metadata</span>
+        <textarea
+          className={`${inputClass} font-mono text-xs`}
+          rows={8}
+          value={metadata}
+          onChange={e => {
+            setMetadata(e.target.value)
+            setMetadataError(null)
+          }}
+        />
+        <span className="block text-xs text-muted-foreground">
+          The incident keys (incident, resolved, signature, definitionId, buildIds) and dates cannot be changed
+        </span>
+      </label>
+      {metadataError && <p className="text-sm text-red-600 dark:text-red-400">{metadataError}</p>}
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 bg-foreground text-background text-sm font-medium rounded-lg hover:bg-foreground/90 disabled:opacity-50 transition-colors"
+        >
+          <Check className="h-4 w-4" />
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 bg-muted text-foreground text-sm rounded-lg hover:bg-muted/80 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function MemoryCard({ memory, onChange, onDelete }) {
+  const [expanded, setExpanded] = useState(false)
+  const [related, setRelated] = useState(null)
+  const [editing, setEditing] = useState(false)
+  const [pending, setPending] = useState(false)
+  const [error, setError] = useState(null)
+
+  const toggleExpanded = async () => {
+    setExpanded(current => !current)
+    if (related) return
+
+    try {
+      const data = await apiService.getMemory(memory.id)
+      setRelated(data.memory.related || [])
+    } catch (err) {
+      console.error('Memory error:', err)
+      setRelated([])
+    }
+  }
+
+  const run = async (action, fallback) => {
+    try {
+      setPending(true)
+      setError(null)
+      await action()
+    } catch (err) {
+      console.error('Memory update error:', err)
+      setError(getErrorMessage(err, fallback))
+    } finally {
+      setPending(false)
+    }
+  }
+
+  const togglePinned = () => run(async () => {
+    const data = await apiService.setMemoryPinned(memory.id, !memory.pinned)
+    onChange(data.memory)
+  }, 'Failed to update memory')
+
+  const save = (changes) => run(async () => {
+    const data = await apiService.updateMemory(memory.id, changes)
+    onChange(data.memory)
+    setEditing(false)
+  }, 'Failed to save memory')
+
+  const remove = () => {
+    if (!window.confirm('Delete this memory? AI analyses will no longer use it.')) return
+
+    run(async () => {
+      await apiService.deleteMemory(memory.id)
+      onDelete(memory.id)
+    }, 'Failed to delete memory')
+  }
+
+  return (
+    <div className="bg-card dark:bg-[#111111] p-5 rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-1.5 text-xs">
+          <span className="inline-flex px-2 py-0.5 rounded-full font-medium bg-muted text-muted-foreground">{memory.type}</span>
+          <span className="text-muted-foreground">{describeSource(memory.source)}</span>
+          <span className="text-muted-foreground">· used {memory.accessCount} time{memory.accessCount === 1 ? '' : 's'}</span>
+          <span className="text-muted-foreground">· {format(new Date(memory.createdAt), 'MMM d, yyyy')}</span>
+          {memory.score !== undefined && (
+            <span className="text-muted-foreground">· {Math.round(memory.score * 100)}% similar</span>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          {pending && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+          <button
+            onClick={togglePinned}
+            disabled={pending}
+            title={memory.pinned ? 'Unpin' : 'Pin so cleanup keeps it'}
+            className={`p-1.5 rounded-lg transition-colors disabled:opacity-50 ${
+              memory.pinned ? 'text-blue-600 dark:text-blue-400 hover:bg-muted' : 'text-muted-foreground hover:bg-muted hover:text-foreground'
+            }`}
+          >
+            {memory.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+          </button>
+          <button
+            onClick={() => setEditing(current => !current)}
+            disabled={pending}
+            title="Edit type and metadata"
+            className="p-1.5 rounded-lg text-muted-foreground hover:bg-muted hover:text-foreground transition-colors disabled:opacity-50"
+          >
+            <Pencil className="h-4 w-4" />
+          </button>
+          <button
+            onClick={remove}
+            disabled={pending}
+            title="Delete"
+            className="p-1.5 rounded-lg text-muted-foreground hover:bg-red-50 hover:text-red-600 dark:hover:bg-red-900/20 disabled:opacity-50 transition-colors"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <pre className={`text-sm text-foreground whitespace-pre-wrap break-words font-sans ${expanded ? '' : 'line-clamp-4'}`}>
+        {memory.content}
+      </pre>
+
+      {editing && (
+        <MemoryEditor memory={memory} onSave={save} onCancel={() => setEditing(false)} saving={pending} />
+      )}
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <button
+        onClick={toggleExpanded}
+        className="flex items-center gap-1 text-sm text-muted-foreground hover:text-foreground"
+      >
+        {expanded ? <ChevronUp className="h-3.5 w-3.5" /> : <ChevronDown className="h-3.5 w-3.5" />}
+        {expanded ? 'Less' : 'Details and related memories'}
+      </button>
+
+      {expanded && (
+        <div className="space-y-3">
+          <dl className="grid grid-cols-[8rem_1fr] gap-x-3 gap-y-1 text-sm">
+            <dt className="text-muted-foreground">Project</dt>
+            <dd className="text-foreground">{[memory.organization, memory.project].filter(Boolean).join(' / ') || '—'}</dd>
+            <dt className="text-muted-foreground">Embedding</dt>
+            <dd className="font-mono text-foreground">{memory.embeddingModel || 'unknown'}</dd>
+            {memory.source.buildIds?.length > 0 && (
+              <>
+                <dt className="text-muted-foreground">Builds</dt>
+                <dd className="text-foreground">{memory.source.buildIds.join(', ')}</dd>
+              </>
+            )}
+          </dl>
+
+          <div className="space-y-2">
+            <span className={labelClass}>Related memories</span>
+            {related === null ? (
+              <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+            ) : related.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No related memories.</p>
+            ) : (
+              <ul className="space-y-2">
+                {related.map(item => (
+                  <li key={item.id} className="text-sm border-l-2 border-border dark:border-[#1a1a1a] pl-3">
+                    <div className="text-xs text-muted-foreground">
+                      {Math.round(item.score * 100)}% similar · {format(new Date(item.createdAt), 'MMM d, yyyy')}
+                    </div>
+                    <div className="text-foreground line-clamp-2 whitespace-pre-wrap">{item.content}</div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function Memories() {
+  const [memories, setMemories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [query, setQuery] = useState('')
+  // The search that was run; the form edits `query` until submitted
+  const [search, setSearch] = useState({ q: '', mode: 'text' })
+  const [mode, setMode] = useState('text')
+  const [typeFilter, setTypeFilter] = useState('all')
+  const [pinnedFilter, setPinnedFilter] = useState('all')
+
+  const loadMemories = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await apiService.getMemories({
+        ...(search.q ? { q: search.q, mode: search.mode } : {}),
+        ...(typeFilter !== 'all' ? { type: typeFilter } : {}),
+        ...(pinnedFilter !== 'all' ? { pinned: pinnedFilter === 'pinned' } : {})
+      })
+      setMemories(data.memories || [])
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load memories'))
+      console.error('Memories error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [search, typeFilter, pinnedFilter])
+
+  useEffect(() => {
+    loadMemories()
+  }, [loadMemories])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setSearch({ q: query.trim(), mode })
+  }
+
+  const replaceMemory = (memory) => {
+    setMemories(current => current.map(existing => existing.id === memory.id ? { ...existing, ...memory } : existing))
+  }
+
+  const removeMemory = (id) => {
+    setMemories(current => current.filter(existing => existing.id !== id))
+  }
+
+  if (error && memories.length === 0) {
+    return <ErrorMessage message={error} onRetry={loadMemories} />
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground tracking-tight">Memories</h1>
+          <p className="text-muted-foreground text-sm mt-0.5">What the agents remember about your project and bring into AI analyses</p>
+        </div>
+        <button
+          onClick={loadMemories}
+          disabled={loading}
+          className="group flex items-center gap-2 px-3 py-1.5 bg-foreground text-background text-sm font-medium rounded-full hover:bg-foreground/90 disabled:opacity-60 transition-all duration-200"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 ${loading ? 'animate-spin' : 'group-hover:rotate-180'} transition-transform duration-300`} />
+          Sync
+        </button>
+      </div>
+
+      {/* Search and filters */}
+      <div className="bg-card dark:bg-[#111111] p-6 rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm space-y-4">
+        <form onSubmit={handleSearch} className="flex flex-col lg:flex-row gap-3">
+          <div className="flex items-center gap-2 flex-1">
+            <Search className="h-4 w-4 text-muted-foreground" />
+            <input
+              className={inputClass}
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              placeholder={mode === 'semantic' ? 'Describe a failure to find similar memories' : 'Search memory text'}
+            />
+          </div>
+          <select className="px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg bg-background text-foreground" value={mode} onChange={e => setMode(e.target.value)}>
+            <option value="text">Text</option>
+            <option value="semantic">Semantic</option>
+          </select>
+          <button
+            type="submit"
+            disabled={mode === 'semantic' && !query.trim()}
+            className="px-3 py-2 bg-foreground text-background text-sm font-medium rounded-lg hover:bg-foreground/90 disabled:opacity-50 transition-colors"
+          >
+            Search
+          </button>
+        </form>
+        <div className="flex flex-col lg:flex-row gap-3">
+          <select className={inputClass} value={typeFilter} onChange={e => setTypeFilter(e.target.value)}>
+            <option value="all">All Types</option>
+            {MEMORY_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <select className={inputClass} value={pinnedFilter} onChange={e => setPinnedFilter(e.target.value)}>
+            <option value="all">Pinned and unpinned</option>
+            <option value="pinned">Pinned</option>
+            <option value="unpinned">Unpinned</option>
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {loading && memories.length === 0 ? (
+        <LoadingSpinner />
+      ) : memories.length === 0 ? (
+        <p className="text-sm text-muted-foreground">{search.q ? 'No memories match your search.' : 'No memories yet.'}</p>
+      ) : (
+        <div className="space-y-4">
+          {memories.map(memory => (
+            <MemoryCard key={memory.id} memory={memory} onChange={replaceMemory} onDelete={removeMemory} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
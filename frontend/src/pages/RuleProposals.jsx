@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, RefreshCw, Check, X, Pencil, AlertCircle, ShieldAlert, Loader2 } from 'lucide-react'
+import { format } from 'date-fns'
+import { apiService } from '../api/apiService'
+import LoadingSpinner from '../components/LoadingSpinner'
+import ErrorMessage from '../components/ErrorMessage'
+
+const STATUSES = [
+  { value: 'proposed', label: 'Proposed' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+]
+
+const HISTORY_LABELS = {
+  proposed: 'Proposed',
+  edited: 'Edited',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  disputed: 'Sent back for review'
+}
+
+const inputClass = 'w-full px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground'
+const labelClass = 'text-xs font-medium text-muted-foreground uppercase tracking-wider'
+
+function getErrorMessage(err, fallback) {
+  const details = err.response?.data?.details
+  return Array.isArray(details) && details.length > 0
+    ? details.map(detail => detail.message).join('; ')
+    : err.response?.data?.error || fallback
+}
+
+function ProposalEditor({ proposal, onSave, onCancel, saving }) {
+  const [rule, setRule] = useState({ ...proposal.rule, solution: proposal.rule.solution || '' })
+  const [note, setNote] = useState('')
+
+  const update = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+    setRule(current => ({ ...current, [field]: value }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSave({
+      category: rule.category.trim(),
+      pattern: rule.pattern,
+      flags: rule.flags,
+      action: rule.action.trim(),
+      confidence: Number(rule.confidence),
+      solution: rule.solution.trim() || undefined,
+      autoFix: rule.autoFix,
+      note: note.trim() || undefined
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-[1fr_6rem_8rem] gap-3">
+        <label className="space-y-1">
+          <span className={labelClass}>Pattern</span>
+          <input className={`${inputClass} font-mono`} value={rule.pattern} onChange={update('pattern')} required />
+        </label>
+        <label className="space-y-1">
+          <span className={labelClass}>Flags</span>
+          <input className={`${inputClass} font-mono`} value={rule.flags} onChange={update('flags')} />
+        </label>
+        <label className="space-y-1">
+          <span className={labelClass}>Category</span>
+          <input className={inputClass} value={rule.category} onChange={update('category')} required />
+        </label>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="space-y-1">
+          <span className={labelClass}>Action</span>
+          <input className={`${inputClass} font-mono`} value={rule.action} onChange={update('action')} required />
+        </label>
+        <label className="space-y-1">
+          <span className={labelClass}>Confidence ({Number(rule.confidence).toFixed(2)})</span>
+          <input type="range" min="0" max="1" step="0.01" className="w-full" value={rule.confidence} onChange={update('confidence')} />
+        </label>
+      </div>
+      <label className="block space-y-1">
+        <span className={labelClass}>Solution</span>
+        <textarea className={inputClass} rows={2} value={rule.solution} onChange={update('solution')} maxLength={1000} />
+      </label>
+      <label className="flex items-center gap-2 text-sm text-foreground">
+        <input type="checkbox" checked={rule.autoFix} onChange={update('autoFix')} />
+        Act automatically
+      </label>
+      <label className="block space-y-1">
+        <span className={labelClass}>Note</span>
+        <input className={inputClass} value={note} onChange={e => setNote(e.target.value)} placeholder="Why the change (optional)" maxLength={500} />
+      </label>
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center gap-2 px-3 py-1.5 bg-foreground text-background text-sm font-medium rounded-full hover:bg-foreground/90 disabled:opacity-60 transition-colors"
+        >
+          {saving && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+          Save changes
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-muted-foreground hover:text-foreground">
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function ProposalCard({ proposal, canReview, onChange }) {
+  const [editing, setEditing] = useState(false)
+  const [note, setNote] = useState('')
+  const [pending, setPending] = useState(false)
+  const [error, setError] = useState(null)
+  const { rule, source = {} } = proposal
+  const reviewable = canReview && proposal.status === 'proposed'
+
+  const run = async (request, fallback) => {
+    try {
+      setPending(true)
+      setError(null)
+      const data = await request()
+      setEditing(false)
+      onChange(data.proposal)
+    } catch (err) {
+      setError(getErrorMessage(err, fallback))
+    } finally {
+      setPending(false)
+    }
+  }
+
+  const save = (changes) => run(() => apiService.updateRuleProposal(proposal.id, changes), 'Failed to update the proposal')
+  const decide = (approved) => run(
+    () => apiService.decideRuleProposal(proposal.id, approved, note.trim() || undefined),
+    `Failed to ${approved ? 'approve' : 'reject'} the proposal`
+  )
+
+  return (
+    <div className="bg-card dark:bg-[#111111] p-5 rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="font-mono text-sm text-foreground break-all">{proposal.ruleId}</div>
+          <div className="text-xs text-muted-foreground mt-0.5">
+            {rule.category} · confidence {Math.round(rule.confidence * 100)}%{rule.autoFix ? ' · acts automatically' : ''}
+          </div>
+        </div>
+        {reviewable && !editing && (
+          <button
+            onClick={() => setEditing(true)}
+            className="flex items-center gap-1 px-2 py-1 text-sm text-muted-foreground rounded-lg hover:bg-muted hover:text-foreground"
+          >
+            <Pencil className="h-3.5 w-3.5" />
+            Edit
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <ProposalEditor proposal={proposal} onSave={save} onCancel={() => setEditing(false)} saving={pending} />
+      ) : (
+        <dl className="grid grid-cols-[7rem_1fr] gap-x-3 gap-y-1 text-sm">
+          <dt className="text-muted-foreground">Pattern</dt>
+          <dd className="font-mono text-foreground break-all">/{rule.pattern}/{rule.flags}</dd>
+          <dt className="text-muted-foreground">Action</dt>
+          <dd className="font-mono text-foreground">{rule.action}</dd>
+          {rule.solution && (
+            <>
+              <dt className="text-muted-foreground">Solution</dt>
+              <dd className="text-foreground">{rule.solution}</dd>
+            </>
+          )}
+        </dl>
+      )}
+
+      {reviewable && proposal.history?.some(event => event.action === 'disputed') && (
+        <p className="text-sm text-amber-600 dark:text-amber-400">
+          This rule is live and people have been rejecting its solution. Approve to keep it, or reject to disable it.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        <h3 className={labelClass}>Learned from</h3>
+        <p className="text-sm text-muted-foreground">
+          {source.successCount || 0} successes, {source.failureCount || 0} failures,
+          {' '}{source.confirmedCount || 0} confirmed and {source.rejectedCount || 0} rejected by people
+          {' '}· pattern confidence {Math.round((source.confidence || 0) * 100)}%
+        </p>
+        {source.examples?.length > 0 && (
+          <ul className="space-y-1">
+            {source.examples.map((example, index) => (
+              <li key={index} className="text-sm p-2 rounded-lg bg-muted/50">
+                <div className="font-mono text-xs text-foreground break-all">{example.task}</div>
+                <div className="text-xs text-muted-foreground mt-0.5">→ {example.solution}</div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {proposal.history && (
+        <div className="space-y-1">
+          <h3 className={labelClass}>History</h3>
+          <ul className="space-y-0.5">
+            {proposal.history.map((event, index) => (
+              <li key={index} className="text-sm text-muted-foreground">
+                <span className="text-foreground">{HISTORY_LABELS[event.action] || event.action}</span>
+                {event.userName && ` by ${event.userName}`}
+                {event.at && ` · ${format(new Date(event.at), 'MMM dd, yyyy HH:mm')}`}
+                {event.previous && ` · changed ${Object.keys(event.previous).join(', ')}`}
+                {event.note && ` — ${event.note}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {reviewable && !editing && (
+        <div className="flex flex-wrap items-center gap-2 pt-1">
+          <input
+            className={`${inputClass} flex-1 min-w-[12rem] text-sm py-1.5`}
+            value={note}
+            onChange={e => setNote(e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={500}
+          />
+          <button
+            onClick={() => decide(true)}
+            disabled={pending}
+            className="flex items-center gap-1.5 px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded-full hover:bg-green-700 disabled:opacity-60 transition-colors"
+          >
+            <Check className="h-3.5 w-3.5" />
+            Approve
+          </button>
+          <button
+            onClick={() => decide(false)}
+            disabled={pending}
+            className="flex items-center gap-1.5 px-3 py-1.5 bg-muted text-foreground text-sm font-medium rounded-full hover:bg-muted/80 disabled:opacity-60 transition-colors"
+          >
+            <X className="h-3.5 w-3.5" />
+            Reject
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Review queue for rules the RuleGenerator learned; only approved ones go live
+ */
+export default function RuleProposals() {
+  const [status, setStatus] = useState('proposed')
+  const [proposals, setProposals] = useState([])
+  const [canReview, setCanReview] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const loadProposals = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await apiService.getRuleProposals(status)
+      setProposals(data.proposals || [])
+      setCanReview(Boolean(data.canReview))
+    } catch (err) {
+      setError('Failed to load rule proposals')
+      console.error('Rule proposals error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    loadProposals()
+  }, [loadProposals])
+
+  // A decided proposal leaves the list it was in
+  const handleChange = (proposal) => {
+    setProposals(current => proposal.status === status
+      ? current.map(existing => existing.id === proposal.id ? proposal : existing)
+      : current.filter(existing => existing.id !== proposal.id))
+  }
+
+  if (error && proposals.length === 0) {
+    return <ErrorMessage message={error} onRetry={loadProposals} />
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <Link to="/rules" className="flex items-center gap-1 text-sm text-muted-foreground hover:text-foreground mb-1">
+            <ArrowLeft className="h-3.5 w-3.5" />
+            Rules
+          </Link>
+          <h1 className="text-2xl font-semibold text-foreground tracking-tight">Rule Review</h1>
+          <p className="text-muted-foreground text-sm mt-0.5">Rules learned from past outcomes wait here until an admin approves them</p>
+        </div>
+        <button
+          onClick={loadProposals}
+          disabled={loading}
+          className="group flex items-center gap-2 px-3 py-1.5 bg-foreground text-background text-sm font-medium rounded-full hover:bg-foreground/90 disabled:opacity-60 transition-all duration-200"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 ${loading ? 'animate-spin' : 'group-hover:rotate-180'} transition-transform duration-300`} />
+          Sync
+        </button>
+      </div>
+
+      <div className="flex items-center gap-1">
+        {STATUSES.map(option => (
+          <button
+            key={option.value}
+            onClick={() => setStatus(option.value)}
+            className={`px-3 py-1.5 text-sm rounded-full transition-colors ${
+              status === option.value ? 'bg-muted text-foreground font-medium' : 'text-muted-foreground hover:text-foreground'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {!canReview && !loading && status === 'proposed' && proposals.length > 0 && (
+        <div className="flex items-center gap-2 px-4 py-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300">
+          <ShieldAlert className="h-4 w-4 flex-shrink-0" />
+          Only admins can approve, edit or reject proposed rules.
+        </div>
+      )}
+
+      {loading && proposals.length === 0 ? (
+        <LoadingSpinner />
+      ) : proposals.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No {status} rules.</p>
+      ) : (
+        <div className="space-y-4">
+          {proposals.map(proposal => (
+            <ProposalCard key={proposal.id} proposal={proposal} canReview={canReview} onChange={handleChange} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,618 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { Filter, RefreshCw, Plus, Pencil, Trash2, X, Check, AlertCircle, FlaskConical, Inbox } from 'lucide-react'
+import { apiService } from '../api/apiService'
+import { useHealth } from '../contexts/HealthContext'
+import LoadingSpinner from '../components/LoadingSpinner'
+import ErrorMessage from '../components/ErrorMessage'
+import RuleTestResults from '../components/RuleTestResults'
+import RuleConditionsEditor from '../components/RuleConditionsEditor'
+import { emptyCondition, toConditionsForm, toConditionsPayload, describeConditions } from '../utils/ruleConditions'
+
+const CATEGORIES = ['build', 'pr', 'workitem']
+
+const EMPTY_RULE = {
+  id: '',
+  scope: 'user',
+  category: 'build',
+  pattern: '',
+  flags: 'i',
+  conditions: null,
+  action: '',
+  confidence: 0.8,
+  solution: '',
+  autoFix: false,
+  enabled: true
+}
+
+const inputClass = 'w-full px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground'
+
+const SCOPE_BADGES = {
+  global: 'bg-muted text-muted-foreground',
+  organization: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  user: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300'
+}
+
+/**
+ * Compile the pattern the way RuleEngine does; returns the error message, if any
+ * A rule without a pattern is fine as long as it has conditions
+ */
+function getPatternError(pattern, flags, hasConditions) {
+  if (!pattern) return hasConditions ? null : 'A rule needs a pattern, conditions, or both'
+  if (!/^[imsu]*$/.test(flags)) return 'Flags may only contain i, m, s and u'
+  try {
+    new RegExp(pattern, flags)
+    return null
+  } catch (err) {
+    return err.message
+  }
+}
+
+export default function Rules() {
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [rules, setRules] = useState([])
+  const [categoryFilter, setCategoryFilter] = useState('all')
+  const [scopeFilter, setScopeFilter] = useState('all')
+  // null when closed; { mode: 'create' | 'edit', rule } otherwise
+  const [editor, setEditor] = useState(null)
+  const [sample, setSample] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [saveError, setSaveError] = useState(null)
+  const [pendingRuleId, setPendingRuleId] = useState(null)
+  const [testResult, setTestResult] = useState(null)
+  const [testing, setTesting] = useState(false)
+  const [testError, setTestError] = useState(null)
+  const [conditionFields, setConditionFields] = useState([])
+  const [proposedCount, setProposedCount] = useState(0)
+  const { checkConnection } = useHealth()
+
+  const loadRules = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await apiService.getRules()
+      setRules(data.rules || [])
+    } catch (err) {
+      setError('Failed to load rules')
+      console.error('Rules error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadRules()
+  }, [loadRules])
+
+  useEffect(() => {
+    apiService.getRuleFields()
+      .then(data => setConditionFields(data.fields || []))
+      .catch(err => console.error('Rule fields error:', err))
+    apiService.getRuleProposals()
+      .then(data => setProposedCount(data.proposals?.length || 0))
+      .catch(err => console.error('Rule proposals error:', err))
+  }, [])
+
+  const handleSync = async () => {
+    await Promise.all([
+      checkConnection(),
+      loadRules()
+    ])
+  }
+
+  const replaceRule = (rule) => {
+    setRules(current => current.map(existing => existing.id === rule.id ? rule : existing))
+  }
+
+  const openEditor = (mode, rule = EMPTY_RULE) => {
+    setEditor({
+      mode,
+      rule: {
+        ...EMPTY_RULE,
+        ...rule,
+        // Overriding a global rule creates a copy in the user's scope
+        scope: rule.scope === 'global' ? 'user' : rule.scope || 'user',
+        pattern: rule.pattern || '',
+        flags: rule.flags || 'i',
+        conditions: rule.conditions ? toConditionsForm(rule.conditions) : null,
+        solution: rule.solution || ''
+      }
+    })
+    setSample('')
+    setSaveError(null)
+    setTestResult(null)
+    setTestError(null)
+  }
+
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+    setEditor(current => ({ ...current, rule: { ...current.rule, [field]: value } }))
+  }
+
+  const setConditions = (conditions) => {
+    setEditor(current => ({ ...current, rule: { ...current.rule, conditions } }))
+  }
+
+  const patternError = editor ? getPatternError(editor.rule.pattern, editor.rule.flags, !!editor.rule.conditions) : null
+
+  const sampleMatch = useMemo(() => {
+    if (!editor || patternError || !sample || !editor.rule.pattern) return null
+    return new RegExp(editor.rule.pattern, editor.rule.flags).exec(sample)
+  }, [editor, patternError, sample])
+
+  // Edits send null to remove a pattern or conditions the rule had
+  const toPayload = (rule, mode = 'create') => ({
+    category: rule.category.trim(),
+    pattern: rule.pattern || (mode === 'edit' ? null : undefined),
+    flags: rule.flags,
+    conditions: rule.conditions
+      ? toConditionsPayload(rule.conditions, conditionFields)
+      : mode === 'edit' ? null : undefined,
+    action: rule.action.trim(),
+    confidence: Number(rule.confidence),
+    solution: rule.solution.trim() || undefined,
+    autoFix: rule.autoFix,
+    enabled: rule.enabled
+  })
+
+  const getErrorMessage = (err, fallback) => {
+    const details = err.response?.data?.details
+    return Array.isArray(details) && details.length > 0
+      ? details.map(detail => detail.message).join('; ')
+      : err.response?.data?.error || fallback
+  }
+
+  // Runs the unsaved draft against recent failed builds and memories
+  const handleTest = async () => {
+    if (patternError) return
+
+    const { rule } = editor
+    try {
+      setTesting(true)
+      setTestError(null)
+      const data = await apiService.testRule({
+        ...toPayload(rule),
+        id: rule.id.trim() || undefined,
+        scope: rule.scope
+      })
+      setTestResult(data)
+    } catch (err) {
+      setTestResult(null)
+      setTestError(getErrorMessage(err, 'Failed to test rule'))
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (patternError) return
+
+    const { rule, mode } = editor
+    const payload = toPayload(rule, mode)
+
+    try {
+      setSaving(true)
+      setSaveError(null)
+
+      if (mode === 'edit') {
+        await apiService.updateRule(rule.id, payload, rule.scope)
+      } else {
+        await apiService.createRule({ ...payload, id: rule.id.trim(), scope: rule.scope })
+      }
+
+      setEditor(null)
+      await loadRules()
+    } catch (err) {
+      setSaveError(getErrorMessage(err, 'Failed to save rule'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggle = async (rule) => {
+    try {
+      setPendingRuleId(rule.id)
+      const data = await apiService.setRuleEnabled(rule.id, !rule.enabled, rule.scope === 'global' ? undefined : rule.scope)
+      replaceRule(data.rule)
+    } catch (err) {
+      console.error('Rule toggle error:', err)
+      setError(err.response?.data?.error || 'Failed to update rule')
+    } finally {
+      setPendingRuleId(null)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rule ${rule.id}?`)) return
+
+    try {
+      setPendingRuleId(rule.id)
+      await apiService.deleteRule(rule.id, rule.scope)
+      await loadRules()
+    } catch (err) {
+      console.error('Rule delete error:', err)
+      setError(err.response?.data?.error || 'Failed to delete rule')
+    } finally {
+      setPendingRuleId(null)
+    }
+  }
+
+  const categories = useMemo(
+    () => Array.from(new Set([...CATEGORIES, ...rules.map(rule => rule.category)])),
+    [rules]
+  )
+
+  const filteredRules = rules.filter(rule =>
+    (categoryFilter === 'all' || rule.category === categoryFilter) &&
+    (scopeFilter === 'all' || rule.scope === scopeFilter)
+  )
+
+  if (loading && rules.length === 0 && !error) {
+    return <LoadingSpinner />
+  }
+
+  if (error && rules.length === 0) {
+    return <ErrorMessage message={error} onRetry={loadRules} />
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground tracking-tight">Rules</h1>
+          <p className="text-muted-foreground text-sm mt-0.5">Patterns the agents match before asking the AI, and how often each one fires</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Link
+            to="/rules/proposals"
+            className="flex items-center gap-2 px-3 py-1.5 bg-muted text-foreground text-sm font-medium rounded-full hover:bg-muted/80 transition-colors"
+          >
+            <Inbox className="w-3.5 h-3.5" />
+            Review queue
+            {proposedCount > 0 && (
+              <span className="px-1.5 rounded-full bg-blue-600 text-white text-xs">{proposedCount}</span>
+            )}
+          </Link>
+          <button
+            onClick={() => openEditor('create')}
+            className="flex items-center gap-2 px-3 py-1.5 bg-muted text-foreground text-sm font-medium rounded-full hover:bg-muted/80 transition-colors"
+          >
+            <Plus className="w-3.5 h-3.5" />
+            New Rule
+          </button>
+          <button
+            onClick={handleSync}
+            disabled={loading}
+            className="group flex items-center gap-2 px-3 py-1.5 bg-foreground text-background text-sm font-medium rounded-full hover:bg-foreground/90 disabled:opacity-60 transition-all duration-200"
+          >
+            <RefreshCw className={`w-3.5 h-3.5 ${loading ? 'animate-spin' : 'group-hover:rotate-180'} transition-transform duration-300`} />
+            Sync
+          </button>
+        </div>
+      </div>
+
+      {error && rules.length > 0 && (
+        <div className="flex items-center gap-2 px-4 py-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {/* Editor */}
+      {editor && (
+        <form
+          onSubmit={handleSave}
+          className="bg-card dark:bg-[#111111] p-6 rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm space-y-4"
+        >
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-medium text-foreground">
+              {editor.mode === 'edit' ? `Edit ${editor.rule.id}` : 'New Rule'}
+            </h2>
+            <button type="button" onClick={() => setEditor(null)} className="p-1 rounded-lg text-muted-foreground hover:bg-muted">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Id</span>
+              <input
+                className={inputClass}
+                value={editor.rule.id}
+                onChange={updateField('id')}
+                disabled={editor.mode === 'edit'}
+                placeholder="flaky-integration-tests"
+                required
+              />
+            </label>
+            <label className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Scope</span>
+              <select
+                className={inputClass}
+                value={editor.rule.scope}
+                onChange={updateField('scope')}
+                disabled={editor.mode === 'edit'}
+              >
+                <option value="user">Just me</option>
+                <option value="organization">My organization</option>
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Category</span>
+              <input className={inputClass} list="rule-categories" value={editor.rule.category} onChange={updateField('category')} required />
+              <datalist id="rule-categories">
+                {categories.map(category => <option key={category} value={category} />)}
+              </datalist>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-[1fr_8rem] gap-4">
+            <label className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Pattern</span>
+              <input
+                className={`${inputClass} font-mono ${patternError && editor.rule.pattern ? 'border-red-500 dark:border-red-500' : ''}`}
+                value={editor.rule.pattern}
+                onChange={updateField('pattern')}
+                placeholder={editor.rule.conditions ? 'Optional with conditions' : 'ECONNRESET|socket hang up'}
+              />
+            </label>
+            <label className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Flags</span>
+              <input className={`${inputClass} font-mono`} value={editor.rule.flags} onChange={updateField('flags')} />
+            </label>
+          </div>
+          {patternError && editor.rule.pattern && (
+            <p className="text-sm text-red-600 dark:text-red-400">{patternError}</p>
+          )}
+
+          <div className="space-y-2">
+            <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Conditions</span>
+            {editor.rule.conditions ? (
+              <RuleConditionsEditor
+                value={editor.rule.conditions}
+                fields={conditionFields}
+                onChange={setConditions}
+                onRemove={() => setConditions(null)}
+              />
+            ) : (
+              <div className="flex items-center gap-3">
+                <button
+                  type="button"
+                  onClick={() => setConditions({ mode: 'all', items: [emptyCondition(conditionFields)] })}
+                  disabled={conditionFields.length === 0}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-muted text-foreground text-sm rounded-lg hover:bg-muted/80 disabled:opacity-50 transition-colors"
+                >
+                  <Plus className="h-4 w-4" />
+                  Add conditions
+                </button>
+                <span className="text-sm text-muted-foreground">Match on branch, stage, task, PR or work item fields, or time of day</span>
+              </div>
+            )}
+            {!editor.rule.pattern && !editor.rule.conditions && (
+              <p className="text-sm text-muted-foreground">A rule needs a pattern, conditions, or both.</p>
+            )}
+          </div>
+
+          {editor.rule.pattern && (
+            <div className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Try it</span>
+              <textarea
+                className={`${inputClass} font-mono text-sm`}
+                rows={2}
+                value={sample}
+                onChange={e => setSample(e.target.value)}
+                placeholder="Paste a log line or description to test the pattern"
+              />
+              {sample && !patternError && (
+                <p className={`text-sm ${sampleMatch ? 'text-green-600 dark:text-green-400' : 'text-muted-foreground'}`}>
+                  {sampleMatch ? `Matches "${sampleMatch[0]}"` : 'No match'}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Action</span>
+              <input className={`${inputClass} font-mono`} value={editor.rule.action} onChange={updateField('action')} placeholder="retry_build" required />
+            </label>
+            <label className="space-y-1">
+              <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                Confidence ({Number(editor.rule.confidence).toFixed(2)})
+              </span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.01"
+                className="w-full"
+                value={editor.rule.confidence}
+                onChange={updateField('confidence')}
+              />
+            </label>
+          </div>
+
+          <label className="block space-y-1">
+            <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">Solution</span>
+            <textarea className={inputClass} rows={2} value={editor.rule.solution} onChange={updateField('solution')} />
+          </label>
+
+          <div className="flex flex-wrap items-center gap-6">
+            <label className="flex items-center gap-2 text-sm text-foreground">
+              <input type="checkbox" checked={editor.rule.autoFix} onChange={updateField('autoFix')} />
+              Act without approval
+            </label>
+            <label className="flex items-center gap-2 text-sm text-foreground">
+              <input type="checkbox" checked={editor.rule.enabled} onChange={updateField('enabled')} />
+              Enabled
+            </label>
+          </div>
+
+          {(testResult || testError) && (
+            <div className="pt-4 border-t border-border dark:border-[#1a1a1a]">
+              {testError
+                ? <p className="text-sm text-red-600 dark:text-red-400">{testError}</p>
+                : <RuleTestResults result={testResult} />}
+            </div>
+          )}
+
+          {saveError && <p className="text-sm text-red-600 dark:text-red-400">{saveError}</p>}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleTest}
+              disabled={testing || !!patternError}
+              className="flex items-center gap-1 px-3 py-1.5 bg-muted text-foreground text-sm rounded-lg hover:bg-muted/80 disabled:opacity-50 transition-colors"
+            >
+              <FlaskConical className="h-4 w-4" />
+              {testing ? 'Testing...' : 'Test against history'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditor(null)}
+              className="px-3 py-1.5 bg-muted text-foreground text-sm rounded-lg hover:bg-muted/80 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !!patternError}
+              className="flex items-center gap-1 px-3 py-1.5 bg-foreground text-background text-sm font-medium rounded-lg hover:bg-foreground/90 disabled:opacity-50 transition-colors"
+            >
+              <Check className="h-4 w-4" />
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Filters */}
+      <div className="bg-card dark:bg-[#111111] p-6 rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm">
+        <div className="flex flex-col lg:flex-row gap-4">
+          <div className="flex items-center gap-2 flex-1">
+            <Filter className="h-4 w-4 text-muted-foreground" />
+            <select className={inputClass} value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)}>
+              <option value="all">All Categories</option>
+              {categories.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </div>
+          <select
+            className="px-3 py-2 border border-border dark:border-[#1a1a1a] rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all bg-background text-foreground"
+            value={scopeFilter}
+            onChange={e => setScopeFilter(e.target.value)}
+          >
+            <option value="all">All Scopes</option>
+            <option value="global">Global</option>
+            <option value="organization">Organization</option>
+            <option value="user">Mine</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Rules Table */}
+      <div className="bg-card dark:bg-[#111111] rounded-2xl border border-border dark:border-[#1a1a1a] shadow-sm">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-border dark:divide-[#1a1a1a]">
+            <thead className="bg-muted">
+              <tr>
+                {['Rule', 'Matches', 'Action', 'Confidence', 'Hits', 'Enabled', ''].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-card dark:bg-[#111111] divide-y divide-border dark:divide-[#1a1a1a]">
+              {filteredRules.length > 0 ? (
+                filteredRules.map(rule => (
+                  <tr key={`${rule.scope}:${rule.id}`} className={rule.enabled ? '' : 'opacity-60'}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-foreground">{rule.id}</div>
+                      <div className="flex items-center gap-1.5 mt-1">
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${SCOPE_BADGES[rule.scope]}`}>
+                          {rule.scope}
+                        </span>
+                        <span
+                          className="text-xs text-muted-foreground"
+                          title={rule.approvedAt ? `Approved ${new Date(rule.approvedAt).toLocaleString()}` : undefined}
+                        >
+                          {rule.category} · {rule.source}{rule.approvedAt ? ' (approved)' : ''}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-muted-foreground max-w-xs">
+                      {rule.pattern && (
+                        <div className="font-mono truncate" title={`/${rule.pattern}/${rule.flags}`}>/{rule.pattern}/{rule.flags}</div>
+                      )}
+                      {rule.conditions && (
+                        <div className="text-xs truncate" title={describeConditions(rule.conditions)}>
+                          {rule.pattern ? 'and ' : ''}{describeConditions(rule.conditions)}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-foreground">
+                      {rule.action}
+                      {rule.autoFix && <span className="ml-2 text-xs text-muted-foreground font-sans">auto</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-foreground">
+                      {Math.round(rule.confidence * 100)}%
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-foreground" title={`${rule.matchCount} matches in total`}>
+                      {rule.hits}
+                      <span className="text-xs text-muted-foreground"> / {rule.matchCount}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleToggle(rule)}
+                        disabled={pendingRuleId === rule.id}
+                        role="switch"
+                        aria-checked={rule.enabled}
+                        title={rule.scope === 'global' ? 'Changes apply to you only' : undefined}
+                        className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors disabled:opacity-50 ${rule.enabled ? 'bg-green-500' : 'bg-muted-foreground/30'}`}
+                      >
+                        <span className={`inline-block h-4 w-4 rounded-full bg-white transition-transform ${rule.enabled ? 'translate-x-4' : 'translate-x-0.5'}`} />
+                      </button>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      <div className="flex items-center justify-end gap-1">
+                        <button
+                          onClick={() => openEditor(rule.editable ? 'edit' : 'create', rule)}
+                          title={rule.editable ? 'Edit' : 'Override for me or my organization'}
+                          className="p-1.5 rounded-lg text-muted-foreground hover:bg-muted hover:text-foreground transition-colors"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </button>
+                        {rule.editable && (
+                          <button
+                            onClick={() => handleDelete(rule)}
+                            disabled={pendingRuleId === rule.id}
+                            title="Delete"
+                            className="p-1.5 rounded-lg text-muted-foreground hover:bg-red-50 hover:text-red-600 dark:hover:bg-red-900/20 disabled:opacity-50 transition-colors"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan="7" className="px-6 py-12 text-center text-muted-foreground">
+                    {rules.length > 0 ? 'No rules match your filters' : 'No rules yet'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  )
+}
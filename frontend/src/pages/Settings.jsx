@@ -14,7 +14,8 @@ import {
   Clock,
   Shield,
   Menu,
-  RefreshCw
+  RefreshCw,
+  Brain
 } from 'lucide-react'
 import axios from 'axios'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue, SelectGroup, SelectLabel } from '../components/ui/select'
@@ -35,6 +36,7 @@ const settingsSections = [
   { id: 'notifications', name: 'Notifications', icon: Bell },
   { id: 'webhooks', name: 'Webhook URLs', icon: Webhook },
   { id: 'polling', name: 'Polling', icon: Clock },
+  { id: 'memory', name: 'Memory', icon: Brain },
   { id: 'security', name: 'Security', icon: Shield }
 ]
 
@@ -95,6 +97,17 @@ const PollingSection = React.memo(({ settings, updateSetting }) => {
           <p className="text-xs text-muted-foreground mt-1">
             {settings.polling.pullRequestInterval ? getCronDescription(settings.polling.pullRequestInterval) : 'Enter cron expression'}
           </p>
+
+          <div className="mt-4 flex items-center justify-between p-3 border rounded-md bg-muted/30">
+            <div className="space-y-0.5">
+              <Label className="text-sm font-medium">Auto-assign Reviewers</Label>
+              <p className="text-xs text-muted-foreground">Add recommended reviewers to idle PRs that have none</p>
+            </div>
+            <Switch
+              checked={settings.polling.autoAssignReviewers === true}
+              onCheckedChange={(checked) => updateSetting('polling', 'autoAssignReviewers', checked)}
+            />
+          </div>
         </div>
 
         <div>
@@ -218,7 +231,13 @@ export default function Settings() {
       pullRequestEnabled: true,
       overdueCheckEnabled: true,
       overdueFilterEnabled: true,
-      overdueMaxDays: 60
+      overdueMaxDays: 60,
+      autoAssignReviewers: false
+    },
+    memory: {
+      embeddingProvider: 'huggingface',
+      vectorSearch: 'auto',
+      canEdit: false
     },
     security: {
       webhookSecret: '',
@@ -322,7 +341,13 @@ export default function Settings() {
           pullRequestEnabled: true,
           overdueCheckEnabled: true,
           overdueFilterEnabled: true,
-          overdueMaxDays: 60
+          overdueMaxDays: 60,
+          autoAssignReviewers: false
+        },
+        memory: {
+          embeddingProvider: response.data.memory?.embeddingProvider || 'huggingface',
+          vectorSearch: response.data.memory?.vectorSearch || 'auto',
+          canEdit: response.data.memory?.canEdit === true
         },
         security: response.data.security || {
           webhookSecret: '',
@@ -384,6 +409,13 @@ export default function Settings() {
         polling: settings.polling,
         security: settings.security
       }
+      // Memory settings are instance-wide and only admins may change them
+      if (settings.memory.canEdit && JSON.stringify(settings.memory) !== JSON.stringify(originalSettings.memory)) {
+        backendSettings.memory = {
+          embeddingProvider: settings.memory.embeddingProvider,
+          vectorSearch: settings.memory.vectorSearch
+        }
+      }
       console.log('Saving polling settings:', settings.polling);
       if (settings.azureDevOps.personalAccessToken && settings.azureDevOps.personalAccessToken !== '***') {
         backendSettings.azureDevOps.pat = settings.azureDevOps.personalAccessToken;
@@ -1013,6 +1045,68 @@ export default function Settings() {
     )
   }
 
+  function MemorySection() {
+    const providerChanged = originalSettings && settings.memory.embeddingProvider !== originalSettings.memory.embeddingProvider
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Brain className="h-5 w-5 text-purple-600" />
+            Memory
+          </CardTitle>
+          <CardDescription>How memories are embedded and searched; these settings apply to every user</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {!settings.memory.canEdit && (
+            <p className="text-sm text-muted-foreground">Only admins can change memory settings.</p>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="embeddingProvider">Embedding Provider</Label>
+            <Select
+              value={settings.memory.embeddingProvider}
+              onValueChange={(value) => updateSetting('memory', 'embeddingProvider', value)}
+              disabled={!settings.memory.canEdit}
+            >
+              <SelectTrigger id="embeddingProvider">
+                <SelectValue placeholder="Select embedding provider..." />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectGroup>
+                  <SelectItem value="huggingface">Hugging Face Inference API</SelectItem>
+                  <SelectItem value="local">Local (no network access)</SelectItem>
+                </SelectGroup>
+              </SelectContent>
+            </Select>
+            {providerChanged && (
+              <p className="text-xs text-amber-600">
+                Memories embedded by the other provider are not found until they are re-embedded (npm run memory:reembed)
+              </p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="vectorSearch">Vector Search</Label>
+            <Select
+              value={settings.memory.vectorSearch}
+              onValueChange={(value) => updateSetting('memory', 'vectorSearch', value)}
+              disabled={!settings.memory.canEdit}
+            >
+              <SelectTrigger id="vectorSearch">
+                <SelectValue placeholder="Select vector search..." />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectGroup>
+                  <SelectItem value="auto">Atlas, falling back to in-process</SelectItem>
+                  <SelectItem value="atlas">Atlas only</SelectItem>
+                  <SelectItem value="local">In-process only</SelectItem>
+                </SelectGroup>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardContent>
+      </Card>
+    )
+  }
+
   // Add the main layout and return statement here
   const Sidebar = ({ className = "" }) => (
     <div className={`space-y-2 ${className}`}>
@@ -1131,6 +1225,7 @@ export default function Settings() {
           {activeSection === 'notifications' && <NotificationsSection />}
           {activeSection === 'webhooks' && <WebhooksSection />}
           {activeSection === 'polling' && <PollingSection settings={settings} updateSetting={updateSetting} />}
+          {activeSection === 'memory' && <MemorySection />}
           {activeSection === 'security' && <SecuritySection />}
         </div>
       </div>
@@ -398,6 +398,30 @@ export default function WorkItems() {
     setIsModalOpen(false)
   }
 
+  // Put an edited item back into the sprint and overdue lists, regrouping it by its new state and assignee
+  const handleWorkItemUpdated = (updated) => {
+    setSelectedWorkItem(updated)
+    setOverdueItems(prev => prev.map(item => item.id === updated.id ? updated : item))
+    setSprintSummary(prev => {
+      if (!prev?.workItemsByState) return prev
+
+      const items = Object.values(prev.workItemsByState).flat()
+        .map(item => item.id === updated.id ? updated : item)
+      const groupBy = (getKey) => items.reduce((acc, item) => {
+        const key = getKey(item)
+        if (!acc[key]) acc[key] = []
+        acc[key].push(item)
+        return acc
+      }, {})
+
+      return {
+        ...prev,
+        workItemsByState: groupBy(item => item.fields?.['System.State'] || 'Unknown'),
+        workItemsByAssignee: groupBy(item => item.fields?.['System.AssignedTo']?.displayName || 'Unassigned')
+      }
+    })
+  }
+
   // Reset dependent filters when parent filter changes
   useEffect(() => {
     // When state filter changes, check if current assignee is still valid
@@ -1486,6 +1510,7 @@ export default function WorkItems() {
         workItem={selectedWorkItem}
         isOpen={isModalOpen}
         onClose={closeWorkItemModal}
+        onUpdated={handleWorkItemUpdated}
       />
     </div>
   )
@@ -0,0 +1,86 @@
+// Shared helpers for structured rule conditions
+
+export const OPERATOR_LABELS = {
+  equals: 'is',
+  notEquals: 'is not',
+  in: 'is one of',
+  notIn: 'is none of',
+  contains: 'contains',
+  matches: 'matches regex',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  between: 'between'
+}
+
+export const isConditionGroup = (item) => Array.isArray(item?.items)
+
+export const emptyCondition = (fields) => ({
+  field: fields[0]?.name || 'build.branch',
+  operator: 'equals',
+  value: ''
+})
+
+/**
+ * API conditions ({ all | any: [...] }) to the editor's form, where every
+ * value is text until it is saved
+ */
+export const toConditionsForm = (conditions) => {
+  const mode = conditions.all ? 'all' : 'any'
+
+  return {
+    mode,
+    items: conditions[mode].map(item => (item.all || item.any)
+      ? toConditionsForm(item)
+      : {
+        ...item,
+        value: item.operator === 'between'
+          ? item.value.map(String)
+          : Array.isArray(item.value) ? item.value.join(', ') : String(item.value)
+      })
+  }
+}
+
+/**
+ * The editor's form back to API conditions, with numbers and lists parsed
+ */
+export const toConditionsPayload = (form, fields) => {
+  const types = Object.fromEntries(fields.map(field => [field.name, field.type]))
+
+  return {
+    [form.mode]: form.items.map(item => {
+      if (isConditionGroup(item)) return toConditionsPayload(item, fields)
+
+      const parse = (value) => types[item.field] === 'number' ? Number(value) : value.trim()
+      let value
+      if (item.operator === 'between') {
+        value = item.value.map(Number)
+      } else if (item.operator === 'in' || item.operator === 'notIn') {
+        value = item.value.split(',').map(part => part.trim()).filter(Boolean).map(parse)
+      } else {
+        value = parse(item.value)
+      }
+
+      return {
+        field: item.field,
+        operator: item.operator,
+        value,
+        ...(item.timezone && { timezone: item.timezone })
+      }
+    })
+  }
+}
+
+/**
+ * One-line summary, e.g. "build.branch is main AND (build.stage is Deploy OR ...)"
+ */
+export const describeConditions = (conditions, nested = false) => {
+  const mode = conditions.all ? 'all' : 'any'
+  const parts = conditions[mode].map(item => (item.all || item.any)
+    ? describeConditions(item, true)
+    : `${item.field} ${OPERATOR_LABELS[item.operator] || item.operator} ${Array.isArray(item.value) ? item.value.join(item.operator === 'between' ? '–' : ', ') : item.value}`)
+  const text = parts.join(mode === 'all' ? ' AND ' : ' OR ')
+
+  return nested && parts.length > 1 ? `(${text})` : text
+}
@@ -0,0 +1,55 @@
+// Shared formatting helpers for workflow executions
+
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—'
+  if (ms < 1000) return `${ms}ms`
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`
+  const minutes = Math.floor(ms / 60000)
+  const seconds = Math.round((ms % 60000) / 1000)
+  return `${minutes}m ${seconds}s`
+}
+
+export const describeTrigger = (trigger) => {
+  if (!trigger?.type) return 'Manual'
+  switch (trigger.type) {
+    case 'event':
+      return trigger.event || 'Event'
+    case 'schedule':
+      return trigger.cron ? `Schedule (${trigger.cron})` : 'Schedule'
+    default:
+      return 'Manual'
+  }
+}
+
+export const getStatusBadgeClass = (status) => {
+  switch (status) {
+    case 'completed':
+      return 'bg-green-100 dark:bg-green-950/50 text-green-800 dark:text-green-200'
+    case 'failed':
+      return 'bg-red-100 dark:bg-red-950/50 text-red-800 dark:text-red-200'
+    case 'running':
+      return 'bg-blue-100 dark:bg-blue-950/50 text-blue-800 dark:text-blue-200'
+    case 'skipped':
+    case 'paused':
+    case 'waiting':
+      return 'bg-yellow-100 dark:bg-yellow-950/50 text-yellow-800 dark:text-yellow-200'
+    default:
+      return 'bg-muted text-muted-foreground'
+  }
+}
+
+export const getStatusBarClass = (status) => {
+  switch (status) {
+    case 'completed':
+      return 'bg-green-500'
+    case 'failed':
+      return 'bg-red-500'
+    case 'running':
+      return 'bg-blue-500 animate-pulse'
+    case 'skipped':
+    case 'waiting':
+      return 'bg-yellow-400'
+    default:
+      return 'bg-muted-foreground'
+  }
+}